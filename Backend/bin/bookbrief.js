@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+// Load .env before any module reads its configuration
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import fg from 'fast-glob';
+import {
+  JOB_STATUS,
+  setJobsDir,
+  startJobQueue,
+  createJob,
+  getJob,
+  deleteJob,
+  enqueueJob,
+  isJobActive,
+  subscribeToJob
+} from '../lib/jobs.js';
+import { runSummarizationJob, buildJobResult, parseJobOptions } from '../lib/summarizer.js';
+import { setProgressLogging } from '../lib/progress.js';
+import { getSupportedFormats } from '../lib/extractors/index.js';
+import { getExporter, getExportFormats, buildExportData, exportSummary } from '../lib/exporters/index.js';
+
+// Command-line client: summarizes a list of books with the same pipeline as the API server,
+// without running it. Each output directory keeps its batch under .bookbrief/: the jobs
+// (so an interrupted book resumes from its last completed chunk) and batch.json, which
+// records every book's job and outputs so finished books are skipped on the next run.
+// Model calls go through the server's summary cache in DATA_DIR.
+
+const USAGE = `Usage: bookbrief summarize <files, directories or globs...> [options]
+
+Options:
+  --manifest <file>      More books: one path or glob per line, or a JSON array of
+                         paths or { "file", ...options } objects with per-book options
+  --out-dir <dir>        Where summaries are written (default: ./summaries)
+  --format <formats>     md, docx, pdf, epub, json, csv or apkg; several separated by
+                         commas (default: md). csv and apkg are Anki flashcards (--study)
+  --style <style>        Summary style, e.g. executive, takeaways, chapters, study
+  --tone <tone>          neutral, formal, conversational or enthusiastic
+  --length <n|n%>        Summary length in words, or a percentage of the book
+  --language <name>      Output language (default: English)
+  --provider <name>      LLM provider, e.g. gemini, openai, local
+  --model <name>         Model of the provider
+  --pages <ranges>       Only these pages of PDFs, e.g. 120-180
+  --sections <ranges>    Only these detected sections, e.g. 3-7
+  --ocr-language <code>  Language of scanned pages, e.g. eng or eng+fra
+  --strip-matter         Leave out front and back matter of PDFs
+  --analysis             Also extract people, places, concepts, quotes and takeaways
+                         (in the json format)
+  --study                Also write flashcards and quiz questions per chapter
+                         (in the json, csv and apkg formats)
+  --on-error <policy>    retry-later, skip or fail
+  --force                Summarize books again even if the batch already has them
+  --json                 Print the report as JSON
+  --verbose              Show the pipeline's progress log
+  -h, --help             Show this help`;
+
+const CLI_OPTIONS = {
+  manifest: { type: 'string' },
+  'out-dir': { type: 'string', default: 'summaries' },
+  format: { type: 'string', default: 'md' },
+  style: { type: 'string' },
+  tone: { type: 'string' },
+  length: { type: 'string' },
+  language: { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  pages: { type: 'string' },
+  sections: { type: 'string' },
+  'ocr-language': { type: 'string' },
+  'strip-matter': { type: 'boolean' },
+  analysis: { type: 'boolean' },
+  study: { type: 'boolean' },
+  'on-error': { type: 'string' },
+  force: { type: 'boolean' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Per-book fields a manifest may set, by their request field names
+const MANIFEST_FIELDS = ['style', 'tone', 'length', 'language', 'provider', 'model', 'pages', 'sections', 'ocrLanguage', 'stripMatter', 'analysis', 'study', 'onError'];
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+// Mistakes in the command line; they exit with 2 and a pointer to --help
+function usageError(message) {
+  const error = new Error(message);
+  error.type = 'usage';
+  return error;
+}
+
+// Request fields (as /api/summarize takes them) from command-line or manifest options
+function toRequestFields(values) {
+  const fields = {
+    style: values.style,
+    tone: values.tone,
+    language: values.language,
+    provider: values.provider,
+    model: values.model,
+    pages: values.pages,
+    sections: values.sections,
+    ocrLanguage: values.ocrLanguage ?? values['ocr-language'],
+    stripMatter: values.stripMatter ?? values['strip-matter'],
+    analysis: values.analysis,
+    study: values.study,
+    onError: values.onError ?? values['on-error']
+  };
+
+  const length = values.length == null ? '' : String(values.length).trim();
+  if (length.endsWith('%')) {
+    fields.targetPercent = length.slice(0, -1);
+  } else if (length) {
+    fields.targetWords = length;
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null && value !== ''));
+}
+
+// Files matching a path, directory (every supported file in it) or glob, sorted
+async function expandPattern(pattern, cwd) {
+  const fullPath = path.resolve(cwd, pattern);
+  if (!fg.isDynamicPattern(pattern)) {
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) return [{ file: fullPath, error: 'File not found' }];
+    if (!stats.isDirectory()) return [{ file: fullPath }];
+
+    const extensions = getSupportedFormats().flatMap(format => format.extensions).map(extension => extension.slice(1));
+    const files = await fg(`**/*.{${extensions.join(',')}}`, { cwd: fullPath, absolute: true, caseSensitiveMatch: false });
+    return files.sort().map(file => ({ file }));
+  }
+
+  const files = await fg(pattern, { cwd, absolute: true, onlyFiles: true });
+  if (!files.length) return [{ file: fullPath, error: 'No files match this pattern' }];
+  return files.sort().map(file => ({ file }));
+}
+
+// A manifest is a text file of paths or globs (# starts a comment), or a JSON array of
+// paths or { file, ...options }. Paths are relative to the manifest.
+async function readManifest(manifestPath) {
+  const content = await fs.readFile(manifestPath, 'utf-8').catch(() => {
+    throw usageError(`Cannot read manifest ${manifestPath}`);
+  });
+  const cwd = path.dirname(path.resolve(manifestPath));
+
+  let entries;
+  if (manifestPath.endsWith('.json')) {
+    try {
+      entries = JSON.parse(content);
+    } catch (error) {
+      throw usageError(`Invalid JSON in manifest ${manifestPath}: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+      throw usageError(`Manifest ${manifestPath} must be a JSON array`);
+    }
+  } else {
+    entries = content.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean);
+  }
+
+  const books = [];
+  for (const entry of entries) {
+    const { file, ...options } = typeof entry === 'string' ? { file: entry } : entry || {};
+    if (typeof file !== 'string' || !file) {
+      throw usageError(`Manifest ${manifestPath}: every entry needs a "file"`);
+    }
+    const unknown = Object.keys(options).filter(key => !MANIFEST_FIELDS.includes(key));
+    if (unknown.length) {
+      throw usageError(`Manifest ${manifestPath}: unknown option ${unknown.join(', ')} for ${file}`);
+    }
+    for (const match of await expandPattern(file, cwd)) {
+      books.push({ ...match, overrides: options });
+    }
+  }
+  return books;
+}
+
+// Batch state
+
+async function readBatch(stateDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(stateDir, 'batch.json'), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { files: {} };
+    throw error;
+  }
+}
+
+async function writeBatch(stateDir, batch) {
+  const filePath = path.join(stateDir, 'batch.json');
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(batch, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+// Output file names follow the input's, e.g. books/dune.epub -> dune-summary.md (or
+// dune-flashcards.csv); books with the same name get -2, -3, ...
+function chooseOutputName(file, exporter, batch) {
+  const taken = new Set(Object.entries(batch.files)
+    .filter(([other]) => other !== file)
+    .flatMap(([, entry]) => entry.outputs || [])
+    .map(output => path.basename(output)));
+  const base = `${path.parse(file).name}-${exporter.study ? 'flashcards' : 'summary'}`;
+  for (let n = 1; ; n++) {
+    const name = `${base}${n > 1 ? `-${n}` : ''}.${exporter.extension}`;
+    if (!taken.has(name)) return name;
+  }
+}
+
+// Resolves with the job once it has completed, failed or been cancelled
+function waitForJob(id, onProgress) {
+  return new Promise(resolve => {
+    const job = getJob(id);
+    if (!isJobActive(job)) return resolve(job);
+
+    const unsubscribe = subscribeToJob(id, (event) => {
+      if (['complete', 'error', 'cancelled'].includes(event.type)) {
+        unsubscribe();
+        resolve(getJob(id));
+      } else {
+        onProgress(event);
+      }
+    });
+  });
+}
+
+function describeProgress(event, job) {
+  switch (event.type) {
+    case 'extracting': return 'extracting text';
+    case 'ocr': return `reading scanned pages ${event.completedPages}/${event.totalPages}`;
+    case 'chunked':
+    case 'chunk': return `${event.completedChunks}/${event.totalChunks} chunks`;
+    case 'analyzing': return `analyzing ${event.completedChunks}/${event.totalChunks} chunks`;
+    case 'studying': return `writing flashcards ${event.completedChunks}/${event.totalChunks} chunks`;
+    case 'chapter': return `chapter ${event.index + 1}/${event.totalChapters}`;
+    case 'reducing': return event.consolidating ? 'writing the final summary' : 'combining summaries';
+    default: return job?.stage || '';
+  }
+}
+
+// Paths in the report are relative to the working directory when they are inside it
+function displayPath(filePath) {
+  const relative = path.relative(process.cwd(), filePath);
+  return relative && !relative.startsWith('..') ? relative : filePath;
+}
+
+const formatSeconds = (seconds) => (seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`);
+
+// Summarizes one book (or finds it already summarized) and writes its outputs.
+// Returns its report row.
+async function summarizeBook(book, { values, formats, outDir, batch, saveBatch, label }) {
+  const started = Date.now();
+  const report = { file: book.file, status: 'failed', outputs: [] };
+  if (book.error) {
+    return { ...report, error: book.error };
+  }
+
+  const { options, error } = parseJobOptions(toRequestFields({ ...values, ...book.overrides }));
+  if (error) {
+    return { ...report, error };
+  }
+  const studyFormat = formats.find(format => getExporter(format).study);
+  if (studyFormat && !options.study) {
+    return { ...report, error: `The ${studyFormat} format needs study mode (study: true)` };
+  }
+
+  const buffer = await fs.readFile(book.file);
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const optionsKey = JSON.stringify(options);
+  const entry = batch.files[book.file];
+  const sameRun = entry && entry.hash === hash && entry.optionsKey === optionsKey;
+  let job = sameRun ? getJob(entry.jobId) : null;
+
+  const wanted = formats.map(format => path.join(outDir, chooseOutputName(book.file, getExporter(format), batch)));
+  if (sameRun && entry.status === JOB_STATUS.COMPLETED && !values.force && wanted.every(output => entry.outputs?.includes(output) && existsSync(output))) {
+    return { ...report, ...entry.report, status: 'skipped', outputs: wanted };
+  }
+
+  // A failed or cancelled run starts over; the summary cache still has its finished calls
+  if (values.force || (job && [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status))) {
+    if (job) await deleteJob(job.id);
+    job = null;
+  }
+  if (!job) {
+    job = await createJob({ originalname: path.basename(book.file), mimetype: '', size: buffer.length, buffer }, options);
+    enqueueJob(job.id);
+  }
+  batch.files[book.file] = { hash, optionsKey, jobId: job.id, status: JOB_STATUS.RUNNING, outputs: [] };
+  await saveBatch();
+
+  let lastLine = '';
+  job = await waitForJob(job.id, (event) => {
+    const line = `${label} ${path.basename(book.file)}: ${describeProgress(event, getJob(job.id))}`;
+    if (process.stdout.isTTY && !values.verbose && !values.json) {
+      process.stdout.write(`\r${line.padEnd(lastLine.length)}`);
+      lastLine = line;
+    }
+  });
+  if (lastLine) process.stdout.write(`\r${' '.repeat(lastLine.length)}\r`);
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    batch.files[book.file] = { ...batch.files[book.file], status: job.status, error: job.error };
+    await saveBatch();
+    return { ...report, status: job.status, error: job.error || `Job ${job.status}` };
+  }
+
+  // Exports take the library's shape: the job's result and the book's metadata
+  const result = buildJobResult(job);
+  const data = buildExportData(
+    { id: job.id, ...result, createdAt: job.createdAt, completedAt: job.updatedAt },
+    { ...job.document, fileName: job.fileName }
+  );
+  for (let i = 0; i < formats.length; i++) {
+    const { content } = await exportSummary(data, formats[i]);
+    await fs.writeFile(wanted[i], content);
+  }
+
+  const done = {
+    ...report,
+    status: 'done',
+    outputs: wanted,
+    words: data.stats.selectedWords || data.stats.originalWords,
+    summaryWords: data.stats.summaryWords,
+    chunks: result.chunks,
+    cache: result.cache,
+    failedChunks: result.failures.length,
+    seconds: Math.round((Date.now() - started) / 1000)
+  };
+  const { file, outputs, ...stored } = done;
+  batch.files[book.file] = { hash, optionsKey, jobId: job.id, status: JOB_STATUS.COMPLETED, outputs: wanted, report: stored };
+  await saveBatch();
+  return done;
+}
+
+function printReport(rows, outDir) {
+  const table = rows.map(row => [
+    displayPath(row.file),
+    row.status,
+    row.words != null ? row.words.toLocaleString('en-US') : '-',
+    row.summaryWords != null ? row.summaryWords.toLocaleString('en-US') : '-',
+    row.chunks != null ? `${row.chunks}${row.failedChunks ? ` (${row.failedChunks} failed)` : ''}` : '-',
+    row.cache ? `${row.cache.hits}/${row.cache.hits + row.cache.misses}` : '-',
+    row.seconds != null && row.status === 'done' ? formatSeconds(row.seconds) : '-',
+    row.error || row.outputs.map(displayPath).join(', ')
+  ]);
+  const header = ['File', 'Status', 'Words', 'Summary', 'Chunks', 'Cached', 'Time', 'Output'];
+  const widths = header.map((title, column) => Math.max(title.length, ...table.map(cells => cells[column].length)));
+  const line = (cells) => cells.map((cell, column) => (column === cells.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ');
+
+  print();
+  print(line(header));
+  table.forEach(cells => print(line(cells)));
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  print();
+  print(`${count('done')} summarized, ${count('skipped')} already done, ${rows.length - count('done') - count('skipped')} failed • outputs in ${displayPath(outDir) || '.'}`);
+}
+
+async function summarizeCommand(args) {
+  const { values, positionals } = parseArgs({ args, options: CLI_OPTIONS, allowPositionals: true });
+  if (values.help) {
+    print(USAGE);
+    return 0;
+  }
+
+  const formats = values.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknownFormat = formats.find(format => !getExporter(format));
+  if (!formats.length || unknownFormat) {
+    throw usageError(`Unknown format: ${unknownFormat || values.format}. Expected ${getExportFormats().map(option => option.format).join(', ')}`);
+  }
+  const studyFormat = formats.find(format => getExporter(format).study);
+  if (studyFormat && !values.study && !values.manifest) {
+    throw usageError(`The ${studyFormat} format exports flashcards: add --study`);
+  }
+
+  // Options given on the command line are checked before anything runs; a manifest's are
+  // checked per book
+  const { error } = parseJobOptions(toRequestFields(values));
+  if (error) {
+    throw usageError(error);
+  }
+
+  const outDir = path.resolve(values['out-dir']);
+  const books = [];
+  for (const pattern of positionals) {
+    books.push(...(await expandPattern(pattern, process.cwd())).map(match => ({ ...match, overrides: {} })));
+  }
+  if (values.manifest) {
+    books.push(...await readManifest(values.manifest));
+  }
+  // The same file listed twice is summarized once, with its first options; summaries
+  // already in the output directory aren't books
+  const unique = [...new Map(books.reverse().map(book => [book.file, book])).values()].reverse()
+    .filter(book => !book.file.startsWith(`${outDir}${path.sep}`));
+  if (!unique.length) {
+    throw usageError('No books given');
+  }
+
+  const stateDir = path.join(outDir, '.bookbrief');
+  await fs.mkdir(stateDir, { recursive: true });
+  const batch = await readBatch(stateDir);
+  const saveBatch = () => writeBatch(stateDir, batch);
+
+  // The pipeline logs every chunk; only show that when asked to. Errors are always shown.
+  setProgressLogging(Boolean(values.verbose));
+
+  // Loads the batch's jobs; books interrupted last time resume where they stopped
+  setJobsDir(path.join(stateDir, 'jobs'));
+  await startJobQueue(runSummarizationJob);
+
+  process.once('SIGINT', () => {
+    print('\nInterrupted - run the same command again to resume');
+    process.exit(130);
+  });
+
+  const rows = [];
+  for (const [index, book] of unique.entries()) {
+    const label = `[${index + 1}/${unique.length}]`;
+    const row = await summarizeBook(book, { values, formats, outDir, batch, saveBatch, label });
+    rows.push(row);
+    if (!values.json) {
+      print(`${label} ${path.basename(row.file)}: ${row.status}${row.error ? ` - ${row.error}` : ''}`);
+    }
+  }
+
+  if (values.json) {
+    print(JSON.stringify({ outDir, books: rows }, null, 2));
+  } else {
+    printReport(rows, outDir);
+  }
+  return rows.every(row => row.status === 'done' || row.status === 'skipped') ? 0 : 1;
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === '-h' || command === '--help') {
+    print(USAGE);
+    return command ? 0 : 2;
+  }
+  if (command !== 'summarize') {
+    throw usageError(`Unknown command: ${command}`);
+  }
+  return summarizeCommand(args);
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    const isUsageError = error.type === 'usage' || error.code?.startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`bookbrief: ${error.message}\n${isUsageError ? 'Run bookbrief --help for usage\n' : ''}`);
+    process.exit(isUsageError ? 2 : 1);
+  });
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { extractDocument } from '../lib/extractors/index.js';
+import { cleanDocument } from '../lib/cleanup.js';
+import { chunkDocument, callModel, jobModelSettings } from '../lib/summarizer.js';
+import { runConcurrently } from '../lib/scheduler.js';
+import { scoreSummary } from './metrics.js';
+
+// Summary quality evaluation: every document of a corpus goes through the job pipeline's
+// extraction, cleanup and chunking, then each prompt version summarizes every chunk.
+// The chunk summaries (the pipeline's map stage, which the prompt versions change) are
+// scored against the document's reference key points.
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_CORPUS_DIR = path.join(EVAL_DIR, 'corpus');
+export const PROMPTS_DIR = path.join(EVAL_DIR, 'prompts');
+
+// corpus.json lists the documents: { id, file, title, keyPoints: [{ point, keywords }] }
+export function loadCorpus(dir = DEFAULT_CORPUS_DIR) {
+  const documents = JSON.parse(fs.readFileSync(path.join(dir, 'corpus.json'), 'utf-8'));
+  return documents.map(document => ({
+    ...document,
+    buffer: fs.readFileSync(path.join(dir, document.file))
+  }));
+}
+
+// Prompt versions in eval/prompts, baseline first
+export function listPromptVersions() {
+  const names = fs.readdirSync(PROMPTS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'));
+  return names.sort((a, b) => (a === 'baseline' ? -1 : b === 'baseline' ? 1 : a.localeCompare(b)));
+}
+
+// A prompt version by name (a file of eval/prompts) or by the path of a module that
+// default-exports { name, description, createSummarizationPrompt(content, targetSummarySize) }
+export async function loadPromptVersion(nameOrPath) {
+  const file = /[\\/]|\.m?js$/.test(nameOrPath)
+    ? path.resolve(nameOrPath)
+    : path.join(PROMPTS_DIR, `${nameOrPath}.js`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown prompt version: ${nameOrPath}. Expected one of ${listPromptVersions().join(', ')} or a module path`);
+  }
+
+  const { default: version } = await import(pathToFileURL(file).href);
+  if (typeof version?.createSummarizationPrompt !== 'function') {
+    throw new Error(`${file} does not export a prompt version`);
+  }
+  return { name: path.basename(file).replace(/\.m?js$/, ''), description: '', ...version };
+}
+
+// The document's chunks, as a job with these options would summarize them
+export async function prepareDocument(document, options, provider) {
+  const extracted = await extractDocument({ originalname: document.file, mimetype: '', buffer: document.buffer });
+  const { text, pages } = cleanDocument(extracted, {
+    stripFrontBackMatter: options.stripMatter,
+    countTokens: provider.countTokens
+  });
+  const { chunks, params } = chunkDocument(text, pages, extracted, options, provider);
+  return { text, chunks, params };
+}
+
+// Summarizes the prepared document's chunks with one prompt version and scores the result.
+// Calls and tokens count what the version costs on this document.
+export async function evaluateVersion(prepared, keyPoints, version, options, provider) {
+  const { text, chunks, params } = prepared;
+  const settings = jobModelSettings(options, params, provider);
+
+  const chunkSummaries = new Array(chunks.length);
+  const usage = { calls: 0, inputTokens: 0, outputTokens: 0 };
+  await runConcurrently(chunks.map((chunk, index) => index), provider.limits?.concurrency || 1, async (index) => {
+    const prompt = version.createSummarizationPrompt(chunks[index], params.targetSummarySize);
+    const response = await callModel(provider, prompt, settings);
+    chunkSummaries[index] = response.trim();
+    usage.calls++;
+    usage.inputTokens += provider.countTokens(prompt) + provider.countTokens(settings.systemInstruction);
+    usage.outputTokens += provider.countTokens(response);
+  });
+
+  return {
+    ...scoreSummary({ source: text, summary: chunkSummaries.join('\n\n'), chunkSummaries, keyPoints }),
+    usage,
+    chunkSummaries
+  };
+}
+
+// Runs every prompt version over every document of the corpus. Returns { provider, model,
+// versions, documents: [{ id, title, chunks, results: { [version]: scores } }] }.
+export async function runEvaluation({ corpus, versions, provider, options, onProgress = () => {} }) {
+  const documents = [];
+  for (const document of corpus) {
+    const prepared = await prepareDocument(document, options, provider);
+    const results = {};
+    for (const version of versions) {
+      onProgress({ document: document.id, version: version.name });
+      results[version.name] = await evaluateVersion(prepared, document.keyPoints, version, options, provider);
+    }
+    documents.push({ id: document.id, title: document.title, chunks: prepared.chunks.length, results });
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+    versions: versions.map(({ name, description }) => ({ name, description })),
+    documents
+  };
+}
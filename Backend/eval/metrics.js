@@ -0,0 +1,98 @@
+// Summary quality metrics of the evaluation harness. They are deliberately simple and
+// deterministic, so that two prompt versions can be compared on the same corpus:
+//   coverage    - share of a document's reference key points the summary mentions
+//   compression - summary words per source word
+//   repetition  - share of the chunk summaries' word trigrams that another chunk's
+//                 summary repeats (context carried over from chunk to chunk)
+
+// Lowercase words without accents or punctuation, so "Café," matches "cafe"
+export const normalizeText = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[\u2018\u2019]/g, "'")
+  .replace(/[^\p{L}\p{N}'\s,.-]+/gu, ' ')
+  // Commas and periods only stay inside numbers (14,400 or 3.5)
+  .replace(/(?<!\d)[,.]|[,.](?!\d)/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const words = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+export const countWords = (text) => words(text).length;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether text mentions a keyword: one of its "|"-separated alternatives, matched at the
+// start of a word so that "automat" matches "automated" and "automation"
+function mentions(text, keyword) {
+  return keyword.split('|').some(alternative => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(normalizeText(alternative))}`, 'u');
+    return pattern.test(text);
+  });
+}
+
+// A key point is covered when the summary mentions every one of its keywords.
+// Returns { covered, total, ratio, missing: the points not covered }.
+export function keyPointCoverage(summary, keyPoints) {
+  const text = normalizeText(summary);
+  const missing = keyPoints.filter(({ keywords }) => !keywords.every(keyword => mentions(text, keyword)));
+  const covered = keyPoints.length - missing.length;
+  return {
+    covered,
+    total: keyPoints.length,
+    ratio: keyPoints.length ? covered / keyPoints.length : 1,
+    missing: missing.map(({ point }) => point)
+  };
+}
+
+export function compressionRatio(summary, source) {
+  const sourceWords = countWords(source);
+  return sourceWords ? countWords(summary) / sourceWords : 0;
+}
+
+function ngrams(text, n) {
+  const tokens = words(text);
+  const grams = [];
+  for (let i = 0; i + n <= tokens.length; i++) {
+    grams.push(tokens.slice(i, i + n).join(' '));
+  }
+  return grams;
+}
+
+// Share of the chunk summaries' n-grams that also appear in another chunk's summary.
+// 0 for a single chunk. Returns { ratio, repeated, total, examples }.
+export function crossChunkRepetition(chunkSummaries, n = 3) {
+  const perChunk = chunkSummaries.map(summary => ngrams(summary || '', n));
+  const chunksWith = new Map();
+  perChunk.forEach((grams, index) => {
+    for (const gram of new Set(grams)) {
+      chunksWith.set(gram, (chunksWith.get(gram) || new Set()).add(index));
+    }
+  });
+
+  let total = 0;
+  let repeated = 0;
+  const examples = new Set();
+  for (const grams of perChunk) {
+    for (const gram of grams) {
+      total++;
+      if (chunksWith.get(gram).size > 1) {
+        repeated++;
+        if (examples.size < 5) examples.add(gram);
+      }
+    }
+  }
+  return { ratio: total ? repeated / total : 0, repeated, total, examples: [...examples] };
+}
+
+// Every metric of one summary run over a document
+export function scoreSummary({ source, summary, chunkSummaries, keyPoints }) {
+  return {
+    sourceWords: countWords(source),
+    summaryWords: countWords(summary),
+    coverage: keyPointCoverage(summary, keyPoints),
+    compression: compressionRatio(summary, source),
+    repetition: crossChunkRepetition(chunkSummaries)
+  };
+}
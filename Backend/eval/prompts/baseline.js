@@ -0,0 +1,8 @@
+import { createSummarizationPrompt } from '../../lib/summarizer.js';
+
+// The chunk prompt the pipeline uses now
+export default {
+  name: 'baseline',
+  description: 'Current createSummarizationPrompt: 40-90% of each chunk',
+  createSummarizationPrompt
+};
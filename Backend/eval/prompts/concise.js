@@ -0,0 +1,27 @@
+// Shorter chunk summaries: a quarter to half of each chunk, keeping only what a reader of
+// the whole book would need
+function createSummarizationPrompt(content, targetSummarySize) {
+  const wordCount = content.split(/\s+/).length;
+  const targetRatio = Math.min(0.5, Math.max(0.25, targetSummarySize / wordCount));
+  const targetPercent = Math.round(targetRatio * 100);
+
+  return `Summarize this section of a book for a reader who will also read summaries of the other sections.
+
+Original text length: ~${wordCount} words
+Target summary length: ~${Math.round(wordCount * targetRatio)} words (${targetPercent}% of original)
+
+GUIDELINES:
+1. Keep the events, arguments and facts that matter for the book as a whole
+2. Leave out examples, descriptions and asides
+3. Do not restate background that earlier sections would already have introduced
+
+Text to summarize:
+
+${content}`;
+}
+
+export default {
+  name: 'concise',
+  description: '25-50% of each chunk, main points only',
+  createSummarizationPrompt
+};
@@ -0,0 +1,28 @@
+// Baseline lengths, asking explicitly for the names, numbers and dates a summary tends to
+// drop, and for no repetition of what earlier sections covered
+function createSummarizationPrompt(content, targetSummarySize) {
+  const wordCount = content.split(/\s+/).length;
+  const targetRatio = Math.min(0.9, Math.max(0.4, targetSummarySize / wordCount));
+  const targetPercent = Math.round(targetRatio * 100);
+
+  return `Create a summary of this section of a book that a reader could rely on for its facts.
+
+Original text length: ~${wordCount} words
+Target summary length: ~${Math.round(wordCount * targetRatio)} words (${targetPercent}% of original)
+
+GUIDELINES:
+1. Keep every name, number, date and place that matters to the section
+2. Keep the order of events and the steps of arguments
+3. Do not repeat context that is not new in this section
+4. Aim for approximately ${targetPercent}% of the original length
+
+Text to summarize:
+
+${content}`;
+}
+
+export default {
+  name: 'key-facts',
+  description: 'Baseline lengths, asks to keep names, numbers and dates',
+  createSummarizationPrompt
+};
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { createCacheKey } from '../lib/cache.js';
+import { createTokenCounter, countTokensByWords } from '../lib/tokens.js';
+
+// Recorded-response model for offline evaluations. A recording is a JSON file of model
+// responses keyed like the summary cache (provider, model, prompt and generation config):
+//   record - wraps a real provider, calls it and keeps every response
+//   replay - answers from the recording alone, and fails on a prompt it has no response
+//            for, so a changed prompt can't silently be evaluated against an old answer
+// The recording also keeps the provider's context size and tokenizer, so a replay chunks
+// the corpus exactly as the recorded run did.
+
+const RECORDING_VERSION = 1;
+
+export function loadRecording(file) {
+  const recording = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (recording.version !== RECORDING_VERSION || !recording.responses) {
+    throw new Error(`${file} is not a BookBrief recording`);
+  }
+  return recording;
+}
+
+export function saveRecording(file, recording) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(recording, null, 2)}\n`);
+}
+
+// Records the responses of provider. Call save() once the run is over.
+export function createRecordingProvider(provider, file) {
+  const recording = fs.existsSync(file)
+    ? loadRecording(file)
+    : { version: RECORDING_VERSION, provider: provider.name, model: provider.model, contextSize: provider.contextSize, maxOutputTokens: provider.maxOutputTokens, tokenizer: provider.tokenizer || null, responses: {} };
+  if (recording.provider !== provider.name || recording.model !== provider.model) {
+    throw new Error(`${file} records ${recording.provider}/${recording.model}, not ${provider.name}/${provider.model}`);
+  }
+
+  return {
+    ...provider,
+    label: `${provider.label} (recording)`,
+
+    async generate(prompt, config = {}) {
+      const response = await provider.generate(prompt, config);
+      recording.responses[createCacheKey({ provider: provider.name, model: provider.model, prompt, config })] = response;
+      return response;
+    },
+
+    save() {
+      saveRecording(file, recording);
+    }
+  };
+}
+
+// Answers from a recording made with createRecordingProvider
+export function createReplayProvider(file) {
+  const recording = loadRecording(file);
+  const { provider: name, model } = recording;
+
+  return {
+    name,
+    label: `${name}/${model} (replay)`,
+    model,
+    contextSize: recording.contextSize,
+    maxOutputTokens: recording.maxOutputTokens,
+    limits: { concurrency: 4 },
+    tokenizer: recording.tokenizer,
+    countTokens: recording.tokenizer === 'words' ? countTokensByWords : createTokenCounter(model),
+
+    isConfigured() {
+      return true;
+    },
+
+    async generate(prompt, config = {}) {
+      const key = createCacheKey({ provider: name, model, prompt, config });
+      if (!(key in recording.responses)) {
+        throw new Error(`No recorded response for this prompt in ${file} - record it again with --record`);
+      }
+      return recording.responses[key];
+    }
+  };
+}
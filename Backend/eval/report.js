@@ -0,0 +1,120 @@
+// Comparative report of an evaluation run. The first version is the reference the others
+// are compared with: coverage and repetition differences are in percentage points.
+
+const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+const signed = (value, digits = 1) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+const points = (ratio, reference) => `${signed((ratio - reference) * 100)} pts`;
+
+// Totals of a version over every document: key points covered out of all of the corpus's,
+// compression and repetition over all words and trigrams, calls and tokens summed
+export function summarizeVersion(documents, name) {
+  const totals = { covered: 0, keyPoints: 0, sourceWords: 0, summaryWords: 0, repeated: 0, trigrams: 0, calls: 0, inputTokens: 0, outputTokens: 0 };
+  for (const { results } of documents) {
+    const result = results[name];
+    totals.covered += result.coverage.covered;
+    totals.keyPoints += result.coverage.total;
+    totals.sourceWords += result.sourceWords;
+    totals.summaryWords += result.summaryWords;
+    totals.repeated += result.repetition.repeated;
+    totals.trigrams += result.repetition.total;
+    totals.calls += result.usage.calls;
+    totals.inputTokens += result.usage.inputTokens;
+    totals.outputTokens += result.usage.outputTokens;
+  }
+
+  return {
+    name,
+    ...totals,
+    coverage: totals.keyPoints ? totals.covered / totals.keyPoints : 1,
+    compression: totals.sourceWords ? totals.summaryWords / totals.sourceWords : 0,
+    repetition: totals.trigrams ? totals.repeated / totals.trigrams : 0
+  };
+}
+
+const table = (header, rows) => [
+  `| ${header.join(' | ')} |`,
+  `| ${header.map((cell, index) => (index ? '---:' : '---')).join(' | ')} |`,
+  ...rows.map(row => `| ${row.join(' | ')} |`)
+].join('\n');
+
+// The run as JSON-friendly totals, without the chunk summaries
+export function buildReport(run) {
+  const totals = run.versions.map(({ name }) => summarizeVersion(run.documents, name));
+  return {
+    provider: run.provider,
+    model: run.model,
+    versions: run.versions,
+    totals,
+    documents: run.documents.map(({ id, title, chunks, results }) => ({
+      id,
+      title,
+      chunks,
+      results: Object.fromEntries(Object.entries(results).map(([name, { chunkSummaries, ...scores }]) => [name, scores]))
+    }))
+  };
+}
+
+export function formatReport(run) {
+  const { totals, documents } = buildReport(run);
+  const [reference] = totals;
+  const lines = [
+    '# Summary evaluation',
+    '',
+    `Model: ${run.provider}/${run.model}. Corpus: ${documents.length} documents, ${reference.keyPoints} key points. Reference version: ${reference.name}.`,
+    '',
+    '## Totals',
+    '',
+    table(
+      ['Version', 'Coverage', 'Compression', 'Repetition', 'Calls', 'Input tokens', 'Output tokens'],
+      totals.map(total => {
+        const compared = total === reference ? '' : ` (${points(total.coverage, reference.coverage)})`;
+        const repetition = total === reference ? '' : ` (${points(total.repetition, reference.repetition)})`;
+        const output = total === reference || !reference.outputTokens
+          ? ''
+          : ` (${signed((total.outputTokens / reference.outputTokens - 1) * 100, 0)}%)`;
+        return [
+          total.name,
+          `${total.covered}/${total.keyPoints} ${percent(total.coverage)}${compared}`,
+          percent(total.compression),
+          `${percent(total.repetition)}${repetition}`,
+          total.calls,
+          total.inputTokens.toLocaleString('en-US'),
+          `${total.outputTokens.toLocaleString('en-US')}${output}`
+        ];
+      })
+    )
+  ];
+
+  for (const document of documents) {
+    lines.push(
+      '',
+      `## ${document.title}`,
+      '',
+      `${document.id}: ${document.chunks} chunk${document.chunks === 1 ? '' : 's'}`,
+      '',
+      table(
+        ['Version', 'Coverage', 'Compression', 'Repetition', 'Summary words'],
+        Object.entries(document.results).map(([name, result]) => [
+          name,
+          `${result.coverage.covered}/${result.coverage.total} ${percent(result.coverage.ratio)}`,
+          percent(result.compression),
+          percent(result.repetition.ratio),
+          result.summaryWords.toLocaleString('en-US')
+        ])
+      )
+    );
+
+    // Key points a version misses, and whether the reference version got them
+    const referenceMissing = new Set(document.results[reference.name].coverage.missing);
+    for (const [name, result] of Object.entries(document.results)) {
+      if (!result.coverage.missing.length) continue;
+      lines.push('', `Missed by ${name}:`);
+      for (const point of result.coverage.missing) {
+        const regression = name !== reference.name && !referenceMissing.has(point);
+        lines.push(`- ${point}${regression ? ` (covered by ${reference.name})` : ''}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
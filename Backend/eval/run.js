@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Load .env before any module reads its configuration
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { getProvider } from '../lib/providers/index.js';
+import { parseSummaryOptions } from '../lib/summaryOptions.js';
+import { setProgressLogging } from '../lib/progress.js';
+import { DEFAULT_CORPUS_DIR, loadCorpus, listPromptVersions, loadPromptVersion, runEvaluation } from './evaluate.js';
+import { createRecordingProvider, createReplayProvider } from './recordedProvider.js';
+import { buildReport, formatReport } from './report.js';
+
+// Compares prompt versions on the evaluation corpus. Runs offline with the mock provider
+// (the default) or a recording; --record keeps a real model's responses for later replays.
+
+const USAGE = `Usage: npm run eval -- [options]
+
+Options:
+  --versions <names>     Prompt versions to compare, separated by commas: files of
+                         eval/prompts or module paths (default: all, baseline first)
+  --corpus <dir>         Directory with corpus.json and its documents
+                         (default: eval/corpus)
+  --provider <name>      LLM provider (default: mock)
+  --model <name>         Model of the provider
+  --length <n|n%>        Summary length in words, or a percentage of each document
+  --record <file>        Save the model's responses to file
+  --replay <file>        Answer from a recording instead of calling a model
+  --out <file>           Also write the report to file (.json for JSON)
+  --json                 Print the report as JSON
+  -h, --help             Show this help`;
+
+const CLI_OPTIONS = {
+  versions: { type: 'string' },
+  corpus: { type: 'string', default: DEFAULT_CORPUS_DIR },
+  provider: { type: 'string', default: 'mock' },
+  model: { type: 'string' },
+  length: { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  out: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+function usageError(message) {
+  const error = new Error(message);
+  error.type = 'usage';
+  return error;
+}
+
+function createProvider(values) {
+  if (values.replay && values.record) {
+    throw usageError('Use either --record or --replay, not both');
+  }
+  if (values.replay) {
+    return createReplayProvider(values.replay);
+  }
+  const provider = getProvider(values.provider, values.model);
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} is not configured`);
+  }
+  return values.record ? createRecordingProvider(provider, values.record) : provider;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  if (values.help) {
+    print(USAGE);
+    return 0;
+  }
+  if (positionals.length) {
+    throw usageError(`Unexpected argument: ${positionals[0]}`);
+  }
+
+  const length = (values.length || '').trim();
+  const { options, error } = parseSummaryOptions(length.endsWith('%') ? { targetPercent: length.slice(0, -1) } : { targetWords: length || undefined });
+  if (error) {
+    throw usageError(error);
+  }
+
+  const names = values.versions ? values.versions.split(',').map(name => name.trim()).filter(Boolean) : listPromptVersions();
+  const versions = [];
+  for (const name of names) {
+    versions.push(await loadPromptVersion(name));
+  }
+  const corpus = loadCorpus(path.resolve(values.corpus));
+  const provider = createProvider(values);
+
+  // callModel reports retries as progress; the report is all this command prints on stdout
+  setProgressLogging(false);
+
+  const run = await runEvaluation({
+    corpus,
+    versions,
+    provider,
+    options,
+    onProgress: ({ document, version }) => process.stderr.write(`${document}: ${version}\n`)
+  });
+  provider.save?.();
+
+  const report = formatReport(run);
+  const json = JSON.stringify(buildReport(run), null, 2);
+  if (values.out) {
+    fs.writeFileSync(values.out, values.out.endsWith('.json') ? `${json}\n` : report);
+  }
+  print(values.json ? json : report);
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    const isUsageError = error.type === 'usage' || error.code?.startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`eval: ${error.message}\n${isUsageError ? 'Run npm run eval -- --help for usage\n' : ''}`);
+    process.exit(isUsageError ? 2 : 1);
+  });
@@ -0,0 +1,238 @@
+import { pageAtOffset } from './structure.js';
+import { parseJsonReply } from './jsonReply.js';
+
+// Structured analysis of a book alongside its summary: key people, places, concepts
+// with their definitions, notable quotes and actionable takeaways. Every chunk gets a
+// model call that answers in JSON; the answers are validated here and merged across
+// chunks, so an entity named in many chunks becomes one entry.
+
+// Most entries of each kind one chunk may contribute
+const CHUNK_LIMITS = { people: 10, places: 8, concepts: 8, quotes: 3, takeaways: 5 };
+// Most quotes and takeaways a whole book keeps
+const BOOK_LIMITS = { quotes: 40, takeaways: 40 };
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 600;
+
+// Analysis calls are extraction, not writing: keep them close to the text
+export const ANALYSIS_GENERATION_CONFIG = { temperature: 0.2, maxOutputTokens: 2048, json: true };
+
+export function createAnalysisInstruction({ language = 'English' } = {}) {
+  return `You extract structured information from books for readers and students. You answer with a single JSON object and nothing else - no Markdown, no code fences, no comments.
+
+Keep names, terms and quotes exactly as they appear in the text. Write descriptions, definitions and takeaways in ${language}.`;
+}
+
+export function createAnalysisPrompt(content) {
+  return `Extract the key information from this section of a book as JSON with exactly these fields:
+
+{
+  "people": [{ "name": "full name as written", "description": "who they are and their role here, one sentence" }],
+  "places": [{ "name": "place name", "description": "what it is and why it matters, one sentence" }],
+  "concepts": [{ "term": "key idea, technical term or glossary word", "definition": "one-sentence definition" }],
+  "quotes": [{ "text": "a notable sentence copied word for word from the text", "speaker": "who says or writes it, or null" }],
+  "takeaways": ["an actionable lesson or insight a reader should remember, one sentence"]
+}
+
+GUIDELINES:
+1. People are characters or real people who matter in this section (at most ${CHUNK_LIMITS.people}); places at most ${CHUNK_LIMITS.places}; concepts at most ${CHUNK_LIMITS.concepts}
+2. Quotes must be copied exactly from the text (at most ${CHUNK_LIMITS.quotes}); leave the list empty if nothing stands out
+3. At most ${CHUNK_LIMITS.takeaways} takeaways, most important first
+4. Use an empty list for a field with nothing to report - never invent anything
+
+Section text:
+
+${content}`;
+}
+
+// Second attempt after a reply that wasn't valid JSON
+export function createAnalysisRepairPrompt(content, problem) {
+  return `Your previous answer could not be used (${problem}). Answer again with only the JSON object.
+
+${createAnalysisPrompt(content)}`;
+}
+
+const cleanString = (value, maxLength) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '');
+
+// Entries of one kind: objects with a non-empty name field, trimmed and capped
+function parseEntries(value, nameField, textField, limit) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({ name: cleanString(item[nameField], MAX_NAME_LENGTH), description: cleanString(item[textField], MAX_TEXT_LENGTH) }))
+    .filter(item => item.name)
+    .slice(0, limit);
+}
+
+// Validates a chunk's analysis reply. Returns { analysis } or { error }. The reply's JSON
+// object needs at least one of the expected fields; malformed entries are dropped rather
+// than failing the chunk.
+export function parseAnalysis(response) {
+  const { value, error } = parseJsonReply(response);
+  if (error) {
+    return { error };
+  }
+  const fields = Object.keys(CHUNK_LIMITS);
+  if (!fields.some(field => Array.isArray(value[field]))) {
+    return { error: `the reply has none of the fields ${fields.join(', ')}` };
+  }
+
+  return {
+    analysis: {
+      people: parseEntries(value.people, 'name', 'description', CHUNK_LIMITS.people),
+      places: parseEntries(value.places, 'name', 'description', CHUNK_LIMITS.places),
+      concepts: parseEntries(value.concepts, 'term', 'definition', CHUNK_LIMITS.concepts),
+      quotes: (Array.isArray(value.quotes) ? value.quotes : [])
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({ text: cleanString(item.text, MAX_TEXT_LENGTH), speaker: cleanString(item.speaker, MAX_NAME_LENGTH) || null }))
+        .filter(item => item.text)
+        .slice(0, CHUNK_LIMITS.quotes),
+      takeaways: (Array.isArray(value.takeaways) ? value.takeaways : [])
+        .map(item => cleanString(typeof item === 'object' && item ? item.text : item, MAX_TEXT_LENGTH))
+        .filter(Boolean)
+        .slice(0, CHUNK_LIMITS.takeaways)
+    }
+  };
+}
+
+// Case, accents, punctuation and leading articles or titles don't make a different entity:
+// "The Great Gatsby", "great gatsby" and "Mr. Gatsby" vs "Gatsby"
+const HONORIFICS = /^(the|a|an|mr|mrs|ms|miss|dr|prof|professor|sir|lady|lord|saint|st)\s+/;
+
+export function normalizeName(name) {
+  let key = name.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  while (HONORIFICS.test(key)) key = key.replace(HONORIFICS, '');
+  return key;
+}
+
+// Merges the entries of one kind from every chunk. Each entity keeps the longest name it
+// was given (the others become aliases) and its most detailed description, and counts the
+// chunks and chapters it appears in. People named by one word ("Gatsby") join the single
+// longer name that contains it ("Jay Gatsby").
+function mergeEntities(perChunk, chunkMeta, { matchPartialNames = false } = {}) {
+  const entities = new Map();
+
+  perChunk.forEach((entries, chunkIndex) => {
+    for (const entry of entries || []) {
+      const key = normalizeName(entry.name);
+      if (!key) continue;
+      if (!entities.has(key)) {
+        entities.set(key, { key, names: new Set(), description: '', chunks: new Set(), chapters: [], firstChunk: chunkIndex });
+      }
+      const entity = entities.get(key);
+      entity.names.add(entry.name);
+      entity.chunks.add(chunkIndex);
+      if (entry.description.length > entity.description.length) entity.description = entry.description;
+      const chapter = chunkMeta[chunkIndex]?.chapter;
+      if (chapter && !entity.chapters.includes(chapter)) entity.chapters.push(chapter);
+    }
+  });
+
+  if (matchPartialNames) {
+    for (const [key, entity] of entities) {
+      if (key.includes(' ')) continue;
+      const matches = [...entities.values()].filter(other => other !== entity && other.key.split(' ').includes(key));
+      if (matches.length !== 1) continue;
+      const [target] = matches;
+      entity.names.forEach(name => target.names.add(name));
+      entity.chunks.forEach(index => target.chunks.add(index));
+      entity.chapters.forEach(chapter => !target.chapters.includes(chapter) && target.chapters.push(chapter));
+      if (entity.description.length > target.description.length) target.description = entity.description;
+      target.firstChunk = Math.min(target.firstChunk, entity.firstChunk);
+      entities.delete(key);
+    }
+  }
+
+  // Most mentioned first, then in order of appearance
+  return [...entities.values()]
+    .sort((a, b) => b.chunks.size - a.chunks.size || a.firstChunk - b.firstChunk)
+    .map(entity => {
+      // Names that only differ in case are the same name
+      const names = [...new Map([...entity.names].map(name => [name.toLowerCase(), name])).values()]
+        .sort((a, b) => b.length - a.length);
+      return {
+        name: names[0],
+        aliases: names.slice(1),
+        description: entity.description || null,
+        mentions: entity.chunks.size,
+        chapters: entity.chapters
+      };
+    });
+}
+
+// At most limit items of per-chunk lists (each most important first), in book order: every
+// chunk's first item, then every chunk's second, and so on, so long books aren't
+// represented by their opening chapters only
+export function pickByRank(perChunk, limit) {
+  const picked = [];
+  for (let rank = 0; picked.length < limit && perChunk.some(items => items.length > rank); rank++) {
+    perChunk.forEach((items, index) => {
+      if (rank < items.length && picked.length < limit) picked.push({ ...items[rank], index, rank });
+    });
+  }
+  return picked.sort((a, b) => a.index - b.index || a.rank - b.rank).map(({ rank, ...item }) => item);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where a quote is in its chunk, ignoring differences in whitespace and quote marks.
+// Returns the offset, or -1 when the model didn't copy it from the text.
+export function findQuote(chunk, quote) {
+  const words = quote.replace(/^["'“”‘’]+|["'“”‘’]+$/g, '').split(/\s+/).filter(Boolean);
+  if (!words.length) return -1;
+  const pattern = words
+    .map(word => escapeRegExp(word).replace(/["“”]/g, '["“”]').replace(/['‘’]/g, '[\'‘’]'))
+    .join('\\s+');
+  const match = new RegExp(pattern, 'iu').exec(chunk);
+  return match ? match.index : -1;
+}
+
+// Merges the chunks' analyses (null for chunks without one) into the job's analysis.
+// Quotes are only kept when they are found in the text, with their chapter and page;
+// repeated quotes and takeaways are kept once, and long books keep the best ones.
+export function mergeAnalyses(chunkAnalyses, { chunks, chunkMeta = [], pageOffsets = null }) {
+  const perChunk = (field) => chunkAnalyses.map(analysis => analysis?.[field] || []);
+  const seen = new Set();
+  const once = (text) => {
+    const key = normalizeName(text);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  let unverifiedQuotes = 0;
+  const chunkQuotes = chunkAnalyses.map((analysis, index) => (analysis?.quotes || []).flatMap(quote => {
+    const offset = findQuote(chunks[index] || '', quote.text);
+    if (offset === -1) {
+      unverifiedQuotes++;
+      return [];
+    }
+    return once(quote.text) ? [{ ...quote, offset }] : [];
+  }));
+  const quotes = pickByRank(chunkQuotes, BOOK_LIMITS.quotes).map(({ text, speaker, offset, index }) => {
+    const start = chunkMeta[index]?.start;
+    return {
+      text,
+      speaker,
+      chapter: chunkMeta[index]?.chapter || null,
+      page: pageOffsets && start != null ? pageAtOffset(pageOffsets, start + offset) : null
+    };
+  });
+
+  const chunkTakeaways = chunkAnalyses.map(analysis => (analysis?.takeaways || []).filter(once).map(text => ({ text })));
+  const takeaways = pickByRank(chunkTakeaways, BOOK_LIMITS.takeaways)
+    .map(({ text, index }) => ({ text, chapter: chunkMeta[index]?.chapter || null }));
+
+  return {
+    people: mergeEntities(perChunk('people'), chunkMeta, { matchPartialNames: true }),
+    places: mergeEntities(perChunk('places'), chunkMeta),
+    concepts: mergeEntities(perChunk('concepts'), chunkMeta).map(({ name, description, ...entry }) => ({ term: name, definition: description, ...entry })),
+    quotes,
+    takeaways,
+    analyzedChunks: chunkAnalyses.filter(Boolean).length,
+    totalChunks: chunkAnalyses.length,
+    unverifiedQuotes
+  };
+}
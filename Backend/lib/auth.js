@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { DATA_DIR } from './jobs.js';
+
+// User accounts, sessions and API keys, in DATA_DIR/users.db. Passwords are stored as
+// scrypt hashes; session tokens and API keys are random and stored as SHA-256 hashes,
+// so a copy of the database can't be used to sign in.
+//
+// AUTH_ENABLED=false turns accounts off: every request is anonymous and unlimited, as
+// for a single user running the server locally.
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+// Anyone may create an account when ALLOW_REGISTRATION=true; otherwise only the first
+// account (which becomes an admin) can register, and admins create the others.
+export const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const SESSION_DAYS = Number(process.env.SESSION_DAYS) || 30;
+
+export const USER_ROLES = ['user', 'admin'];
+const API_KEY_PREFIX = 'bb_';
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const db = new Database(path.join(DATA_DIR, 'users.db'));
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    created_at TEXT NOT NULL,
+    last_login_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT
+  );
+`);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when a username doesn't exist, so a login takes as long either way
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+export function countUsers() {
+  return db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+}
+
+// Validates new credentials. Returns an error message or null.
+export function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{3,32}$/.test(username)) {
+    return 'username must be 3-32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+    return 'password must be 8-200 characters';
+  }
+  return null;
+}
+
+export function getUser(id) {
+  return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+}
+
+export function listUsers() {
+  return db.prepare('SELECT * FROM users ORDER BY created_at').all().map(toUser);
+}
+
+// Creates an account. Returns { user } or { error } when the username is taken.
+export function createUser({ username, password, role = 'user' }) {
+  if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+    return { error: `The username ${username} is taken` };
+  }
+
+  const id = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO users (id, username, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(id, username, hashPassword(password), role, new Date().toISOString());
+  return { user: getUser(id) };
+}
+
+export function updateUser(id, { role, password }) {
+  if (role) {
+    db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+  }
+  if (password) {
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), id);
+    // A new password signs out every session
+    db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+  }
+  return getUser(id);
+}
+
+// The user with these credentials, or null
+export function authenticateUser(username, password) {
+  const row = typeof username === 'string' && typeof password === 'string'
+    ? db.prepare('SELECT * FROM users WHERE username = ?').get(username)
+    : null;
+  if (!verifyPassword(String(password ?? ''), row ? row.password_hash : DUMMY_HASH) || !row) {
+    return null;
+  }
+
+  db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+  return toUser(row);
+}
+
+export function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  // Expired sessions are cleared out as new ones are made
+  db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(now.toISOString());
+  db.prepare(`
+    INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+  `).run(hashToken(token), userId, now.toISOString(), expiresAt);
+  return { token, expiresAt };
+}
+
+export function deleteSession(token) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+// Creates an API key. The key itself is only returned here: { key, apiKey }.
+export function createApiKey(userId, name) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const id = crypto.randomUUID();
+  db.prepare(`
+    INSERT INTO api_keys (id, user_id, name, key_hash, prefix, created_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, userId, name, hashToken(key), key.slice(0, API_KEY_PREFIX.length + 6), new Date().toISOString());
+  return { key, apiKey: toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id)) };
+}
+
+export function listApiKeys(userId) {
+  return db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at').all(userId).map(toApiKey);
+}
+
+export function deleteApiKey(userId, id) {
+  return db.prepare('DELETE FROM api_keys WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+// The user a session token or API key belongs to: { user, session } where session says
+// which kind it was, or null when it is unknown or expired
+export function findUserByToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const key = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(tokenHash);
+    if (!key) return null;
+    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), key.id);
+    return { user: getUser(key.user_id), session: false };
+  }
+
+  const session = db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?')
+    .get(tokenHash, new Date().toISOString());
+  return session ? { user: getUser(session.user_id), session: true } : null;
+}
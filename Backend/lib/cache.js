@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { DATA_DIR } from './jobs.js';
+
+// Summary cache: model responses keyed by a hash of everything that determines them
+// (prompt, system instruction, provider, model and generation config), so re-uploading
+// a book or retrying a job doesn't pay for identical calls twice. Stored in DATA_DIR/cache.db.
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const db = new Database(path.join(DATA_DIR, 'cache.db'));
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS summary_cache (
+    key TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    response TEXT NOT NULL,
+    tokens INTEGER NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    last_hit_at TEXT
+  );
+`);
+
+export function createCacheKey({ provider, model, prompt, config }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ provider, model, prompt, config }))
+    .digest('hex');
+}
+
+// The cached response for key, counting the hit
+export function getCachedResponse(key) {
+  const row = db.prepare('SELECT response, tokens FROM summary_cache WHERE key = ?').get(key);
+  if (!row) return null;
+
+  db.prepare('UPDATE summary_cache SET hits = hits + 1, last_hit_at = ? WHERE key = ?')
+    .run(new Date().toISOString(), key);
+  return row;
+}
+
+// tokens: prompt and response tokens a hit saves
+export function setCachedResponse(key, { provider, model, response, tokens }) {
+  db.prepare(`
+    INSERT OR REPLACE INTO summary_cache (key, provider, model, response, tokens, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(key, provider, model, response, tokens, new Date().toISOString());
+}
+
+// Totals per provider/model, plus the most recently used entries
+export function getCacheStats({ limit = 20 } = {}) {
+  const totals = db.prepare(`
+    SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits,
+      COALESCE(SUM(hits * tokens), 0) AS tokensSaved, COALESCE(SUM(LENGTH(response)), 0) AS responseBytes
+    FROM summary_cache
+  `).get();
+  const models = db.prepare(`
+    SELECT provider, model, COUNT(*) AS entries, SUM(hits) AS hits, SUM(hits * tokens) AS tokensSaved
+    FROM summary_cache GROUP BY provider, model ORDER BY entries DESC
+  `).all();
+  const recent = db.prepare(`
+    SELECT key, provider, model, tokens, hits, created_at AS createdAt, last_hit_at AS lastHitAt,
+      SUBSTR(response, 1, 200) AS preview
+    FROM summary_cache ORDER BY COALESCE(last_hit_at, created_at) DESC LIMIT ?
+  `).all(limit);
+
+  return { ...totals, models, recent };
+}
+
+// Deletes all entries, or only those of a provider/model or not used since a date.
+// Returns the number of entries removed.
+export function purgeCache({ provider, model, before } = {}) {
+  const conditions = [];
+  const params = {};
+  if (provider) {
+    conditions.push('provider = @provider');
+    params.provider = provider;
+  }
+  if (model) {
+    conditions.push('model = @model');
+    params.model = model;
+  }
+  if (before) {
+    conditions.push('COALESCE(last_hit_at, created_at) < @before');
+    params.before = before;
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return db.prepare(`DELETE FROM summary_cache ${where}`).run(params).changes;
+}
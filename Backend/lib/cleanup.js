@@ -0,0 +1,202 @@
+// Normalizes extracted PDF text before chunking: drops running headers, footers and page
+// numbers, rejoins hyphenated words and hard-wrapped lines into paragraphs, and on
+// request strips front and back matter. Works page by page and keeps every page (a
+// stripped page becomes empty) so page numbers and the PDF outline still line up.
+
+const PAGE_NUMBER = /^[-–—\s]*(?:page\s+)?(?:\d{1,4}|[ivxlcdm]{1,7})(?:\s*(?:of|\/)\s*\d{1,4})?[-–—\s]*$/i;
+
+// Lines at the top and bottom of a page that may be running headers or footers
+const EDGE_LINES = 2;
+// A running header repeats on at least this many pages
+const MIN_REPEATS = 3;
+
+const BULLET = /^(?:[•▪●◦*–-]|\d{1,3}[.)])\s/;
+const SENTENCE_END = /[.!?:;"”’)]$/;
+
+// Hard-wrapped text has lines of a printed page's width; longer lines are already paragraphs
+const MAX_WRAPPED_LINE = 130;
+
+const FRONT_MATTER = /\b(?:copyright|all rights reserved|isbn(?:-1[03])?:?\s*[\d-]{10,}|library of congress|first published|printed in)\b|©/i;
+const CONTENTS_TITLE = /^(?:table of )?contents$/i;
+const MATTER_TITLE = /^(?:copyright|(?:table of )?contents|index|(?:select(?:ed)? )?bibliography|references|works cited|(?:end)?notes|acknowledge?ments?|about the authors?|also by\b.*|glossary|permissions|credits)$/i;
+
+function edgeKey(line) {
+  return line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function splitLines(page) {
+  return page.split('\n').map(line => line.replace(/\s+$/, ''));
+}
+
+// Indexes of the first and last few non-empty lines of a page
+function edgeIndexes(lines) {
+  const filled = lines.map((line, index) => (line.trim() ? index : -1)).filter(index => index !== -1);
+  return [...new Set([...filled.slice(0, EDGE_LINES), ...filled.slice(-EDGE_LINES)])];
+}
+
+// Removes page numbers and lines repeated at the edges of several pages. The first
+// occurrence of a repeated line is kept: a running header often repeats the chapter
+// title, whose first occurrence is the chapter heading itself.
+function removeRunningLines(pageLines, stats) {
+  const pagesByKey = new Map();
+  pageLines.forEach((lines, pageIndex) => {
+    for (const index of edgeIndexes(lines)) {
+      const key = edgeKey(lines[index]);
+      if (!pagesByKey.has(key)) pagesByKey.set(key, new Set());
+      pagesByKey.get(key).add(pageIndex);
+    }
+  });
+
+  const seen = new Set();
+  return pageLines.map(lines => {
+    const remove = new Set();
+    for (const index of edgeIndexes(lines)) {
+      const line = lines[index].trim();
+      const key = edgeKey(line);
+      if (PAGE_NUMBER.test(line)) {
+        remove.add(index);
+        stats.pageNumbers++;
+      } else if (pagesByKey.get(key).size >= MIN_REPEATS) {
+        if (seen.has(key)) {
+          remove.add(index);
+          stats.headerLines++;
+        }
+        seen.add(key);
+      }
+    }
+    return lines.filter((_, index) => !remove.has(index));
+  });
+}
+
+// A short capitalized line without closing punctuation, e.g. "Chapter Two"
+function looksLikeHeading(line, lineWidth) {
+  return line.length < lineWidth * 0.5 && /^\p{Lu}/u.test(line) && !/[.!?,;:"”’]$/.test(line);
+}
+
+// Rejoins the lines of a page into paragraphs. A line that stops well short of the page
+// width (a heading, the end of a paragraph) ends its paragraph.
+function joinLines(lines, lineWidth, stats) {
+  const paragraphs = [];
+  let current = null;
+  let previous = '';
+
+  const flush = () => {
+    if (current !== null) paragraphs.push(current);
+    current = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+      previous = '';
+      continue;
+    }
+
+    const continues = current !== null
+      && previous.length >= lineWidth * 0.7
+      && !BULLET.test(line)
+      && !looksLikeHeading(line, lineWidth)
+      && !(SENTENCE_END.test(previous) && /^\p{Lu}/u.test(line) && previous.length < lineWidth * 0.85);
+
+    if (!continues) {
+      flush();
+      current = line;
+    } else if (/\p{Ll}-$/u.test(current) && /^\p{Ll}/u.test(line)) {
+      current = current.slice(0, -1) + line;
+      stats.hyphenations++;
+    } else {
+      current += ` ${line}`;
+      stats.joinedLines++;
+    }
+    previous = line;
+  }
+  flush();
+
+  return paragraphs.join('\n\n');
+}
+
+// Typical width of a full line: the 75th percentile of line lengths
+function typicalLineWidth(pageLines) {
+  const lengths = pageLines.flat().map(line => line.trim().length).filter(length => length > 0).sort((a, b) => a - b);
+  return lengths.length ? lengths[Math.floor(lengths.length * 0.75)] : 0;
+}
+
+function firstLine(page) {
+  return page.split('\n').map(line => line.trim()).find(Boolean) || '';
+}
+
+// Empties copyright and contents pages near the start, and everything from an index,
+// bibliography or notes page near the end
+function stripMatter(pages, stats) {
+  const frontLimit = Math.min(20, Math.max(5, Math.ceil(pages.length * 0.15)));
+  const backStart = Math.floor(pages.length * 0.7);
+
+  for (let i = 0; i < frontLimit; i++) {
+    if (pages[i] && (FRONT_MATTER.test(pages[i]) || CONTENTS_TITLE.test(firstLine(pages[i])))) {
+      pages[i] = '';
+      stats.frontMatterPages++;
+    }
+  }
+
+  const backIndex = pages.findIndex((page, i) => i >= backStart && i > 0 && MATTER_TITLE.test(firstLine(page)));
+  if (backIndex !== -1) {
+    for (let i = backIndex; i < pages.length; i++) {
+      if (pages[i]) stats.backMatterPages++;
+      pages[i] = '';
+    }
+  }
+}
+
+// True for chapter titles such as "Copyright", "Index" or "About the Author"
+export function isMatterTitle(title) {
+  return MATTER_TITLE.test(title.trim().replace(/[.:]$/, ''));
+}
+
+// Cleans the pages of a PDF. Returns { pages, stats } with counts of what was changed.
+export function cleanPages(pages, { stripFrontBackMatter = false } = {}) {
+  const stats = {
+    pageNumbers: 0,
+    headerLines: 0,
+    hyphenations: 0,
+    joinedLines: 0,
+    frontMatterPages: 0,
+    backMatterPages: 0
+  };
+
+  let pageLines = pages.map(splitLines);
+  if (pages.length >= MIN_REPEATS) {
+    pageLines = removeRunningLines(pageLines, stats);
+  }
+
+  const lineWidth = typicalLineWidth(pageLines);
+  const cleaned = lineWidth && lineWidth <= MAX_WRAPPED_LINE
+    ? pageLines.map(lines => joinLines(lines, lineWidth, stats))
+    : pageLines.map(lines => lines.join('\n').trim());
+
+  if (stripFrontBackMatter) {
+    stripMatter(cleaned, stats);
+  }
+
+  return { pages: cleaned, stats };
+}
+
+// Cleans an extracted document (see extractDocument) before chunking. Only PDFs have
+// pages to clean; other formats come out of their extractors as paragraphs already.
+// Returns { text, pages, cleanup } where cleanup holds the counts and the tokens saved.
+export function cleanDocument({ text, pages }, { stripFrontBackMatter = false, countTokens }) {
+  if (!pages) {
+    return { text, pages, cleanup: null };
+  }
+
+  const { pages: cleanedPages, stats } = cleanPages(pages, { stripFrontBackMatter });
+  const cleanedText = cleanedPages.join('\n\n');
+  const tokensBefore = countTokens(text);
+  const tokensAfter = countTokens(cleanedText);
+
+  return {
+    text: cleanedText,
+    pages: cleanedPages,
+    cleanup: { ...stats, tokensBefore, tokensAfter, tokensSaved: tokensBefore - tokensAfter }
+  };
+}
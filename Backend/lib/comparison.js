@@ -0,0 +1,138 @@
+import { parseJsonReply } from './jsonReply.js';
+
+// Comparative reports across several documents ("compare these three books on leadership").
+// Every document is summarized by its own job first; the comparison is one model call over
+// those summaries that answers in JSON, so every theme, disagreement and unique point can
+// be attributed to the documents it comes from.
+
+export const MIN_COMPARISON_SOURCES = 2;
+export const MAX_COMPARISON_SOURCES = 5;
+export const MAX_FOCUS_LENGTH = 200;
+
+const LIMITS = { sharedThemes: 10, disagreements: 10, uniquePoints: 8 };
+const MAX_TITLE_LENGTH = 150;
+const MAX_TEXT_LENGTH = 800;
+
+// The report is long and structured, but should stay with what the summaries say
+export const COMPARISON_GENERATION_CONFIG = { temperature: 0.3, maxOutputTokens: 4096, json: true };
+
+export function createComparisonInstruction({ language = 'English' } = {}) {
+  return `You are an expert analyst who compares books and papers for readers and researchers. You answer with a single JSON object and nothing else - no Markdown, no code fences, no comments.
+
+Attribute every point to the sources it comes from, and never claim a source says something its summary doesn't. Write in ${language}.`;
+}
+
+// The label a source goes by in prompts: its title and author when known, else its file name
+export const sourceLabel = (source, index) => `[Source ${index + 1}: ${source.title || source.fileName}${source.author ? ` by ${source.author}` : ''}]`;
+
+export function createComparisonPrompt(sources, focus = null) {
+  return `Compare the ${sources.length} documents below, each given as a summary labelled [Source N: title].${focus ? ` Focus the comparison on: ${focus}.` : ''}
+
+Answer with JSON with exactly these fields, referring to sources by their number N:
+
+{
+  "overview": "two or three sentences on what the documents have in common and how they differ",
+  "sharedThemes": [{ "theme": "short name", "summary": "what the sources agree on", "positions": [{ "source": 1, "view": "how this source treats the theme" }] }],
+  "disagreements": [{ "topic": "short name", "summary": "what the disagreement is about", "positions": [{ "source": 1, "view": "what this source holds" }] }],
+  "uniquePoints": [{ "source": 1, "points": ["an idea only this source brings, one sentence"] }]
+}
+
+GUIDELINES:
+1. A shared theme is one at least two sources address; list a position for each of them (at most ${LIMITS.sharedThemes} themes, most important first)
+2. A disagreement is a question on which at least two sources take different positions (at most ${LIMITS.disagreements}); leave the list empty if they don't disagree
+3. Give every source an entry in uniquePoints, with at most ${LIMITS.uniquePoints} points
+4. Only use what the summaries say - never invent positions
+
+Source summaries:
+
+${sources.map((source, index) => `${sourceLabel(source, index)}\n${source.summary}`).join('\n\n')}`;
+}
+
+// Second attempt after a reply that couldn't be used
+export function createComparisonRepairPrompt(sources, focus, problem) {
+  return `Your previous answer could not be used (${problem}). Answer again with only the JSON object.
+
+${createComparisonPrompt(sources, focus)}`;
+}
+
+// Shortens one document's summary so that all of them fit in the comparison prompt
+export function createCondensePrompt(summary, targetWords) {
+  return `Shorten this summary of a document, keeping its main arguments, positions and conclusions so it can be compared with other documents.
+
+Target summary length: ~${targetWords} words
+
+Summary to shorten:
+
+${summary}`;
+}
+
+const cleanString = (value, maxLength) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '');
+
+// Source numbers may come back as 2, "2", "S2" or "Source 2". Returns the source's
+// index, or -1 when it isn't one of the documents.
+function parseSource(value, sourceCount) {
+  const number = Number(/\d+/.exec(String(value ?? ''))?.[0]);
+  return Number.isInteger(number) && number >= 1 && number <= sourceCount ? number - 1 : -1;
+}
+
+// One position per source, in source order
+function parsePositions(value, sourceCount) {
+  const positions = new Map();
+  for (const item of Array.isArray(value) ? value : []) {
+    if (!item || typeof item !== 'object') continue;
+    const source = parseSource(item.source, sourceCount);
+    const view = cleanString(item.view, MAX_TEXT_LENGTH);
+    if (source !== -1 && view && !positions.has(source)) positions.set(source, { source, view });
+  }
+  return [...positions.values()].sort((a, b) => a.source - b.source);
+}
+
+// Themes or disagreements: named, and held by at least two sources
+function parseTopics(value, nameField, sourceCount, limit) {
+  return (Array.isArray(value) ? value : [])
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      [nameField]: cleanString(item[nameField], MAX_TITLE_LENGTH),
+      summary: cleanString(item.summary, MAX_TEXT_LENGTH) || null,
+      positions: parsePositions(item.positions, sourceCount)
+    }))
+    .filter(item => item[nameField] && item.positions.length >= 2)
+    .slice(0, limit);
+}
+
+// Validates the comparison reply for sourceCount documents. Returns { comparison } or
+// { error }. Positions are keyed by the source's index (0 for [Source 1]); positions
+// attributed to sources that don't exist are dropped, and so are themes and
+// disagreements left with fewer than two sources.
+export function parseComparison(response, sourceCount) {
+  const { value, error } = parseJsonReply(response);
+  if (error) {
+    return { error };
+  }
+
+  const overview = cleanString(value.overview, MAX_TEXT_LENGTH * 2);
+  const fields = ['sharedThemes', 'disagreements', 'uniquePoints'];
+  if (!overview && !fields.some(field => Array.isArray(value[field]))) {
+    return { error: `the reply has none of the fields overview, ${fields.join(', ')}` };
+  }
+
+  const uniquePoints = Array.from({ length: sourceCount }, (_, source) => ({ source, points: [] }));
+  for (const item of Array.isArray(value.uniquePoints) ? value.uniquePoints : []) {
+    if (!item || typeof item !== 'object') continue;
+    const source = parseSource(item.source, sourceCount);
+    if (source === -1) continue;
+    const points = (Array.isArray(item.points) ? item.points : [item.points])
+      .map(point => cleanString(point, MAX_TEXT_LENGTH))
+      .filter(Boolean);
+    uniquePoints[source].points = [...uniquePoints[source].points, ...points].slice(0, LIMITS.uniquePoints);
+  }
+
+  return {
+    comparison: {
+      overview: overview || null,
+      sharedThemes: parseTopics(value.sharedThemes, 'theme', sourceCount, LIMITS.sharedThemes),
+      disagreements: parseTopics(value.disagreements, 'topic', sourceCount, LIMITS.disagreements),
+      uniquePoints
+    }
+  };
+}
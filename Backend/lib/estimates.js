@@ -0,0 +1,99 @@
+import fs from 'fs';
+
+// Prices and durations for pre-flight estimates of a summary job.
+//
+// Prices are US dollars per million input and output tokens, keyed by "provider/model",
+// with "provider/*" covering every model of a provider. PRICE_TABLE (JSON) or
+// PRICE_TABLE_FILE (a JSON file) add entries or override these, e.g.
+//   PRICE_TABLE={"openai/gpt-4o-mini": {"input": 0.15, "output": 0.6}}
+// Models without a price get no cost estimate.
+const DEFAULT_PRICES = {
+  'gemini/gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini/gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini/gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini/gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'openai/gpt-4.1': { input: 2, output: 8 },
+  'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'openai/gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'local/*': { input: 0, output: 0 },
+  'mock/*': { input: 0, output: 0 }
+};
+
+// Typical call timings, for duration estimates: a fixed overhead per call plus the time
+// to generate its output
+const CALL_OVERHEAD_SECONDS = 1.5;
+const OUTPUT_TOKENS_PER_SECOND = 80;
+
+function readPriceOverrides() {
+  try {
+    if (process.env.PRICE_TABLE_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.PRICE_TABLE_FILE, 'utf-8'));
+    }
+    if (process.env.PRICE_TABLE) {
+      return JSON.parse(process.env.PRICE_TABLE);
+    }
+  } catch (error) {
+    console.error('Ignoring invalid price table:', error.message);
+  }
+  return {};
+}
+
+const isPrice = (price) => Number.isFinite(price?.input) && Number.isFinite(price?.output) && price.input >= 0 && price.output >= 0;
+
+const prices = { ...DEFAULT_PRICES };
+for (const [key, price] of Object.entries(readPriceOverrides())) {
+  if (isPrice(price)) {
+    prices[key] = { input: price.input, output: price.output };
+  } else {
+    console.error(`Ignoring price table entry ${key}: expected { input, output } in dollars per million tokens`);
+  }
+}
+
+export function getPrice(provider, model) {
+  return prices[`${provider}/${model}`] || prices[`${provider}/*`] || null;
+}
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Cost in dollars of the given tokens, or null when the model has no price
+export function estimateCost(provider, model, inputTokens, outputTokens) {
+  const price = getPrice(provider, model);
+  if (!price) return null;
+
+  const input = (inputTokens / 1e6) * price.input;
+  const output = (outputTokens / 1e6) * price.output;
+  return {
+    currency: 'USD',
+    input: roundCost(input),
+    output: roundCost(output),
+    total: roundCost(input + output),
+    perMillionTokens: price
+  };
+}
+
+const callSeconds = (call) => CALL_OVERHEAD_SECONDS + call.outputTokens / OUTPUT_TOKENS_PER_SECOND;
+
+// Seconds a job's model calls take: parallel calls (the chunk summaries) run as many at
+// a time as the provider's limits allow, sequential calls (chapters, reduce levels, the
+// final pass) one after another. limits is a provider's { concurrency, rpm, tpm }.
+export function estimateDuration(parallelCalls, sequentialCalls, limits) {
+  let parallel = 0;
+  if (parallelCalls.length) {
+    const seconds = parallelCalls.map(callSeconds);
+    parallel = Math.max(Math.max(...seconds), seconds.reduce((sum, value) => sum + value, 0) / limits.concurrency);
+
+    // The first minute's requests and tokens go out at once; the rest wait for the limit
+    if (limits.rpm) {
+      parallel = Math.max(parallel, ((parallelCalls.length - limits.rpm) / limits.rpm) * 60);
+    }
+    if (limits.tpm) {
+      const tokens = parallelCalls.reduce((sum, call) => sum + call.inputTokens + call.outputTokens, 0);
+      parallel = Math.max(parallel, ((tokens - limits.tpm) / limits.tpm) * 60);
+    }
+  }
+
+  const sequential = sequentialCalls.reduce((sum, call) => sum + callSeconds(call), 0);
+  return Math.round(parallel + sequential);
+}
@@ -0,0 +1,66 @@
+import { exportTitle } from './content.js';
+
+// Study mode's flashcards and quiz questions as Anki notes with a front and a back, for
+// the CSV and APKG exports. Fields are HTML, as Anki shows them; quiz questions become
+// cards too, with their choices on the front and the answer, explanation and source
+// passage on the back.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Anki tags can't contain spaces: "The Early Years" -> "chapter::the-early-years"
+const chapterTag = (title) => `chapter::${title
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'untitled'}`;
+
+export const studyDeckName = (data) => `BookBrief::${exportTitle(data).replace(/::/g, ':')}`;
+
+function questionBack(question) {
+  const answer = question.type === 'multiple_choice'
+    ? `${String.fromCharCode(65 + question.answer)}. ${question.choices[question.answer]}`
+    : question.answer;
+  const { text, page } = question.passage;
+
+  return [
+    `<b>${escapeHtml(answer)}</b>`,
+    question.explanation && `<p>${escapeHtml(question.explanation)}</p>`,
+    text && `<blockquote>${escapeHtml(text)}${page ? ` <i>(p. ${page})</i>` : ''}</blockquote>`
+  ].filter(Boolean).join('');
+}
+
+function questionFront(question) {
+  if (question.type !== 'multiple_choice') {
+    return escapeHtml(question.question);
+  }
+  const choices = question.choices.map(choice => `<li>${escapeHtml(choice)}</li>`).join('');
+  return `${escapeHtml(question.question)}<ol type="A">${choices}</ol>`;
+}
+
+// Every card as { id, front, back, tags }, chapter by chapter. id is unique within the
+// summary and stays the same when it is exported again.
+export function buildStudyCards(data) {
+  return (data.study?.chapters || []).flatMap(chapter => {
+    const tags = chapter.title ? [chapterTag(chapter.title)] : [];
+    return [
+      ...chapter.flashcards.map(card => ({
+        id: card.id,
+        front: escapeHtml(card.front),
+        back: escapeHtml(card.back),
+        tags: [...tags, 'flashcard']
+      })),
+      ...chapter.questions.map(question => ({
+        id: question.id,
+        front: questionFront(question),
+        back: questionBack(question),
+        tags: [...tags, 'quiz']
+      }))
+    ];
+  });
+}
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import JSZip from 'jszip';
+import { buildStudyCards, studyDeckName } from './ankiCards.js';
+
+// Anki deck package: a zip holding collection.anki2, an Anki (schema 11) collection in
+// SQLite, and the media map. The deck, the note type and every note's guid are derived
+// from the summary, so importing a newer export of the same book updates its notes
+// instead of duplicating them.
+
+const SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn ON notes (usn);
+  CREATE INDEX ix_cards_usn ON cards (usn);
+  CREATE INDEX ix_revlog_usn ON revlog (usn);
+  CREATE INDEX ix_cards_nid ON cards (nid);
+  CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid ON revlog (cid);
+  CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// A stable id in the range Anki uses for its millisecond timestamp ids
+const stableId = (text) => 1e12 + (parseInt(sha1(text).slice(0, 10), 16) % 1e12);
+
+const stripHtml = (html) => html.replace(/<[^>]+>/g, ' ').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+
+const DECK_CONFIG = {
+  id: 1,
+  name: 'Default',
+  new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, separate: true },
+  rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1 },
+  lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+  maxTaken: 60,
+  timer: 0,
+  autoplay: true,
+  replayq: true,
+  mod: 0,
+  usn: 0,
+  dyn: false
+};
+
+const deck = (id, name, mod) => ({
+  id,
+  name,
+  mod,
+  usn: -1,
+  desc: '',
+  dyn: 0,
+  conf: 1,
+  collapsed: false,
+  extendNew: 10,
+  extendRev: 50,
+  newToday: [0, 0],
+  revToday: [0, 0],
+  lrnToday: [0, 0],
+  timeToday: [0, 0]
+});
+
+// Anki's "Basic" note type: a Front and a Back field, one card per note
+const basicModel = (id, deckId, mod) => ({
+  id,
+  name: 'BookBrief Basic',
+  type: 0,
+  mod,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  flds: ['Front', 'Back'].map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+  tmpls: [{ name: 'Card 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}', did: null, bqfmt: '', bafmt: '' }],
+  css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }\nblockquote { text-align: left; font-style: italic; }',
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  tags: [],
+  vers: [],
+  req: [[0, 'all', [0]]]
+});
+
+function buildCollection(data) {
+  const now = Date.now();
+  const seconds = Math.floor(now / 1000);
+  const deckName = studyDeckName(data);
+  const deckId = stableId(`deck ${deckName}`);
+  const modelId = stableId('bookbrief basic model');
+
+  const db = new Database(':memory:');
+  try {
+    db.exec(SCHEMA);
+    db.prepare('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)').run(
+      seconds,
+      now,
+      now,
+      JSON.stringify({ nextPos: 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: deckId, newBust: false, newSpread: 0, dueCounts: true, curModel: String(modelId), collapseTime: 1200 }),
+      JSON.stringify({ [modelId]: basicModel(modelId, deckId, seconds) }),
+      JSON.stringify({ 1: deck(1, 'Default', seconds), [deckId]: deck(deckId, deckName, seconds) }),
+      JSON.stringify({ 1: DECK_CONFIG }),
+      '{}'
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+    db.transaction(() => {
+      buildStudyCards(data).forEach((card, i) => {
+        const sortField = stripHtml(card.front);
+        insertNote.run(
+          now + i,
+          sha1(`bookbrief ${data.id} ${card.id}`).slice(0, 10),
+          modelId,
+          seconds,
+          ` ${card.tags.join(' ')} `,
+          `${card.front}\x1f${card.back}`,
+          sortField,
+          parseInt(sha1(sortField).slice(0, 8), 16)
+        );
+        // New cards come up in the order of the book
+        insertCard.run(now + i, now + i, deckId, seconds, i + 1);
+      });
+    })();
+
+    return db.serialize();
+  } finally {
+    db.close();
+  }
+}
+
+function render(data) {
+  const zip = new JSZip();
+  zip.file('collection.anki2', buildCollection(data));
+  zip.file('media', '{}');
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+export default {
+  format: 'apkg',
+  label: 'Anki deck',
+  mimeType: 'application/octet-stream',
+  extension: 'apkg',
+  study: true,
+  render
+};
@@ -0,0 +1,101 @@
+import path from 'path';
+import { SUMMARY_STYLES } from '../summaryOptions.js';
+
+// Summaries are plain text with light Markdown (headings, "- " bullets, **bold** and
+// *italic*), depending on the style. Exporters other than Markdown render them from blocks:
+//   { type: 'heading', level, text } | { type: 'bullet', text } | { type: 'paragraph', text }
+export function parseBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    const bullet = /^(?:[-*•]|\d+[.)])\s+(.*)$/.exec(line);
+
+    if (!line) {
+      endParagraph();
+    } else if (heading) {
+      endParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].replace(/\s*#+$/, '') });
+    } else if (bullet) {
+      endParagraph();
+      blocks.push({ type: 'bullet', text: bullet[1] });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  endParagraph();
+
+  return blocks;
+}
+
+// Splits a line into runs of { text, bold, italic }
+export function parseInline(text) {
+  const runs = [];
+  const pattern = /\*\*(.+?)\*\*|__(.+?)__|\*(\S(?:.*?\S)?)\*/g;
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index), bold: false, italic: false });
+    if (match[3] !== undefined) {
+      runs.push({ text: match[3], bold: false, italic: true });
+    } else {
+      runs.push({ text: match[1] ?? match[2], bold: true, italic: false });
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), bold: false, italic: false });
+
+  return runs;
+}
+
+// Text without inline Markdown
+export function plainText(text) {
+  return parseInline(text).map(run => run.text).join('');
+}
+
+export function exportTitle(data) {
+  return data.book.title || (data.book.fileName ? path.parse(data.book.fileName).name : 'Book summary');
+}
+
+const formatNumber = (value) => value.toLocaleString('en-US');
+
+// Label/value rows for the "About this summary" section of readable formats
+export function describeSummary(data) {
+  const { stats, parameters } = data;
+  const length = parameters.targetWords
+    ? `${formatNumber(parameters.targetWords)} words`
+    : parameters.targetPercent ? `${parameters.targetPercent}% of the book` : 'Automatic';
+
+  return [
+    stats.originalWords && ['Original length', `${formatNumber(stats.originalWords)} words`],
+    parameters.pages && ['Selected pages', parameters.pages],
+    parameters.sections && ['Selected sections', parameters.sections],
+    stats.selectedWords && ['Selected length', `${formatNumber(stats.selectedWords)} words`],
+    ['Summary length', `${formatNumber(stats.summaryWords)} words`],
+    stats.compressionPercent !== null && ['Compression', `${stats.compressionPercent}% of the ${stats.selectedWords ? 'selection' : 'original'}`],
+    data.book.pages && ['Pages', formatNumber(data.book.pages)],
+    stats.chapters > 0 && ['Chapters', formatNumber(stats.chapters)],
+    stats.failedChunks > 0 && ['Sections left out', formatNumber(stats.failedChunks)],
+    ['Style', SUMMARY_STYLES[parameters.style]?.label || parameters.style],
+    ['Tone', parameters.tone],
+    ['Language', parameters.language],
+    ['Requested length', length],
+    parameters.model && ['Model', parameters.provider ? `${parameters.model} (${parameters.provider})` : parameters.model],
+    data.completedAt && ['Generated', new Date(data.completedAt).toISOString().slice(0, 10)]
+  ].filter(Boolean);
+}
+
+// Page range of a chapter, e.g. "pp. 12-30"
+export function pageRange({ startPage, endPage }) {
+  if (!startPage) return null;
+  return endPage && endPage !== startPage ? `pp. ${startPage}-${endPage}` : `p. ${startPage}`;
+}
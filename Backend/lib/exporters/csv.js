@@ -0,0 +1,28 @@
+import { buildStudyCards, studyDeckName } from './ankiCards.js';
+
+// Flashcards and quiz questions as a CSV that Anki imports as Basic notes (File > Import):
+// the header lines tell it the separator, the note type, the deck and the tags column.
+// Fields are quoted as in RFC 4180.
+const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+function render(data) {
+  const lines = [
+    '#separator:Comma',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${studyDeckName(data)}`,
+    '#tags column:3',
+    ...buildStudyCards(data).map(card => [card.front, card.back, card.tags.join(' ')].map(quote).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+export default {
+  format: 'csv',
+  label: 'Anki CSV',
+  mimeType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  study: true,
+  render
+};
@@ -0,0 +1,75 @@
+import { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } from 'docx';
+import { parseBlocks, parseInline, exportTitle, describeSummary, pageRange } from './content.js';
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const heading = (text, level) => new Paragraph({ text, heading: HEADING_LEVELS[Math.min(level, 6) - 1] });
+
+const runs = (text) => parseInline(text).map(({ text: run, bold, italic }) => new TextRun({ text: run, bold, italics: italic }));
+
+// Summary text as paragraphs, with its own headings nested under headingLevel
+function renderBlocks(text, headingLevel) {
+  return parseBlocks(text).map(block => {
+    if (block.type === 'heading') {
+      return heading(block.text, headingLevel + block.level);
+    }
+    return new Paragraph({
+      children: runs(block.text),
+      ...(block.type === 'bullet' ? { bullet: { level: 0 } } : {}),
+      spacing: { after: 120 }
+    });
+  });
+}
+
+function detailsTable(data) {
+  const cell = (text, bold = false) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text), bold })] })]
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: describeSummary(data).map(([label, value]) => new TableRow({ children: [cell(label, true), cell(value)] }))
+  });
+}
+
+async function render(data) {
+  const children = [new Paragraph({ text: exportTitle(data), heading: HeadingLevel.TITLE })];
+  if (data.book.author) {
+    children.push(new Paragraph({ children: [new TextRun({ text: `by ${data.book.author}`, italics: true })], spacing: { after: 240 } }));
+  }
+
+  children.push(heading('Summary', 1), ...renderBlocks(data.summary, 1));
+
+  if (data.chapters.length) {
+    children.push(heading('Chapter summaries', 1));
+    for (const chapter of data.chapters) {
+      const pages = pageRange(chapter);
+      children.push(heading(`${chapter.title}${pages ? ` (${pages})` : ''}`, 2), ...renderBlocks(chapter.summary, 2));
+    }
+  }
+
+  children.push(heading('About this summary', 1), detailsTable(data));
+
+  const document = new Document({
+    title: exportTitle(data),
+    creator: data.book.author || 'BookBrief AI',
+    description: data.book.author ? `Summary of ${exportTitle(data)} by ${data.book.author}` : `Summary of ${exportTitle(data)}`,
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(document);
+}
+
+export default {
+  format: 'docx',
+  label: 'Word (DOCX)',
+  mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  extension: 'docx',
+  render
+};
@@ -0,0 +1,165 @@
+import JSZip from 'jszip';
+import { parseBlocks, parseInline, exportTitle, describeSummary, pageRange } from './content.js';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const inlineHtml = (text) => parseInline(text)
+  .map(({ text: run, bold, italic }) => bold ? `<strong>${escapeXml(run)}</strong>` : italic ? `<em>${escapeXml(run)}</em>` : escapeXml(run))
+  .join('');
+
+// Summary text as XHTML, with its own headings nested under headingLevel
+function blocksHtml(text, headingLevel) {
+  const html = [];
+  let list = false;
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === 'bullet' && !list) html.push('<ul>');
+    if (block.type !== 'bullet' && list) html.push('</ul>');
+    list = block.type === 'bullet';
+
+    if (block.type === 'heading') {
+      const level = Math.min(6, headingLevel + block.level);
+      html.push(`<h${level}>${inlineHtml(block.text)}</h${level}>`);
+    } else if (block.type === 'bullet') {
+      html.push(`<li>${inlineHtml(block.text)}</li>`);
+    } else {
+      html.push(`<p>${inlineHtml(block.text)}</p>`);
+    }
+  }
+  if (list) html.push('</ul>');
+
+  return html.join('\n');
+}
+
+function page(title, body, language) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const STYLE = `body { font-family: serif; line-height: 1.5; margin: 1em; }
+h1, h2, h3, h4 { font-family: sans-serif; line-height: 1.2; }
+.author { font-style: italic; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 0.2em 1em 0.2em 0; vertical-align: top; }
+`;
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// BCP 47 tag for the few languages readers care about; anything else falls back to "en"
+const LANGUAGE_TAGS = {
+  english: 'en', spanish: 'es', french: 'fr', german: 'de', italian: 'it', portuguese: 'pt',
+  dutch: 'nl', russian: 'ru', chinese: 'zh', japanese: 'ja', korean: 'ko', arabic: 'ar', hindi: 'hi'
+};
+
+async function render(data) {
+  const title = exportTitle(data);
+  const language = LANGUAGE_TAGS[(data.parameters.language || '').toLowerCase()] || 'en';
+  const identifier = `urn:uuid:${data.id}`;
+
+  // One content file for the summary, one per chapter, one for the details
+  const sections = [{
+    id: 'summary',
+    title: 'Summary',
+    body: `<h1>${escapeXml(title)}</h1>
+${data.book.author ? `<p class="author">by ${escapeXml(data.book.author)}</p>\n` : ''}<h2>Summary</h2>
+${blocksHtml(data.summary, 2)}`
+  }];
+  data.chapters.forEach((chapter, i) => {
+    const pages = pageRange(chapter);
+    sections.push({
+      id: `chapter-${i + 1}`,
+      title: chapter.title,
+      body: `<h2>${escapeXml(chapter.title)}</h2>
+${pages ? `<p><em>${escapeXml(pages)}</em></p>\n` : ''}${blocksHtml(chapter.summary, 2)}`
+    });
+  });
+  const rows = describeSummary(data).map(([label, value]) => `<tr><th>${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`);
+  sections.push({
+    id: 'about',
+    title: 'About this summary',
+    body: `<h2>About this summary</h2>\n<table>\n${rows.join('\n')}\n</table>`
+  });
+
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, as the EPUB spec requires
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', CONTAINER);
+  zip.file('OEBPS/style.css', STYLE);
+  for (const section of sections) {
+    zip.file(`OEBPS/${section.id}.xhtml`, page(section.title, section.body, language));
+  }
+
+  const navItems = sections.map(section => `<li><a href="${section.id}.xhtml">${escapeXml(section.title)}</a></li>`);
+  zip.file('OEBPS/nav.xhtml', page('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${navItems.join('\n')}
+</ol>
+</nav>`, language));
+
+  // EPUB 2 table of contents, for older readers
+  const navPoints = sections.map((section, i) => `<navPoint id="nav-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(section.title)}</text></navLabel><content src="${section.id}.xhtml"/></navPoint>`);
+  zip.file('OEBPS/toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${identifier}"/></head>
+<docTitle><text>${escapeXml(title)}</text></docTitle>
+<navMap>
+${navPoints.join('\n')}
+</navMap>
+</ncx>
+`);
+
+  const manifest = sections.map(section => `<item id="${section.id}" href="${section.id}.xhtml" media-type="application/xhtml+xml"/>`);
+  const spine = sections.map(section => `<itemref idref="${section.id}"/>`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${identifier}</dc:identifier>
+<dc:title>${escapeXml(`${title} - Summary`)}</dc:title>
+${data.book.author ? `<dc:creator>${escapeXml(data.book.author)}</dc:creator>\n` : ''}<dc:language>${language}</dc:language>
+<dc:publisher>BookBrief AI</dc:publisher>
+<meta property="dcterms:modified">${new Date(data.completedAt || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+}
+
+export default {
+  format: 'epub',
+  label: 'EPUB',
+  mimeType: 'application/epub+zip',
+  extension: 'epub',
+  render
+};
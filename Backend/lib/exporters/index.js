@@ -0,0 +1,110 @@
+import { exportTitle } from './content.js';
+import markdown from './markdown.js';
+import docx from './docx.js';
+import pdf from './pdf.js';
+import epub from './epub.js';
+import json from './json.js';
+import csv from './csv.js';
+import apkg from './apkg.js';
+
+// Exporter registry. Each exporter declares its format, label, MIME type and file
+// extension, and render(data) resolves to a Buffer or string, where data is the
+// summary as built by buildExportData(). Exporters with study: true export study mode's
+// flashcards and quiz questions rather than the summary.
+const exporters = new Map();
+
+export function registerExporter(exporter) {
+  exporters.set(exporter.format, exporter);
+}
+
+[markdown, docx, pdf, epub, json, csv, apkg].forEach(registerExporter);
+
+export function getExporter(format) {
+  return exporters.get(format) || null;
+}
+
+export function getExportFormats() {
+  return [...exporters.values()].map(({ format, label, mimeType, extension, study = false }) => ({ format, label, mimeType, extension, study }));
+}
+
+const countWords = (text) => (text || '').split(/\s+/).filter(Boolean).length;
+
+// Everything an export shows, from a library summary and its document
+export function buildExportData(summary, document) {
+  const { options } = summary;
+  const summaryWords = countWords(summary.summary);
+  const originalWords = document?.wordCount || null;
+  // A summary of selected pages or sections is compared with the selected text
+  const sourceWords = summary.selection?.wordCount || originalWords;
+
+  return {
+    id: summary.id,
+    book: {
+      title: document?.title || null,
+      author: document?.author || null,
+      fileName: document?.fileName || null,
+      format: document?.format || null,
+      pages: document?.pages || null,
+      wordCount: originalWords
+    },
+    summary: summary.summary,
+    chapters: (summary.toc || [])
+      .filter(entry => entry.summary)
+      .map(({ title, level, startPage, endPage, summary: chapterSummary }) => ({ title, level, startPage, endPage, summary: chapterSummary })),
+    // People, places, concepts, quotes and takeaways of summaries run in analysis mode
+    analysis: summary.analysis || null,
+    // Flashcards and quiz questions by chapter of summaries run in study mode
+    study: summary.study || null,
+    parameters: {
+      style: options.style,
+      tone: options.tone,
+      language: options.language,
+      targetWords: options.targetWords,
+      targetPercent: options.targetPercent,
+      resolvedTargetWords: summary.targetWords,
+      pages: options.pages || null,
+      sections: options.sections || null,
+      provider: options.provider || null,
+      model: options.model || null
+    },
+    stats: {
+      originalWords,
+      selectedWords: summary.selection?.wordCount || null,
+      summaryWords,
+      compressionPercent: sourceWords ? Math.round((summaryWords / sourceWords) * 1000) / 10 : null,
+      chunks: summary.chunks ?? null,
+      chapters: (summary.toc || []).length,
+      failedChunks: (summary.failures || []).length,
+      cacheHits: summary.cache?.hits ?? 0
+    },
+    createdAt: summary.createdAt,
+    completedAt: summary.completedAt
+  };
+}
+
+// "The Great Gatsby" -> "the-great-gatsby-summary.md", or "the-great-gatsby-flashcards.csv"
+export function exportFileName(data, exporter) {
+  const slug = exportTitle(data)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+
+  return `${slug || 'book'}-${exporter.study ? 'flashcards' : 'summary'}.${exporter.extension}`;
+}
+
+export async function exportSummary(data, format) {
+  const exporter = getExporter(format);
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return {
+    content: await exporter.render(data),
+    mimeType: exporter.mimeType,
+    fileName: exportFileName(data, exporter)
+  };
+}
@@ -0,0 +1,16 @@
+// Machine-readable export. `schema` names the layout and changes when it does.
+function render(data) {
+  return JSON.stringify({
+    schema: 'bookbrief.summary/v1',
+    exportedAt: new Date().toISOString(),
+    ...data
+  }, null, 2);
+}
+
+export default {
+  format: 'json',
+  label: 'JSON',
+  mimeType: 'application/json; charset=utf-8',
+  extension: 'json',
+  render
+};
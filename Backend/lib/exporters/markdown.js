@@ -0,0 +1,36 @@
+import { exportTitle, describeSummary, pageRange } from './content.js';
+
+// Headings inside a summary move down a level so they sit under the export's own headings
+const nestHeadings = (text, levels) => text.replace(/^(#{1,6})(?=\s)/gm, hashes => '#'.repeat(Math.min(6, hashes.length + levels)));
+
+function render(data) {
+  const lines = [`# ${exportTitle(data)}`, ''];
+  if (data.book.author) {
+    lines.push(`*by ${data.book.author}*`, '');
+  }
+
+  lines.push('## Summary', '', nestHeadings(data.summary.trim(), 2), '');
+
+  if (data.chapters.length) {
+    lines.push('## Chapter summaries', '');
+    for (const chapter of data.chapters) {
+      const pages = pageRange(chapter);
+      lines.push(`### ${chapter.title}${pages ? ` (${pages})` : ''}`, '', nestHeadings(chapter.summary.trim(), 3), '');
+    }
+  }
+
+  lines.push('## About this summary', '', '| | |', '|---|---|');
+  for (const [label, value] of describeSummary(data)) {
+    lines.push(`| ${label} | ${String(value).replace(/\|/g, '\\|')} |`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  format: 'md',
+  label: 'Markdown',
+  mimeType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  render
+};
@@ -0,0 +1,107 @@
+import PDFDocument from 'pdfkit';
+import { parseBlocks, parseInline, exportTitle, describeSummary, pageRange } from './content.js';
+
+// The built-in PDF fonts only cover Western European languages. For summaries in other
+// scripts, EXPORT_PDF_FONT (and optionally EXPORT_PDF_BOLD_FONT) point to TrueType fonts.
+const FONTS = process.env.EXPORT_PDF_FONT
+  ? {
+    regular: process.env.EXPORT_PDF_FONT,
+    bold: process.env.EXPORT_PDF_BOLD_FONT || process.env.EXPORT_PDF_FONT,
+    italic: process.env.EXPORT_PDF_FONT
+  }
+  : { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+
+const HEADING_SIZES = [20, 16, 13, 12, 11, 11];
+const BODY_SIZE = 11;
+
+function writeRuns(doc, text, options = {}) {
+  const runs = parseInline(text);
+  runs.forEach((run, i) => {
+    doc.font(run.bold ? FONTS.bold : run.italic ? FONTS.italic : FONTS.regular)
+      .text(run.text, { ...options, continued: i < runs.length - 1 });
+  });
+}
+
+function writeHeading(doc, text, level) {
+  doc.moveDown(0.6);
+  doc.font(FONTS.bold).fontSize(HEADING_SIZES[Math.min(level, 6) - 1]).text(text);
+  doc.fontSize(BODY_SIZE).moveDown(0.3);
+}
+
+// Summary text with its own headings nested under headingLevel
+function writeBlocks(doc, text, headingLevel) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  for (const block of parseBlocks(text)) {
+    if (block.type === 'heading') {
+      writeHeading(doc, block.text, headingLevel + block.level);
+      continue;
+    }
+
+    doc.fontSize(BODY_SIZE);
+    if (block.type === 'bullet') {
+      const y = doc.y;
+      doc.font(FONTS.regular).text('•', left + 4, y, { lineBreak: false });
+      doc.x = left + 16;
+      doc.y = y;
+      writeRuns(doc, block.text, { width: width - 16 });
+      doc.x = left;
+      doc.moveDown(0.2);
+    } else {
+      writeRuns(doc, block.text, { width, align: 'justify' });
+      doc.moveDown(0.5);
+    }
+  }
+}
+
+function render(data) {
+  const title = exportTitle(data);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 56,
+    // pdfkit can't write an empty entry, so Author is left out when the book has none
+    info: { Title: title, Creator: 'BookBrief AI', ...(data.book.author && { Author: data.book.author }) }
+  });
+
+  const buffers = [];
+  doc.on('data', buffer => buffers.push(buffer));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+
+  doc.font(FONTS.bold).fontSize(24).text(title);
+  if (data.book.author) {
+    doc.font(FONTS.italic).fontSize(13).text(`by ${data.book.author}`);
+  }
+
+  writeHeading(doc, 'Summary', 2);
+  writeBlocks(doc, data.summary, 2);
+
+  if (data.chapters.length) {
+    writeHeading(doc, 'Chapter summaries', 2);
+    for (const chapter of data.chapters) {
+      const pages = pageRange(chapter);
+      writeHeading(doc, `${chapter.title}${pages ? ` (${pages})` : ''}`, 3);
+      writeBlocks(doc, chapter.summary, 3);
+    }
+  }
+
+  writeHeading(doc, 'About this summary', 2);
+  for (const [label, value] of describeSummary(data)) {
+    doc.font(FONTS.bold).fontSize(BODY_SIZE).text(`${label}: `, { continued: true });
+    doc.font(FONTS.regular).text(String(value));
+  }
+
+  doc.end();
+  return done;
+}
+
+export default {
+  format: 'pdf',
+  label: 'PDF',
+  mimeType: 'application/pdf',
+  extension: 'pdf',
+  render
+};
@@ -0,0 +1,39 @@
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import { htmlToText, decodeEntities } from './html.js';
+
+function readCoreProperty(xml, name) {
+  const match = new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`).exec(xml);
+  return match ? decodeEntities(match[1]) || null : null;
+}
+
+export default {
+  format: 'docx',
+  label: 'Word document',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+
+  sniff(buffer) {
+    return buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04' && buffer.includes('word/document.xml');
+  },
+
+  async extract(buffer) {
+    // Converting through HTML keeps Word "Heading" styles as headings
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const { text, headings } = htmlToText(html);
+
+    const zip = await JSZip.loadAsync(buffer);
+    const core = await zip.file('docProps/core.xml')?.async('string');
+
+    return {
+      text,
+      pages: null,
+      outline: [],
+      headings,
+      metadata: {
+        title: core ? readCoreProperty(core, 'dc:title') : null,
+        author: core ? readCoreProperty(core, 'dc:creator') : null
+      }
+    };
+  }
+};
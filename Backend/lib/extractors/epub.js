@@ -0,0 +1,128 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { parse } from 'node-html-parser';
+import { htmlToText, decodeEntities } from './html.js';
+
+function getAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(tag);
+  return match ? (match[2] ?? match[3]) : null;
+}
+
+function readElement(xml, name) {
+  const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`).exec(xml);
+  return match ? decodeEntities(match[1]) || null : null;
+}
+
+function resolveHref(baseDir, href) {
+  const [file] = href.split('#');
+  return path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(file)));
+}
+
+// Chapter titles by content file, from the EPUB 3 nav document or the EPUB 2 NCX
+async function readNavTitles(zip, manifest, opfDir) {
+  const titles = new Map();
+  const addTitle = (href, baseDir, title) => {
+    const file = resolveHref(baseDir, href);
+    if (title && !titles.has(file)) titles.set(file, title.replace(/\s+/g, ' ').trim());
+  };
+
+  const navItem = manifest.find(item => item.properties?.split(/\s+/).includes('nav'));
+  if (navItem) {
+    const navPath = resolveHref(opfDir, navItem.href);
+    const html = await zip.file(navPath)?.async('string');
+    if (html) {
+      const root = parse(html);
+      const navs = root.querySelectorAll('nav');
+      const toc = navs.find(nav => nav.getAttribute('epub:type') === 'toc') || navs[0];
+      for (const link of toc?.querySelectorAll('a') || []) {
+        const href = link.getAttribute('href');
+        if (href) addTitle(href, path.posix.dirname(navPath), link.text);
+      }
+    }
+  }
+
+  const ncxItem = manifest.find(item => item.mediaType === 'application/x-dtbncx+xml');
+  if (!titles.size && ncxItem) {
+    const ncxPath = resolveHref(opfDir, ncxItem.href);
+    const ncx = await zip.file(ncxPath)?.async('string');
+    for (const navPoint of ncx?.split('<navPoint').slice(1) || []) {
+      const label = /<text>([\s\S]*?)<\/text>/.exec(navPoint);
+      const content = /<content\b[^>]*>/.exec(navPoint);
+      const src = content && getAttribute(content[0], 'src');
+      if (label && src) addTitle(src, path.posix.dirname(ncxPath), decodeEntities(label[1]));
+    }
+  }
+
+  return titles;
+}
+
+export default {
+  format: 'epub',
+  label: 'EPUB',
+  mimeTypes: ['application/epub+zip'],
+  extensions: ['.epub'],
+
+  sniff(buffer) {
+    // The first zip entry of an EPUB is an uncompressed "mimetype" file
+    return buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04' &&
+      buffer.subarray(30, 100).toString('latin1').includes('application/epub+zip');
+  },
+
+  async extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const container = await zip.file('META-INF/container.xml')?.async('string');
+    const rootfile = container && /<rootfile\b[^>]*>/.exec(container);
+    const opfPath = rootfile && getAttribute(rootfile[0], 'full-path');
+    const opf = opfPath && await zip.file(opfPath)?.async('string');
+    if (!opf) {
+      throw new Error('Invalid EPUB: package document not found');
+    }
+
+    const opfDir = path.posix.dirname(opfPath);
+    const manifest = [...opf.matchAll(/<item\b[^>]*>/g)].map(([tag]) => ({
+      id: getAttribute(tag, 'id'),
+      href: getAttribute(tag, 'href'),
+      mediaType: getAttribute(tag, 'media-type'),
+      properties: getAttribute(tag, 'properties')
+    }));
+    const spine = [...opf.matchAll(/<itemref\b[^>]*>/g)]
+      .filter(([tag]) => getAttribute(tag, 'linear') !== 'no')
+      .map(([tag]) => manifest.find(item => item.id === getAttribute(tag, 'idref')))
+      .filter(Boolean);
+
+    const navTitles = await readNavTitles(zip, manifest, opfDir);
+
+    // Content documents in spine (reading) order, each starting a chapter
+    const parts = [];
+    const headings = [];
+    let offset = 0;
+    for (const item of spine) {
+      const file = resolveHref(opfDir, item.href);
+      const html = await zip.file(file)?.async('string');
+      if (!html) continue;
+
+      const { text, headings: pageHeadings } = htmlToText(html);
+      if (!text) continue;
+
+      const title = navTitles.get(file) || pageHeadings[0]?.title;
+      if (title) {
+        headings.push({ title, level: 1, start: offset });
+      }
+
+      parts.push(text);
+      offset += text.length + 2;
+    }
+
+    return {
+      text: parts.join('\n\n'),
+      pages: null,
+      outline: [],
+      headings,
+      metadata: {
+        title: readElement(opf, 'dc:title'),
+        author: readElement(opf, 'dc:creator')
+      }
+    };
+  }
+};
@@ -0,0 +1,93 @@
+import { parse, NodeType } from 'node-html-parser';
+
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe', 'object']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table',
+  'td', 'th', 'tr', 'ul'
+]);
+const HEADING_TAG = /^h([1-6])$/;
+
+// Converts HTML (or XHTML) to plain text with one paragraph per block element,
+// separated by '\n\n', and records each heading with its offset in the text.
+export function htmlToText(html) {
+  const markup = html.replace(/<\?xml[^>]*\?>/i, '').replace(/<!doctype[^>]*>/i, '');
+  const root = parse(markup, { comment: false, blockTextElements: { script: false, style: false, pre: true } });
+  const blocks = [];
+  const headings = [];
+  let current = '';
+
+  const flush = () => {
+    const block = current.replace(/\s+/g, ' ').trim();
+    if (block) blocks.push(block);
+    current = '';
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === NodeType.TEXT_NODE) {
+      current += node.text;
+      return;
+    }
+    if (node.nodeType !== NodeType.ELEMENT_NODE) return;
+
+    const tag = (node.rawTagName || '').toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    const heading = HEADING_TAG.exec(tag);
+    if (heading) {
+      flush();
+      const title = node.text.replace(/\s+/g, ' ').trim();
+      if (title) {
+        headings.push({ title, level: Number(heading[1]) - 1, block: blocks.length });
+        blocks.push(title);
+      }
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) flush();
+    node.childNodes.forEach(walk);
+    if (isBlock) flush();
+  };
+
+  walk(root);
+  flush();
+
+  // Convert block indices to character offsets in the joined text
+  const offsets = [];
+  let offset = 0;
+  for (const block of blocks) {
+    offsets.push(offset);
+    offset += block.length + 2;
+  }
+
+  return {
+    text: blocks.join('\n\n'),
+    headings: headings.map(({ title, level, block }) => ({ title, level, start: offsets[block] })),
+    root
+  };
+}
+
+export function decodeEntities(text) {
+  return parse(text).text.trim();
+}
+
+export default {
+  format: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+
+  sniff(buffer) {
+    const head = buffer.subarray(0, 1024).toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+    return /^(<\?xml[^>]*>\s*)?(<!doctype html|<html[\s>])/i.test(head);
+  },
+
+  async extract(buffer) {
+    const { text, headings, root } = htmlToText(buffer.toString('utf-8'));
+    const title = root.querySelector('title')?.text.trim() || headings.find(heading => heading.level === 0)?.title || null;
+    const author = root.querySelector('meta[name="author"]')?.getAttribute('content')?.trim() || null;
+
+    return { text, pages: null, outline: [], headings, metadata: { title, author } };
+  }
+};
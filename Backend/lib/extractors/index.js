@@ -0,0 +1,60 @@
+import path from 'path';
+import pdf from './pdf.js';
+import epub from './epub.js';
+import docx from './docx.js';
+import rtf from './rtf.js';
+import html from './html.js';
+import markdown from './markdown.js';
+import text from './text.js';
+
+// Extractor registry. Each extractor declares the MIME types and extensions it handles
+// and, where the format has one, a sniff() check on the file's magic bytes. Detection
+// prefers magic bytes, then the uploaded MIME type, then the file extension. Generic
+// MIME types that browsers send for unknown files only count after the extension.
+//
+// An extractor's extract(buffer, options) resolves to:
+//   { text, pages, outline, headings, metadata: { title, author } }
+// where pages (per-page text), outline (PDF bookmarks) and headings ({ title, level,
+// start } offsets into text) feed chapter detection. The PDF extractor also reports
+// pageQuality ([{ page, method, confidence }]) and ocr (pages read with OCR), and takes
+// OCR options (ocrLanguage, maxOcrPages, onOcrPage).
+const extractors = [];
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'text/plain'];
+
+export function registerExtractor(extractor) {
+  extractors.push(extractor);
+}
+
+[pdf, epub, docx, rtf, html, markdown, text].forEach(registerExtractor);
+
+function looksLikeText(buffer) {
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+export function detectFormat(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const mimeType = (file.mimetype || '').toLowerCase();
+
+  const byMimeType = () => extractors.find(candidate => candidate.mimeTypes.includes(mimeType));
+  const extractor = extractors.find(candidate => candidate.sniff?.(file.buffer))
+    || (!GENERIC_MIME_TYPES.includes(mimeType) && byMimeType())
+    || extractors.find(candidate => candidate.extensions.includes(extension))
+    || byMimeType()
+    || (looksLikeText(file.buffer) ? text : null);
+
+  return extractor || null;
+}
+
+export function getSupportedFormats() {
+  return extractors.map(({ format, label, mimeTypes, extensions }) => ({ format, label, mimeTypes, extensions }));
+}
+
+export async function extractDocument(file, options = {}) {
+  const extractor = detectFormat(file);
+  if (!extractor) {
+    throw new Error('Unsupported file format. Please upload a PDF, EPUB, DOCX, HTML, Markdown, RTF or TXT file');
+  }
+
+  const document = await extractor.extract(file.buffer, options);
+  return { format: extractor.format, ...document };
+}
@@ -0,0 +1,92 @@
+const ATX_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^(=+|-+)\s*$/;
+const CODE_FENCE = /^(```|~~~)/;
+
+// Strips inline Markdown syntax, keeping the readable text
+function stripInline(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s{0,3}>\s?/, '');
+}
+
+// YAML front matter: only the simple "key: value" lines we need
+function parseFrontMatter(source) {
+  const match = /^---\n([\s\S]*?)\n---\n/.exec(source);
+  if (!match) return { body: source, fields: {} };
+
+  const fields = {};
+  for (const line of match[1].split('\n')) {
+    const field = /^(\w+):\s*["']?(.*?)["']?\s*$/.exec(line);
+    if (field) fields[field[1].toLowerCase()] = field[2];
+  }
+  return { body: source.slice(match[0].length), fields };
+}
+
+export default {
+  format: 'markdown',
+  label: 'Markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown', '.mdown'],
+
+  async extract(buffer) {
+    const source = buffer.toString('utf-8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const { body, fields } = parseFrontMatter(source);
+    const lines = body.split('\n');
+    const output = [];
+    const headings = [];
+    let offset = 0;
+    let inCode = false;
+
+    // Collapses runs of blank lines as it goes so heading offsets stay exact
+    const push = (line) => {
+      if (!line.trim() && (!output.length || !output[output.length - 1])) return;
+      output.push(line);
+      offset += line.length + 1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (CODE_FENCE.test(line.trim())) {
+        inCode = !inCode;
+        continue;
+      }
+      if (inCode) {
+        push(line);
+        continue;
+      }
+
+      const atx = ATX_HEADING.exec(line);
+      const setext = !atx && line.trim() && SETEXT_UNDERLINE.exec(lines[i + 1] || '');
+      if (atx || setext) {
+        const title = stripInline(atx ? atx[2] : line.trim());
+        const level = atx ? atx[1].length - 1 : (setext[1][0] === '=' ? 0 : 1);
+        push('');
+        headings.push({ title, level, start: offset });
+        push(title);
+        push('');
+        if (setext) i++;
+        continue;
+      }
+
+      push(stripInline(line));
+    }
+
+    return {
+      text: output.join('\n').trimEnd(),
+      pages: null,
+      outline: [],
+      headings,
+      metadata: {
+        title: fields.title || headings.find(heading => heading.level === 0)?.title || null,
+        author: fields.author || null
+      }
+    };
+  }
+};
@@ -0,0 +1,135 @@
+import { createRequire } from 'module';
+import pdfParse from 'pdf-parse';
+import { OCR_ENABLED, DEFAULT_OCR_LANGUAGE, textLayerConfidence, needsOcr, recognizePdfPages } from '../ocr.js';
+
+const require = createRequire(import.meta.url);
+
+// The pdf.js build bundled with pdf-parse, used directly for what pdf-parse does not expose
+const PDFJS_BUILD = 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Same line-joining as pdf-parse's default renderer, but keeps each page's text
+function renderPage(pageData, pages) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    });
+}
+
+// Flattens the PDF outline (bookmarks) into [{ title, level, pageNumber }]
+async function readOutline(buffer) {
+  const pdfjs = require(PDFJS_BUILD);
+  pdfjs.disableWorker = true;
+
+  const doc = await pdfjs.getDocument(new Uint8Array(buffer));
+  try {
+    const outline = await doc.getOutline();
+    if (!outline) return [];
+
+    const entries = [];
+    const visit = async (items, level) => {
+      for (const item of items) {
+        try {
+          const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+          if (Array.isArray(dest) && dest[0]) {
+            const pageIndex = await doc.getPageIndex(dest[0]);
+            entries.push({ title: item.title.trim(), level, pageNumber: pageIndex + 1 });
+          }
+        } catch (error) {
+          // Bookmarks pointing at missing destinations are skipped
+        }
+        if (item.items?.length) {
+          await visit(item.items, level + 1);
+        }
+      }
+    };
+
+    await visit(outline, 0);
+    return entries;
+  } finally {
+    doc.destroy();
+  }
+}
+
+export default {
+  format: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+
+  sniff(buffer) {
+    return buffer.subarray(0, 1024).includes('%PDF-');
+  },
+
+  // Pages without a usable text layer are read with OCR in ocrLanguage; maxOcrPages caps how
+  // many (for quick previews) and onOcrPage(completed, total) reports progress
+  async extract(buffer, { ocrLanguage = DEFAULT_OCR_LANGUAGE, maxOcrPages = Infinity, onOcrPage } = {}) {
+    const pages = [];
+    let data;
+    try {
+      // pdf.js reads the whole underlying ArrayBuffer, so small Buffers (slices of Node's
+      // shared pool) are copied into their own first
+      data = await pdfParse(new Uint8Array(buffer), { pagerender: pageData => renderPage(pageData, pages) });
+    } catch (error) {
+      throw new Error('Failed to parse PDF file');
+    }
+
+    let outline = [];
+    try {
+      outline = await readOutline(buffer);
+    } catch (error) {
+      console.error('Failed to read PDF outline:', error.message);
+    }
+
+    const pageTexts = Array.from({ length: data.numpages }, (_, i) => pages[i] || '');
+    const pageQuality = pageTexts.map((text, i) => {
+      const confidence = textLayerConfidence(text);
+      return { page: i + 1, method: needsOcr(text, confidence) ? 'needs-ocr' : 'text', confidence: round(confidence) };
+    });
+
+    // Scanned pages: keep the OCR text where it reads better than the text layer
+    const scanned = pageQuality.filter(quality => quality.method === 'needs-ocr').map(quality => quality.page - 1);
+    let ocr = null;
+    if (scanned.length && OCR_ENABLED) {
+      ocr = { language: ocrLanguage, pages: scanned.length, processed: 0, error: null };
+      try {
+        const results = await recognizePdfPages(buffer, scanned.slice(0, maxOcrPages), { language: ocrLanguage, onPage: onOcrPage });
+        for (const result of results) {
+          const quality = pageQuality[result.index];
+          if (result.confidence > quality.confidence) {
+            pageTexts[result.index] = result.text;
+            quality.confidence = round(result.confidence);
+            quality.method = 'ocr';
+          } else {
+            quality.method = 'ocr-rejected';
+          }
+        }
+        ocr.processed = results.length;
+      } catch (error) {
+        console.error('OCR failed:', error.message);
+        ocr.error = error.message;
+      }
+    }
+
+    return {
+      text: pageTexts.join('\n\n'),
+      pages: pageTexts,
+      pageQuality,
+      ocr,
+      outline,
+      headings: [],
+      metadata: {
+        title: data.info?.Title?.trim() || null,
+        author: data.info?.Author?.trim() || null
+      }
+    };
+  }
+};
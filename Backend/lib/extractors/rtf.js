@@ -0,0 +1,139 @@
+// Minimal RTF reader: keeps the document text and the \info title/author, and
+// skips every other destination (font tables, pictures, headers, ...).
+const SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'rsidtbl', 'generator',
+  'pict', 'object', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr',
+  'footerf', 'footnote', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'xmlnstbl', 'mmathPr', 'filetbl', 'revtbl', 'pgdsctbl', 'fldinst'
+]);
+const INFO_FIELDS = new Set(['title', 'author', 'subject']);
+const SYMBOLS = {
+  par: '\n\n',
+  sect: '\n\n',
+  page: '\n\n',
+  line: '\n',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•',
+  emspace: ' ',
+  enspace: ' '
+};
+const CONTROL_WORD = /([a-zA-Z]+)(-?\d+)? ?/y;
+const cp1252 = new TextDecoder('windows-1252');
+
+function parseRtf(rtf) {
+  const stack = [];
+  const info = {};
+  let state = { skip: false, field: null, uc: 1 };
+  let text = '';
+  let pendingSkip = 0;
+
+  const emit = (chars) => {
+    // Skip the ANSI fallback characters that follow a \uN escape
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (state.field) {
+      info[state.field] = (info[state.field] || '') + chars;
+    } else if (!state.skip) {
+      text += chars;
+    }
+  };
+
+  for (let i = 0; i < rtf.length;) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (ch === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (ch === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        emit(cp1252.decode(Uint8Array.of(parseInt(rtf.substr(i + 2, 2), 16))));
+        i += 4;
+      } else if (next === '*') {
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n\n');
+        i += 2;
+      } else {
+        CONTROL_WORD.lastIndex = i + 1;
+        const match = CONTROL_WORD.exec(rtf);
+        if (!match) {
+          i += 2;
+          continue;
+        }
+        i = CONTROL_WORD.lastIndex;
+
+        const [, word, param] = match;
+        if (word === 'info') {
+          state.skip = true;
+        } else if (INFO_FIELDS.has(word) && state.skip) {
+          state.field = word;
+        } else if (SKIP_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.uc = Number(param);
+        } else if (word === 'u') {
+          const code = Number(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = state.uc;
+        } else if (SYMBOLS[word]) {
+          emit(SYMBOLS[word]);
+        }
+      }
+    } else {
+      if (ch !== '\n' && ch !== '\r') emit(ch);
+      i++;
+    }
+  }
+
+  return { text, info };
+}
+
+export default {
+  format: 'rtf',
+  label: 'Rich Text Format',
+  mimeTypes: ['application/rtf', 'text/rtf'],
+  extensions: ['.rtf'],
+
+  sniff(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') === '{\\rtf';
+  },
+
+  async extract(buffer) {
+    const { text, info } = parseRtf(buffer.toString('latin1'));
+    const cleaned = text
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return {
+      text: cleaned,
+      pages: null,
+      outline: [],
+      headings: [],
+      metadata: { title: info.title?.trim() || null, author: info.author?.trim() || null }
+    };
+  }
+};
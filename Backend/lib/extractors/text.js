@@ -0,0 +1,11 @@
+export default {
+  format: 'text',
+  label: 'Plain text',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt', '.text'],
+
+  async extract(buffer) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    return { text, pages: null, outline: [], headings: [], metadata: { title: null, author: null } };
+  }
+};
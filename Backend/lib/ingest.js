@@ -0,0 +1,312 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+import { detectFormat } from './extractors/index.js';
+import { extractReadable, stripGutenbergText } from './readability.js';
+
+// URL ingestion: fetches a web page or a document from a URL and turns it into a file for
+// the summary pipeline, as if it had been uploaded. Web pages keep only their readable
+// article content.
+//
+// Requests are made on the server, so they are guarded against server-side request
+// forgery: only http(s), no credentials in the URL, and every connection (redirects
+// included) must go to a public address. The check happens in the socket's DNS lookup,
+// so a host can't resolve to a public address when checked and a private one when
+// connected to. INGEST_ALLOW_PRIVATE=true lifts it, for local development only.
+
+const MAX_BYTES = Number(process.env.INGEST_MAX_BYTES) || 50 * 1024 * 1024;
+const MAX_REDIRECTS = Number(process.env.INGEST_MAX_REDIRECTS) || 5;
+const TIMEOUT_MS = Number(process.env.INGEST_TIMEOUT_MS) || 20000;
+const ALLOW_PRIVATE = process.env.INGEST_ALLOW_PRIVATE === 'true';
+const MAX_URL_LENGTH = 2048;
+const USER_AGENT = 'BookBrief-AI/1.0 (+https://github.com/Sandeep-0001/Book-Brief-Ai)';
+
+export const INGEST_ERROR = {
+  INVALID_URL: 'invalid_url',
+  BLOCKED: 'blocked',
+  TOO_LARGE: 'too_large',
+  UNSUPPORTED: 'unsupported',
+  UPSTREAM: 'upstream',
+  TIMEOUT: 'timeout'
+};
+
+function ingestError(type, message) {
+  const error = new Error(message);
+  error.name = 'IngestError';
+  error.type = type;
+  return error;
+}
+
+export function isIngestError(error) {
+  return error?.name === 'IngestError';
+}
+
+// HTTP status for a request that failed because of an ingestion error
+export function httpStatusForIngestError(error) {
+  switch (error.type) {
+    case INGEST_ERROR.TOO_LARGE: return 413;
+    case INGEST_ERROR.UNSUPPORTED: return 415;
+    case INGEST_ERROR.UPSTREAM: return 502;
+    case INGEST_ERROR.TIMEOUT: return 504;
+    default: return 400;
+  }
+}
+
+// Loopback, private, link-local, shared, documentation, multicast and reserved ranges
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 32], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 ranges that carry an IPv4 address: 6to4 (2002::/16) in bits 16-48 and
+// IPv4-compatible addresses (::/96) in the last 32 bits
+const IPV4_EMBEDDINGS = [
+  { address: '2002::', prefix: 16, offset: 2 },
+  { address: '::', prefix: 96, offset: 12 }
+].map(range => {
+  const list = new net.BlockList();
+  list.addSubnet(range.address, range.prefix, 'ipv6');
+  return { list, offset: range.offset };
+});
+
+// The 16 bytes of a valid IPv6 address
+function ipv6Bytes(address) {
+  let text = address;
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const groups = (part) => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const hextets = [...groups(head), ...(tail === undefined ? [] : new Array(missing).fill('0')), ...groups(tail)];
+  return hextets.flatMap(hextet => {
+    const value = parseInt(hextet, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+function embeddedIPv4(address) {
+  const embedding = IPV4_EMBEDDINGS.find(({ list }) => list.check(address, 'ipv6'));
+  if (!embedding) return null;
+  return ipv6Bytes(address).slice(embedding.offset, embedding.offset + 4).join('.');
+}
+
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  if (/^::ffff:/i.test(address)) return true;
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6) {
+    // So are 6to4 and IPv4-compatible addresses (2002:7f00:1::, ::7f00:1)
+    const ipv4 = embeddedIPv4(address);
+    if (ipv4) return isPrivateAddress(ipv4);
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// A dns.lookup for a request's socket that refuses private addresses, unless allowPrivate.
+// Webhook deliveries use it too.
+export function guardedLookup(allowPrivate = ALLOW_PRIVATE) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(ingestError(INGEST_ERROR.INVALID_URL, `Could not resolve ${hostname}`));
+      }
+      const blocked = !allowPrivate && addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(ingestError(INGEST_ERROR.BLOCKED, `${hostname} resolves to a private address (${blocked.address}), which can't be fetched`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+export function parseIngestUrl(value, { allowPrivate = ALLOW_PRIVATE } = {}) {
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_URL_LENGTH) {
+    return { error: `url must be an http or https URL of at most ${MAX_URL_LENGTH} characters` };
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return { error: `Not a valid URL: ${value}` };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'Only http and https URLs can be fetched' };
+  }
+  if (url.username || url.password) {
+    return { error: "URLs with credentials can't be fetched" };
+  }
+  // Literal addresses don't go through the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !allowPrivate && isPrivateAddress(host)) {
+    return { error: `${host} is a private address, which can't be fetched` };
+  }
+  url.hash = '';
+  return { url };
+}
+
+// One GET without following redirects. Resolves with { status, headers, buffer }, or the
+// redirect's location; the body is read only for successful responses.
+function request(url, deadline) {
+  return new Promise((resolve, reject) => {
+    // The whole request, body included, has to finish before the deadline
+    const timer = setTimeout(() => {
+      reject(ingestError(INGEST_ERROR.TIMEOUT, `Fetching ${url.href} took too long`));
+      req.destroy();
+    }, Math.max(1, deadline - Date.now()));
+    const done = (settle) => (value) => {
+      clearTimeout(timer);
+      settle(value);
+    };
+    resolve = done(resolve);
+    reject = done(reject);
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: guardedLookup(),
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,application/pdf,application/epub+zip,*/*;q=0.5'
+      }
+    }, (res) => {
+      const { statusCode: status, headers } = res;
+      if (status >= 300 && status < 400 && headers.location) {
+        res.resume();
+        return resolve({ status, location: headers.location });
+      }
+      if (status >= 400) {
+        res.resume();
+        return reject(ingestError(INGEST_ERROR.UPSTREAM, `The site answered ${status} for ${url.href}`));
+      }
+      if (Number(headers['content-length']) > MAX_BYTES) {
+        res.destroy();
+        return reject(ingestError(INGEST_ERROR.TOO_LARGE, `The document is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`));
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BYTES) {
+          res.destroy();
+          reject(ingestError(INGEST_ERROR.TOO_LARGE, `The document is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ status, headers, buffer: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+
+    req.on('error', (error) => reject(isIngestError(error)
+      ? error
+      : ingestError(INGEST_ERROR.UPSTREAM, `Could not fetch ${url.href}: ${error.message}`)));
+  });
+}
+
+// Fetches a URL, following at most MAX_REDIRECTS redirects (each one checked like the
+// first URL). Resolves with { url: the final URL, contentType, buffer }.
+export async function fetchUrl(url) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(current, deadline);
+    if (!response.location) {
+      return { url: current, contentType: (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(), buffer: response.buffer };
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw ingestError(INGEST_ERROR.INVALID_URL, `${url.href} redirects more than ${MAX_REDIRECTS} times`);
+    }
+
+    const { url: next, error } = parseIngestUrl(new URL(response.location, current).href);
+    if (error) {
+      throw ingestError(INGEST_ERROR.BLOCKED, `${current.href} redirects to a URL that can't be fetched: ${error}`);
+    }
+    console.log(`Ingest: ${current.href} redirects to ${next.href}`);
+    current = next;
+  }
+}
+
+// "Pride and Prejudice" -> "pride-and-prejudice"
+const slugify = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '');
+
+function lastSegment(url) {
+  const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// The file's name: from the title when there is one, else from the URL's last path segment
+function fileNameFor(url, title, extension) {
+  const base = slugify(title || '') || slugify(path.parse(lastSegment(url)).name) || slugify(url.hostname) || 'document';
+  return `${base}${extension}`;
+}
+
+// Fetches a URL and returns { file, source }: file in the shape multer gives route
+// handlers, and source describing where it came from. HTML pages become an HTML document
+// holding only their main content; Project Gutenberg texts lose their license header and
+// footer; other supported formats (PDF, EPUB, ...) are passed on as they are.
+export async function ingestUrl(url) {
+  const { url: finalUrl, contentType, buffer } = await fetchUrl(url);
+  // The URL's file name and extension help detect the format, like an upload's
+  const fetched = { originalname: lastSegment(finalUrl), mimetype: contentType, size: buffer.length, buffer };
+  const format = detectFormat(fetched)?.format;
+  const source = { url: url.href, finalUrl: finalUrl.href, contentType: contentType || null, bytes: buffer.length };
+
+  if (format === 'html') {
+    const readable = extractReadable(buffer.toString('utf-8'), finalUrl.href);
+    if (!readable.wordCount) {
+      throw ingestError(INGEST_ERROR.UNSUPPORTED, `No readable text found at ${finalUrl.href}`);
+    }
+    const content = Buffer.from(readable.html, 'utf-8');
+    return {
+      file: { originalname: fileNameFor(finalUrl, readable.title, '.html'), mimetype: 'text/html', size: content.length, buffer: content },
+      source: { ...source, title: readable.title, author: readable.author, readability: { pageWords: readable.pageWords, articleWords: readable.wordCount } }
+    };
+  }
+
+  if (format === 'text') {
+    const { text, title, author } = stripGutenbergText(buffer.toString('utf-8'));
+    const content = Buffer.from(text, 'utf-8');
+    return {
+      file: { originalname: fileNameFor(finalUrl, title, '.txt'), mimetype: 'text/plain', size: content.length, buffer: content },
+      source: { ...source, title, author }
+    };
+  }
+
+  if (!format) {
+    throw ingestError(INGEST_ERROR.UNSUPPORTED, `Unsupported content at ${finalUrl.href}${contentType ? ` (${contentType})` : ''}`);
+  }
+  const extension = path.extname(finalUrl.pathname) || `.${format}`;
+  return {
+    file: { ...fetched, originalname: fileNameFor(finalUrl, null, extension) },
+    source: { ...source, title: null, author: null }
+  };
+}
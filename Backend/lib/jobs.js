@@ -0,0 +1,348 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { logProgress } from './progress.js';
+
+// Summarization jobs are persisted under DATA_DIR/jobs/<id>/ so that a long
+// book survives a server restart and resumes from the last completed chunk:
+//   job.json     - status, progress, table of contents, per-chunk summaries and reduce levels
+//   source       - the uploaded file, kept until the text has been chunked
+//   chunks.json  - the chunked text the job works through, kept for answering questions
+// Comparison jobs have no file of their own: they compare the summaries of other jobs.
+export const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+let JOBS_DIR = path.join(DATA_DIR, 'jobs');
+
+// Keeps jobs somewhere else, e.g. the command-line client's batches. Call before startJobQueue.
+export function setJobsDir(dir) {
+  JOBS_DIR = dir;
+}
+
+export const JOB_TYPE = {
+  SUMMARY: 'summary',
+  COMPARISON: 'comparison'
+};
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Stages reported while a job runs, in order
+export const JOB_STAGE = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  SUMMARIZING: 'summarizing',
+  ANALYZING: 'analyzing',
+  STUDYING: 'studying',
+  REDUCING: 'reducing',
+  COMPARING: 'comparing',
+  DONE: 'done'
+};
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+// Every job's events are also emitted under this name, for listeners that follow all jobs
+const ALL_JOBS = Symbol('all jobs');
+const queue = [];
+let processor = null;
+const activeJobs = new Set();
+
+// Jobs run side by side, up to MAX_CONCURRENT_JOBS at once; their model calls share each
+// provider's rate limiter, which does the throttling
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS) || 3);
+
+function jobDir(id) {
+  return path.join(JOBS_DIR, id);
+}
+
+async function writeJSON(filePath, data) {
+  // Write to a temp file first so a crash mid-write never leaves a truncated job.json
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data));
+  await fs.rename(tmpPath, filePath);
+}
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Chunks are summarized concurrently, so one job can be updated several times at once.
+// Its writes are chained so they never share the temp file.
+const jobWrites = new Map();
+
+async function persistJob(job) {
+  const previous = jobWrites.get(job.id) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeJSON(path.join(jobDir(job.id), 'job.json'), job));
+  jobWrites.set(job.id, write);
+  try {
+    await write;
+  } finally {
+    if (jobWrites.get(job.id) === write) jobWrites.delete(job.id);
+  }
+}
+
+export function isJobActive(job) {
+  return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+}
+
+// A new job's state; summary jobs start with their file's name, size and type
+function newJob(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    type: JOB_TYPE.SUMMARY,
+    documentId: null,
+    userId: null,
+    sources: null,
+    status: JOB_STATUS.QUEUED,
+    stage: JOB_STAGE.QUEUED,
+    fileName: null,
+    fileSize: null,
+    mimeType: null,
+    options: {},
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    totalChunks: null,
+    chunkMeta: [],
+    pageOffsets: null,
+    cleanup: null,
+    document: null,
+    toc: [],
+    chunkSummaries: [],
+    chunkAnalyses: [],
+    analysis: null,
+    chunkStudies: [],
+    study: null,
+    comparison: null,
+    reduceLevels: [],
+    cacheStats: { hits: 0, misses: 0, tokensSaved: 0 },
+    failures: [],
+    summary: null,
+    error: null,
+    errorType: null,
+    ...fields
+  };
+}
+
+export async function createJob(file, options = {}, { documentId = null, userId = null } = {}) {
+  const job = newJob({
+    documentId,
+    userId,
+    fileName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    options
+  });
+
+  await fs.mkdir(jobDir(job.id), { recursive: true });
+  await fs.writeFile(path.join(jobDir(job.id), 'source'), file.buffer);
+  await persistJob(job);
+  jobs.set(job.id, job);
+  return job;
+}
+
+// Compares the summaries of the source jobs once they are done. Queue it after them.
+export async function createComparisonJob(sourceIds, options = {}, { userId = null, name = null } = {}) {
+  const job = newJob({
+    type: JOB_TYPE.COMPARISON,
+    userId,
+    sources: sourceIds,
+    fileName: name || `Comparison of ${sourceIds.length} documents`,
+    options
+  });
+
+  await fs.mkdir(jobDir(job.id), { recursive: true });
+  await persistJob(job);
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+export async function updateJob(id, changes) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await persistJob(job);
+  return job;
+}
+
+export async function loadJobSource(id) {
+  return fs.readFile(path.join(jobDir(id), 'source'));
+}
+
+export async function loadJobChunks(id) {
+  return readJSON(path.join(jobDir(id), 'chunks.json'));
+}
+
+export async function saveJobChunks(id, chunks) {
+  await writeJSON(path.join(jobDir(id), 'chunks.json'), chunks);
+  // The source is no longer needed once the chunks are on disk
+  await fs.rm(path.join(jobDir(id), 'source'), { force: true });
+}
+
+export async function deleteJob(id) {
+  jobs.delete(id);
+  await fs.rm(jobDir(id), { recursive: true, force: true });
+  processQueue();
+}
+
+// Public view of a job: status and progress without the (potentially large) results
+export function serializeJob(job) {
+  const completedChunks = job.chunkSummaries.filter(summary => summary != null).length;
+  return {
+    id: job.id,
+    type: job.type || JOB_TYPE.SUMMARY,
+    documentId: job.documentId ?? null,
+    userId: job.userId ?? null,
+    status: job.status,
+    stage: job.stage,
+    fileName: job.fileName,
+    fileSize: job.fileSize,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    options: job.options,
+    sources: job.sources || null,
+    progress: {
+      completedChunks,
+      totalChunks: job.totalChunks,
+      analyzedChunks: job.options.analysis ? (job.chunkAnalyses || []).filter(Boolean).length : null,
+      studiedChunks: job.options.study ? (job.chunkStudies || []).filter(Boolean).length : null,
+      percent: job.totalChunks ? Math.round((completedChunks / job.totalChunks) * 100) : 0
+    },
+    cache: job.cacheStats,
+    cleanup: job.cleanup || null,
+    failures: job.failures || [],
+    error: job.error,
+    errorType: job.errorType || null
+  };
+}
+
+// Events - every job broadcasts progress events to its subscribers (e.g. SSE clients)
+
+export function emitJobEvent(id, type, data = {}) {
+  const event = { type, jobId: id, timestamp: new Date().toISOString(), ...data };
+  jobEvents.emit(id, event);
+  jobEvents.emit(ALL_JOBS, event);
+}
+
+export function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+export function subscribeToAllJobs(listener) {
+  jobEvents.on(ALL_JOBS, listener);
+  return () => jobEvents.off(ALL_JOBS, listener);
+}
+
+// Queue
+
+export function enqueueJob(id) {
+  if (!queue.includes(id) && !activeJobs.has(id)) {
+    queue.push(id);
+  }
+  processQueue();
+}
+
+export async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || !isJobActive(job)) return job;
+
+  const queuedIndex = queue.indexOf(id);
+  if (queuedIndex !== -1) queue.splice(queuedIndex, 1);
+
+  // A running job notices the status change before its next chunk
+  await updateJob(id, { status: JOB_STATUS.CANCELLED });
+  emitJobEvent(id, 'cancelled');
+  // A comparison waiting for this job can run now (and fail)
+  processQueue();
+  return job;
+}
+
+// A comparison waits for its source jobs, which may still be queued or running
+function isJobReady(job) {
+  return !(job.sources || []).some(sourceId => {
+    const source = jobs.get(sourceId);
+    return source && isJobActive(source);
+  });
+}
+
+// Starts queued jobs, oldest first, while there is room
+function processQueue() {
+  if (!processor) return;
+
+  for (let index = 0; index < queue.length && activeJobs.size < MAX_CONCURRENT_JOBS;) {
+    const job = jobs.get(queue[index]);
+    if (!job || !isJobActive(job)) {
+      queue.splice(index, 1);
+    } else if (isJobReady(job)) {
+      queue.splice(index, 1);
+      runQueuedJob(job);
+    } else {
+      index++;
+    }
+  }
+}
+
+async function runQueuedJob(job) {
+  const { id } = job;
+  activeJobs.add(id);
+  try {
+    await updateJob(id, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+    await processor(job);
+  } catch (error) {
+    console.error(`Job ${id} failed:`, error);
+    if (isJobActive(job)) {
+      // Model errors carry a type (quota, safety, auth, ...); anything else is "internal"
+      const errorType = error.type || 'internal';
+      await updateJob(id, { status: JOB_STATUS.FAILED, error: error.message, errorType });
+      emitJobEvent(id, 'error', { message: error.message, errorType, failures: job.failures || [] });
+    }
+  } finally {
+    activeJobs.delete(id);
+    processQueue();
+  }
+}
+
+// Loads persisted jobs and re-queues any that were interrupted by a restart
+export async function startJobQueue(jobProcessor) {
+  processor = jobProcessor;
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+
+  const entries = await fs.readdir(JOBS_DIR, { withFileTypes: true });
+  const pending = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const job = await readJSON(path.join(JOBS_DIR, entry.name, 'job.json'));
+    if (!job) continue;
+    jobs.set(job.id, job);
+    if (isJobActive(job)) pending.push(job);
+  }
+
+  pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of pending) {
+    logProgress(`Resuming job ${job.id} (${job.chunkSummaries.length}/${job.totalChunks ?? '?'} chunks done)`);
+    enqueueJob(job.id);
+  }
+}
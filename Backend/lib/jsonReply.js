@@ -0,0 +1,22 @@
+// Model calls made in JSON mode (analysis, comparisons) still sometimes wrap the object
+// in code fences or prose. Returns { value } with the one JSON object the reply
+// contains, or { error } saying why there isn't one.
+export function parseJsonReply(response) {
+  const text = String(response || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return { error: 'no JSON object in the reply' };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return { error: `invalid JSON: ${error.message}` };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'the reply is not a JSON object' };
+  }
+  return { value };
+}
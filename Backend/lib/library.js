@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { DATA_DIR } from './jobs.js';
+
+// Document library: every uploaded book (deduplicated by content hash) and every
+// summary run over it, in DATA_DIR/library.db. The original files are kept under
+// DATA_DIR/documents/<id> so a book can be re-summarized with different settings.
+const DOCUMENTS_DIR = path.join(DATA_DIR, 'documents');
+
+fs.mkdirSync(DOCUMENTS_DIR, { recursive: true });
+const db = new Database(path.join(DATA_DIR, 'library.db'));
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    hash TEXT NOT NULL UNIQUE,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    file_size INTEGER NOT NULL,
+    format TEXT,
+    title TEXT,
+    author TEXT,
+    pages INTEGER,
+    word_count INTEGER,
+    text_length INTEGER,
+    uploaded_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS summaries (
+    id TEXT PRIMARY KEY,
+    document_id TEXT NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    options TEXT NOT NULL,
+    target_words INTEGER,
+    summary TEXT,
+    result TEXT,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS summaries_document ON summaries(document_id, created_at);
+`);
+
+// Summaries belong to the user who ran them. Libraries from before accounts existed get
+// the column with no owner, which only admins see.
+if (!db.prepare('PRAGMA table_info(summaries)').all().some(column => column.name === 'user_id')) {
+  db.exec('ALTER TABLE summaries ADD COLUMN user_id TEXT');
+}
+
+function toDocument(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    hash: row.hash,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    fileSize: row.file_size,
+    format: row.format,
+    title: row.title,
+    author: row.author,
+    pages: row.pages,
+    wordCount: row.word_count,
+    textLength: row.text_length,
+    uploadedAt: row.uploaded_at,
+    summaryCount: row.summary_count ?? undefined,
+    lastSummarizedAt: row.last_summarized_at ?? undefined
+  };
+}
+
+function toSummary(row, { includeResult = false } = {}) {
+  if (!row) return null;
+  const summary = {
+    id: row.id,
+    documentId: row.document_id,
+    userId: row.user_id,
+    options: JSON.parse(row.options),
+    targetWords: row.target_words,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+  if (includeResult) {
+    summary.summary = row.summary;
+    Object.assign(summary, row.result ? JSON.parse(row.result) : {});
+  } else {
+    summary.preview = row.summary ? row.summary.slice(0, 300) : null;
+  }
+  return summary;
+}
+
+// Stores an uploaded file, or returns the existing document with the same content
+export function addDocument(file) {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const existing = db.prepare('SELECT * FROM documents WHERE hash = ?').get(hash);
+  if (existing) {
+    return toDocument(existing);
+  }
+
+  const id = crypto.randomUUID();
+  fs.writeFileSync(path.join(DOCUMENTS_DIR, id), file.buffer);
+  db.prepare(`
+    INSERT INTO documents (id, hash, file_name, mime_type, file_size, uploaded_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, hash, file.originalname, file.mimetype, file.size, new Date().toISOString());
+  return getDocument(id);
+}
+
+export function getDocument(id) {
+  return toDocument(db.prepare('SELECT * FROM documents WHERE id = ?').get(id));
+}
+
+// Metadata learned while extracting the text
+export function updateDocumentMetadata(id, { format, title, author, pages, wordCount, textLength }) {
+  db.prepare(`
+    UPDATE documents
+    SET format = ?, title = ?, author = ?, pages = ?, word_count = ?, text_length = ?
+    WHERE id = ?
+  `).run(format, title, author, pages, wordCount, textLength, id);
+}
+
+// The original upload, in the shape multer gives route handlers
+export function loadDocumentFile(id) {
+  const document = getDocument(id);
+  if (!document) return null;
+
+  const buffer = fs.readFileSync(path.join(DOCUMENTS_DIR, id));
+  return { originalname: document.fileName, mimetype: document.mimeType, size: buffer.length, buffer };
+}
+
+// Newest first. query matches title, author or file name. With a userId, only the
+// documents that user has summarized, counting only their summaries.
+export function listDocuments({ query = '', limit = 50, offset = 0, userId = null } = {}) {
+  const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+  const owned = userId ? 'AND EXISTS (SELECT 1 FROM summaries o WHERE o.document_id = d.id AND o.user_id = @userId)' : '';
+  const where = `WHERE (d.title LIKE @pattern ESCAPE '\\' OR d.author LIKE @pattern ESCAPE '\\' OR d.file_name LIKE @pattern ESCAPE '\\') ${owned}`;
+
+  const rows = db.prepare(`
+    SELECT d.*, COUNT(s.id) AS summary_count, MAX(s.created_at) AS last_summarized_at
+    FROM documents d LEFT JOIN summaries s ON s.document_id = d.id ${userId ? 'AND s.user_id = @userId' : ''}
+    ${where}
+    GROUP BY d.id
+    ORDER BY d.uploaded_at DESC
+    LIMIT @limit OFFSET @offset
+  `).all({ pattern, limit, offset, userId });
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM documents d ${where}`).get({ pattern, userId });
+
+  return { documents: rows.map(toDocument), total };
+}
+
+// Whether a user has summarized a document
+export function hasUserSummaries(documentId, userId) {
+  return Boolean(db.prepare('SELECT 1 FROM summaries WHERE document_id = ? AND user_id = ?').get(documentId, userId));
+}
+
+export function deleteDocument(id) {
+  const summaryIds = db.prepare('SELECT id FROM summaries WHERE document_id = ?').all(id).map(row => row.id);
+  db.prepare('DELETE FROM documents WHERE id = ?').run(id);
+  fs.rmSync(path.join(DOCUMENTS_DIR, id), { force: true });
+  return summaryIds;
+}
+
+// Deletes one user's summaries of a document, and the document once nobody has any left.
+// Returns the deleted summary ids.
+export function deleteUserSummaries(documentId, userId) {
+  const summaryIds = db.prepare('SELECT id FROM summaries WHERE document_id = ? AND user_id = ?')
+    .all(documentId, userId)
+    .map(row => row.id);
+  db.prepare('DELETE FROM summaries WHERE document_id = ? AND user_id = ?').run(documentId, userId);
+  if (!db.prepare('SELECT 1 FROM summaries WHERE document_id = ?').get(documentId)) {
+    deleteDocument(documentId);
+  }
+  return summaryIds;
+}
+
+// A summary run, recorded when its job is created. The id is the job id.
+export function addSummary(id, documentId, options, userId = null) {
+  db.prepare(`
+    INSERT INTO summaries (id, document_id, user_id, options, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(id, documentId, userId, JSON.stringify(options), new Date().toISOString());
+}
+
+// result holds the rest of the job's output (hierarchy, toc, ...)
+export function completeSummary(id, { summary, targetWords, ...result }) {
+  db.prepare(`
+    UPDATE summaries SET summary = ?, target_words = ?, result = ?, completed_at = ? WHERE id = ?
+  `).run(summary, targetWords, JSON.stringify(result), new Date().toISOString(), id);
+}
+
+// A summary run that is running again (a retry of its failed parts)
+export function reopenSummary(id) {
+  db.prepare('UPDATE summaries SET completed_at = NULL WHERE id = ?').run(id);
+}
+
+// All of a document's summaries, or only those of userId
+export function listSummaries(documentId, { userId = null } = {}) {
+  return db.prepare(`SELECT * FROM summaries WHERE document_id = @documentId ${userId ? 'AND user_id = @userId' : ''} ORDER BY created_at DESC`)
+    .all({ documentId, userId })
+    .map(row => toSummary(row));
+}
+
+export function getSummary(id) {
+  return toSummary(db.prepare('SELECT * FROM summaries WHERE id = ?').get(id), { includeResult: true });
+}
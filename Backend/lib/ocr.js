@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { DATA_DIR } from './jobs.js';
+
+const require = createRequire(import.meta.url);
+
+// OCR for pages without a usable text layer (scanned books), with Tesseract compiled to
+// WebAssembly. English language data ships with the server; other languages are
+// downloaded once from the tesseract.js CDN into DATA_DIR/ocr, or read from
+// OCR_LANG_PATH (a directory or URL with <lang>.traineddata.gz files) when set.
+export const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+export const DEFAULT_OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+
+// Languages offered in the UI. Any Tesseract language code (or several joined with "+") is accepted.
+export const OCR_LANGUAGES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fra: 'French',
+  deu: 'German',
+  ita: 'Italian',
+  por: 'Portuguese',
+  nld: 'Dutch',
+  rus: 'Russian',
+  chi_sim: 'Chinese (simplified)',
+  jpn: 'Japanese',
+  kor: 'Korean',
+  ara: 'Arabic',
+  hin: 'Hindi'
+};
+
+// Below these, a page's text layer is treated as missing or garbage
+const MIN_PAGE_CHARACTERS = 20;
+const MIN_TEXT_CONFIDENCE = 0.6;
+
+// Render resolution for OCR; Tesseract reads best at 200-300 dpi
+const OCR_DPI = 200;
+
+export function listOcrLanguages() {
+  return {
+    enabled: OCR_ENABLED,
+    default: DEFAULT_OCR_LANGUAGE,
+    languages: Object.entries(OCR_LANGUAGES).map(([id, label]) => ({ id, label }))
+  };
+}
+
+// Validates an OCR language from a request body. Returns { language } or { error }.
+export function parseOcrLanguage(value) {
+  if (value === undefined || value === null || value === '') {
+    return { language: DEFAULT_OCR_LANGUAGE };
+  }
+  const language = String(value).trim();
+  if (!/^[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*$/.test(language)) {
+    return { error: 'ocrLanguage must be a Tesseract language code such as "eng" or "eng+fra"' };
+  }
+  return { language };
+}
+
+// How much of a page's extracted text looks like words, from 0 (nothing) to 1
+export function textLayerConfidence(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  if (!tokens.length) return 0;
+
+  const wordlike = tokens.filter(token => {
+    if (/[\uFFFD\u0000-\u0008]/.test(token)) return false;
+    const letters = token.match(/[\p{L}\p{N}]/gu)?.length || 0;
+    return letters / token.length >= 0.6;
+  });
+  return wordlike.length / tokens.length;
+}
+
+export function needsOcr(text, confidence = textLayerConfidence(text)) {
+  return text.replace(/\s/g, '').length < MIN_PAGE_CHARACTERS || confidence < MIN_TEXT_CONFIDENCE;
+}
+
+function languagePath(language) {
+  if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+  if (language === 'eng') {
+    try {
+      return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+    } catch (error) {
+      // Not installed: fall back to the CDN
+    }
+  }
+  return undefined;
+}
+
+// Reads the given pages (0-based) of a PDF with OCR, one at a time. Resolves to
+// [{ index, text, confidence }] with confidence from 0 to 1. onPage(completed, total)
+// reports progress.
+export async function recognizePdfPages(buffer, pageIndexes, { language = DEFAULT_OCR_LANGUAGE, onPage } = {}) {
+  // Both load several megabytes of WebAssembly, so only when a scanned page turns up
+  const [mupdf, { createWorker }] = await Promise.all([import('mupdf'), import('tesseract.js')]);
+
+  const cachePath = path.join(DATA_DIR, 'ocr');
+  await fs.mkdir(cachePath, { recursive: true });
+  const worker = await createWorker(language, 1, {
+    langPath: languagePath(language),
+    cachePath,
+    logger: () => {}
+  });
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+  const scale = mupdf.Matrix.scale(OCR_DPI / 72, OCR_DPI / 72);
+
+  try {
+    const results = [];
+    for (const index of pageIndexes) {
+      const page = document.loadPage(index);
+      const pixmap = page.toPixmap(scale, mupdf.ColorSpace.DeviceGray, false, true);
+      const image = Buffer.from(pixmap.asPNG());
+      pixmap.destroy();
+      page.destroy();
+
+      const { data } = await worker.recognize(image);
+      results.push({ index, text: data.text.trim(), confidence: data.confidence / 100 });
+      onPage?.(results.length, pageIndexes.length);
+    }
+    return results;
+  } finally {
+    document.destroy();
+    await worker.terminate();
+  }
+}
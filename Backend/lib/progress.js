@@ -0,0 +1,13 @@
+// Progress messages of the summarization pipeline: stages, chunks, retries. They go to the
+// console; the command-line client turns them off unless it runs with --verbose.
+let enabled = true;
+
+export function setProgressLogging(value) {
+  enabled = value;
+}
+
+export function logProgress(...args) {
+  if (enabled) {
+    console.log(...args);
+  }
+}
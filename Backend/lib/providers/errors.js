@@ -0,0 +1,124 @@
+// Model call failures, classified so callers can decide whether to retry, skip or stop
+export const MODEL_ERROR = {
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  SAFETY: 'safety',
+  OVERLOADED: 'overloaded',
+  AUTH: 'auth',
+  INVALID_INPUT: 'invalid_input',
+  NETWORK: 'network',
+  UNKNOWN: 'unknown'
+};
+
+// Worth retrying the same call after a pause
+const RETRYABLE = new Set([MODEL_ERROR.RATE_LIMIT, MODEL_ERROR.OVERLOADED, MODEL_ERROR.NETWORK]);
+
+// Every later call of the job would fail the same way
+const FATAL = new Set([MODEL_ERROR.AUTH, MODEL_ERROR.QUOTA]);
+
+const NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+export function createModelError(type, message, { status = null, retryAfter = null, cause } = {}) {
+  const error = new Error(message, { cause });
+  error.name = 'ModelError';
+  error.type = type;
+  error.retryable = RETRYABLE.has(type);
+  error.fatal = FATAL.has(type);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+export function isModelError(error) {
+  return error?.name === 'ModelError';
+}
+
+// Structured details first: the provider's block reason, the HTTP status and the provider's
+// error code. Providers attach them to the errors they throw as
+//   status      - HTTP status of the failed request
+//   reason      - the provider's own error code, e.g. "insufficient_quota" (OpenAI) or a
+//                 Gemini quota id such as "GenerateRequestsPerDayPerProjectPerModel"
+//   blockReason - why the prompt or the response was blocked (safety filters)
+// Daily quotas and billing limits answer 429 like rate limits; their reason tells them apart.
+const QUOTA_REASON = /insufficient_quota|billing|PerDay/i;
+const AUTH_REASONS = new Set(['API_KEY_INVALID', 'invalid_api_key', 'PERMISSION_DENIED']);
+
+function classifyStructured({ status, code, reason, blockReason }) {
+  if (blockReason) {
+    return MODEL_ERROR.SAFETY;
+  }
+  if (AUTH_REASONS.has(reason) || status === 401 || status === 403) {
+    return MODEL_ERROR.AUTH;
+  }
+  if (status === 429) {
+    return QUOTA_REASON.test(reason || '') ? MODEL_ERROR.QUOTA : MODEL_ERROR.RATE_LIMIT;
+  }
+  if (status === 408 || NETWORK_CODES.has(code)) {
+    return MODEL_ERROR.NETWORK;
+  }
+  if (status >= 500) {
+    return MODEL_ERROR.OVERLOADED;
+  }
+  if (status >= 400) {
+    return MODEL_ERROR.INVALID_INPUT;
+  }
+  return null;
+}
+
+// Fallback for errors without a status: SDK and network failures that only have a message
+function classifyMessage(message) {
+  if (/api key|unauthori[sz]ed|permission denied|invalid authentication/i.test(message)) {
+    return MODEL_ERROR.AUTH;
+  }
+  if (/\bSAFETY\b|blocked due to|blockReason|content_filter|content management policy|RECITATION|PROHIBITED_CONTENT/i.test(message)) {
+    return MODEL_ERROR.SAFETY;
+  }
+  if (/quota|rate.?limit|resource.?exhausted|too many requests/i.test(message)) {
+    return /per.?day|daily|billing|insufficient_quota|credit/i.test(message) ? MODEL_ERROR.QUOTA : MODEL_ERROR.RATE_LIMIT;
+  }
+  if (/overloaded|unavailable|internal error|bad gateway|gateway timeout/i.test(message)) {
+    return MODEL_ERROR.OVERLOADED;
+  }
+  if (/fetch failed|socket hang up|network/i.test(message)) {
+    return MODEL_ERROR.NETWORK;
+  }
+  if (/invalid|too long|context length|maximum context|token limit/i.test(message)) {
+    return MODEL_ERROR.INVALID_INPUT;
+  }
+  return MODEL_ERROR.UNKNOWN;
+}
+
+// Turns whatever a provider threw (SDK error, HTTP error, network failure) into a ModelError.
+// Providers may set `status`, `reason`, `blockReason` and `retryAfter` (seconds) on the errors they throw.
+export function classifyModelError(error) {
+  if (isModelError(error)) return error;
+
+  const message = error?.message || String(error);
+  const details = {
+    status: Number(error?.status) || null,
+    code: error?.code || error?.cause?.code,
+    reason: error?.reason || null,
+    blockReason: error?.blockReason || null
+  };
+  return createModelError(classifyStructured(details) || classifyMessage(message), message, {
+    status: details.status,
+    retryAfter: error?.retryAfter ?? null,
+    cause: error
+  });
+}
+
+// HTTP status for a request that failed because of a model error
+export function httpStatusForModelError(error) {
+  switch (error.type) {
+    case MODEL_ERROR.QUOTA:
+    case MODEL_ERROR.RATE_LIMIT:
+      return 429;
+    case MODEL_ERROR.SAFETY:
+    case MODEL_ERROR.INVALID_INPUT:
+      return 422;
+    case MODEL_ERROR.OVERLOADED:
+      return 503;
+    default:
+      return 502;
+  }
+}
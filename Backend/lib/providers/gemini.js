@@ -0,0 +1,55 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { countTokens, tokenizerName } from '../tokens.js';
+
+// Finish and block reasons that mean the safety filters stopped the call
+const BLOCK_REASONS = new Set(['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'OTHER']);
+
+export function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash', contextSize = 16000, maxOutputTokens = 8192, limits = { concurrency: 1 } }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    label: 'Google Gemini',
+    model,
+    contextSize,
+    maxOutputTokens,
+    limits,
+    // Gemini's tokenizer isn't available offline; cl100k_base counts come close
+    tokenizer: tokenizerName(model),
+    countTokens,
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    async generate(prompt, { systemInstruction, temperature, maxOutputTokens, json }) {
+      const generativeModel = genAI.getGenerativeModel({ model, systemInstruction });
+      try {
+        const result = await generativeModel.generateContent({
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { temperature, maxOutputTokens, ...(json && { responseMimeType: 'application/json' }) }
+        });
+
+        const response = await result.response;
+        return response.text().trim();
+      } catch (error) {
+        // HTTP errors carry the status and google.rpc details: ErrorInfo names the reason
+        // (e.g. API_KEY_INVALID), QuotaFailure the quota that ran out, and rate limits say
+        // when to retry, e.g. { retryDelay: '32s' }
+        const detail = (type) => error.errorDetails?.find(item => item['@type']?.endsWith(type));
+        const retryInfo = detail('RetryInfo');
+        if (retryInfo?.retryDelay) {
+          error.retryAfter = parseFloat(retryInfo.retryDelay);
+        }
+        error.reason = detail('ErrorInfo')?.reason || detail('QuotaFailure')?.violations?.[0]?.quotaId || null;
+
+        // Blocked prompts and responses come back as a 200 whose text() throws
+        const blockReason = error.response?.promptFeedback?.blockReason || error.response?.candidates?.[0]?.finishReason;
+        if (blockReason && BLOCK_REASONS.has(blockReason)) {
+          error.blockReason = blockReason;
+        }
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,103 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+// LLM provider registry. A provider exposes:
+//   { name, label, model, contextSize, maxOutputTokens, limits, tokenizer, countTokens(text),
+//     isConfigured(), generate(prompt, { systemInstruction, temperature, maxOutputTokens, json }) }
+// where maxOutputTokens is the longest reply the model may be asked for, tokenizer names
+// what countTokens counts with (a tiktoken encoding or "words") and json asks generate for
+// a reply that is a JSON object.
+// Providers are configured from the environment; LLM_PROVIDER picks the default and
+// requests may choose another one (and another model) by name.
+const factories = new Map();
+
+export function registerProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+const tokenLimit = (value, fallback) => Number(value) || fallback;
+
+// Call limits shared by every request to a provider: <PREFIX>_MAX_CONCURRENCY calls in
+// flight, <PREFIX>_RPM requests and <PREFIX>_TPM tokens per minute (0 for no limit)
+const readLimit = (value, fallback) => value === undefined || value === '' || isNaN(value) ? fallback : Number(value);
+const limits = (prefix, defaults) => ({
+  concurrency: Math.max(1, readLimit(process.env[`${prefix}_MAX_CONCURRENCY`], defaults.concurrency)),
+  rpm: readLimit(process.env[`${prefix}_RPM`], defaults.rpm),
+  tpm: readLimit(process.env[`${prefix}_TPM`], defaults.tpm)
+});
+
+registerProvider('gemini', (model) => createGeminiProvider({
+  apiKey: process.env.GEMINI_API_KEY,
+  model: model || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  contextSize: tokenLimit(process.env.GEMINI_CONTEXT_SIZE, 16000),
+  // gemini-2.5-flash writes up to 65536 tokens, and its free tier has these limits
+  maxOutputTokens: tokenLimit(process.env.GEMINI_MAX_OUTPUT_TOKENS, 65536),
+  limits: limits('GEMINI', { concurrency: 4, rpm: 10, tpm: 250000 })
+}));
+
+registerProvider('openai', (model) => createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: process.env.OPENAI_API_KEY,
+  model: model || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  contextSize: tokenLimit(process.env.OPENAI_CONTEXT_SIZE, 16000),
+  maxOutputTokens: tokenLimit(process.env.OPENAI_MAX_OUTPUT_TOKENS, 16384),
+  limits: limits('OPENAI', { concurrency: 4, rpm: 0, tpm: 0 })
+}));
+
+registerProvider('local', (model) => createOpenAICompatibleProvider({
+  name: 'local',
+  label: 'Local model (Ollama / llama.cpp)',
+  baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+  model: model || process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  contextSize: tokenLimit(process.env.LOCAL_LLM_CONTEXT_SIZE, 8000),
+  maxOutputTokens: tokenLimit(process.env.LOCAL_LLM_MAX_OUTPUT_TOKENS, 4096),
+  // A local server usually handles one request at a time
+  limits: limits('LOCAL_LLM', { concurrency: 1, rpm: 0, tpm: 0 }),
+  requireApiKey: false
+}));
+
+registerProvider('mock', (model) => createMockProvider({
+  model: model || undefined,
+  contextSize: tokenLimit(process.env.MOCK_CONTEXT_SIZE, 16000),
+  maxOutputTokens: tokenLimit(process.env.MOCK_MAX_OUTPUT_TOKENS, 8192),
+  limits: limits('MOCK', { concurrency: 4, rpm: 0, tpm: 0 }),
+  latency: Number(process.env.MOCK_LATENCY_MS) || 0,
+  failPattern: process.env.MOCK_FAIL_PATTERN ? new RegExp(process.env.MOCK_FAIL_PATTERN) : null,
+  failError: process.env.MOCK_FAIL_ERROR || undefined
+}));
+
+export const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+export function hasProvider(name) {
+  return factories.has(name);
+}
+
+// Returns the named provider (the default when name is empty), optionally with a
+// different model than the configured one
+export function getProvider(name, model) {
+  const factory = factories.get(name || DEFAULT_PROVIDER);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return factory(model);
+}
+
+export function listProviders() {
+  return [...factories.keys()].map(name => {
+    const provider = getProvider(name);
+    return {
+      name,
+      label: provider.label,
+      model: provider.model,
+      contextSize: provider.contextSize,
+      maxOutputTokens: provider.maxOutputTokens,
+      limits: provider.limits,
+      tokenizer: provider.tokenizer,
+      configured: provider.isConfigured(),
+      default: name === DEFAULT_PROVIDER
+    };
+  });
+}
@@ -0,0 +1,152 @@
+import { countTokensByWords } from '../tokens.js';
+
+// Deterministic provider for tests and local development without an API key. It
+// "summarizes" extractively: the first sentences of the prompt's input text, up to
+// the target length named in the prompt. Asked for JSON (analysis calls), it picks out
+// capitalized names, places after "in"/"at"/"from", long recurring words, quoted
+// sentences and the opening sentences as takeaways. Asked to compare sources, it takes
+// long words several sources use as shared themes (disagreements when one of them puts
+// it in a negated sentence) and sentences with words no other source uses as unique points.
+// Asked for study material, it writes flashcards for long recurring words and names, and
+// fill-in-the-blank questions on the sentences that use them.
+// failPattern (a RegExp) makes calls whose prompt matches it throw failError instead,
+// to exercise failure handling. latency (ms) delays every response, like a real API.
+const sentenceWith = (sentences, word) => sentences.find(sentence => sentence.toLowerCase().includes(word.toLowerCase())) || '';
+
+// Most frequent matches of pattern (its first group) in text, most frequent first
+function topMatches(text, pattern, limit, exclude = new Set()) {
+  const counts = new Map();
+  for (const match of text.matchAll(pattern)) {
+    if (!exclude.has(match[1])) counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([value]) => value);
+}
+
+function extractAnalysis(input, sentences) {
+  const people = topMatches(input, /\b([A-Z][a-z]+(?: [A-Z][a-z]+)+)\b/g, 5);
+  const places = topMatches(input, /\b(?:in|at|from) ((?:[A-Z][a-z]+)(?: [A-Z][a-z]+)*)/g, 3, new Set(people));
+  const concepts = topMatches(input.toLowerCase(), /\b([a-z]{9,})\b/g, 3);
+  const quotes = [...input.matchAll(/[“"]([^”"]{20,300})[”"]/g)].slice(0, 2).map(match => ({ text: match[1], speaker: null }));
+
+  return JSON.stringify({
+    people: people.map(name => ({ name, description: sentenceWith(sentences, name) })),
+    places: places.map(name => ({ name, description: sentenceWith(sentences, name) })),
+    concepts: concepts.map(term => ({ term, definition: sentenceWith(sentences, term) })),
+    quotes,
+    takeaways: sentences.slice(0, 2)
+  });
+}
+
+function extractStudy(input, sentences) {
+  const terms = topMatches(input.toLowerCase(), /\b([a-z]{9,})\b/g, 4);
+  const people = topMatches(input, /\b([A-Z][a-z]+(?: [A-Z][a-z]+)+)\b/g, 2);
+  const blank = (sentence, word) => sentence.replace(new RegExp(word, 'i'), '_____');
+
+  return JSON.stringify({
+    flashcards: [
+      ...terms.map(term => ({ front: `What does the text say about "${term}"?`, back: sentenceWith(sentences, term) })),
+      ...people.map(name => ({ front: `Who is ${name}?`, back: sentenceWith(sentences, name) }))
+    ],
+    questions: terms.map((term, i) => {
+      const evidence = sentenceWith(sentences, term);
+      if (i % 2) {
+        return { type: 'short_answer', question: `Fill in the blank: ${blank(evidence, term)}`, answer: term, explanation: `The text uses "${term}" here.`, evidence };
+      }
+      // The right answer moves between positions so quizzes can't be solved by position
+      const choices = [...terms.filter(other => other !== term).slice(0, 3)];
+      choices.splice(i % (choices.length + 1), 0, term);
+      return { type: 'multiple_choice', question: `Which word completes the sentence? ${blank(evidence, term)}`, choices, answer: choices.indexOf(term), explanation: `The text uses "${term}" here.`, evidence };
+    })
+  });
+}
+
+const longWords = (text) => text.toLowerCase().match(/\b[a-z]{7,}\b/g) || [];
+
+function extractComparison(prompt) {
+  const sources = prompt.slice(prompt.indexOf('[Source 1')).split(/^\[Source \d+[^\]\n]*\]$/m).slice(1)
+    .map(text => text.split(/(?<=[.!?])\s+/).map(sentence => sentence.replace(/\s+/g, ' ').trim()).filter(Boolean));
+  const vocabularies = sources.map(sentences => new Set(longWords(sentences.join(' '))));
+  const counts = new Map();
+  vocabularies.forEach(words => words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1)));
+
+  const topics = [...counts.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 6)
+    .map(([word]) => ({
+      word,
+      positions: sources.flatMap((sentences, index) => (vocabularies[index].has(word) ? [{ source: index + 1, view: sentenceWith(sentences, word) }] : []))
+    }));
+  const negated = (topic) => topic.positions.some(position => /\b(not|never|no)\b/i.test(position.view));
+
+  return JSON.stringify({
+    overview: sources.map(sentences => sentences[0]).filter(Boolean).join(' '),
+    sharedThemes: topics.filter(topic => !negated(topic)).map(({ word, positions }) => ({ theme: word, summary: `Discussed by ${positions.length} sources`, positions })),
+    disagreements: topics.filter(negated).map(({ word, positions }) => ({ topic: word, summary: `The sources differ on ${word}`, positions })),
+    uniquePoints: sources.map((sentences, index) => ({
+      source: index + 1,
+      points: sentences.filter(sentence => longWords(sentence).some(word => counts.get(word) === 1)).slice(0, 2)
+    }))
+  });
+}
+
+export function createMockProvider({
+  model = 'mock-extractive',
+  contextSize = 16000,
+  maxOutputTokens = 8192,
+  limits = { concurrency: 1 },
+  latency = 0,
+  failPattern = null,
+  failError = 'Mock failure'
+} = {}) {
+  return {
+    name: 'mock',
+    label: 'Mock (offline)',
+    model,
+    contextSize,
+    maxOutputTokens,
+    limits,
+    tokenizer: 'words',
+    countTokens: countTokensByWords,
+
+    isConfigured() {
+      return true;
+    },
+
+    async generate(prompt, { json } = {}) {
+      if (latency) {
+        await new Promise(resolve => setTimeout(resolve, latency));
+      }
+      if (failPattern?.test(prompt)) {
+        throw new Error(failError);
+      }
+
+      const target = /Target summary length: ~?(\d+) words/.exec(prompt);
+      const targetWords = target ? Number(target[1]) : 100;
+
+      // The input text follows the last "...:" line of the prompt
+      const inputStart = prompt.lastIndexOf(':\n\n');
+      const input = inputStart === -1 ? prompt : prompt.slice(inputStart + 3);
+      const sentences = input
+        .replace(/\[(Section|Part) \d+[^\]\n]*\]/g, '')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+
+      if (json) {
+        if (prompt.includes('[Source 1')) return extractComparison(prompt);
+        return prompt.includes('"flashcards"') ? extractStudy(input, sentences) : extractAnalysis(input, sentences);
+      }
+
+      const output = [];
+      let words = 0;
+      for (const sentence of sentences) {
+        if (words >= targetWords) break;
+        output.push(sentence);
+        words += sentence.split(' ').length;
+      }
+
+      return output.join(' ');
+    }
+  };
+}
@@ -0,0 +1,79 @@
+import { createTokenCounter, tokenizerName } from '../tokens.js';
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, company
+// gateways, Ollama (http://localhost:11434/v1) or llama.cpp's server
+export function createOpenAICompatibleProvider({
+  name = 'openai',
+  label = 'OpenAI-compatible',
+  baseUrl,
+  apiKey,
+  model,
+  contextSize = 16000,
+  maxOutputTokens = 8192,
+  limits = { concurrency: 1 },
+  requireApiKey = true
+}) {
+  return {
+    name,
+    label,
+    model,
+    contextSize,
+    maxOutputTokens,
+    limits,
+    // OpenAI models are counted with their own tokenizer, others with an approximation
+    tokenizer: tokenizerName(model),
+    countTokens: createTokenCounter(model),
+
+    isConfigured() {
+      return Boolean(baseUrl && model && (apiKey || !requireApiKey));
+    },
+
+    // Ollama and llama.cpp's server understand OpenAI's json_object response format too
+    async generate(prompt, { systemInstruction, temperature, maxOutputTokens, json }) {
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+            { role: 'user', content: prompt }
+          ],
+          temperature,
+          max_tokens: maxOutputTokens,
+          ...(json && { response_format: { type: 'json_object' } })
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        const error = new Error(`[${response.status} ${response.statusText}] ${body.slice(0, 500)}`);
+        error.status = response.status;
+        error.retryAfter = Number(response.headers.get('retry-after')) || null;
+        // OpenAI-style bodies name the error, e.g. { error: { code: 'insufficient_quota' } }
+        try {
+          const { error: details } = JSON.parse(body);
+          error.reason = details?.code || details?.type || null;
+        } catch (parseError) {
+          error.reason = null;
+        }
+        throw error;
+      }
+
+      const data = await response.json();
+      if (data.choices?.[0]?.finish_reason === 'content_filter') {
+        const error = new Error('Response blocked due to content_filter');
+        error.blockReason = 'content_filter';
+        throw error;
+      }
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Invalid response from model: no message content');
+      }
+      return text.trim();
+    }
+  };
+}
@@ -0,0 +1,183 @@
+import { parse, NodeType } from 'node-html-parser';
+
+// Main-content extraction for web pages, in the spirit of Mozilla's Readability: drop the
+// elements that are never content (scripts, navigation, footers, ...) and the ones whose
+// class or id looks like boilerplate (comments, sidebars, share buttons, ads), score the
+// remaining containers by the paragraphs directly inside them, and keep the best one with
+// the siblings that look like part of the same article. Headings inside it are kept, so
+// long pages (a Project Gutenberg book) still get their chapters detected.
+
+const REMOVED_TAGS = 'script, style, noscript, template, svg, iframe, object, embed, canvas, button, input, select, textarea, nav, aside, footer, dialog';
+const UNLIKELY = /comment|sidebar|footer|masthead|menu|navbar|breadcrumb|share|social|related|recommend|promo|advert|sponsor|\bads?\b|cookie|consent|banner|subscribe|newsletter|popup|modal|signup|disqus|pagination|author-bio/i;
+const LIKELY = /article|body|content|main|post|entry|story|text|chapter|blog/i;
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote']);
+const HEADING_TAG = /^h[1-6]$/;
+// Project Gutenberg's license header and footer in its HTML books
+const GUTENBERG_BOILERPLATE = '#pg-header, #pg-footer, .pg-boilerplate';
+
+const textOf = (node) => node.text.replace(/\s+/g, ' ').trim();
+const tagOf = (node) => (node.rawTagName || '').toLowerCase();
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Share of a node's text inside links; navigation blocks are mostly links
+function linkDensity(node) {
+  const length = textOf(node).length;
+  if (!length) return 0;
+  const linked = node.querySelectorAll('a').reduce((sum, link) => sum + textOf(link).length, 0);
+  return linked / length;
+}
+
+const meta = (root, selector) => root.querySelector(selector)?.getAttribute('content')?.trim() || null;
+
+function pageTitle(root) {
+  const title = meta(root, 'meta[property="og:title"]')
+    || meta(root, 'meta[name="twitter:title"]')
+    || root.querySelector('title')?.text.replace(/\s+/g, ' ').trim()
+    || root.querySelector('h1')?.text.replace(/\s+/g, ' ').trim();
+  // "Article title | Site name" -> "Article title", when what's left is still a title
+  const [main] = (title || '').split(/\s+[|–—-]\s+/);
+  return (main && countWords(main) >= 2 ? main : title) || null;
+}
+
+function pageAuthor(root) {
+  const author = meta(root, 'meta[name="author"]')
+    || meta(root, 'meta[name="dc.creator"]')
+    || meta(root, 'meta[name="DC.creator"]')
+    || root.querySelector('[rel="author"]')?.text.trim()
+    || meta(root, 'meta[property="article:author"]');
+  // article:author is often a profile URL rather than a name
+  return author && !/^https?:\/\//.test(author) ? author : null;
+}
+
+// Drops what is never part of an article, and boilerplate by its class or id
+function removeBoilerplate(body) {
+  body.querySelectorAll(`${REMOVED_TAGS}, ${GUTENBERG_BOILERPLATE}`).forEach(node => node.remove());
+  body.querySelectorAll('[role="navigation"], [role="complementary"], [aria-hidden="true"], [hidden]').forEach(node => node.remove());
+
+  for (const node of body.querySelectorAll('*')) {
+    const name = `${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+    if (UNLIKELY.test(name) && !LIKELY.test(name) && !['body', 'article', 'main'].includes(tagOf(node))) {
+      node.remove();
+    }
+  }
+}
+
+// Scores each container by the paragraphs in it: one point per paragraph, one per comma
+// and one per 100 characters (at most three); a container gets its paragraphs' score, its
+// parent half of it. Link-heavy containers lose the share of their text in links.
+function scoreCandidates(body) {
+  const scores = new Map();
+  const add = (node, score) => {
+    if (node?.rawTagName) scores.set(node, (scores.get(node) || 0) + score);
+  };
+
+  for (const paragraph of body.querySelectorAll([...PARAGRAPH_TAGS].join(', '))) {
+    const text = textOf(paragraph);
+    if (text.length < 25) continue;
+    const commas = (text.match(/[,，、]/g) || []).length;
+    const score = 1 + commas + Math.min(3, Math.floor(text.length / 100));
+    add(paragraph.parentNode, score);
+    add(paragraph.parentNode?.parentNode, score / 2);
+  }
+
+  for (const [node, score] of scores) {
+    scores.set(node, score * (1 - linkDensity(node)));
+  }
+  return scores;
+}
+
+// Siblings of the best container that belong to the article: other well-scored
+// containers, headings between them, and paragraphs of prose
+function articleNodes(top, scores) {
+  const parent = top.parentNode;
+  if (!parent || tagOf(top) === 'body') return [top];
+
+  const threshold = Math.max(10, (scores.get(top) || 0) * 0.2);
+  return parent.childNodes.filter(sibling => {
+    if (sibling === top) return true;
+    if (sibling.nodeType !== NodeType.ELEMENT_NODE) return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+
+    const tag = tagOf(sibling);
+    const text = textOf(sibling);
+    if (HEADING_TAG.test(tag)) return true;
+    return PARAGRAPH_TAGS.has(tag) && text.length > 80 && linkDensity(sibling) < 0.25;
+  });
+}
+
+// Removes link lists and other short, link-heavy blocks left inside the article
+function cleanArticle(nodes) {
+  for (const node of nodes) {
+    if (node.nodeType !== NodeType.ELEMENT_NODE) continue;
+    for (const block of node.querySelectorAll('div, section, ul, ol, table')) {
+      const text = textOf(block);
+      if (text.length < 200 && linkDensity(block) > 0.5) block.remove();
+    }
+  }
+}
+
+// Extracts the main content of a web page. Returns { html: a minimal HTML document with
+// the article, its title and author for the HTML extractor, title, author, wordCount:
+// the article's words, pageWords: the whole page's }.
+export function extractReadable(html, url = null) {
+  const root = parse(html.replace(/<\?xml[^>]*\?>/i, ''), { comment: false, blockTextElements: { script: false, style: false, pre: true } });
+  const body = root.querySelector('body') || root;
+  const title = pageTitle(root);
+  const author = pageAuthor(root);
+  const pageWords = countWords(textOf(body));
+
+  removeBoilerplate(body);
+  const scores = scoreCandidates(body);
+  let top = null;
+  for (const [node, score] of scores) {
+    if (!top || score > scores.get(top)) top = node;
+  }
+
+  const nodes = top ? articleNodes(top, scores) : [body];
+  cleanArticle(nodes);
+  const content = nodes.map(node => (node === body ? body.innerHTML : node.toString())).join('\n');
+  const wordCount = countWords(nodes.map(textOf).join(' '));
+
+  return {
+    html: `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+${title ? `<title>${escapeHtml(title)}</title>\n` : ''}${author ? `<meta name="author" content="${escapeHtml(author)}">\n` : ''}${url ? `<link rel="canonical" href="${escapeHtml(url)}">\n` : ''}</head>
+<body>
+${content}
+</body>
+</html>
+`,
+    title,
+    author,
+    wordCount,
+    pageWords
+  };
+}
+
+// Project Gutenberg plain-text books: the text between the "*** START OF ... ***" and
+// "*** END OF ... ***" lines, and the title and author from the header. Other texts are
+// returned as they are.
+export function stripGutenbergText(raw) {
+  const text = raw.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const start = /^\*{3}\s*START OF (?:THE|THIS) PROJECT GUTENBERG E?BOOK.*$/im.exec(text);
+  if (!start) {
+    return { text, title: null, author: null };
+  }
+
+  const header = text.slice(0, start.index);
+  const rest = text.slice(start.index + start[0].length);
+  const end = /^\*{3}\s*END OF (?:THE|THIS) PROJECT GUTENBERG E?BOOK.*$/im.exec(rest);
+  return {
+    text: (end ? rest.slice(0, end.index) : rest).trim(),
+    title: /^Title:\s*(.+)$/m.exec(header)?.[1].trim() || null,
+    author: /^Author:\s*(.+)$/m.exec(header)?.[1].trim() || null
+  };
+}
@@ -0,0 +1,122 @@
+import { pageAtOffset } from './structure.js';
+
+// BM25 retrieval over a book's chunks. Chunks are too long to cite usefully, so each
+// one is split into passages of a few paragraphs; every passage remembers its chunk,
+// chapter and page so answers can cite where they came from.
+const PASSAGE_WORDS = 200;
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set((
+  'a about above after again against all am an and any are as at be because been before being below ' +
+  'between both but by can could did do does doing down during each few for from further had has have ' +
+  'having he her here hers herself him himself his how i if in into is it its itself just me more most ' +
+  'my myself no nor not now of off on once only or other our ours ourselves out over own same she ' +
+  'should so some such than that the their theirs them themselves then there these they this those ' +
+  'through to too under until up very was we were what when where which while who whom why will with ' +
+  'would you your yours yourself yourselves say says said does book'
+).split(' '));
+
+// Lowercased terms without stop words, with plurals folded ("ideas" -> "idea")
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(term => term.length > 3 ? term.replace(/ies$/, 'y').replace(/([^s])s$/, '$1') : term);
+}
+
+function splitIntoPassages(chunk) {
+  const passages = [];
+  let current = [];
+  let words = 0;
+  let offset = 0;
+  let start = 0;
+
+  for (const paragraph of chunk.split('\n\n')) {
+    if (!current.length) start = offset;
+    current.push(paragraph);
+    words += paragraph.split(/\s+/).length;
+    offset += paragraph.length + 2;
+
+    if (words >= PASSAGE_WORDS) {
+      passages.push({ text: current.join('\n\n'), offset: start });
+      current = [];
+      words = 0;
+    }
+  }
+  if (current.length) {
+    passages.push({ text: current.join('\n\n'), offset: start });
+  }
+
+  return passages.filter(passage => passage.text.trim());
+}
+
+// chunkMeta (optional, per chunk): { start, chapter } - start is the chunk's offset in
+// the book text, used with pageOffsets to find a passage's page
+export function buildIndex(chunks, { chunkMeta = [], pageOffsets = null } = {}) {
+  const passages = [];
+  const documentFrequency = new Map();
+
+  chunks.forEach((chunk, chunkIndex) => {
+    const meta = chunkMeta[chunkIndex] || {};
+    for (const { text, offset } of splitIntoPassages(chunk)) {
+      const terms = tokenize(text);
+      const termFrequency = new Map();
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+      for (const term of termFrequency.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+
+      const page = pageOffsets && meta.start != null
+        ? pageAtOffset(pageOffsets, meta.start + offset)
+        : null;
+      passages.push({
+        text: text.trim(),
+        chunk: chunkIndex,
+        chapter: meta.chapter ?? null,
+        page,
+        length: terms.length,
+        termFrequency
+      });
+    }
+  });
+
+  const totalLength = passages.reduce((sum, passage) => sum + passage.length, 0);
+  return {
+    passages,
+    documentFrequency,
+    averageLength: passages.length ? totalLength / passages.length : 0
+  };
+}
+
+// The limit best-matching passages for query, highest score first
+export function search(index, query, limit = 5) {
+  const terms = [...new Set(tokenize(query))];
+  const total = index.passages.length;
+
+  return index.passages
+    .map(passage => {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = passage.termFrequency.get(term);
+        if (!frequency) continue;
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + B * passage.length / index.averageLength));
+      }
+      return { passage, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ passage, score }) => ({
+      text: passage.text,
+      chunk: passage.chunk,
+      chapter: passage.chapter,
+      page: passage.page,
+      score: Math.round(score * 100) / 100,
+      terms: terms.filter(term => passage.termFrequency.has(term))
+    }));
+}
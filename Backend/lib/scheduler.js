@@ -0,0 +1,118 @@
+// Limits on model calls, shared by every job and question on the server. Each provider
+// gets one limiter: at most `concurrency` calls in flight, plus token buckets for requests
+// per minute (rpm) and tokens per minute (tpm). A rate of 0 means unlimited.
+const limiters = new Map();
+
+export function getRateLimiter(name, limits) {
+  if (!limiters.has(name)) {
+    limiters.set(name, createRateLimiter(limits));
+  }
+  return limiters.get(name);
+}
+
+// Bucket holding up to perMinute units, refilled continuously
+function createBucket(perMinute) {
+  let available = perMinute;
+  let updatedAt = Date.now();
+
+  const refill = (now) => {
+    available = Math.min(perMinute, available + ((now - updatedAt) * perMinute) / 60000);
+    updatedAt = now;
+  };
+
+  return {
+    // Milliseconds until amount units are available
+    waitTime(amount, now = Date.now()) {
+      refill(now);
+      return available >= amount ? 0 : Math.ceil(((amount - available) * 60000) / perMinute);
+    },
+    // May go negative, e.g. when a response was longer than estimated
+    take(amount, now = Date.now()) {
+      refill(now);
+      available -= amount;
+    }
+  };
+}
+
+export function createRateLimiter({ concurrency = 1, rpm = 0, tpm = 0 } = {}) {
+  const requests = rpm ? createBucket(rpm) : null;
+  const tokens = tpm ? createBucket(tpm) : null;
+  // Callers are let through in arrival order
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function schedule() {
+    if (timer) return;
+
+    while (waiting.length && active < concurrency) {
+      const now = Date.now();
+      // A call larger than the whole per-minute budget goes through once the bucket is full
+      const cost = tokens ? Math.min(waiting[0].tokens, tpm) : 0;
+      const wait = Math.max(
+        pausedUntil - now,
+        requests ? requests.waitTime(1, now) : 0,
+        tokens ? tokens.waitTime(cost, now) : 0
+      );
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          schedule();
+        }, wait);
+        return;
+      }
+
+      requests?.take(1, now);
+      tokens?.take(cost, now);
+      active++;
+      waiting.shift().resolve();
+    }
+  }
+
+  return {
+    concurrency,
+
+    // Resolves when a call of about tokenCount (prompt) tokens may start
+    acquire(tokenCount = 0) {
+      return new Promise(resolve => {
+        waiting.push({ tokens: tokenCount, resolve });
+        schedule();
+      });
+    },
+
+    // Ends a call started with acquire(); outputTokens is charged to the tokens-per-minute budget
+    release(outputTokens = 0) {
+      active--;
+      if (outputTokens) tokens?.take(outputTokens);
+      schedule();
+    },
+
+    // Holds back every call for the given number of seconds, e.g. after a rate limit error
+    pause(seconds) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + seconds * 1000);
+    },
+
+    stats() {
+      return {
+        concurrency,
+        rpm,
+        tpm,
+        active,
+        waiting: waiting.length,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+// Runs worker(item) for every item, at most `concurrency` at a time
+export async function runConcurrently(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
@@ -0,0 +1,170 @@
+import { getPageOffsets, pageAtOffset } from './structure.js';
+
+// Partial summaries. A selection is a set of page ranges (PDFs only) and/or section
+// ranges (numbers of the detected chapters, as listed by /api/preview), both 1-based and
+// inclusive, e.g. pages "120-180" or sections "3-7, 9". Selected text is summarized where
+// it sits in the book, so page numbers, chapters and cited passages still refer to the
+// whole document.
+
+const MAX_RANGES = 100;
+
+function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+// Sorts ranges and merges the ones that overlap or touch (gap 1 for page and section
+// numbers, 0 for character offsets)
+function mergeRanges(ranges, gap = 0) {
+  const merged = [];
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + gap) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+function intersectRanges(a, b) {
+  const result = [];
+  for (const [aStart, aEnd] of a) {
+    for (const [bStart, bEnd] of b) {
+      const start = Math.max(aStart, bStart);
+      const end = Math.min(aEnd, bEnd);
+      if (start < end) result.push([start, end]);
+    }
+  }
+  return mergeRanges(result);
+}
+
+// Parses "3-7, 9" (or an array of such items) into merged [[start, end]] ranges.
+// Returns { ranges } (null when empty) or { error }.
+export function parseRanges(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return { ranges: null };
+  }
+
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  if (!items.length) {
+    return { ranges: null };
+  }
+  if (items.length > MAX_RANGES) {
+    return { error: `${name} can have at most ${MAX_RANGES} ranges` };
+  }
+
+  const ranges = [];
+  for (const item of items) {
+    const match = item.match(/^(\d{1,5})(?:\s*[-–]\s*(\d{1,5}))?$/);
+    if (!match) {
+      return { error: `${name} must be numbers or ranges such as "3-7, 9"` };
+    }
+    const start = Number(match[1]);
+    const end = Number(match[2] ?? match[1]);
+    if (start < 1 || end < start) {
+      return { error: `Invalid ${name} range: ${item}` };
+    }
+    ranges.push([start, end]);
+  }
+
+  return { ranges: mergeRanges(ranges, 1) };
+}
+
+// [[3, 7], [9, 9]] -> "3-7, 9"
+export function formatRanges(ranges) {
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+// Validates the pages and sections fields of a request. Returns { selection }, null
+// when the whole document is to be summarized, or { error }.
+export function parseSelection(body = {}) {
+  const pages = parseRanges(body.pages, 'pages');
+  if (pages.error) return { error: pages.error };
+
+  const sections = parseRanges(body.sections, 'sections');
+  if (sections.error) return { error: sections.error };
+
+  if (!pages.ranges && !sections.ranges) {
+    return { selection: null };
+  }
+  return { selection: { pages: pages.ranges, sections: sections.ranges } };
+}
+
+// Narrows a document to a selection. With both pages and sections, text has to be in
+// both. Returns { ranges, toc, wordCount } where ranges are the selected character
+// ranges of text and toc keeps the sections with selected text, each with its own
+// selected `ranges` and its word count and pages narrowed to them. Returns { error }
+// when the selection doesn't fit the document.
+export function applySelection(selection, { text, pages, toc }) {
+  if (!selection) {
+    return { ranges: [[0, text.length]], toc, wordCount: countWords(text) };
+  }
+
+  let ranges = [[0, text.length]];
+  const pageOffsets = pages ? getPageOffsets(pages) : null;
+
+  if (selection.pages) {
+    if (!pages) {
+      return { error: 'Page ranges can only be selected in PDFs' };
+    }
+    const lastPage = selection.pages[selection.pages.length - 1][1];
+    if (lastPage > pages.length) {
+      return { error: `Page ${lastPage} is out of range: this document has ${pages.length} pages` };
+    }
+    ranges = intersectRanges(ranges, selection.pages.map(([start, end]) => [
+      pageOffsets[start - 1],
+      pageOffsets[end - 1] + pages[end - 1].length
+    ]));
+  }
+
+  if (selection.sections) {
+    if (!toc.length) {
+      return { error: 'No sections were detected in this document, so sections cannot be selected' };
+    }
+    const lastSection = selection.sections[selection.sections.length - 1][1];
+    if (lastSection > toc.length) {
+      return { error: `Section ${lastSection} is out of range: this document has ${toc.length} sections` };
+    }
+    const sectionRanges = selection.sections.flatMap(([start, end]) => (
+      toc.slice(start - 1, end).map(entry => [entry.start, entry.end])
+    ));
+    ranges = intersectRanges(ranges, mergeRanges(sectionRanges));
+  }
+
+  ranges = ranges.filter(([start, end]) => /[\p{L}\p{N}]/u.test(text.slice(start, end)));
+  if (!ranges.length) {
+    return { error: 'The selected pages and sections contain no text' };
+  }
+
+  const selectedToc = toc
+    .map(entry => {
+      const entryRanges = intersectRanges([[entry.start, entry.end]], ranges);
+      if (!entryRanges.length) return null;
+
+      const start = entryRanges[0][0];
+      const end = entryRanges[entryRanges.length - 1][1];
+      return {
+        ...entry,
+        ranges: entryRanges,
+        wordCount: entryRanges.reduce((sum, [rangeStart, rangeEnd]) => sum + countWords(text.slice(rangeStart, rangeEnd)), 0),
+        startPage: pageOffsets ? pageAtOffset(pageOffsets, start) : entry.startPage,
+        endPage: pageOffsets ? pageAtOffset(pageOffsets, Math.max(start, end - 1)) : entry.endPage
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    ranges,
+    toc: selectedToc,
+    wordCount: ranges.reduce((sum, [start, end]) => sum + countWords(text.slice(start, end)), 0)
+  };
+}
+
+// The selected text, for counting tokens
+export function selectedText(text, ranges) {
+  return ranges.map(([start, end]) => text.slice(start, end).trim()).join('\n\n');
+}
@@ -0,0 +1,176 @@
+// Chapter and section detection. Uses the document's own headings (EPUB, DOCX, HTML,
+// Markdown) or the PDF outline when there are any, otherwise finds headings in the
+// extracted text, and returns a table of contents whose entries carry their character
+// range, page range and word count.
+
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty(?:[- ](?:one|two|three|four|five|six|seven|eight|nine))?|thirty|forty|fifty';
+const ORDINAL = `(?:\\d{1,3}|[ivxlcdm]{1,7}|${NUMBER_WORDS})`;
+
+// Strong headings are unambiguous; weak ones (bare numbers, roman numerals) are only
+// used when a document has no strong headings and enough weak ones to be a pattern.
+const STRONG_HEADINGS = [
+  { level: 0, pattern: new RegExp(`^(?:part|book)\\s+${ORDINAL}[.:]?(?:\\s+[^.!?]*)?$`, 'i') },
+  { level: 1, pattern: new RegExp(`^(?:chapter|chap\\.)\\s+${ORDINAL}[.:]?(?:\\s+[^.!?]*)?$`, 'i') },
+  { level: 1, pattern: /^(?:prologue|epilogue|preface|foreword|introduction|afterword|conclusion)\b[^.!?]{0,60}$/i }
+];
+
+const WEAK_HEADINGS = [
+  { level: 1, pattern: /^\d{1,2}(?:\.\d{1,2})?\.?\s+[A-Z][^.!?]{1,60}$/ },
+  { level: 1, pattern: /^[IVXLC]{1,7}\.?$/ }
+];
+
+// A heading that is only a label and number, e.g. "Chapter 12" or "IV."
+const BARE_HEADING = new RegExp(`^(?:(?:part|book|chapter|chap\\.)\\s+)?${ORDINAL}[.:]?$`, 'i');
+
+const MAX_HEADING_LENGTH = 80;
+export const MIN_SECTION_WORDS = 30;
+
+function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Start offset of every page in text joined with '\n\n'
+export function getPageOffsets(pages) {
+  const offsets = [];
+  let offset = 0;
+  for (const page of pages) {
+    offsets.push(offset);
+    offset += page.length + 2;
+  }
+  return offsets;
+}
+
+export function pageAtOffset(pageOffsets, offset) {
+  let low = 0;
+  let high = pageOffsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pageOffsets[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+function findHeadings(text, families) {
+  const headings = [];
+  const lines = text.split('\n');
+  let offset = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (line && line.length <= MAX_HEADING_LENGTH) {
+      const family = families.find(({ pattern }) => pattern.test(line));
+      if (family) {
+        let title = line;
+
+        // "Chapter 12" on its own line is usually followed by the chapter's name
+        const next = lines[i + 1]?.trim();
+        if (BARE_HEADING.test(line) && next && next.length <= 60 && !/[.!?,;]$/.test(next)) {
+          title = `${line.replace(/[.:]$/, '')}: ${next}`;
+        }
+
+        headings.push({ title, key: normalizeTitle(line), level: family.level, start: offset });
+      }
+    }
+
+    offset += lines[i].length + 1;
+  }
+
+  return headings;
+}
+
+// Drops headings that are really listings in a printed table of contents: a heading
+// that appears again later, or one with almost no text before the next heading.
+function filterHeadings(headings, text) {
+  const lastIndex = new Map(headings.map((heading, index) => [heading.key, index]));
+  const unique = headings.filter((heading, index) => lastIndex.get(heading.key) === index);
+
+  return unique.filter((heading, index) => {
+    const next = unique[index + 1];
+    if (!next) return true;
+    // A part heading directly followed by its first chapter is fine
+    if (heading.level < next.level) return true;
+    return countWords(text.slice(heading.start, next.start)) - countWords(heading.title) >= MIN_SECTION_WORDS;
+  });
+}
+
+function headingsFromOutline(outline, text, pages) {
+  const pageOffsets = getPageOffsets(pages);
+  const topLevels = outline.filter(entry => entry.level <= 1);
+
+  return topLevels.map(entry => {
+    const pageStart = pageOffsets[entry.pageNumber - 1] ?? 0;
+    const pageText = pages[entry.pageNumber - 1] || '';
+    // Start at the heading itself when the bookmark title appears on its page
+    const titleIndex = pageText.toLowerCase().indexOf(entry.title.toLowerCase());
+    return {
+      title: entry.title,
+      key: normalizeTitle(entry.title),
+      level: entry.level,
+      start: pageStart + Math.max(0, titleIndex)
+    };
+  }).sort((a, b) => a.start - b.start);
+}
+
+// Keeps the chapter-level headings of a structured document: the shallowest level used
+// at least twice, plus any shallower ones (a book title or parts) as level 0
+function headingsFromDocument(documentHeadings) {
+  const counts = new Map();
+  documentHeadings.forEach(({ level }) => counts.set(level, (counts.get(level) || 0) + 1));
+  const chapterLevel = Math.min(...[...counts].filter(([, count]) => count >= 2).map(([level]) => level));
+
+  return documentHeadings
+    .filter(heading => heading.level <= chapterLevel)
+    .map(heading => ({
+      title: heading.title,
+      key: normalizeTitle(heading.title),
+      level: heading.level === chapterLevel ? 1 : 0,
+      start: heading.start
+    }));
+}
+
+export function detectStructure(text, { pages = null, outline = [], headings: documentHeadings = [] } = {}) {
+  let headings = [];
+
+  if (documentHeadings.length >= 2) {
+    headings = headingsFromDocument(documentHeadings);
+  } else if (pages && outline.length >= 2) {
+    headings = headingsFromOutline(outline, text, pages);
+  } else {
+    headings = filterHeadings(findHeadings(text, STRONG_HEADINGS), text);
+    if (headings.filter(heading => heading.level === 1).length < 2) {
+      const weak = filterHeadings(findHeadings(text, WEAK_HEADINGS), text);
+      headings = weak.length >= 3 ? weak : [];
+    }
+  }
+
+  if (headings.length < 2) {
+    return [];
+  }
+
+  // Text before the first heading (title page, epigraph, ...) becomes its own entry
+  if (countWords(text.slice(0, headings[0].start)) >= MIN_SECTION_WORDS) {
+    headings.unshift({ title: 'Front Matter', level: 1, start: 0 });
+  }
+
+  const pageOffsets = pages ? getPageOffsets(pages) : null;
+
+  return headings.map((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    return {
+      title: heading.title,
+      level: heading.level,
+      start: heading.start,
+      end,
+      wordCount: countWords(text.slice(heading.start, end)),
+      startPage: pageOffsets ? pageAtOffset(pageOffsets, heading.start) : null,
+      endPage: pageOffsets ? pageAtOffset(pageOffsets, Math.max(heading.start, end - 1)) : null
+    };
+  });
+}
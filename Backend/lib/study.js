@@ -0,0 +1,181 @@
+import { pageAtOffset } from './structure.js';
+import { parseJsonReply } from './jsonReply.js';
+import { normalizeName, pickByRank, findQuote } from './analysis.js';
+
+// Study mode: flashcards and quiz questions for every chapter of a book. Every summarized
+// chunk gets a model call that answers in JSON; the answers are validated here and grouped
+// by chapter. Quiz questions carry the sentence of the text that answers them, so a wrong
+// answer can be traced back to its passage.
+
+export const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+
+// Most cards and questions one chunk may contribute, and one chapter keeps
+const CHUNK_LIMITS = { flashcards: 8, questions: 5 };
+const CHAPTER_LIMITS = { flashcards: 30, questions: 15 };
+const MIN_CHOICES = 3;
+const MAX_CHOICES = 6;
+const MAX_PROMPT_LENGTH = 400;
+const MAX_ANSWER_LENGTH = 600;
+
+// Questions and answers are written from the text, but need some room to phrase them
+export const STUDY_GENERATION_CONFIG = { temperature: 0.3, maxOutputTokens: 3072, json: true };
+
+export function createStudyInstruction({ language = 'English' } = {}) {
+  return `You write study material - flashcards and quiz questions - from books for students. You answer with a single JSON object and nothing else - no Markdown, no code fences, no comments.
+
+Every card and question must be answerable from the text alone. Write them in ${language}; copy evidence from the text exactly as it appears.`;
+}
+
+export function createStudyPrompt(content) {
+  return `Write study material for this section of a book as JSON with exactly these fields:
+
+{
+  "flashcards": [{ "front": "a question, term or name", "back": "the answer or definition, one or two sentences" }],
+  "questions": [
+    { "type": "multiple_choice", "question": "...", "choices": ["...", "...", "...", "..."], "answer": 0, "explanation": "why this is right, one sentence", "evidence": "the sentence of the text that answers it, copied word for word" },
+    { "type": "short_answer", "question": "...", "answer": "the expected answer in a few words", "explanation": "...", "evidence": "..." }
+  ]
+}
+
+GUIDELINES:
+1. At most ${CHUNK_LIMITS.flashcards} flashcards on the key facts, ideas, people and terms of this section, most important first
+2. At most ${CHUNK_LIMITS.questions} questions that test understanding, not trivia; mix both types
+3. Multiple choice questions have ${MIN_CHOICES}-${MAX_CHOICES} plausible choices, and "answer" is the index (from 0) of the one correct choice
+4. Short answers are a few words that a student could type
+5. Use empty lists if the section has nothing worth studying (e.g. a table of contents) - never invent anything
+
+Section text:
+
+${content}`;
+}
+
+// Second attempt after a reply that wasn't valid JSON
+export function createStudyRepairPrompt(content, problem) {
+  return `Your previous answer could not be used (${problem}). Answer again with only the JSON object.
+
+${createStudyPrompt(content)}`;
+}
+
+const cleanString = (value, maxLength) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/\s+/g, ' ').trim().slice(0, maxLength) : '');
+
+// The correct choice as an index: 2, "2", "C" or the choice's text
+function parseChoiceAnswer(answer, choices) {
+  if (Number.isInteger(answer)) return answer;
+  const text = cleanString(answer, MAX_ANSWER_LENGTH);
+  if (/^\d+$/.test(text)) return Number(text);
+  if (/^[A-Za-z]$/.test(text)) return text.toUpperCase().charCodeAt(0) - 65;
+  return choices.findIndex(choice => choice.toLowerCase() === text.toLowerCase());
+}
+
+function parseQuestion(item) {
+  if (!item || typeof item !== 'object' || !QUESTION_TYPES.includes(item.type)) return null;
+  const question = {
+    type: item.type,
+    question: cleanString(item.question, MAX_PROMPT_LENGTH),
+    explanation: cleanString(item.explanation, MAX_ANSWER_LENGTH) || null,
+    evidence: cleanString(item.evidence, MAX_ANSWER_LENGTH) || null
+  };
+  if (!question.question) return null;
+
+  if (item.type === 'short_answer') {
+    const answer = cleanString(item.answer, MAX_PROMPT_LENGTH);
+    return answer ? { ...question, answer } : null;
+  }
+
+  const choices = (Array.isArray(item.choices) ? item.choices : []).map(choice => cleanString(choice, MAX_PROMPT_LENGTH)).filter(Boolean);
+  const distinct = new Set(choices.map(choice => choice.toLowerCase()));
+  if (choices.length < MIN_CHOICES || choices.length > MAX_CHOICES || distinct.size < choices.length) return null;
+  const answer = parseChoiceAnswer(item.answer, choices);
+  return answer >= 0 && answer < choices.length ? { ...question, choices, answer } : null;
+}
+
+// Validates a chunk's study reply. Returns { study } or { error }. Cards without both
+// sides and questions without a single correct answer are dropped rather than failing
+// the chunk.
+export function parseStudy(response) {
+  const { value, error } = parseJsonReply(response);
+  if (error) {
+    return { error };
+  }
+  if (!Array.isArray(value.flashcards) && !Array.isArray(value.questions)) {
+    return { error: 'the reply has none of the fields flashcards, questions' };
+  }
+
+  return {
+    study: {
+      flashcards: (Array.isArray(value.flashcards) ? value.flashcards : [])
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({ front: cleanString(item.front, MAX_PROMPT_LENGTH), back: cleanString(item.back, MAX_ANSWER_LENGTH) }))
+        .filter(card => card.front && card.back)
+        .slice(0, CHUNK_LIMITS.flashcards),
+      questions: (Array.isArray(value.questions) ? value.questions : [])
+        .map(parseQuestion)
+        .filter(Boolean)
+        .slice(0, CHUNK_LIMITS.questions)
+    }
+  };
+}
+
+// Groups the chunks' study material (null for chunks without any) by chapter, in book
+// order; a book without chapters is one group with a null title. Repeated cards and
+// questions are kept once. Every card and question gets an id that stays the same when
+// the job is exported again, and questions link to their passage: the chunk, and the
+// evidence sentence with its page when it is found in the chunk word for word.
+export function mergeStudy(chunkStudies, { chunks, chunkMeta = [], pageOffsets = null }) {
+  const seen = new Set();
+  const once = (text) => {
+    const key = normalizeName(text);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  const groups = [];
+  chunkStudies.forEach((_, index) => {
+    const title = chunkMeta[index]?.chapter || null;
+    if (!groups.length || groups[groups.length - 1].title !== title) {
+      groups.push({ title, indexes: [] });
+    }
+    groups[groups.length - 1].indexes.push(index);
+  });
+
+  let unverifiedEvidence = 0;
+  const chapters = groups.map(({ title, indexes }) => {
+    const cards = indexes.map(index => (chunkStudies[index]?.flashcards || [])
+      .map((card, position) => ({ ...card, id: `c${index}-f${position}` }))
+      .filter(card => once(`card ${card.front}`)));
+    const questions = indexes.map(index => (chunkStudies[index]?.questions || [])
+      .map((question, position) => ({ ...question, id: `c${index}-q${position}` }))
+      .filter(question => once(`question ${question.question}`)));
+
+    return {
+      title,
+      flashcards: pickByRank(cards, CHAPTER_LIMITS.flashcards)
+        .map(({ id, front, back, index }) => ({ id, front, back, chunk: indexes[index] })),
+      questions: pickByRank(questions, CHAPTER_LIMITS.questions).map(({ index: groupIndex, evidence, ...question }) => {
+        const index = indexes[groupIndex];
+        const offset = evidence ? findQuote(chunks[index] || '', evidence) : -1;
+        if (evidence && offset === -1) unverifiedEvidence++;
+        const start = chunkMeta[index]?.start;
+        return {
+          ...question,
+          passage: {
+            chunk: index,
+            chapter: title,
+            text: offset === -1 ? null : evidence,
+            page: offset !== -1 && pageOffsets && start != null ? pageAtOffset(pageOffsets, start + offset) : null
+          }
+        };
+      })
+    };
+  }).filter(chapter => chapter.flashcards.length || chapter.questions.length);
+
+  return {
+    chapters,
+    flashcardCount: chapters.reduce((sum, chapter) => sum + chapter.flashcards.length, 0),
+    questionCount: chapters.reduce((sum, chapter) => sum + chapter.questions.length, 0),
+    studiedChunks: chunkStudies.filter(Boolean).length,
+    totalChunks: chunkStudies.length,
+    unverifiedEvidence
+  };
+}
@@ -0,0 +1,1080 @@
+import { JOB_TYPE, JOB_STATUS, JOB_STAGE, getJob, updateJob, loadJobSource, loadJobChunks, saveJobChunks, emitJobEvent } from './jobs.js';
+import { extractDocument } from './extractors/index.js';
+import { detectStructure, getPageOffsets, MIN_SECTION_WORDS } from './structure.js';
+import { parseOcrLanguage } from './ocr.js';
+import { cleanDocument, isMatterTitle } from './cleanup.js';
+import { parseSelection, formatRanges, applySelection } from './selection.js';
+import { updateDocumentMetadata, completeSummary } from './library.js';
+import { createCacheKey, getCachedResponse, setCachedResponse } from './cache.js';
+import { countTokens } from './tokens.js';
+import { estimateCost, estimateDuration } from './estimates.js';
+import { SUMMARY_STYLES, DEFAULT_SUMMARY_OPTIONS, TARGET_WORDS_RANGE, parseSummaryOptions, resolveTargetWords, createSystemInstruction } from './summaryOptions.js';
+import { getProvider, hasProvider } from './providers/index.js';
+import { MODEL_ERROR, classifyModelError, isModelError } from './providers/errors.js';
+import { getRateLimiter, runConcurrently } from './scheduler.js';
+import { logProgress } from './progress.js';
+import { recordUsage, checkLimit } from './usage.js';
+import {
+  ANALYSIS_GENERATION_CONFIG,
+  createAnalysisInstruction,
+  createAnalysisPrompt,
+  createAnalysisRepairPrompt,
+  parseAnalysis,
+  mergeAnalyses
+} from './analysis.js';
+import {
+  STUDY_GENERATION_CONFIG,
+  createStudyInstruction,
+  createStudyPrompt,
+  createStudyRepairPrompt,
+  parseStudy,
+  mergeStudy
+} from './study.js';
+import {
+  COMPARISON_GENERATION_CONFIG,
+  createComparisonInstruction,
+  createComparisonPrompt,
+  createComparisonRepairPrompt,
+  createCondensePrompt,
+  parseComparison
+} from './comparison.js';
+
+// The summarization pipeline shared by the API server and the command-line client:
+// extraction and cleanup, chunking within chapters, the map (chunk), chapter and reduce
+// model calls through the summary cache, and the job runner that ties them together
+// and persists every step in the job store. Comparison jobs run here too, on top of
+// the summaries of their source jobs.
+
+const generationConfig = {
+  temperature: 0.4,
+  maxOutputTokens: 4096,
+};
+
+// Optional passes over the summarized chunks that answer in JSON: analysis mode (people,
+// places, concepts, quotes, takeaways) and study mode (flashcards and quiz questions).
+// Each keeps every chunk's answer in job[chunkField] and their merge in job[field].
+const CHUNK_PASSES = [
+  {
+    option: 'analysis',
+    label: 'analysis',
+    stage: JOB_STAGE.ANALYZING,
+    chunkField: 'chunkAnalyses',
+    field: 'analysis',
+    config: ANALYSIS_GENERATION_CONFIG,
+    // Entities, quotes and takeaways are about a tenth of a chunk's length
+    outputRatio: 0.1,
+    instruction: createAnalysisInstruction,
+    prompt: createAnalysisPrompt,
+    repairPrompt: createAnalysisRepairPrompt,
+    parse: (response) => {
+      const { analysis, error } = parseAnalysis(response);
+      return { result: analysis, error };
+    },
+    merge: mergeAnalyses
+  },
+  {
+    option: 'study',
+    label: 'study material',
+    stage: JOB_STAGE.STUDYING,
+    chunkField: 'chunkStudies',
+    field: 'study',
+    config: STUDY_GENERATION_CONFIG,
+    outputRatio: 0.15,
+    instruction: createStudyInstruction,
+    prompt: createStudyPrompt,
+    repairPrompt: createStudyRepairPrompt,
+    parse: (response) => {
+      const { study, error } = parseStudy(response);
+      return { result: study, error };
+    },
+    merge: mergeStudy
+  }
+];
+
+// The longest summary a provider can write: the reply is asked for in up to twice as many
+// tokens as words, and the reduce stage keeps at least half of the context for its input
+export function maxTargetWords(provider) {
+  const fits = Math.min(Math.floor(provider.maxOutputTokens / 2), Math.floor((provider.contextSize - 1000) / 2));
+  return Math.max(TARGET_WORDS_RANGE.min, Math.min(TARGET_WORDS_RANGE.max, fits));
+}
+
+function calculateSummarizationParams(targetSummarySize = 500, modelContextSize = 16000) {
+  const summaryInputSize = modelContextSize - targetSummarySize - 1000;
+  return {
+    modelContextSize,
+    targetSummarySize,
+    summaryInputSize
+  };
+}
+
+// Settings of a job's summary calls: style, tone and language apply to every call; long
+// summaries need more output tokens, up to the provider's limit
+export function jobModelSettings(options, params, provider) {
+  return {
+    systemInstruction: createSystemInstruction(options),
+    maxOutputTokens: Math.min(provider.maxOutputTokens, Math.max(generationConfig.maxOutputTokens, Math.ceil(params.targetSummarySize * 2)))
+  };
+}
+
+// Each paragraph is counted once; a section's size is the sum of its paragraphs'
+export function splitTextIntoSections(text, maxTokens, separator = '\n\n', tokenCounter = countTokens) {
+  const paragraphs = text.split(separator);
+  const separatorTokens = tokenCounter(separator);
+  const sections = [];
+  let currentSection = '';
+  let currentTokens = 0;
+
+  for (const paragraph of paragraphs) {
+    if (!paragraph.trim()) continue;
+
+    const paragraphTokens = tokenCounter(paragraph);
+    const tokens = currentSection
+      ? currentTokens + separatorTokens + paragraphTokens
+      : paragraphTokens;
+
+    if (tokens > maxTokens) {
+      if (currentSection) {
+        sections.push(currentSection.trim());
+        currentSection = paragraph;
+        currentTokens = paragraphTokens;
+      } else {
+        sections.push(paragraph.trim());
+        currentSection = '';
+        currentTokens = 0;
+      }
+    } else {
+      currentSection = currentSection ? currentSection + separator + paragraph : paragraph;
+      currentTokens = tokens;
+    }
+  }
+
+  if (currentSection) {
+    sections.push(currentSection.trim());
+  }
+
+  return sections;
+}
+
+// Offset of every chunk in text. Chunks are trimmed runs of paragraphs, so their
+// opening characters locate them; a chunk that can't be found keeps the previous offset.
+function locateChunks(text, chunks) {
+  let cursor = 0;
+  return chunks.map(chunk => {
+    const found = text.indexOf(chunk.slice(0, 200), cursor);
+    if (found !== -1) cursor = found;
+    return cursor;
+  });
+}
+
+export function createSummarizationPrompt(content, targetSummarySize) {
+  const wordCount = content.split(/\s+/).length;
+  // Section summaries keep at least 40% of the text so later passes have detail to work with
+  const targetRatio = Math.min(0.9, Math.max(0.4, targetSummarySize / wordCount));
+  const targetPercent = Math.round(targetRatio * 100);
+  
+  return `Create a well-balanced summary that captures the key information while being more concise than the original.
+
+Original text length: ~${wordCount} words
+Target summary length: ~${Math.round(wordCount * targetRatio)} words (${targetPercent}% of original)
+
+GUIDELINES:
+1. Include all major points and important details
+2. Maintain the structure and flow of the original
+3. Keep essential examples and explanations
+4. Aim for approximately ${targetPercent}% of the original length
+5. Be clear and comprehensive while removing redundancy
+
+Text to summarize:
+
+${content}`;
+}
+
+// Prompt for merging a group of consecutive section summaries into one part summary
+function createReducePrompt(summaries, targetSummarySize) {
+  return `Below are summaries of consecutive sections of the same book, in order. Merge them into a single summary of this part of the book.
+
+Target summary length: ~${targetSummarySize} words
+
+GUIDELINES:
+1. Keep the order of events and ideas
+2. Remove context and points repeated across sections
+3. Preserve key names, facts, arguments and conclusions
+4. Write continuous prose, not a list of section summaries
+
+Section summaries:
+
+${summaries.map((summary, i) => `[Section ${i + 1}]\n${summary}`).join('\n\n')}`;
+}
+
+// Prompt for the final pass that turns the remaining summaries into one coherent summary
+// in the requested style. Parts are labelled with their chapter titles when known.
+function createConsolidationPrompt(summaries, targetSummarySize, style = 'executive', titles = []) {
+  return `Below are summaries of consecutive parts of a book, in order. Write one coherent summary of the whole book.
+
+Target summary length: ${targetSummarySize} words
+
+GUIDELINES:
+1. Give the book an overall narrative, from beginning to end
+2. Lead with the central theme or thesis, then the main developments
+3. Do not repeat points that appear in several parts
+4. Do not mention "parts" or "sections" - summarize the book itself
+5. Stay close to the target length
+
+FORMAT: ${SUMMARY_STYLES[style].format}
+
+Part summaries:
+
+${summaries.map((summary, i) => `[Part ${i + 1}${titles[i] ? `: ${titles[i]}` : ''}]\n${summary}`).join('\n\n')}`;
+}
+
+// Packs consecutive summaries into groups that each fit within maxTokens.
+// Returns arrays of indices into summaries.
+function groupSummaries(summaries, maxTokens, tokenCounter = countTokens, separator = '\n\n') {
+  return groupByTokens(summaries.map(summary => tokenCounter(summary + separator)), maxTokens);
+}
+
+// Groups consecutive items of the given token counts, as groupSummaries does
+function groupByTokens(tokenCounts, maxTokens) {
+  const groups = [];
+  let currentGroup = [];
+  let currentTokens = 0;
+
+  tokenCounts.forEach((tokens, index) => {
+    if (currentGroup.length && currentTokens + tokens > maxTokens) {
+      groups.push(currentGroup);
+      currentGroup = [];
+      currentTokens = 0;
+    }
+    currentGroup.push(index);
+    currentTokens += tokens;
+  });
+
+  if (currentGroup.length) {
+    groups.push(currentGroup);
+  }
+
+  // Summaries that are individually too large would never shrink the level - pair them instead
+  if (groups.length === tokenCounts.length) {
+    return tokenCounts.reduce((pairs, _, index) => {
+      if (index % 2 === 0) pairs.push(tokenCounts.length > index + 1 ? [index, index + 1] : [index]);
+      return pairs;
+    }, []);
+  }
+
+  return groups;
+}
+
+// settings override generationConfig and carry the job's system instruction. Every call
+// goes through the provider's rate limiter, which is shared by all jobs and questions.
+export async function callModel(provider, promptText, settings = {}, retries = 3, delay = 1000) {
+  const limiter = getRateLimiter(provider.name, provider.limits);
+  const config = { systemInstruction: createSystemInstruction({}), ...generationConfig, ...settings };
+  const promptTokens = provider.countTokens(promptText) + provider.countTokens(config.systemInstruction || '');
+
+  for (let attempt = 1; ; attempt++) {
+    await limiter.acquire(promptTokens);
+    try {
+      const response = await provider.generate(promptText, config);
+      limiter.release(provider.countTokens(response));
+      return response;
+    } catch (cause) {
+      limiter.release();
+      const error = classifyModelError(cause);
+      console.error(`${provider.label} API error (${error.type}, attempt ${attempt}/${retries}):`, error.message);
+
+      // Exponential backoff, unless the provider said when to retry
+      const waitTime = error.retryAfter ? error.retryAfter * 1000 : delay * Math.pow(2, attempt - 1);
+      // A rate limit applies to every caller, not just this one
+      if (error.type === MODEL_ERROR.RATE_LIMIT) {
+        limiter.pause(waitTime / 1000);
+      }
+
+      if (!error.retryable || attempt >= retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      logProgress(`⏳ Waiting ${waitTime}ms before retry...`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+}
+
+// callModel through the summary cache. Identical calls (same prompt, system instruction,
+// model and generation config) are served from disk; stats counts hits, misses and the
+// tokens hits saved. Failed calls throw and are never cached, nor are responses accept
+// rejects. Tokens of calls that reached the model count towards userId's daily usage.
+async function generateSummary(provider, promptText, settings, stats, userId = null, { accept } = {}) {
+  const config = { ...generationConfig, ...settings };
+  const key = createCacheKey({ provider: provider.name, model: provider.model, prompt: promptText, config });
+
+  const cached = getCachedResponse(key);
+  if (cached) {
+    stats.hits++;
+    stats.tokensSaved += cached.tokens;
+    return cached.response;
+  }
+
+  stats.misses++;
+  const response = await callModel(provider, promptText, settings);
+  const inputTokens = provider.countTokens(promptText);
+  const outputTokens = provider.countTokens(response);
+  recordUsage(userId, { inputTokens, outputTokens });
+  if (accept && !accept(response)) {
+    return response;
+  }
+  setCachedResponse(key, {
+    provider: provider.name,
+    model: provider.model,
+    response,
+    tokens: inputTokens + outputTokens
+  });
+  return response;
+}
+
+// Checkbox-style form fields: "true" or "on"
+export const parseFlag = (value) => value === true || value === 'true' || value === 'on';
+
+// Chapters and sections of a cleaned document, numbered as the `sections` option counts them.
+// Stripping front and back matter also drops chapters such as "Index" or "About the Author".
+export function detectSections(text, pages, { outline, headings }, stripMatter) {
+  return detectStructure(text, { pages, outline, headings })
+    .filter(entry => !(stripMatter && isMatterTitle(entry.title)));
+}
+
+export const countWords = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+// Splits a cleaned document into the chunks a job summarizes: only the selected pages or
+// sections, within chapter boundaries when chapters are detected. Returns { chunks, toc,
+// params, selection, ranges, wordCount } where ranges and wordCount are the selected
+// text's; throws when the selection doesn't fit the document.
+export function chunkDocument(text, pages, { outline, headings }, options, provider) {
+  const { selection, error: selectionError } = parseSelection(options);
+  const selected = selectionError
+    ? { error: selectionError }
+    : applySelection(selection, { text, pages, toc: detectSections(text, pages, { outline, headings }, options.stripMatter) });
+  if (selected.error) {
+    throw new Error(selected.error);
+  }
+  const { ranges, toc, wordCount } = selected;
+
+  // Calculate parameters from the requested length (words or percent of the selected text)
+  // Lengths the provider can't write (a percentage of a long book, or another provider's
+  // estimate) are shortened to what it can
+  const targetWords = Math.min(resolveTargetWords(options, wordCount), maxTargetWords(provider));
+  const params = calculateSummarizationParams(targetWords, provider.contextSize);
+
+  const split = (start, end) => splitTextIntoSections(text.slice(start, end), params.summaryInputSize, '\n\n', provider.countTokens);
+  let chunks = [];
+  if (toc.length) {
+    for (const entry of toc) {
+      entry.chunkStart = chunks.length;
+      // Part headings directly followed by a chapter have nothing of their own to summarize
+      if (entry.wordCount >= MIN_SECTION_WORDS) {
+        for (const [start, end] of entry.ranges || [[entry.start, entry.end]]) {
+          chunks.push(...split(start, end));
+        }
+      }
+      entry.chunkEnd = chunks.length;
+      entry.summary = null;
+    }
+  } else {
+    chunks = ranges.flatMap(([start, end]) => split(start, end));
+  }
+  if (!chunks.length) {
+    throw new Error('The selected text is too short to summarize');
+  }
+
+  return { chunks, toc, params, selection, ranges, wordCount };
+}
+
+// Pages a job reads, for the daily page quota: PDF pages with selected text on them, or
+// 300 words to a page for formats without pages
+const WORDS_PER_PAGE = 300;
+
+function countSelectedPages(pages, ranges, wordCount) {
+  if (!pages) {
+    return Math.max(1, Math.ceil(wordCount / WORDS_PER_PAGE));
+  }
+  const offsets = getPageOffsets(pages);
+  return pages.filter((page, index) => {
+    const start = offsets[index];
+    const end = start + page.length;
+    return ranges.some(([rangeStart, rangeEnd]) => rangeStart < end && rangeEnd > start);
+  }).length;
+}
+
+// Summaries come out at about 4 tokens for every 3 words
+const wordsToTokens = (words) => Math.ceil(words / 0.75);
+
+// The model calls a job would make for the given chunks, without making them: one per
+// chunk, one per chapter with several chunks, the reduce levels and the final pass.
+// Output sizes are the lengths the prompts ask for. Returns { parallel, sequential }
+// lists of { stage, inputTokens, outputTokens }.
+export function planModelCalls(chunks, toc, params, options, provider) {
+  const { summaryInputSize, targetSummarySize } = params;
+  const systemTokens = provider.countTokens(createSystemInstruction(options));
+  const reduceOverhead = provider.countTokens(createReducePrompt([], targetSummarySize)) + systemTokens;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  const parallel = chunks.map(chunk => {
+    const words = chunk.split(/\s+/).length;
+    const ratio = Math.min(0.9, Math.max(0.4, targetSummarySize / words));
+    return {
+      stage: 'chunk',
+      inputTokens: provider.countTokens(createSummarizationPrompt(chunk, targetSummarySize)) + systemTokens,
+      outputTokens: wordsToTokens(words * ratio)
+    };
+  });
+  const sequential = [];
+
+  // Analysis and study mode ask every chunk for a part of its length, within their
+  // calls' output limit
+  const passCalls = CHUNK_PASSES.filter(pass => options[pass.option]).flatMap(pass => chunks.map(chunk => ({
+    stage: pass.option,
+    inputTokens: provider.countTokens(pass.prompt(chunk)) + provider.countTokens(pass.instruction(options)),
+    outputTokens: Math.min(pass.config.maxOutputTokens, wordsToTokens(chunk.split(/\s+/).length * pass.outputRatio))
+  })));
+
+  // Chapters with several chunks get their chunk summaries merged
+  let current = parallel.map(call => call.outputTokens);
+  if (toc.length) {
+    current = [];
+    for (const entry of toc) {
+      const chunkOutputs = parallel.slice(entry.chunkStart, entry.chunkEnd).map(call => call.outputTokens);
+      if (chunkOutputs.length === 1) {
+        current.push(chunkOutputs[0]);
+      } else if (chunkOutputs.length > 1) {
+        const targetSize = Math.max(150, Math.min(targetSummarySize, Math.round(entry.wordCount * 0.1)));
+        sequential.push({ stage: 'chapter', inputTokens: reduceOverhead + sum(chunkOutputs), outputTokens: wordsToTokens(targetSize) });
+        current.push(wordsToTokens(targetSize));
+      }
+    }
+  }
+
+  if (current.length === 1 && (options.style || DEFAULT_SUMMARY_OPTIONS.style) === DEFAULT_SUMMARY_OPTIONS.style) {
+    return { parallel: [...parallel, ...passCalls], sequential };
+  }
+
+  // Reduce levels until the summaries fit in one prompt, as reduceJobSummaries does
+  while (current.length > 1 && sum(current) > summaryInputSize) {
+    const groups = groupByTokens(current, summaryInputSize);
+    const partTargetSize = Math.max(150, Math.min(targetSummarySize, Math.floor((summaryInputSize * 0.75) / groups.length)));
+    current = groups.map(group => {
+      const outputTokens = wordsToTokens(partTargetSize);
+      sequential.push({ stage: 'reduce', inputTokens: reduceOverhead + sum(group.map(index => current[index])), outputTokens });
+      return outputTokens;
+    });
+  }
+
+  sequential.push({ stage: 'consolidate', inputTokens: reduceOverhead + sum(current), outputTokens: wordsToTokens(targetSummarySize) });
+  return { parallel: [...parallel, ...passCalls], sequential };
+}
+
+// Pre-flight estimate of a job's chunks, calls, tokens, duration and cost on one provider
+export function estimateJob(document, options, provider) {
+  const { chunks, toc, params, wordCount } = chunkDocument(document.text, document.pages, document, options, provider);
+  const { parallel, sequential } = planModelCalls(chunks, toc, params, options, provider);
+  const calls = [...parallel, ...sequential];
+  const inputTokens = calls.reduce((sum, call) => sum + call.inputTokens, 0);
+  const outputTokens = calls.reduce((sum, call) => sum + call.outputTokens, 0);
+  const countCalls = (stage) => calls.filter(call => call.stage === stage).length;
+
+  return {
+    provider: provider.name,
+    label: provider.label,
+    model: provider.model,
+    tokenizer: provider.tokenizer,
+    words: wordCount,
+    targetWords: params.targetSummarySize,
+    chunks: chunks.length,
+    chapters: toc.length,
+    calls: {
+      chunks: countCalls('chunk'),
+      chapters: countCalls('chapter'),
+      reduce: countCalls('reduce'),
+      consolidate: countCalls('consolidate'),
+      analysis: countCalls('analysis'),
+      study: countCalls('study'),
+      total: calls.length
+    },
+    inputTokens,
+    outputTokens,
+    durationSeconds: estimateDuration(parallel, sequential, provider.limits),
+    cost: estimateCost(provider.name, provider.model, inputTokens, outputTokens)
+  };
+}
+
+// Runs a queued summarization job, resuming from the last completed chunk
+export async function runSummarizationJob(job) {
+  const provider = getProvider(job.options.provider, job.options.model);
+  let chunks = await loadJobChunks(job.id);
+
+  if (!chunks) {
+    await updateJob(job.id, { stage: JOB_STAGE.EXTRACTING });
+    emitJobEvent(job.id, 'extracting');
+
+    // Extract text from file
+    const buffer = await loadJobSource(job.id);
+    const extracted = await extractDocument({
+      originalname: job.fileName,
+      mimetype: job.mimeType,
+      buffer
+    }, {
+      ocrLanguage: job.options.ocrLanguage,
+      onOcrPage: (completedPages, totalPages) => emitJobEvent(job.id, 'ocr', { completedPages, totalPages })
+    });
+    const { format, outline, headings, metadata, ocr } = extracted;
+    if (ocr) {
+      logProgress(`Job ${job.id}: read ${ocr.processed}/${ocr.pages} scanned pages with OCR (${ocr.language})`);
+    }
+
+    // Headers, page numbers and line breaks out; front and back matter too when asked for
+    const { text, pages, cleanup } = cleanDocument(extracted, {
+      stripFrontBackMatter: job.options.stripMatter,
+      countTokens: provider.countTokens
+    });
+    if (cleanup) {
+      logProgress(`Job ${job.id}: text cleanup saved ${cleanup.tokensSaved} of ${cleanup.tokensBefore} tokens`);
+    }
+    // Scanned books without OCR, or with OCR that failed, have nothing to summarize
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      throw new Error(ocr?.error
+        ? `No readable text found in this document (OCR failed: ${ocr.error})`
+        : 'No readable text found in this document');
+    }
+    const wordCount = countWords(text);
+    const document = {
+      format,
+      title: metadata.title,
+      author: metadata.author,
+      pages: pages ? pages.length : null,
+      wordCount,
+      textLength: text.length
+    };
+
+    if (job.documentId) {
+      updateDocumentMetadata(job.documentId, document);
+    }
+
+    // Only the selected pages or sections are summarized, within chapter boundaries when chapters are detected
+    const plan = chunkDocument(text, pages, { outline, headings }, job.options, provider);
+    const { toc, params } = plan;
+    chunks = plan.chunks;
+    if (plan.selection) {
+      logProgress(`Job ${job.id}: summarizing ${plan.wordCount} of ${wordCount} words (pages ${job.options.pages || 'all'}, sections ${job.options.sections || 'all'})`);
+    }
+    if (toc.length) {
+      logProgress(`Job ${job.id}: detected ${toc.length} chapters/sections`);
+    }
+
+    // The pages read and the tokens the model calls are estimated to need have to fit in
+    // what's left of the user's daily quota
+    if (job.userId) {
+      const pageCount = countSelectedPages(pages, plan.ranges, plan.wordCount);
+      const { parallel, sequential } = planModelCalls(chunks, toc, params, job.options, provider);
+      const tokens = [...parallel, ...sequential].reduce((sum, call) => sum + call.inputTokens + call.outputTokens, 0);
+      const exceeded = checkLimit(job.userId, { pages: pageCount, tokens });
+      if (exceeded) {
+        const error = new Error(exceeded.error);
+        error.type = 'usage_limit';
+        throw error;
+      }
+      recordUsage(job.userId, { pages: pageCount });
+    }
+
+    // Where each chunk sits in the book, for citing pages and chapters in answers
+    const chunkStarts = locateChunks(text, chunks);
+    const chunkMeta = chunkStarts.map((start, index) => ({
+      start,
+      chapter: toc.find(entry => index >= entry.chunkStart && index < entry.chunkEnd)?.title || null
+    }));
+
+    await saveJobChunks(job.id, chunks);
+    await updateJob(job.id, {
+      params,
+      toc,
+      totalChunks: chunks.length,
+      chunkMeta,
+      pageOffsets: pages ? getPageOffsets(pages) : null,
+      cleanup,
+      document,
+      selection: plan.selection ? { pages: job.options.pages, sections: job.options.sections, wordCount: plan.wordCount } : null
+    });
+  }
+
+  const settings = jobModelSettings(job.options, job.params, provider);
+
+  job.cacheStats = job.cacheStats || { hits: 0, misses: 0, tokensSaved: 0 };
+  job.failures = job.failures || [];
+
+  logProgress(`Job ${job.id}: processing ${chunks.length} chunks...`);
+  await updateJob(job.id, { stage: JOB_STAGE.SUMMARIZING });
+  emitJobEvent(job.id, 'chunked', {
+    totalChunks: chunks.length,
+    completedChunks: countCompletedChunks(job),
+    chapters: job.toc.map(entry => entry.title)
+  });
+
+  // Summarize the remaining chunks, as many at a time as the provider allows. Each summary
+  // lands at its chunk's index, so the book's order is kept whatever order they finish in.
+  // Chunks that already failed are left for the retry endpoint.
+  const policy = job.options.onError || DEFAULT_SUMMARY_OPTIONS.onError;
+  const failed = new Set(job.failures.map(failure => failure.index));
+  const remaining = chunks.map((_, i) => i).filter(i => job.chunkSummaries[i] == null && !failed.has(i));
+  const concurrency = getRateLimiter(provider.name, provider.limits).concurrency;
+  const deferred = [];
+  let stopError = null;
+
+  await runConcurrently(remaining, concurrency, async (i) => {
+    if (stopError || job.status === JOB_STATUS.CANCELLED) return;
+
+    logProgress(`Job ${job.id}: summarizing chunk ${i + 1}/${chunks.length}...`);
+    const error = await summarizeJobChunk(job, provider, settings, chunks, i);
+    if (!error) return;
+
+    if (policy === 'retry-later' && error.retryable) {
+      logProgress(`Job ${job.id}: chunk ${i + 1} failed (${error.type}), retrying it later`);
+      deferred.push({ index: i, error });
+      return;
+    }
+
+    await recordChunkFailure(job, i, error);
+    if (policy === 'fail' || error.fatal) {
+      stopError = stopError || error;
+    }
+  });
+
+  if (job.status === JOB_STATUS.CANCELLED) {
+    logProgress(`Job ${job.id} cancelled after ${countCompletedChunks(job)}/${chunks.length} chunks`);
+    return;
+  }
+  if (stopError) throw stopError;
+
+  // Second attempt at chunks that hit a transient error, once the provider has had time to recover
+  if (deferred.length) {
+    const pause = Math.min(60, Math.max(5, ...deferred.map(({ error }) => error.retryAfter || 0)));
+    logProgress(`Job ${job.id}: retrying ${deferred.length} failed chunks in ${pause}s...`);
+    await new Promise(resolve => setTimeout(resolve, pause * 1000));
+
+    deferred.sort((a, b) => a.index - b.index);
+    await runConcurrently(deferred, concurrency, async ({ index }) => {
+      if (job.status === JOB_STATUS.CANCELLED) return;
+      const error = await summarizeJobChunk(job, provider, settings, chunks, index);
+      if (error) await recordChunkFailure(job, index, error);
+    });
+  }
+
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  const succeeded = job.chunkSummaries.filter(summary => summary != null);
+  if (job.failures.length && (policy !== 'skip' || !succeeded.length)) {
+    const error = new Error(`${job.failures.length} of ${chunks.length} chunks failed - retry them with POST /api/jobs/${job.id}/retry`);
+    error.type = job.failures[0].type;
+    throw error;
+  }
+
+  for (const pass of CHUNK_PASSES.filter(pass => job.options[pass.option])) {
+    await runChunkPass(job, pass, provider, chunks, concurrency);
+    if (job.status === JOB_STATUS.CANCELLED) return;
+  }
+
+  await updateJob(job.id, { stage: JOB_STAGE.REDUCING });
+  emitJobEvent(job.id, 'reducing');
+
+  const chapterSummaries = await summarizeJobChapters(job, provider, settings);
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  const finalSummary = await reduceJobSummaries(job, provider, settings, chapterSummaries || succeeded);
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  await updateJob(job.id, { status: JOB_STATUS.COMPLETED, stage: JOB_STAGE.DONE, summary: finalSummary });
+  if (job.documentId) {
+    completeSummary(job.id, buildJobResult(job));
+  }
+  emitJobEvent(job.id, 'complete', { summary: finalSummary, chunks: chunks.length, cache: job.cacheStats });
+  logProgress(`Job ${job.id}: summary completed (cache: ${job.cacheStats.hits} hits, ${job.cacheStats.misses} misses)`);
+}
+
+function countCompletedChunks(job) {
+  return job.chunkSummaries.filter(summary => summary != null).length;
+}
+
+// Summarizes chunk i into job.chunkSummaries[i]. Returns the ModelError if it failed.
+async function summarizeJobChunk(job, provider, settings, chunks, i) {
+  const prompt = createSummarizationPrompt(chunks[i], job.params.targetSummarySize);
+  try {
+    const summary = await generateSummary(provider, prompt, settings, job.cacheStats, job.userId);
+    job.chunkSummaries[i] = summary;
+    await updateJob(job.id, { chunkSummaries: job.chunkSummaries });
+    emitJobEvent(job.id, 'chunk', {
+      index: i,
+      completedChunks: countCompletedChunks(job),
+      totalChunks: chunks.length,
+      summary
+    });
+    return null;
+  } catch (error) {
+    if (!isModelError(error)) throw error;
+    return error;
+  }
+}
+
+async function recordChunkFailure(job, index, error) {
+  const failure = {
+    index,
+    chapter: job.chunkMeta?.[index]?.chapter || null,
+    type: error.type,
+    message: error.message,
+    attempts: error.attempts || 1,
+    failedAt: new Date().toISOString()
+  };
+  console.error(`Job ${job.id}: chunk ${index + 1} failed (${error.type}): ${error.message}`);
+
+  job.chunkSummaries[index] = null;
+  await updateJob(job.id, { chunkSummaries: job.chunkSummaries, failures: [...job.failures, failure].sort((a, b) => a.index - b.index) });
+  emitJobEvent(job.id, 'chunk_failed', failure);
+}
+
+// Runs a chunk pass (see CHUNK_PASSES) over every summarized chunk, then merges the
+// chunks' answers. Chunks whose reply is still not valid JSON after a second try are left
+// out; only auth and quota errors stop the job, since the summary doesn't depend on it.
+async function runChunkPass(job, pass, provider, chunks, concurrency) {
+  const settings = { systemInstruction: pass.instruction(job.options), ...pass.config };
+  job[pass.chunkField] = chunks.map((_, i) => job[pass.chunkField]?.[i] ?? null);
+  const remaining = chunks.map((_, i) => i).filter(i => job.chunkSummaries[i] != null && job[pass.chunkField][i] == null);
+  const countDone = () => job[pass.chunkField].filter(Boolean).length;
+
+  logProgress(`Job ${job.id}: extracting ${pass.label} from ${remaining.length} chunks...`);
+  await updateJob(job.id, { stage: pass.stage });
+  emitJobEvent(job.id, pass.stage, { completedChunks: countDone(), totalChunks: chunks.length });
+
+  let stopError = null;
+  await runConcurrently(remaining, concurrency, async (i) => {
+    if (stopError || job.status === JOB_STATUS.CANCELLED) return;
+
+    try {
+      job[pass.chunkField][i] = await runChunkPassCall(job, pass, provider, settings, chunks[i]);
+    } catch (error) {
+      if (!isModelError(error)) throw error;
+      console.error(`Job ${job.id}: chunk ${i + 1} ${pass.label} failed (${error.type}): ${error.message}`);
+      if (error.fatal) stopError = stopError || error;
+      return;
+    }
+    await updateJob(job.id, { [pass.chunkField]: job[pass.chunkField] });
+    emitJobEvent(job.id, pass.stage, { index: i, completedChunks: countDone(), totalChunks: chunks.length });
+  });
+
+  if (stopError) throw stopError;
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  const merged = pass.merge(job[pass.chunkField], { chunks, chunkMeta: job.chunkMeta, pageOffsets: job.pageOffsets });
+  await updateJob(job.id, { [pass.field]: merged, cacheStats: job.cacheStats });
+}
+
+// One chunk's answer in a chunk pass, or null when the model's reply isn't valid JSON twice in a row
+async function runChunkPassCall(job, pass, provider, settings, chunk) {
+  const accept = (response) => !pass.parse(response).error;
+  let { result, error } = pass.parse(await generateSummary(provider, pass.prompt(chunk), settings, job.cacheStats, job.userId, { accept }));
+  if (error) {
+    logProgress(`Job ${job.id}: ${pass.label} reply was not usable (${error}), asking again`);
+    ({ result, error } = pass.parse(await generateSummary(provider, pass.repairPrompt(chunk, error), settings, job.cacheStats, job.userId, { accept })));
+  }
+  if (error) {
+    console.error(`Job ${job.id}: leaving a chunk out of the ${pass.label}: ${error}`);
+    return null;
+  }
+  return result;
+}
+
+// Gives every detected chapter its own summary by merging the summaries of its chunks.
+// Returns the chapter summaries in order, or null when no chapters were detected.
+async function summarizeJobChapters(job, provider, settings) {
+  if (!job.toc.length) return null;
+
+  for (let i = 0; i < job.toc.length; i++) {
+    const entry = job.toc[i];
+    if (entry.summary !== null || entry.chunkStart === entry.chunkEnd) continue;
+    if (job.status === JOB_STATUS.CANCELLED) return null;
+
+    // Chunks that failed under the "skip" policy are left out; a chapter with none left has no summary
+    const summaries = job.chunkSummaries.slice(entry.chunkStart, entry.chunkEnd).filter(summary => summary != null);
+    if (!summaries.length) continue;
+    if (summaries.length === 1) {
+      entry.summary = summaries[0];
+    } else {
+      logProgress(`Job ${job.id}: summarizing chapter ${i + 1}/${job.toc.length}...`);
+      const targetSize = Math.max(150, Math.min(job.params.targetSummarySize, Math.round(entry.wordCount * 0.1)));
+      entry.summary = await generateSummary(provider, createReducePrompt(summaries, targetSize), settings, job.cacheStats, job.userId);
+    }
+
+    await updateJob(job.id, { toc: job.toc });
+    emitJobEvent(job.id, 'chapter', {
+      index: i,
+      title: entry.title,
+      totalChapters: job.toc.length,
+      summary: entry.summary
+    });
+  }
+
+  return job.toc.filter(entry => entry.summary !== null).map(entry => entry.summary);
+}
+
+// Reduce stage: merges chunk (or chapter) summaries in groups, level by level, until they fit in a
+// single prompt, then runs a final consolidation pass at the requested length. Every
+// level is kept on the job (for the book -> part -> chunk drill-down) and persisted
+// after each group so an interrupted job resumes mid-reduce.
+async function reduceJobSummaries(job, provider, settings, baseSummaries) {
+  const { summaryInputSize, targetSummarySize } = job.params;
+  const levels = job.reduceLevels || [];
+  let current = baseSummaries;
+
+  // A single summary already has the requested length; only restyle it when a style
+  // other than plain prose was asked for
+  if (current.length === 1 && (job.options.style || DEFAULT_SUMMARY_OPTIONS.style) === DEFAULT_SUMMARY_OPTIONS.style) {
+    return current[0];
+  }
+
+  for (let depth = 0; ; depth++) {
+    let level = levels[depth];
+
+    if (!level) {
+      if (current.length <= 1 || provider.countTokens(current.join('\n\n')) <= summaryInputSize) break;
+
+      level = { groups: groupSummaries(current, summaryInputSize, provider.countTokens), summaries: [] };
+      levels.push(level);
+      await updateJob(job.id, { reduceLevels: levels });
+    }
+
+    // Leave room in the next level's prompt for every part summary
+    const partTargetSize = Math.max(150, Math.min(targetSummarySize, Math.floor((summaryInputSize * 0.75) / level.groups.length)));
+
+    for (let g = level.summaries.length; g < level.groups.length; g++) {
+      if (job.status === JOB_STATUS.CANCELLED) return null;
+
+      logProgress(`Job ${job.id}: reducing level ${depth + 1}, group ${g + 1}/${level.groups.length}...`);
+      const group = level.groups[g].map(index => current[index]);
+      level.summaries.push(await generateSummary(provider, createReducePrompt(group, partTargetSize), settings, job.cacheStats, job.userId));
+      await updateJob(job.id, { reduceLevels: levels });
+      emitJobEvent(job.id, 'reducing', {
+        level: depth + 1,
+        completedGroups: g + 1,
+        totalGroups: level.groups.length
+      });
+    }
+
+    current = level.summaries;
+  }
+
+  if (job.status === JOB_STATUS.CANCELLED) return null;
+
+  logProgress(`Job ${job.id}: consolidating ${current.length} summaries...`);
+  emitJobEvent(job.id, 'reducing', { consolidating: true });
+  // Chapter titles label the parts until summaries have been merged across chapters
+  const titles = levels.length ? [] : job.toc.filter(entry => entry.summary !== null).map(entry => entry.title);
+  const summary = await generateSummary(
+    provider,
+    createConsolidationPrompt(current, targetSummarySize, job.options.style, titles),
+    settings,
+    job.cacheStats,
+    job.userId
+  );
+  await updateJob(job.id, { cacheStats: job.cacheStats });
+  return summary;
+}
+
+// Runs a queued job of either type
+export function runJob(job) {
+  return job.type === JOB_TYPE.COMPARISON ? runComparisonJob(job) : runSummarizationJob(job);
+}
+
+// Compares the summaries of a comparison job's source jobs, which ran before it in the
+// queue. Summaries that together don't fit in the model's context are condensed first.
+export async function runComparisonJob(job) {
+  const provider = getProvider(job.options.provider, job.options.model);
+  const sourceJobs = job.sources.map(id => getJob(id));
+
+  const unfinished = sourceJobs.findIndex(source => source?.status !== JOB_STATUS.COMPLETED);
+  if (unfinished !== -1) {
+    const source = sourceJobs[unfinished];
+    const error = new Error(source
+      ? `"${source.fileName}" was not summarized (${source.status}${source.error ? `: ${source.error}` : ''}) - retry it, then retry the comparison`
+      : `Document ${unfinished + 1} of the comparison was deleted`);
+    error.type = source?.errorType || 'invalid_input';
+    throw error;
+  }
+
+  await updateJob(job.id, { stage: JOB_STAGE.COMPARING });
+  emitJobEvent(job.id, 'comparing', { totalSources: sourceJobs.length });
+  job.cacheStats = job.cacheStats || { hits: 0, misses: 0, tokensSaved: 0 };
+
+  const settings = { systemInstruction: createComparisonInstruction(job.options), ...COMPARISON_GENERATION_CONFIG };
+  const sourceBudget = Math.floor((provider.contextSize - settings.maxOutputTokens - 1000) / sourceJobs.length);
+  const sources = [];
+  for (const [index, source] of sourceJobs.entries()) {
+    if (job.status === JOB_STATUS.CANCELLED) return;
+
+    let summary = source.summary;
+    if (provider.countTokens(summary) > sourceBudget) {
+      logProgress(`Job ${job.id}: condensing the summary of "${source.fileName}" to fit the comparison...`);
+      emitJobEvent(job.id, 'comparing', { totalSources: sourceJobs.length, condensing: index });
+      // A word is more than a token, and the condensed summary may overshoot its target
+      const targetWords = Math.max(100, Math.floor(sourceBudget * 0.6));
+      summary = await generateSummary(provider, createCondensePrompt(summary, targetWords), {
+        systemInstruction: createSystemInstruction(job.options)
+      }, job.cacheStats, job.userId);
+    }
+    sources.push({
+      jobId: source.id,
+      documentId: source.documentId ?? null,
+      fileName: source.fileName,
+      title: source.document?.title || null,
+      author: source.document?.author || null,
+      wordCount: source.document?.wordCount ?? null,
+      summary
+    });
+  }
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  logProgress(`Job ${job.id}: comparing ${sources.length} documents...`);
+  const focus = job.options.focus || null;
+  const accept = (response) => !parseComparison(response, sources.length).error;
+  let { comparison, error } = parseComparison(await generateSummary(provider, createComparisonPrompt(sources, focus), settings, job.cacheStats, job.userId, { accept }), sources.length);
+  if (error) {
+    logProgress(`Job ${job.id}: comparison reply was not usable (${error}), asking again`);
+    ({ comparison, error } = parseComparison(await generateSummary(provider, createComparisonRepairPrompt(sources, focus, error), settings, job.cacheStats, job.userId, { accept }), sources.length));
+  }
+  if (error) {
+    throw new Error(`The model's comparison could not be used: ${error}`);
+  }
+  if (job.status === JOB_STATUS.CANCELLED) return;
+
+  // The report shows every document's own summary, not the condensed one
+  comparison.sources = sources.map((source, index) => ({ ...source, summary: sourceJobs[index].summary }));
+  await updateJob(job.id, { status: JOB_STATUS.COMPLETED, stage: JOB_STAGE.DONE, comparison });
+  emitJobEvent(job.id, 'complete', { comparison, cache: job.cacheStats });
+  logProgress(`Job ${job.id}: comparison completed (${comparison.sharedThemes.length} shared themes, ${comparison.disagreements.length} disagreements)`);
+}
+
+// Finished report of a comparison job
+export function buildComparisonResult(job) {
+  const { sources, ...report } = job.comparison;
+  return {
+    type: JOB_TYPE.COMPARISON,
+    focus: job.options.focus || null,
+    provider: job.options.provider,
+    model: job.options.model,
+    options: job.options,
+    cache: job.cacheStats,
+    sources,
+    ...report
+  };
+}
+
+// Everything a finished job produced, as returned by /result and saved to the library
+export function buildJobResult(job) {
+  return {
+    summary: job.summary,
+    chunks: job.totalChunks,
+    provider: job.options.provider,
+    model: job.options.model,
+    options: job.options,
+    targetWords: job.params.targetSummarySize,
+    cache: job.cacheStats,
+    cleanup: job.cleanup || null,
+    selection: job.selection || null,
+    failures: job.failures || [],
+    analysis: job.analysis || null,
+    study: job.study || null,
+    hierarchy: buildSummaryTree(job),
+    toc: job.toc.map(({ title, level, startPage, endPage, wordCount, summary }) => ({
+      title,
+      level,
+      startPage,
+      endPage,
+      wordCount,
+      summary
+    }))
+  };
+}
+
+// Nests the chunk summaries under their chapters and the part summaries of each reduce
+// level, with the final summary at the root: book -> part(s) -> chapter -> chunk
+function buildSummaryTree(job) {
+  const chunkNodes = job.chunkSummaries.map((summary, index) => ({ type: 'chunk', index, summary }));
+  // Failed chunks are not part of any summary (their indices match the reduce groups' input)
+  let nodes = chunkNodes.filter(node => node.summary != null);
+
+  if (job.toc.length) {
+    nodes = job.toc
+      .filter(entry => entry.summary !== null)
+      .map((entry, index) => ({
+        type: 'chapter',
+        index,
+        title: entry.title,
+        summary: entry.summary,
+        children: chunkNodes.slice(entry.chunkStart, entry.chunkEnd).filter(node => node.summary != null)
+      }));
+  }
+
+  (job.reduceLevels || []).forEach((level, depth) => {
+    const children = nodes;
+    nodes = level.groups.map((group, index) => ({
+      type: 'part',
+      level: depth + 1,
+      index,
+      summary: level.summaries[index],
+      children: group.map(childIndex => children[childIndex])
+    }));
+  });
+
+  return { type: 'book', summary: job.summary, children: nodes };
+}
+
+// Validates the provider and summary options of a summarize request.
+// Returns { options } or { status, error }.
+export function parseJobOptions(body) {
+  const providerName = body.provider || undefined;
+  if (providerName && !hasProvider(providerName)) {
+    return { status: 400, error: `Unknown provider: ${providerName}` };
+  }
+
+  const provider = getProvider(providerName, body.model || undefined);
+  if (!provider.isConfigured()) {
+    return { status: 500, error: `${provider.label} provider is not configured on server` };
+  }
+
+  const { options, error } = parseSummaryOptions(body);
+  if (error) {
+    return { status: 400, error };
+  }
+  const maxWords = maxTargetWords(provider);
+  if (options.targetWords > maxWords) {
+    return { status: 400, error: `targetWords must be at most ${maxWords} for ${provider.model}` };
+  }
+
+  const { language: ocrLanguage, error: ocrError } = parseOcrLanguage(body.ocrLanguage);
+  if (ocrError) {
+    return { status: 400, error: ocrError };
+  }
+
+  // Checked against the document once its text has been extracted
+  const { selection, error: selectionError } = parseSelection(body);
+  if (selectionError) {
+    return { status: 400, error: selectionError };
+  }
+
+  return {
+    options: {
+      ...options,
+      provider: provider.name,
+      model: provider.model,
+      ocrLanguage,
+      stripMatter: parseFlag(body.stripMatter),
+      analysis: parseFlag(body.analysis),
+      study: parseFlag(body.study),
+      pages: selection?.pages ? formatRanges(selection.pages) : null,
+      sections: selection?.sections ? formatRanges(selection.sections) : null
+    }
+  };
+}
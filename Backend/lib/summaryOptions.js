@@ -0,0 +1,157 @@
+// Summary style presets. `focus` steers what the section summaries keep; `format`
+// describes the shape of the final summary.
+export const SUMMARY_STYLES = {
+  executive: {
+    label: 'Executive brief',
+    description: 'Short, decision-oriented overview of the main ideas and conclusions',
+    focus: 'the central arguments, conclusions, decisions and their implications',
+    format: 'Open with a one-paragraph overview, then cover the main points and conclusions in short paragraphs. Favour implications and takeaways over narrative detail.'
+  },
+  takeaways: {
+    label: 'Key takeaways',
+    description: 'Bullet list of the most important points',
+    focus: 'distinct, actionable or memorable points',
+    format: 'Write a bulleted list ("- " at the start of each line) of key takeaways, most important first. Each bullet is one or two sentences and stands on its own.'
+  },
+  chapters: {
+    label: 'Chapter by chapter',
+    description: 'One short section per chapter, in order',
+    focus: 'what happens or is argued in this part, in order',
+    format: 'Write one section per chapter or part, in order, each starting with the chapter title as a Markdown heading ("## Title") followed by its summary. Keep every chapter, even briefly.'
+  },
+  study: {
+    label: 'Study notes',
+    description: 'Structured notes with key terms, definitions and concepts',
+    focus: 'key terms, definitions, concepts, facts, dates and examples a student would need',
+    format: 'Write structured study notes: Markdown headings for the main topics, bullet points under each, key terms in **bold** with their definitions, and a short "Review" list of the most important points at the end.'
+  },
+  eli5: {
+    label: 'Explain like I\'m 5',
+    description: 'Plain-language explanation anyone can follow',
+    focus: 'the core ideas, in the simplest terms',
+    format: 'Explain the book in very simple language a child could follow: short sentences, everyday words, concrete analogies instead of jargon.'
+  },
+  academic: {
+    label: 'Academic abstract',
+    description: 'Formal abstract: background, aims, method, findings, conclusions',
+    focus: 'the research question or thesis, methods, evidence, findings and conclusions',
+    format: 'Write a formal academic abstract in continuous prose covering, in order: background and aims, approach or method, main findings or arguments, and conclusions and significance. No headings or lists.'
+  }
+};
+
+export const SUMMARY_TONES = {
+  neutral: 'neutral and informative',
+  formal: 'formal and precise',
+  conversational: 'friendly and conversational',
+  enthusiastic: 'engaging and enthusiastic'
+};
+
+// What a job does when a section can't be summarized
+export const ERROR_POLICIES = {
+  'retry-later': 'Retry failed sections after the others; stop with the failures listed if they still fail',
+  skip: 'Leave failed sections out of the summary and list them',
+  fail: 'Stop at the first failed section'
+};
+
+export const DEFAULT_SUMMARY_OPTIONS = {
+  style: 'executive',
+  tone: 'neutral',
+  language: 'English',
+  targetWords: null,
+  targetPercent: null,
+  onError: 'retry-later'
+};
+
+export const TARGET_WORDS_RANGE = { min: 50, max: 10000 };
+export const TARGET_PERCENT_RANGE = { min: 1, max: 90 };
+
+// Options the UI offers, for GET /api/summary-options
+export function listSummaryOptions() {
+  return {
+    styles: Object.entries(SUMMARY_STYLES).map(([id, { label, description }]) => ({ id, label, description })),
+    tones: Object.entries(SUMMARY_TONES).map(([id, description]) => ({ id, description })),
+    errorPolicies: Object.entries(ERROR_POLICIES).map(([id, description]) => ({ id, description })),
+    targetWords: TARGET_WORDS_RANGE,
+    targetPercent: TARGET_PERCENT_RANGE,
+    defaults: DEFAULT_SUMMARY_OPTIONS
+  };
+}
+
+const parseNumber = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+
+// Validates summary options from a request body. Returns { options } or { error }.
+export function parseSummaryOptions(body = {}) {
+  const options = { ...DEFAULT_SUMMARY_OPTIONS };
+
+  const targetWords = parseNumber(body.targetWords);
+  const targetPercent = parseNumber(body.targetPercent);
+  if (targetWords !== null && targetPercent !== null) {
+    return { error: 'Use either targetWords or targetPercent, not both' };
+  }
+  if (targetWords !== null) {
+    if (!(Number.isInteger(targetWords) && targetWords >= TARGET_WORDS_RANGE.min && targetWords <= TARGET_WORDS_RANGE.max)) {
+      return { error: `targetWords must be a number between ${TARGET_WORDS_RANGE.min} and ${TARGET_WORDS_RANGE.max}` };
+    }
+    options.targetWords = targetWords;
+  }
+  if (targetPercent !== null) {
+    if (!(targetPercent >= TARGET_PERCENT_RANGE.min && targetPercent <= TARGET_PERCENT_RANGE.max)) {
+      return { error: `targetPercent must be a number between ${TARGET_PERCENT_RANGE.min} and ${TARGET_PERCENT_RANGE.max}` };
+    }
+    options.targetPercent = targetPercent;
+  }
+
+  if (body.style) {
+    if (!Object.hasOwn(SUMMARY_STYLES, body.style)) {
+      return { error: `Unknown style: ${body.style}. Expected one of ${Object.keys(SUMMARY_STYLES).join(', ')}` };
+    }
+    options.style = body.style;
+  }
+
+  if (body.tone) {
+    if (!Object.hasOwn(SUMMARY_TONES, body.tone)) {
+      return { error: `Unknown tone: ${body.tone}. Expected one of ${Object.keys(SUMMARY_TONES).join(', ')}` };
+    }
+    options.tone = body.tone;
+  }
+
+  if (body.onError) {
+    if (!Object.hasOwn(ERROR_POLICIES, body.onError)) {
+      return { error: `Unknown onError policy: ${body.onError}. Expected one of ${Object.keys(ERROR_POLICIES).join(', ')}` };
+    }
+    options.onError = body.onError;
+  }
+
+  if (body.language) {
+    const language = String(body.language).trim();
+    // A language name such as "French" or "Brazilian Portuguese", not free-form instructions
+    if (!/^[\p{L}][\p{L} ()-]{0,39}$/u.test(language)) {
+      return { error: 'language must be a language name such as "English" or "Spanish"' };
+    }
+    options.language = language;
+  }
+
+  return { options };
+}
+
+// Final summary length in words for a document of wordCount words. Without a requested
+// length, aim for 50% of the original, between 200 and 2000 words.
+export function resolveTargetWords(options, wordCount) {
+  if (options.targetWords) {
+    return options.targetWords;
+  }
+  if (options.targetPercent) {
+    const words = Math.round(wordCount * options.targetPercent / 100);
+    return Math.max(TARGET_WORDS_RANGE.min, Math.min(TARGET_WORDS_RANGE.max, words));
+  }
+  return Math.max(200, Math.min(2000, Math.floor(wordCount * 0.5)));
+}
+
+// System instruction for every model call of a job
+export function createSystemInstruction(options) {
+  const { style, tone, language } = { ...DEFAULT_SUMMARY_OPTIONS, ...options };
+
+  return `You are an expert summarizer. Create well-balanced summaries that capture all important information while being more concise than the original. Include key points, main ideas, important details, and essential context, with particular attention to ${SUMMARY_STYLES[style].focus}.
+
+Write in a ${SUMMARY_TONES[tone]} tone. Write in ${language}, whatever the language of the original text.`;
+}
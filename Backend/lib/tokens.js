@@ -0,0 +1,51 @@
+import { get_encoding, get_encoding_name_for_model } from 'tiktoken';
+
+// Tokenizers are WebAssembly objects that take a while to build, so each encoding is
+// created once and reused for every count
+const encoders = new Map();
+
+// Models tiktoken doesn't know (Gemini, local models) are close enough to cl100k_base for budgeting
+function encodingName(model) {
+  try {
+    return get_encoding_name_for_model(model);
+  } catch (error) {
+    return 'cl100k_base';
+  }
+}
+
+function getEncoder(model) {
+  const name = encodingName(model);
+  if (!encoders.has(name)) {
+    try {
+      encoders.set(name, get_encoding(name));
+    } catch (error) {
+      encoders.set(name, null);
+    }
+  }
+  return encoders.get(name);
+}
+
+// Name of the tokenizer a model's tokens are counted with, e.g. "o200k_base"
+export function tokenizerName(model) {
+  return getEncoder(model)?.name || 'words';
+}
+
+// Token counter for a model, falling back to an estimate from the word count
+export function createTokenCounter(model) {
+  return (text) => {
+    const encoder = getEncoder(model);
+    if (!encoder) return countTokensByWords(text);
+    try {
+      return encoder.encode(text).length;
+    } catch (error) {
+      return countTokensByWords(text);
+    }
+  };
+}
+
+export const countTokens = createTokenCounter('gpt-3.5-turbo');
+
+export function countTokensByWords(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.ceil(words / 0.75);
+}
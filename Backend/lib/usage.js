@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { DATA_DIR } from './jobs.js';
+
+// Per-user daily usage and quotas, next to the accounts in DATA_DIR/users.db. Days are
+// UTC dates. Every job started, page read and model token sent or received is counted
+// against the day it happened on.
+//
+// Default daily limits come from QUOTA_DAILY_JOBS, QUOTA_DAILY_PAGES and
+// QUOTA_DAILY_TOKENS; 0 means unlimited. Admins can override them per user.
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+export const DEFAULT_LIMITS = {
+  jobs: envLimit('QUOTA_DAILY_JOBS', 20),
+  pages: envLimit('QUOTA_DAILY_PAGES', 1000),
+  tokens: envLimit('QUOTA_DAILY_TOKENS', 2000000)
+};
+
+export const LIMIT_NAMES = Object.keys(DEFAULT_LIMITS);
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const db = new Database(path.join(DATA_DIR, 'users.db'));
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS usage (
+    user_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    jobs INTEGER NOT NULL DEFAULT 0,
+    pages INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_limits (
+    user_id TEXT PRIMARY KEY,
+    jobs INTEGER,
+    pages INTEGER,
+    tokens INTEGER
+  );
+`);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function toUsage(row, day) {
+  return {
+    day: row?.day || day,
+    jobs: row?.jobs || 0,
+    pages: row?.pages || 0,
+    inputTokens: row?.input_tokens || 0,
+    outputTokens: row?.output_tokens || 0,
+    tokens: (row?.input_tokens || 0) + (row?.output_tokens || 0)
+  };
+}
+
+// Adds to a user's usage for today
+export function recordUsage(userId, { jobs = 0, pages = 0, inputTokens = 0, outputTokens = 0 }) {
+  if (!userId) return;
+  db.prepare(`
+    INSERT INTO usage (user_id, day, jobs, pages, input_tokens, output_tokens) VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (user_id, day) DO UPDATE SET
+      jobs = jobs + excluded.jobs,
+      pages = pages + excluded.pages,
+      input_tokens = input_tokens + excluded.input_tokens,
+      output_tokens = output_tokens + excluded.output_tokens
+  `).run(userId, today(), jobs, pages, inputTokens, outputTokens);
+}
+
+export function getUsage(userId, day = today()) {
+  return toUsage(db.prepare('SELECT * FROM usage WHERE user_id = ? AND day = ?').get(userId, day), day);
+}
+
+// A user's daily limits: their overrides, or the defaults
+export function getLimits(userId) {
+  const row = db.prepare('SELECT * FROM user_limits WHERE user_id = ?').get(userId);
+  return Object.fromEntries(LIMIT_NAMES.map(name => [name, row?.[name] ?? DEFAULT_LIMITS[name]]));
+}
+
+// limits is { jobs, pages, tokens }; null puts a limit back to the default
+export function setLimits(userId, limits) {
+  const current = db.prepare('SELECT * FROM user_limits WHERE user_id = ?').get(userId) || {};
+  const next = Object.fromEntries(LIMIT_NAMES.map(name => [name, name in limits ? limits[name] : current[name] ?? null]));
+  db.prepare(`
+    INSERT INTO user_limits (user_id, jobs, pages, tokens) VALUES (@userId, @jobs, @pages, @tokens)
+    ON CONFLICT (user_id) DO UPDATE SET jobs = excluded.jobs, pages = excluded.pages, tokens = excluded.tokens
+  `).run({ userId, ...next });
+  return getLimits(userId);
+}
+
+// What's left of each of a user's limits today (null for unlimited)
+export function getRemaining(userId) {
+  const usage = getUsage(userId);
+  const limits = getLimits(userId);
+  return Object.fromEntries(LIMIT_NAMES.map(name => [name, limits[name] ? Math.max(0, limits[name] - usage[name]) : null]));
+}
+
+// Checks whether a user can use this much more today. Returns null, or { error, limit }
+// naming the first limit it would go over.
+export function checkLimit(userId, amounts) {
+  if (!userId) return null;
+  const usage = getUsage(userId);
+  const limits = getLimits(userId);
+
+  for (const name of LIMIT_NAMES) {
+    if (!amounts[name] || !limits[name]) continue;
+    if (usage[name] + amounts[name] > limits[name]) {
+      const left = Math.max(0, limits[name] - usage[name]);
+      const format = (value) => value.toLocaleString('en-US');
+      return {
+        limit: name,
+        error: (left && amounts[name] > 1
+          ? `This needs about ${format(amounts[name])} ${name}, more than the ${format(left)} left of today's ${format(limits[name])}.`
+          : `Daily ${name} limit reached: ${format(usage[name])} of ${format(limits[name])} used today.`) +
+          ' It resets at midnight UTC.'
+      };
+    }
+  }
+  return null;
+}
+
+// Usage per user and day over the last days, newest first, with totals per user
+export function getUsageReport({ days = 7 } = {}) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rows = db.prepare('SELECT * FROM usage WHERE day >= ? ORDER BY day DESC, user_id').all(since);
+
+  const users = new Map();
+  for (const row of rows) {
+    if (!users.has(row.user_id)) {
+      users.set(row.user_id, { userId: row.user_id, totals: toUsage(null, null), days: [] });
+    }
+    const entry = users.get(row.user_id);
+    const usage = toUsage(row);
+    entry.days.push(usage);
+    for (const name of ['jobs', 'pages', 'inputTokens', 'outputTokens', 'tokens']) {
+      entry.totals[name] += usage[name];
+    }
+  }
+  for (const entry of users.values()) {
+    delete entry.totals.day;
+  }
+
+  return { since, days, users: [...users.values()] };
+}
@@ -0,0 +1,420 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { DATA_DIR, JOB_TYPE, JOB_STATUS, getJob, subscribeToAllJobs } from './jobs.js';
+import { getDocument } from './library.js';
+import { countWords } from './summarizer.js';
+import { parseIngestUrl, guardedLookup } from './ingest.js';
+
+// Webhooks: when a job completes or fails, the server POSTs a JSON payload about it to the
+// callbackUrl given with the request that started it, and to the webhooks registered by
+// its owner (or registered globally, for every job). Payloads are signed with HMAC-SHA256
+// so receivers can check they come from this server.
+//
+// Deliveries that fail (network error, timeout, or an answer other than 2xx) are retried
+// with growing delays. Deliveries and every attempt are logged in DATA_DIR/webhooks.db,
+// and pending deliveries resume after a restart.
+//
+// Callback URLs must be public http(s) URLs, like the URLs /api/ingest-url fetches;
+// WEBHOOK_ALLOW_PRIVATE=true allows receivers on the local network.
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+const DEFAULT_SECRET = process.env.WEBHOOK_SECRET || null;
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Delay before each retry: 10 seconds, 1 minute, 5 minutes, 30 minutes, 2 hours
+const RETRY_DELAYS = [10, 60, 300, 1800, 7200].map(seconds => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+export const MAX_WEBHOOKS = 10;
+const MAX_SECRET_LENGTH = 200;
+const USER_AGENT = 'BookBrief-AI-Webhooks/1.0';
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+const db = new Database(path.join(DATA_DIR, 'webhooks.db'));
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// Secrets are kept as they are, since every delivery is signed with them. Registered
+// webhooks without a user_id are global.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS job_callbacks (
+    job_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    user_id TEXT,
+    webhook_id TEXT,
+    url TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    next_attempt_at TEXT,
+    delivered_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS delivery_attempts (
+    delivery_id TEXT NOT NULL REFERENCES deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    attempted_at TEXT NOT NULL,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    PRIMARY KEY (delivery_id, attempt)
+  );
+
+  CREATE INDEX IF NOT EXISTS deliveries_user ON deliveries(user_id, created_at);
+  CREATE INDEX IF NOT EXISTS deliveries_job ON deliveries(job_id, created_at);
+  CREATE INDEX IF NOT EXISTS deliveries_pending ON deliveries(status, next_attempt_at);
+`);
+
+function toWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    global: row.user_id === null,
+    createdAt: row.created_at
+  };
+}
+
+function toDelivery(row, { includePayload = false } = {}) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    webhookId: row.webhook_id,
+    url: row.url,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    log: db.prepare('SELECT * FROM delivery_attempts WHERE delivery_id = ? ORDER BY attempt').all(row.id).map(attempt => ({
+      attempt: attempt.attempt,
+      attemptedAt: attempt.attempted_at,
+      responseStatus: attempt.response_status,
+      error: attempt.error,
+      durationMs: attempt.duration_ms
+    })),
+    ...(includePayload && { payload: JSON.parse(row.payload) })
+  };
+}
+
+// Validates a webhook or callback URL. Returns { url } or { error }.
+export function parseWebhookUrl(value) {
+  const { url, error } = parseIngestUrl(value, { allowPrivate: ALLOW_PRIVATE });
+  return error ? { error: `Invalid webhook URL: ${error}` } : { url: url.href };
+}
+
+// The callback of a summarize or compare request: callbackUrl, signed with callbackSecret
+// or WEBHOOK_SECRET. Returns { callback } (null without a callbackUrl) or { error }.
+export function parseCallback(body = {}) {
+  if (body.callbackUrl === undefined || body.callbackUrl === '') {
+    return { callback: null };
+  }
+
+  const { url, error } = parseWebhookUrl(body.callbackUrl);
+  if (error) {
+    return { error };
+  }
+  const secret = body.callbackSecret || DEFAULT_SECRET;
+  if (typeof secret !== 'string' || secret.length < 16 || secret.length > MAX_SECRET_LENGTH) {
+    return {
+      error: DEFAULT_SECRET || body.callbackSecret
+        ? `callbackSecret must be 16-${MAX_SECRET_LENGTH} characters`
+        : 'callbackSecret is required to sign callbacks (16 or more characters)'
+    };
+  }
+  return { callback: { url, secret } };
+}
+
+export function addJobCallback(jobId, userId, { url, secret }) {
+  db.prepare(`
+    INSERT OR REPLACE INTO job_callbacks (job_id, user_id, url, secret, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(jobId, userId, url, secret, new Date().toISOString());
+}
+
+export function listWebhooks(userId) {
+  return db.prepare('SELECT * FROM webhooks WHERE user_id IS ? ORDER BY created_at').all(userId).map(toWebhook);
+}
+
+export function countWebhooks(userId) {
+  return db.prepare('SELECT COUNT(*) AS count FROM webhooks WHERE user_id IS ?').get(userId).count;
+}
+
+// Registers a webhook for a user's jobs, or for every job when userId is null. The
+// signing secret is only returned here: { secret, webhook }.
+export function createWebhook(userId, url) {
+  const id = crypto.randomUUID();
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  db.prepare(`
+    INSERT INTO webhooks (id, user_id, url, secret, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(id, userId, url, secret, new Date().toISOString());
+  return { secret, webhook: toWebhook(db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id)) };
+}
+
+export function deleteWebhook(userId, id) {
+  return db.prepare('DELETE FROM webhooks WHERE id = ? AND user_id IS ?').run(id, userId).changes > 0;
+}
+
+// Deliveries to a user's webhooks and callbacks, newest first; every delivery for null
+export function listDeliveries({ userId = null, jobId = null, status = null, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (jobId) {
+    conditions.push('job_id = ?');
+    params.push(jobId);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM deliveries ${where}`).get(...params).count;
+  const rows = db.prepare(`SELECT * FROM deliveries ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset);
+  return { total, deliveries: rows.map(row => toDelivery(row)) };
+}
+
+export function getDelivery(id) {
+  const row = db.prepare('SELECT * FROM deliveries WHERE id = ?').get(id);
+  return row ? { ...toDelivery(row, { includePayload: true }), userId: row.user_id } : null;
+}
+
+// Payload of a finished job's event
+function buildPayload(job, event) {
+  const document = job.documentId ? getDocument(job.documentId) : null;
+  const failed = job.status === JOB_STATUS.FAILED;
+
+  return {
+    event,
+    // A summary's id in the library is its job's id
+    summaryId: job.type === JOB_TYPE.SUMMARY ? job.id : null,
+    jobId: job.id,
+    type: job.type || JOB_TYPE.SUMMARY,
+    status: job.status,
+    documentId: job.documentId ?? null,
+    fileName: job.fileName,
+    title: document?.title ?? null,
+    author: document?.author ?? null,
+    sources: job.sources || null,
+    options: job.options,
+    stats: {
+      chunks: job.totalChunks ?? null,
+      failedChunks: (job.failures || []).length,
+      summaryWords: job.summary ? countWords(job.summary) : null,
+      cache: job.cacheStats,
+      durationSeconds: job.startedAt ? Math.round((Date.now() - Date.parse(job.startedAt)) / 1000) : null
+    },
+    error: failed ? { message: job.error, type: job.errorType || null } : null,
+    resultUrl: failed ? null : `${PUBLIC_URL}/api/jobs/${job.id}/result`,
+    jobUrl: `${PUBLIC_URL}/api/jobs/${job.id}`,
+    createdAt: job.createdAt,
+    finishedAt: new Date().toISOString()
+  };
+}
+
+// Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>", in hex
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// One POST. Resolves with the answer's status; redirects are not followed.
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      lookup: guardedLookup(ALLOW_PRIVATE),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT,
+        ...headers
+      }
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+
+    const timer = setTimeout(() => req.destroy(new Error(`No answer within ${TIMEOUT_MS / 1000} seconds`)), TIMEOUT_MS);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Secret a delivery is signed with, or null when its webhook has been deleted
+function deliverySecret(row) {
+  if (row.webhook_id) {
+    return db.prepare('SELECT secret FROM webhooks WHERE id = ?').get(row.webhook_id)?.secret || null;
+  }
+  return db.prepare('SELECT secret FROM job_callbacks WHERE job_id = ?').get(row.job_id)?.secret || null;
+}
+
+const timers = new Map();
+
+function scheduleDelivery(id, at) {
+  clearTimeout(timers.get(id));
+  const timer = setTimeout(() => {
+    timers.delete(id);
+    attemptDelivery(id).catch(error => console.error(`Webhook delivery ${id} failed:`, error));
+  }, Math.max(0, Date.parse(at) - Date.now()));
+  timer.unref();
+  timers.set(id, timer);
+}
+
+async function attemptDelivery(id) {
+  const row = db.prepare('SELECT * FROM deliveries WHERE id = ?').get(id);
+  if (!row || row.status !== DELIVERY_STATUS.PENDING) return;
+
+  const attempt = row.attempts + 1;
+  const started = Date.now();
+  let responseStatus = null;
+  let error = null;
+
+  const secret = deliverySecret(row);
+  if (!secret) {
+    error = 'The webhook was deleted';
+  } else {
+    const timestamp = Math.floor(started / 1000);
+    try {
+      responseStatus = await post(row.url, row.payload, {
+        'X-BookBrief-Event': row.event,
+        'X-BookBrief-Delivery': row.id,
+        'X-BookBrief-Timestamp': String(timestamp),
+        'X-BookBrief-Signature': `sha256=${signPayload(secret, timestamp, row.payload)}`
+      });
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `The receiver answered ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const delivered = !error;
+  const retry = !delivered && secret && attempt < MAX_ATTEMPTS;
+  const nextAttemptAt = retry ? new Date(Date.now() + RETRY_DELAYS[attempt - 1]).toISOString() : null;
+  const status = delivered ? DELIVERY_STATUS.DELIVERED : retry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED;
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO delivery_attempts (delivery_id, attempt, attempted_at, response_status, error, duration_ms) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, attempt, now, responseStatus, error, Date.now() - started);
+    db.prepare(`
+      UPDATE deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ? WHERE id = ?
+    `).run(status, attempt, responseStatus, error, nextAttemptAt, delivered ? now : null, id);
+  })();
+
+  if (delivered) {
+    console.log(`Webhook ${row.event} for job ${row.job_id} delivered to ${row.url}`);
+  } else if (retry) {
+    console.log(`Webhook ${row.event} for job ${row.job_id} to ${row.url} failed (${error}), retrying in ${RETRY_DELAYS[attempt - 1] / 1000}s`);
+    scheduleDelivery(id, nextAttemptAt);
+  } else {
+    console.error(`Webhook ${row.event} for job ${row.job_id} to ${row.url} failed after ${attempt} attempts: ${error}`);
+  }
+}
+
+function queueDelivery({ jobId, userId, webhookId = null, url, event, payload }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO deliveries (id, job_id, user_id, webhook_id, url, event, payload, status, created_at, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, jobId, userId, webhookId, url, event, payload, DELIVERY_STATUS.PENDING, now, now);
+  scheduleDelivery(id, now);
+  return id;
+}
+
+// Sends a delivery's payload again, as a new delivery to the same URL
+export function redeliver(id) {
+  const row = db.prepare('SELECT * FROM deliveries WHERE id = ?').get(id);
+  if (!row) return null;
+  const newId = queueDelivery({
+    jobId: row.job_id,
+    userId: row.user_id,
+    webhookId: row.webhook_id,
+    url: row.url,
+    event: row.event,
+    payload: row.payload
+  });
+  return toDelivery(db.prepare('SELECT * FROM deliveries WHERE id = ?').get(newId));
+}
+
+// Queues the deliveries for a job that just completed or failed: its callback, its
+// owner's webhooks and the global ones
+function notifyJobFinished(job) {
+  const event = `${job.type || JOB_TYPE.SUMMARY}.${job.status === JOB_STATUS.COMPLETED ? 'completed' : 'failed'}`;
+  const payload = JSON.stringify(buildPayload(job, event));
+
+  const callback = db.prepare('SELECT * FROM job_callbacks WHERE job_id = ?').get(job.id);
+  if (callback) {
+    queueDelivery({ jobId: job.id, userId: callback.user_id, url: callback.url, event, payload });
+  }
+  const webhooks = db.prepare('SELECT * FROM webhooks WHERE user_id IS NULL OR user_id = ?').all(job.userId ?? null);
+  for (const webhook of webhooks) {
+    queueDelivery({ jobId: job.id, userId: webhook.user_id, webhookId: webhook.id, url: webhook.url, event, payload });
+  }
+}
+
+// Follows every job's events, and resumes the deliveries a restart interrupted
+export function startWebhooks() {
+  subscribeToAllJobs((event) => {
+    if (event.type !== 'complete' && event.type !== 'error') return;
+    // Out of the job runner's emit: a failure here must not fail (or crash) the job
+    setImmediate(() => {
+      try {
+        const job = getJob(event.jobId);
+        if (job) notifyJobFinished(job);
+      } catch (error) {
+        console.error(`Failed to queue webhooks for job ${event.jobId}:`, error);
+      }
+    });
+  });
+
+  const pending = db.prepare('SELECT id, next_attempt_at FROM deliveries WHERE status = ?').all(DELIVERY_STATUS.PENDING);
+  for (const { id, next_attempt_at: nextAttemptAt } of pending) {
+    scheduleDelivery(id, nextAttemptAt || new Date().toISOString());
+  }
+  if (pending.length) {
+    console.log(`Resuming ${pending.length} webhook deliveries`);
+  }
+}
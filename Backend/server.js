@@ -1,19 +1,112 @@
+// Load .env before any module reads its configuration
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import pdfParse from 'pdf-parse';
-import { encoding_for_model } from 'tiktoken';
 import fs from 'fs/promises';
-
-dotenv.config();
+import crypto from 'crypto';
+import {
+  JOB_TYPE,
+  JOB_STATUS,
+  JOB_STAGE,
+  createJob,
+  createComparisonJob,
+  getJob,
+  listJobs,
+  updateJob,
+  loadJobChunks,
+  deleteJob,
+  serializeJob,
+  isJobActive,
+  enqueueJob,
+  cancelJob,
+  subscribeToJob,
+  startJobQueue,
+  DATA_DIR
+} from './lib/jobs.js';
+import { extractDocument, detectFormat } from './lib/extractors/index.js';
+import { buildIndex, search } from './lib/retrieval.js';
+import { pageAtOffset } from './lib/structure.js';
+import { listOcrLanguages, parseOcrLanguage } from './lib/ocr.js';
+import { cleanDocument } from './lib/cleanup.js';
+import { parseIngestUrl, ingestUrl, isIngestError, httpStatusForIngestError } from './lib/ingest.js';
+import {
+  MAX_WEBHOOKS,
+  DELIVERY_STATUS,
+  parseWebhookUrl,
+  parseCallback,
+  addJobCallback,
+  listWebhooks,
+  countWebhooks,
+  createWebhook,
+  deleteWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  startWebhooks
+} from './lib/webhooks.js';
+import { parseSelection, applySelection, selectedText } from './lib/selection.js';
+import {
+  addDocument,
+  getDocument,
+  loadDocumentFile,
+  listDocuments,
+  deleteDocument,
+  addSummary,
+  reopenSummary,
+  listSummaries,
+  getSummary,
+  hasUserSummaries,
+  deleteUserSummaries
+} from './lib/library.js';
+import {
+  parseFlag,
+  countWords,
+  detectSections,
+  estimateJob,
+  callModel,
+  runJob,
+  buildJobResult,
+  buildComparisonResult,
+  parseJobOptions
+} from './lib/summarizer.js';
+import { MIN_COMPARISON_SOURCES, MAX_COMPARISON_SOURCES, MAX_FOCUS_LENGTH } from './lib/comparison.js';
+import { getExporter, getExportFormats, buildExportData, exportSummary } from './lib/exporters/index.js';
+import { getCacheStats, purgeCache } from './lib/cache.js';
+import { countTokens } from './lib/tokens.js';
+import { listSummaryOptions, parseSummaryOptions } from './lib/summaryOptions.js';
+import { getProvider, listProviders } from './lib/providers/index.js';
+import { isModelError, httpStatusForModelError } from './lib/providers/errors.js';
+import {
+  AUTH_ENABLED,
+  ALLOW_REGISTRATION,
+  USER_ROLES,
+  countUsers,
+  validateCredentials,
+  createUser,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  createApiKey,
+  listApiKeys,
+  deleteApiKey,
+  findUserByToken,
+  getUser,
+  listUsers,
+  updateUser
+} from './lib/auth.js';
+import { LIMIT_NAMES, recordUsage, getUsage, getLimits, setLimits, getRemaining, checkLimit, getUsageReport } from './lib/usage.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
+// Middleware. Browsers may only call the API from CORS_ORIGINS (comma-separated, "*" for any).
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? true : corsOrigins,
+  // Read by the app from /api/ingest-url downloads
+  exposedHeaders: ['Content-Disposition', 'X-Source-Url']
+}));
 app.use(express.json());
 
 // Configure multer for file uploads
@@ -22,223 +115,1123 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
-// Initialize Gemini AI
-const API_KEY = process.env.GEMINI_API_KEY;
-if (!API_KEY) {
-  console.error('GEMINI_API_KEY is missing in .env file');
+// Default LLM provider (LLM_PROVIDER, Gemini unless configured otherwise)
+const defaultProvider = getProvider();
+if (!defaultProvider.isConfigured()) {
+  console.error(`${defaultProvider.label} provider is not configured - check your .env file`);
 }
 
-const genAI = new GoogleGenerativeAI(API_KEY);
-const model = genAI.getGenerativeModel({
-  model: 'gemini-2.5-flash',
-  systemInstruction: 'You are an expert summarizer. Create well-balanced summaries that capture all important information while being more concise than the original. Include key points, main ideas, important details, and essential context. Aim for summaries that are approximately 50% of the original length - comprehensive yet condensed.'
-});
+// Prompt for answering a question about a book from retrieved passages, with citations
+function createAnswerPrompt(question, passages, history = []) {
+  const conversation = history.length
+    ? `Previous conversation:\n${history.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n\n')}\n\n`
+    : '';
+
+  return `Answer the question about the book using only the numbered passages below.
+
+GUIDELINES:
+1. Cite the passages you rely on by number in square brackets, e.g. [2] or [1][3]
+2. If the passages do not contain the answer, say that the book excerpts don't cover it
+3. Be concise and quote short phrases where they help
+
+${conversation}Question: ${question}
 
-const generationConfig = {
-  temperature: 0.4,
-  maxOutputTokens: 4096,
-};
+Passages:
 
-// Utility functions
-function calculateSummarizationParams(targetSummarySize = 500, modelContextSize = 16000) {
-  const summaryInputSize = modelContextSize - targetSummarySize - 1000;
+${passages.map((passage, i) => {
+  const location = [passage.chapter, passage.page && `page ${passage.page}`].filter(Boolean).join(', ');
+  return `[${i + 1}]${location ? ` (${location})` : ''}\n${passage.text}`;
+}).join('\n\n')}`;
+}
+
+// Authentication. Every /api route except these needs a session token from
+// /api/auth/login or an API key, as "Authorization: Bearer <token>" or "X-API-Key: <key>".
+// GET requests may pass it as ?access_token= instead, for EventSource and download links
+// which can't set headers. ADMIN_TOKEN works as an admin without an account.
+const PUBLIC_ROUTES = new Set(['/health', '/auth/config', '/auth/login', '/auth/register']);
+
+function requestToken(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+// Whether token is ADMIN_TOKEN, compared in constant time. Always false when it isn't set.
+function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || typeof token !== 'string') return false;
+  const expected = Buffer.from(adminToken);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function authenticate(req, res, next) {
+  req.user = null;
+  req.isAdmin = !AUTH_ENABLED;
+  if (!AUTH_ENABLED || PUBLIC_ROUTES.has(req.path)) return next();
+
+  const token = requestToken(req);
+  if (isAdminToken(token)) {
+    req.isAdmin = true;
+    return next();
+  }
+
+  const found = findUserByToken(token);
+  if (!found?.user) {
+    return res.status(401).json({ error: token ? 'Session expired or invalid API key' : 'Sign in or pass an API key' });
+  }
+  req.user = found.user;
+  req.isAdmin = found.user.role === 'admin';
+  req.sessionToken = found.session ? token : null;
+  next();
+}
+
+// Whether the signed-in user may see something owned by ownerId. Admins see everything;
+// without accounts everything is shared.
+const canAccess = (req, ownerId) => req.isAdmin || (req.user !== null && ownerId === req.user.id);
+
+// Checks the daily limits before jobs are queued and counts them. Returns the 429 error, or null.
+function startUserJob(req, jobs = 1) {
+  if (!req.user) return null;
+  const exceeded = checkLimit(req.user.id, { jobs, pages: 1, tokens: 1 });
+  if (exceeded) return exceeded;
+  recordUsage(req.user.id, { jobs });
+  return null;
+}
+
+// A user's account as the app shows it: who they are and today's usage against their limits
+function describeAccount(user) {
   return {
-    modelContextSize,
-    targetSummarySize,
-    summaryInputSize
+    user,
+    usage: getUsage(user.id),
+    limits: getLimits(user.id),
+    remaining: getRemaining(user.id)
   };
 }
 
-function countTokens(text) {
-  try {
-    const encoder = encoding_for_model('gpt-3.5-turbo');
-    const tokens = encoder.encode(text);
-    encoder.free();
-    return tokens.length;
-  } catch (error) {
-    // Fallback: approximate tokens as words / 0.75
-    return Math.ceil(text.split(/\s+/).length / 0.75);
+app.use('/api', authenticate);
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', message: 'BookBrief-AI API is running' });
+});
+
+// Whether the app has to sign in, whether it can offer to create an account, and whether
+// that account is the first one (the admin), which needs ADMIN_TOKEN as a setup token
+app.get('/api/auth/config', (req, res) => {
+  const setup = AUTH_ENABLED && countUsers() === 0;
+  res.json({ enabled: AUTH_ENABLED, registration: AUTH_ENABLED && (ALLOW_REGISTRATION || setup), setup });
+});
+
+// Creates an account and signs it in. The first account is an admin, so creating it takes
+// ADMIN_TOKEN as `setupToken`: otherwise whoever reached a new server first would own it.
+// After that, anyone may register when ALLOW_REGISTRATION=true (admins can always add
+// users through /api/admin/users).
+app.post('/api/auth/register', (req, res) => {
+  if (!AUTH_ENABLED) {
+    return res.status(404).json({ error: 'Accounts are disabled' });
+  }
+  const isFirstUser = countUsers() === 0;
+  if (!isFirstUser && !ALLOW_REGISTRATION) {
+    return res.status(403).json({ error: 'Registration is closed - ask an admin for an account' });
+  }
+
+  const { username, password, setupToken } = req.body || {};
+  if (isFirstUser && !process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Set ADMIN_TOKEN on the server to create the first (admin) account' });
+  }
+  if (isFirstUser && !isAdminToken(setupToken)) {
+    return res.status(403).json({ error: 'The first account is an admin: enter the server\'s ADMIN_TOKEN as the setup token' });
+  }
+  const invalid = validateCredentials(username, password);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const { user, error } = createUser({ username, password, role: isFirstUser ? 'admin' : 'user' });
+  if (error) {
+    return res.status(409).json({ error });
+  }
+  console.log(`Registered ${user.role} ${user.username}`);
+
+  res.status(201).json({ ...createSession(user.id), ...describeAccount(user) });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  if (!AUTH_ENABLED) {
+    return res.status(404).json({ error: 'Accounts are disabled' });
+  }
+
+  const user = authenticateUser(req.body?.username, req.body?.password);
+  if (!user) {
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+
+  res.json({ ...createSession(user.id), ...describeAccount(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) {
+    deleteSession(req.sessionToken);
+  }
+  res.status(204).end();
+});
+
+// The signed-in user with today's usage and limits
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.json({ user: null, admin: req.isAdmin });
+  }
+  res.json(describeAccount(req.user));
+});
+
+// Long-lived API keys for scripts. A key is only shown once, when it is created.
+app.get('/api/auth/keys', (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({ error: 'API keys belong to a user account' });
+  }
+  res.json({ keys: listApiKeys(req.user.id) });
+});
+
+app.post('/api/auth/keys', (req, res) => {
+  if (!req.user) {
+    return res.status(400).json({ error: 'API keys belong to a user account' });
+  }
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return res.status(400).json({ error: 'name must be a non-empty string of at most 100 characters' });
+  }
+
+  res.status(201).json(createApiKey(req.user.id, name));
+});
+
+app.delete('/api/auth/keys/:id', (req, res) => {
+  if (!req.user || !deleteApiKey(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.status(204).end();
+});
+
+// Webhooks notified when jobs complete or fail. A user's webhooks get their own jobs'
+// events; admins may register global ones (global: true) that get every job's, as do
+// webhooks registered with ADMIN_TOKEN or without accounts.
+const webhookOwner = (req, global = false) => (!req.user || (global && req.isAdmin) ? null : req.user.id);
+
+app.get('/api/webhooks', (req, res) => {
+  const webhooks = listWebhooks(webhookOwner(req));
+  res.json({ webhooks: req.user && req.isAdmin ? [...webhooks, ...listWebhooks(null)] : webhooks });
+});
+
+app.post('/api/webhooks', (req, res) => {
+  const { url, error } = parseWebhookUrl(req.body?.url);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (req.body.global && !req.isAdmin) {
+    return res.status(403).json({ error: 'Only admins can register global webhooks' });
+  }
+  const owner = webhookOwner(req, parseFlag(req.body.global));
+  if (countWebhooks(owner) >= MAX_WEBHOOKS) {
+    return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be registered` });
+  }
+
+  const created = createWebhook(owner, url);
+  console.log(`Webhook ${created.webhook.id} registered for ${owner ? `user ${owner}` : 'every job'}: ${url}`);
+  res.status(201).json(created);
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  const deleted = deleteWebhook(webhookOwner(req), req.params.id)
+    || (req.isAdmin && deleteWebhook(null, req.params.id));
+  if (!deleted) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.status(204).end();
+});
+
+// Delivery log: deliveries to your webhooks and callbacks, newest first, with every attempt
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${Object.values(DELIVERY_STATUS).join(', ')}` });
   }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const userId = req.isAdmin ? null : req.user.id;
+  res.json(listDeliveries({ userId, jobId: req.query.jobId ? String(req.query.jobId) : null, status, limit, offset }));
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery || !canAccess(req, delivery.userId)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(delivery);
+});
+
+// Sends a delivery's payload again, as a new delivery
+app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery || !canAccess(req, delivery.userId)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.status(202).json(redeliver(delivery.id));
+});
+
+// Available LLM providers and their models
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Summary styles, tones and length limits, and OCR languages for scanned books
+app.get('/api/summary-options', (req, res) => {
+  res.json({ ...listSummaryOptions(), ocr: listOcrLanguages() });
+});
+
+// Preview endpoint
+const PREVIEW_OCR_PAGES = 3;
+
+// Extracted and cleaned uploads by content and extraction options, so the estimates the
+// UI asks for as settings change don't extract the same file again.
+// OCR is slow, so only the first few scanned pages are read.
+const extractedUploads = new Map();
+const MAX_CACHED_UPLOADS = 3;
+
+async function extractUpload(file, { ocrLanguage, stripMatter }) {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const key = `${hash}:${ocrLanguage}:${stripMatter}`;
+  if (extractedUploads.has(key)) {
+    return extractedUploads.get(key);
+  }
+
+  const extracted = await extractDocument(file, { ocrLanguage, maxOcrPages: PREVIEW_OCR_PAGES });
+  const result = { ...extracted, ...cleanDocument(extracted, { stripFrontBackMatter: stripMatter, countTokens }) };
+  if (extractedUploads.size >= MAX_CACHED_UPLOADS) {
+    extractedUploads.delete(extractedUploads.keys().next().value);
+  }
+  extractedUploads.set(key, result);
+  return result;
 }
 
-function splitTextIntoSections(text, maxTokens, separator = '\n\n') {
-  const paragraphs = text.split(separator);
-  const sections = [];
-  let currentSection = '';
+app.post('/api/preview', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-  for (const paragraph of paragraphs) {
-    if (!paragraph.trim()) continue;
+    const { language: ocrLanguage, error } = parseOcrLanguage(req.body.ocrLanguage);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { selection, error: selectionError } = parseSelection(req.body);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    const stripMatter = parseFlag(req.body.stripMatter);
+    const extracted = await extractUpload(req.file, { ocrLanguage, stripMatter });
+    const { text, pages, format, metadata, pageQuality, ocr, cleanup } = extracted;
+    const preview = text.substring(0, 4000);
 
-    const tentativeSection = currentSection 
-      ? currentSection + separator + paragraph 
-      : paragraph;
+    // Sections to choose from, and the size of the selection (or the whole document)
+    const toc = detectSections(text, pages, extracted, stripMatter);
+    const selected = applySelection(selection, { text, pages, toc });
+    if (selected.error) {
+      return res.status(400).json({ error: selected.error });
+    }
     
-    const tokens = countTokens(tentativeSection);
-
-    if (tokens > maxTokens) {
-      if (currentSection) {
-        sections.push(currentSection.trim());
-        currentSection = paragraph;
-      } else {
-        sections.push(paragraph.trim());
-        currentSection = '';
+    res.json({ 
+      preview,
+      fullLength: text.length,
+      format,
+      metadata,
+      pages: pageQuality ? pageQuality.map((entry, index) => ({ ...entry, words: countWords(pages[index]) })) : null,
+      ocr: ocr || null,
+      cleanup,
+      sections: toc.map(({ title, level, startPage, endPage, wordCount }, index) => ({
+        number: index + 1,
+        title,
+        level,
+        startPage,
+        endPage,
+        wordCount
+      })),
+      estimate: {
+        words: selected.wordCount,
+        tokens: countTokens(selectedText(text, selected.ranges))
       }
-    } else {
-      currentSection = tentativeSection;
+    });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Estimate endpoint - what summarizing the uploaded file with the given options would take.
+// Takes the same fields as /api/summarize and estimates the chosen provider and model
+// first, then every other configured provider with its default model.
+app.post('/api/estimate', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { options, status, error } = parseJobOptions(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const document = await extractUpload(req.file, { ocrLanguage: options.ocrLanguage, stripMatter: options.stripMatter });
+    if (!/[\p{L}\p{N}]/u.test(document.text)) {
+      return res.status(400).json({ error: 'No readable text found in this document' });
     }
+
+    const providers = [
+      getProvider(options.provider, options.model),
+      ...listProviders()
+        .filter(entry => entry.configured && entry.name !== options.provider)
+        .map(entry => getProvider(entry.name))
+    ];
+
+    let estimates;
+    try {
+      estimates = providers.map(provider => estimateJob(document, options, provider));
+    } catch (selectionError) {
+      return res.status(400).json({ error: selectionError.message });
+    }
+
+    res.json({
+      options,
+      document: {
+        format: document.format,
+        words: countWords(document.text),
+        pages: document.pages ? document.pages.length : null,
+        // Scanned pages the estimate couldn't read without running OCR on the whole book
+        unreadPages: document.ocr ? document.ocr.pages - document.ocr.processed : 0
+      },
+      estimates
+    });
+  } catch (error) {
+    console.error('Estimate error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  if (currentSection) {
-    sections.push(currentSection.trim());
+// BM25 indexes of recently queried books, rebuilt from the saved chunks when evicted
+const bookIndexes = new Map();
+const MAX_CACHED_INDEXES = 5;
+
+async function getBookIndex(job) {
+  if (bookIndexes.has(job.id)) {
+    return bookIndexes.get(job.id);
   }
 
-  return sections;
+  const chunks = await loadJobChunks(job.id);
+  if (!chunks) return null;
+
+  const index = buildIndex(chunks, { chunkMeta: job.chunkMeta, pageOffsets: job.pageOffsets });
+  if (bookIndexes.size >= MAX_CACHED_INDEXES) {
+    bookIndexes.delete(bookIndexes.keys().next().value);
+  }
+  bookIndexes.set(job.id, index);
+  return index;
 }
 
-function createSummarizationPrompt(content, targetSummarySize) {
-  const wordCount = content.split(/\s+/).length;
-  const targetRatio = Math.max(0.4, targetSummarySize / wordCount); // Target ~50% reduction
-  
-  return `Create a well-balanced summary that captures the key information while being more concise than the original.
+// Queues a summary job for a library document and records the run, with the request's
+// callback (see parseCallback) if it has one
+async function startDocumentJob(document, file, options, userId = null, callback = null) {
+  const job = await createJob(file, options, { documentId: document.id, userId });
+  addSummary(job.id, document.id, job.options, userId);
+  if (callback) {
+    addJobCallback(job.id, userId, callback);
+  }
+  enqueueJob(job.id);
+  return job;
+}
 
-Original text length: ~${wordCount} words
-Target summary length: ${targetSummarySize} words (${Math.round(targetRatio * 100)}% of original)
+// Summarize endpoint - adds the file to the library, queues a job and returns its id immediately
+app.post('/api/summarize', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
 
-GUIDELINES:
-1. Include all major points and important details
-2. Maintain the structure and flow of the original
-3. Keep essential examples and explanations
-4. Aim for approximately 50% of the original length
-5. Be clear and comprehensive while removing redundancy
+    const { options, status, error } = parseJobOptions(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { callback, error: callbackError } = parseCallback(req.body);
+    if (callbackError) {
+      return res.status(400).json({ error: callbackError });
+    }
+    const exceeded = startUserJob(req);
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+
+    const document = addDocument(req.file);
+    const job = await startDocumentJob(document, req.file, options, req.user?.id, callback);
+
+    res.status(202).json({ jobId: job.id, documentId: document.id, job: serializeJob(job) });
+  } catch (error) {
+    console.error('Summarization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ingest endpoint - fetches { url } on the server and returns the document it points to as a
+// file, with web pages reduced to their readable article, for /api/preview, /api/estimate
+// and /api/summarize like an upload. With summarize=true and the summary fields it is
+// summarized right away instead: added to the library and queued like /api/summarize.
+app.post('/api/ingest-url', async (req, res) => {
+  try {
+    const { url, error } = parseIngestUrl(req.body?.url);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const summarize = parseFlag(req.body.summarize);
+    let options;
+    let callback;
+    if (summarize) {
+      const parsed = parseJobOptions(req.body);
+      if (parsed.error) {
+        return res.status(parsed.status).json({ error: parsed.error });
+      }
+      options = parsed.options;
+      const parsedCallback = parseCallback(req.body);
+      if (parsedCallback.error) {
+        return res.status(400).json({ error: parsedCallback.error });
+      }
+      callback = parsedCallback.callback;
+    }
 
-Text to summarize:
+    console.log(`Ingesting ${url.href}`);
+    const { file, source } = await ingestUrl(url);
+    console.log(`Ingested ${source.finalUrl} as ${file.originalname} (${file.size} bytes)`);
 
-${content}`;
+    if (!summarize) {
+      res.attachment(file.originalname);
+      res.set('X-Source-Url', source.finalUrl);
+      return res.type(file.mimetype || 'application/octet-stream').send(file.buffer);
+    }
+
+    const exceeded = startUserJob(req);
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+    const document = addDocument(file);
+    const job = await startDocumentJob(document, file, options, req.user?.id, callback);
+
+    res.status(202).json({ jobId: job.id, documentId: document.id, job: serializeJob(job), source });
+  } catch (error) {
+    if (isIngestError(error)) {
+      return res.status(httpStatusForIngestError(error)).json({ error: error.message, type: error.type });
+    }
+    console.error('Ingest error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A comparison takes several files; more than it allows is the client's mistake, not a server error
+function uploadComparisonFiles(req, res, next) {
+  upload.array('files', MAX_COMPARISON_SOURCES)(req, res, (error) => {
+    if (error?.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Compare at most ${MAX_COMPARISON_SOURCES} documents at a time` });
+    }
+    next(error);
+  });
 }
 
-async function callGeminiAPI(promptText, retries = 3, delay = 1000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
+// Undoes a comparison that failed while creating its jobs: deletes the jobs, the library
+// documents nobody has summarized and the jobs counted against the user's daily limit
+async function discardComparisonSources(documents, jobs, userId, jobCount) {
+  for (const job of jobs) {
+    await deleteJob(job.id);
+  }
+  for (const document of documents) {
+    if (!listSummaries(document.id).length) {
+      deleteDocument(document.id);
+    }
+  }
+  recordUsage(userId, { jobs: -jobCount });
+}
+
+// Compare endpoint - summarizes each uploaded file (field "files") in its own job, adding it
+// to the library, and queues a comparison job behind them that reports the themes they
+// share, where they disagree and what only one of them says. Takes the summary fields and
+// an optional focus ("leadership"); returns the comparison job's id.
+app.post('/api/compare', uploadComparisonFiles, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length < MIN_COMPARISON_SOURCES) {
+      return res.status(400).json({ error: `Upload at least ${MIN_COMPARISON_SOURCES} files to compare` });
+    }
+    const unsupported = files.find(file => !detectFormat(file));
+    if (unsupported) {
+      return res.status(400).json({ error: `Unsupported file format: ${unsupported.originalname}` });
+    }
+    const hashes = files.map(file => crypto.createHash('sha256').update(file.buffer).digest('hex'));
+    if (new Set(hashes).size < files.length) {
+      return res.status(400).json({ error: 'The same document was uploaded more than once' });
+    }
+
+    const focus = typeof req.body.focus === 'string' ? req.body.focus.trim() : '';
+    if (focus.length > MAX_FOCUS_LENGTH) {
+      return res.status(400).json({ error: `focus must be at most ${MAX_FOCUS_LENGTH} characters` });
+    }
+    // Pages and sections are picked per document, so a comparison covers whole documents
+    const { options, status, error } = parseJobOptions({ ...req.body, pages: undefined, sections: undefined });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { callback, error: callbackError } = parseCallback(req.body);
+    if (callbackError) {
+      return res.status(400).json({ error: callbackError });
+    }
+    const exceeded = startUserJob(req, files.length);
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+
+    // Every job is created before any is recorded or queued, so a file that fails leaves
+    // nothing behind
+    const documents = [];
+    const jobs = [];
+    let comparison;
     try {
-      const result = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: promptText }] }],
-        generationConfig
+      for (const file of files) {
+        const document = addDocument(file);
+        documents.push(document);
+        jobs.push(await createJob(file, options, { documentId: document.id, userId: req.user?.id }));
+      }
+      comparison = await createComparisonJob(jobs.map(job => job.id), { ...options, focus: focus || null }, {
+        userId: req.user?.id,
+        name: files.map(file => file.originalname).join(' vs ')
       });
-      
-      const response = await result.response;
-      return response.text().trim();
     } catch (error) {
-      console.error(`Gemini API error (attempt ${attempt}/${retries}):`, error.message);
-      
-      // Check if it's a 503 error (overloaded) or rate limit error
-      const isRetryable = error.message.includes('503') || 
-                          error.message.includes('overloaded') ||
-                          error.message.includes('429') ||
-                          error.message.includes('rate limit');
-      
-      if (isRetryable && attempt < retries) {
-        // Exponential backoff: wait longer with each retry
-        const waitTime = delay * Math.pow(2, attempt - 1);
-        console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      } else {
-        // If not retryable or out of retries, return error message
-        return `[Error summarizing chunk: ${error.message}]`;
+      await discardComparisonSources(documents, jobs, req.user?.id, files.length);
+      throw error;
+    }
+
+    jobs.forEach((job, index) => {
+      addSummary(job.id, documents[index].id, job.options, req.user?.id);
+      enqueueJob(job.id);
+    });
+    // The callback is for the comparison; its documents' jobs only notify registered webhooks
+    if (callback) {
+      addJobCallback(comparison.id, req.user?.id ?? null, callback);
+    }
+    enqueueJob(comparison.id);
+
+    res.status(202).json({ jobId: comparison.id, job: serializeJob(comparison), sources: jobs.map(serializeJob) });
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Comparisons the user has started, newest first
+app.get('/api/comparisons', (req, res) => {
+  const comparisons = listJobs()
+    .filter(job => job.type === JOB_TYPE.COMPARISON && canAccess(req, job.userId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(serializeJob);
+  res.json({ comparisons });
+});
+
+// Job status and per-chunk progress
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req, job.userId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(serializeJob(job));
+});
+
+// Server-Sent Events stream of a job's progress. The first event is a snapshot of
+// the current state (including chunk summaries so far) so clients can reconnect.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req, job.userId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const sourceJobs = (job.sources || []).map(id => getJob(id));
+  send({
+    type: 'snapshot',
+    jobId: job.id,
+    job: serializeJob(job),
+    chunkSummaries: job.chunkSummaries,
+    summary: job.summary,
+    ...(job.sources && { sources: sourceJobs.map(source => source && serializeJob(source)) })
+  });
+
+  if (!isJobActive(job)) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    send(event);
+    if (['complete', 'error', 'cancelled'].includes(event.type)) {
+      res.end();
+    }
+  });
+  // A comparison also reports the progress of the documents it waits for, as "source" events
+  const unsubscribeSources = sourceJobs.filter(Boolean).map(source => subscribeToJob(source.id, (event) => {
+    send({ type: 'source', jobId: job.id, index: job.sources.indexOf(source.id), event: event.type, job: serializeJob(source) });
+  }));
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    unsubscribeSources.forEach(unsubscribeSource => unsubscribeSource());
+  });
+});
+
+// Finished summary of a job, or report of a comparison
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccess(req, job.userId)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({ error: `Job is ${job.status}`, job: serializeJob(job) });
+  }
+
+  res.json(job.type === JOB_TYPE.COMPARISON ? buildComparisonResult(job) : buildJobResult(job));
+});
+
+// Re-runs only what a previous run could not finish: the failed chunks (and the chapter
+// and reduce summaries built from them), or the stage the job stopped in. Optional JSON
+// body { onError } changes the failure policy for the new attempt.
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (isJobActive(job)) {
+      return res.status(409).json({ error: `Job is ${job.status}`, job: serializeJob(job) });
+    }
+
+    const failures = job.failures || [];
+    if (job.status === JOB_STATUS.COMPLETED && !failures.length) {
+      return res.status(409).json({ error: 'Job completed without failures', job: serializeJob(job) });
+    }
+    // A retry is the same job, but needs some of the day's tokens left
+    const exceeded = checkLimit(job.userId, { tokens: 1 });
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+
+    const { options, error } = parseSummaryOptions({ ...job.options, onError: req.body?.onError || job.options.onError });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const changes = {
+      status: JOB_STATUS.QUEUED,
+      stage: JOB_STAGE.QUEUED,
+      options: { ...job.options, onError: options.onError },
+      failures: [],
+      error: null,
+      errorType: null
+    };
+
+    // Everything built on top of the failed chunks has to be rebuilt once they succeed
+    if (failures.length) {
+      const failedIndexes = new Set(failures.map(failure => failure.index));
+      changes.toc = job.toc.map(entry => {
+        const affected = [...failedIndexes].some(index => index >= entry.chunkStart && index < entry.chunkEnd);
+        return affected ? { ...entry, summary: null } : entry;
+      });
+      changes.reduceLevels = [];
+      changes.summary = null;
+    }
+
+    await updateJob(job.id, changes);
+    if (job.documentId) {
+      reopenSummary(job.id);
+    }
+    enqueueJob(job.id);
+    console.log(`Job ${job.id}: retrying ${failures.length ? `${failures.length} failed chunks` : 'from where it stopped'}`);
+
+    res.status(202).json({ jobId: job.id, job: serializeJob(job) });
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a queued or running job, or delete a finished one
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (isJobActive(job)) {
+      await cancelJob(job.id);
+      // Cancelling a comparison cancels the summaries it is waiting for
+      for (const sourceId of job.sources || []) {
+        await cancelJob(sourceId);
       }
+      return res.json(serializeJob(job));
+    }
+
+    await deleteJob(job.id);
+    bookIndexes.delete(job.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Job delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin endpoints. With accounts they need an admin user or ADMIN_TOKEN; without, they
+// require "Authorization: Bearer <ADMIN_TOKEN>", and are closed while ADMIN_TOKEN isn't set.
+function requireAdmin(req, res, next) {
+  if (AUTH_ENABLED) {
+    if (!req.isAdmin) {
+      return res.status(403).json({ error: 'Admin access required' });
     }
+    return next();
   }
-  
-  return '[Error: Max retries exceeded]';
+
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Set ADMIN_TOKEN on the server to use the admin endpoints' });
+  }
+  if (!isAdminToken(requestToken(req))) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
 }
 
-async function extractTextFromFile(file) {
-  const fileName = file.originalname.toLowerCase();
-  
-  if (fileName.endsWith('.txt')) {
-    return file.buffer.toString('utf-8');
-  } else if (fileName.endsWith('.pdf')) {
-    try {
-      const data = await pdfParse(file.buffer);
-      return data.text;
-    } catch (error) {
-      throw new Error('Failed to parse PDF file');
+// Summary cache totals per model and the most recently used entries
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 500);
+  res.json(getCacheStats({ limit }));
+});
+
+// Purges the summary cache, optionally only a provider/model or entries unused since `before`
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const before = req.query.before ? new Date(req.query.before) : null;
+  if (before && isNaN(before)) {
+    return res.status(400).json({ error: 'before must be a date' });
+  }
+
+  const removed = purgeCache({
+    provider: req.query.provider,
+    model: req.query.model,
+    before: before && before.toISOString()
+  });
+  console.log(`Purged ${removed} summary cache entries`);
+  res.json({ removed });
+});
+
+// Usage per user and day over the last `days` days (7 by default)
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 366);
+  const report = getUsageReport({ days });
+  const usernames = new Map(listUsers().map(user => [user.id, user.username]));
+  res.json({
+    ...report,
+    users: report.users.map(entry => ({ ...entry, username: usernames.get(entry.userId) || null, limits: getLimits(entry.userId) }))
+  });
+});
+
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json({ users: listUsers().map(user => ({ ...user, usage: getUsage(user.id), limits: getLimits(user.id) })) });
+});
+
+// Creates an account: { username, password, role }
+app.post('/api/admin/users', requireAdmin, (req, res) => {
+  const { username, password, role = 'user' } = req.body || {};
+  const invalid = validateCredentials(username, password) || (!USER_ROLES.includes(role) && `role must be one of ${USER_ROLES.join(', ')}`);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const { user, error } = createUser({ username, password, role });
+  if (error) {
+    return res.status(409).json({ error });
+  }
+  res.status(201).json({ ...user, limits: getLimits(user.id) });
+});
+
+// Changes a user's role, password or daily limits: { role, password, limits: { jobs, pages,
+// tokens } } where a limit of 0 is unlimited and null goes back to the default
+app.patch('/api/admin/users/:id', requireAdmin, (req, res) => {
+  if (!getUser(req.params.id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const { role, password, limits } = req.body || {};
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of ${USER_ROLES.join(', ')}` });
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < 8 || password.length > 200)) {
+    return res.status(400).json({ error: 'password must be 8-200 characters' });
+  }
+  if (limits !== undefined) {
+    const invalidLimit = typeof limits !== 'object' || limits === null ||
+      Object.entries(limits).some(([name, value]) => !LIMIT_NAMES.includes(name) || !(value === null || (Number.isInteger(value) && value >= 0)));
+    if (invalidLimit) {
+      return res.status(400).json({ error: `limits must map ${LIMIT_NAMES.join(', ')} to whole numbers (0 for unlimited) or null` });
     }
-  } else {
-    throw new Error('Unsupported file format. Please upload .txt or .pdf');
   }
+
+  const user = updateUser(req.params.id, { role, password });
+  res.json({ ...user, limits: limits ? setLimits(user.id, limits) : getLimits(user.id) });
+});
+
+// Document library - every uploaded book and the summaries run over it
+
+// Summary runs with their status; unfinished runs take it from their job
+function withStatus(summary) {
+  return {
+    ...summary,
+    status: summary.completedAt ? JOB_STATUS.COMPLETED : getJob(summary.id)?.status || JOB_STATUS.FAILED
+  };
 }
 
-// API Routes
+app.get('/api/library', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const userId = req.isAdmin ? null : req.user.id;
+  res.json(listDocuments({ query: String(req.query.q || '').trim(), limit, offset, userId }));
+});
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'BookBrief-AI API is running' });
+// Documents are shared by everyone who uploaded the same file; users see their own summaries
+const canAccessDocument = (req, document) => req.isAdmin || (req.user !== null && hasUserSummaries(document.id, req.user.id));
+
+app.get('/api/library/:id', (req, res) => {
+  const document = getDocument(req.params.id);
+  if (!document || !canAccessDocument(req, document)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  const summaries = listSummaries(document.id, { userId: req.isAdmin ? null : req.user.id });
+  res.json({ ...document, summaries: summaries.map(withStatus) });
 });
 
-// Preview endpoint
-app.post('/api/preview', upload.single('file'), async (req, res) => {
+// Re-summarize a stored document with different settings (same fields as /api/summarize)
+app.post('/api/library/:id/summarize', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const document = getDocument(req.params.id);
+    if (!document || !canAccessDocument(req, document)) {
+      return res.status(404).json({ error: 'Document not found' });
     }
 
-    const text = await extractTextFromFile(req.file);
-    const preview = text.substring(0, 4000);
-    
-    res.json({ 
-      preview,
-      fullLength: text.length 
+    const { options, status, error } = parseJobOptions(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const { callback, error: callbackError } = parseCallback(req.body);
+    if (callbackError) {
+      return res.status(400).json({ error: callbackError });
+    }
+    const exceeded = startUserJob(req);
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+
+    const job = await startDocumentJob(document, loadDocumentFile(document.id), options, req.user?.id, callback);
+    res.status(202).json({ jobId: job.id, documentId: document.id, job: serializeJob(job) });
+  } catch (error) {
+    console.error('Re-summarize error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deletes a document with all its summaries and their jobs. Users other than admins delete
+// their own summaries, and the document only when nobody else has summarized it.
+app.delete('/api/library/:id', async (req, res) => {
+  try {
+    const document = getDocument(req.params.id);
+    if (!document || !canAccessDocument(req, document)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const summaryIds = req.isAdmin ? deleteDocument(document.id) : deleteUserSummaries(document.id, req.user.id);
+    for (const summaryId of summaryIds) {
+      const job = getJob(summaryId);
+      if (job && isJobActive(job)) await cancelJob(job.id);
+      if (job) await deleteJob(job.id);
+      bookIndexes.delete(summaryId);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Library delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A saved summary with its full result, available even after its job was deleted
+app.get('/api/library/summaries/:id', (req, res) => {
+  const summary = getSummary(req.params.id);
+  if (!summary || !canAccess(req, summary.userId)) {
+    return res.status(404).json({ error: 'Summary not found' });
+  }
+
+  res.json({ ...withStatus(summary), document: getDocument(summary.documentId) });
+});
+
+// Downloads a completed summary as Markdown, DOCX, PDF, EPUB or JSON, or its study mode
+// flashcards and quiz questions as an Anki CSV or deck (APKG), named after the book
+app.get('/api/summaries/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'md').toLowerCase();
+    if (!getExporter(format)) {
+      return res.status(400).json({
+        error: `Unknown export format: ${format}. Expected one of ${getExportFormats().map(option => option.format).join(', ')}`
+      });
+    }
+
+    const summary = getSummary(req.params.id);
+    if (!summary || !canAccess(req, summary.userId)) {
+      return res.status(404).json({ error: 'Summary not found' });
+    }
+    if (!summary.completedAt) {
+      return res.status(409).json({ error: 'The summary is not complete yet' });
+    }
+    if (getExporter(format).study && !summary.study) {
+      return res.status(409).json({ error: `${getExporter(format).label} exports need a summary run in study mode` });
+    }
+
+    const data = buildExportData(summary, getDocument(summary.documentId));
+    const { content, mimeType, fileName } = await exportSummary(data, format);
+    res.attachment(fileName);
+    res.set('Content-Type', mimeType);
+    res.send(content);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Question answering over a book's text. Retrieves the best-matching passages and
+// answers from them, citing passages by number; `passages` says which were cited.
+app.post('/api/books/:id/ask', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    if (!question || question.length > 1000) {
+      return res.status(400).json({ error: 'question must be a non-empty string of at most 1000 characters' });
+    }
+
+    const index = job.totalChunks ? await getBookIndex(job) : null;
+    if (!index) {
+      return res.status(409).json({ error: 'The book has not been processed yet', job: serializeJob(job) });
+    }
+
+    const passages = search(index, question, 6);
+    if (!passages.length) {
+      return res.json({ answer: "I couldn't find anything about that in this book.", passages: [] });
+    }
+
+    // Keep the last few turns so follow-up questions have context
+    const history = (Array.isArray(req.body.history) ? req.body.history : [])
+      .filter(turn => typeof turn?.question === 'string' && typeof turn?.answer === 'string')
+      .slice(-3);
+
+    const exceeded = checkLimit(req.user?.id, { tokens: 1 });
+    if (exceeded) {
+      return res.status(429).json(exceeded);
+    }
+
+    const provider = getProvider(job.options.provider, job.options.model);
+    const prompt = createAnswerPrompt(question, passages, history);
+    let answer;
+    try {
+      answer = await callModel(provider, prompt, {
+        systemInstruction: `You answer questions about a book using only the passages provided, and cite them. Write in ${job.options.language || 'English'}.`,
+        temperature: 0.2,
+        maxOutputTokens: 1024
+      });
+    } catch (error) {
+      if (!isModelError(error)) throw error;
+      return res.status(httpStatusForModelError(error)).json({ error: error.message, type: error.type });
+    }
+    recordUsage(req.user?.id, { inputTokens: provider.countTokens(prompt), outputTokens: provider.countTokens(answer) });
+
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    res.json({
+      answer,
+      passages: passages.map((passage, i) => ({ id: i + 1, cited: cited.has(i + 1), ...passage }))
     });
   } catch (error) {
-    console.error('Preview error:', error);
+    console.error('Ask error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Summarize endpoint
-app.post('/api/summarize', upload.single('file'), async (req, res) => {
+// One chunk of a book's text, with its chapter and first page. Study mode's quiz
+// questions link to the chunk they were written from.
+app.get('/api/books/:id/chunks/:index', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const job = getJob(req.params.id);
+    if (!job || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Book not found' });
     }
 
-    if (!API_KEY) {
-      return res.status(500).json({ error: 'GEMINI_API_KEY not configured on server' });
+    const chunks = job.totalChunks ? await loadJobChunks(job.id) : null;
+    if (!chunks) {
+      return res.status(409).json({ error: 'The book has not been processed yet', job: serializeJob(job) });
     }
 
-    // Extract text from file
-    const text = await extractTextFromFile(req.file);
-    
-    // Calculate parameters - aim for 50% of original length
-    const textLength = text.length;
-    const targetSummaryWords = Math.max(200, Math.min(2000, Math.floor(text.split(/\s+/).length * 0.5)));
-    const params = calculateSummarizationParams(targetSummaryWords, 16000);
-    
-    // Split text into chunks
-    const chunks = splitTextIntoSections(text, params.summaryInputSize, '\n\n');
-    
-    console.log(`Processing ${chunks.length} chunks...`);
-    
-    // Summarize each chunk
-    const allSummaries = [];
-    for (let i = 0; i < chunks.length; i++) {
-      console.log(`Summarizing chunk ${i + 1}/${chunks.length}...`);
-      
-      const prompt = createSummarizationPrompt(chunks[i], params.targetSummarySize);
-      const summary = await callGeminiAPI(prompt);
-      allSummaries.push(summary);
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= chunks.length) {
+      return res.status(404).json({ error: 'Chunk not found' });
     }
-    
-    const finalSummary = allSummaries.join('\n\n');
-    
-    console.log('Summary completed');
-    res.json({ summary: finalSummary, chunks: chunks.length });
-    
+
+    const meta = job.chunkMeta?.[index] || {};
+    res.json({
+      index,
+      chapter: meta.chapter ?? null,
+      page: job.pageOffsets && meta.start != null ? pageAtOffset(job.pageOffsets, meta.start) : null,
+      text: chunks[index]
+    });
   } catch (error) {
-    console.error('Summarization error:', error);
+    console.error('Chunk error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Jobs and webhook deliveries from the last run are loaded before the server takes requests;
+// a DATA_DIR that can't be read stops it here. Webhooks first, so resumed jobs notify.
+try {
+  startWebhooks();
+  await startJobQueue(runJob);
+} catch (error) {
+  console.error(`Failed to start BookBrief-AI (DATA_DIR: ${DATA_DIR}):`, error);
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`BookBrief-AI API ready`);
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { splitTextIntoSections, chunkDocument, jobModelSettings, parseJobOptions } from '../lib/summarizer.js';
+import { parseSummaryOptions } from '../lib/summaryOptions.js';
+import { extractDocument } from '../lib/extractors/index.js';
+import { cleanDocument } from '../lib/cleanup.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+import { countTokensByWords } from '../lib/tokens.js';
+
+const words = (text) => text.split(/\s+/).filter(Boolean).length;
+const paragraph = (n, word = 'word') => Array.from({ length: n }, () => word).join(' ');
+
+async function loadFixture(file, provider) {
+  const buffer = fs.readFileSync(new URL(`../eval/corpus/${file}`, import.meta.url));
+  const extracted = await extractDocument({ originalname: file, mimetype: '', buffer });
+  const { text, pages } = cleanDocument(extracted, { countTokens: provider.countTokens });
+  return { text, pages, extracted };
+}
+
+test('splitTextIntoSections packs paragraphs up to the token budget', () => {
+  const text = [paragraph(30, 'a'), paragraph(30, 'b'), paragraph(30, 'c')].join('\n\n');
+  // 40 tokens a paragraph, 2 for the separator
+  const sections = splitTextIntoSections(text, 90, '\n\n', countTokensByWords);
+
+  assert.deepEqual(sections.map(words), [60, 30]);
+  assert.ok(sections[0].startsWith('a a'));
+  assert.ok(sections[1].startsWith('c c'));
+});
+
+test('splitTextIntoSections keeps an oversized paragraph as its own section', () => {
+  const text = [paragraph(10, 'a'), paragraph(100, 'b'), paragraph(10, 'c')].join('\n\n');
+  const sections = splitTextIntoSections(text, 50, '\n\n', countTokensByWords);
+
+  assert.deepEqual(sections.map(words), [10, 100, 10]);
+});
+
+test('splitTextIntoSections skips blank paragraphs and keeps every word', () => {
+  const text = `${paragraph(5, 'a')}\n\n   \n\n${paragraph(5, 'b')}\n\n\n\n${paragraph(5, 'c')}`;
+  const sections = splitTextIntoSections(text, 1000, '\n\n', countTokensByWords);
+
+  assert.equal(sections.length, 1);
+  assert.equal(words(sections[0]), 15);
+});
+
+test('chunkDocument chunks within detected chapters', async () => {
+  const provider = createMockProvider();
+  const { text, pages, extracted } = await loadFixture('gull-point.txt', provider);
+  const { options } = parseSummaryOptions({});
+  const { chunks, toc, params, wordCount } = chunkDocument(text, pages, extracted, options, provider);
+
+  assert.deepEqual(toc.map(entry => entry.title), ['Chapter 1: The Last Keeper', 'Chapter 2: The Storm of 1965', 'Chapter 3: Automation']);
+  assert.equal(chunks.length, 3);
+  assert.ok(chunks[1].startsWith('Chapter 2'));
+  // Without a requested length, half of the text
+  assert.equal(params.targetSummarySize, Math.floor(wordCount / 2));
+});
+
+test('chunkDocument splits chapters that exceed the model\'s context', async () => {
+  const provider = createMockProvider({ contextSize: 1200 });
+  const { text, pages, extracted } = await loadFixture('bread.md', provider);
+  const { options } = parseSummaryOptions({ targetWords: 100 });
+  const { chunks, toc, params } = chunkDocument(text, pages, extracted, options, provider);
+
+  assert.equal(params.summaryInputSize, 100);
+  assert.ok(chunks.length > toc.length);
+  for (const chunk of chunks) {
+    assert.ok(provider.countTokens(chunk) <= params.summaryInputSize || !chunk.includes('\n\n'));
+  }
+  // Every word of the text is in exactly one chunk
+  assert.equal(chunks.reduce((total, chunk) => total + words(chunk), 0), words(text));
+});
+
+test('chunkDocument summarizes only the selected sections', async () => {
+  const provider = createMockProvider();
+  const { text, pages, extracted } = await loadFixture('urban-trees.html', provider);
+  const { options } = parseSummaryOptions({});
+  const all = chunkDocument(text, pages, extracted, options, provider);
+  const selected = chunkDocument(text, pages, extracted, { ...options, sections: '2-3' }, provider);
+
+  assert.ok(selected.chunks.length < all.chunks.length);
+  assert.ok(selected.wordCount < all.wordCount);
+  assert.throws(() => chunkDocument(text, pages, extracted, { ...options, sections: '40-50' }, provider));
+});
+
+test('chunkDocument shortens the summary to what the model can write', async () => {
+  const provider = createMockProvider({ contextSize: 1200 });
+  const { text, pages, extracted } = await loadFixture('bread.md', provider);
+  const { options } = parseSummaryOptions({ targetPercent: 90 });
+  const { params } = chunkDocument(text, pages, extracted, options, provider);
+
+  // Half of the context left after the prompt's 1000 tokens
+  assert.equal(params.targetSummarySize, 100);
+  assert.equal(params.summaryInputSize, 100);
+});
+
+test('parseJobOptions rejects summaries longer than the model can write', () => {
+  assert.match(parseJobOptions({ provider: 'mock', targetWords: 5000 }).error, /targetWords must be at most 4096/);
+  assert.equal(parseJobOptions({ provider: 'mock', targetWords: 4000 }).options.targetWords, 4000);
+});
+
+test('jobModelSettings asks for twice the summary length, within the model\'s output limit', () => {
+  const provider = createMockProvider({ maxOutputTokens: 6000 });
+
+  assert.equal(jobModelSettings({}, { targetSummarySize: 1000 }, provider).maxOutputTokens, 4096);
+  assert.equal(jobModelSettings({}, { targetSummarySize: 2500 }, provider).maxOutputTokens, 5000);
+  assert.equal(jobModelSettings({}, { targetSummarySize: 4000 }, provider).maxOutputTokens, 6000);
+  assert.match(jobModelSettings({ language: 'French' }, { targetSummarySize: 100 }, provider).systemInstruction, /Write in French/);
+});
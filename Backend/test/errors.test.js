@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_ERROR, classifyModelError } from '../lib/providers/errors.js';
+
+const providerError = (message, fields = {}) => Object.assign(new Error(message), fields);
+const typeOf = (message, fields) => classifyModelError(providerError(message, fields)).type;
+
+test('classifyModelError goes by HTTP status before the message', () => {
+  assert.equal(typeOf('Forbidden', { status: 403 }), MODEL_ERROR.AUTH);
+  assert.equal(typeOf('Slow down', { status: 429 }), MODEL_ERROR.RATE_LIMIT);
+  assert.equal(typeOf('Bad request', { status: 400 }), MODEL_ERROR.INVALID_INPUT);
+  assert.equal(typeOf('Service Unavailable', { status: 503 }), MODEL_ERROR.OVERLOADED);
+  // A message that mentions a quota doesn't make a 503 a quota error
+  assert.equal(typeOf('quota backend unavailable', { status: 503 }), MODEL_ERROR.OVERLOADED);
+});
+
+test('classifyModelError tells quotas from rate limits by the provider\'s reason', () => {
+  assert.equal(typeOf('[429 Too Many Requests]', { status: 429, reason: 'insufficient_quota' }), MODEL_ERROR.QUOTA);
+  assert.equal(typeOf('[429 Too Many Requests]', { status: 429, reason: 'GenerateRequestsPerDayPerProjectPerModel-FreeTier' }), MODEL_ERROR.QUOTA);
+  assert.equal(typeOf('[429 Too Many Requests]', { status: 429, reason: 'rate_limit_exceeded' }), MODEL_ERROR.RATE_LIMIT);
+  assert.equal(typeOf('[400 Bad Request] API key not valid', { status: 400, reason: 'API_KEY_INVALID' }), MODEL_ERROR.AUTH);
+});
+
+test('classifyModelError treats blocked prompts and responses as safety errors', () => {
+  const error = classifyModelError(providerError('Candidate was blocked', { blockReason: 'SAFETY' }));
+
+  assert.equal(error.type, MODEL_ERROR.SAFETY);
+  assert.equal(error.retryable, false);
+  assert.equal(typeOf('Response blocked due to content_filter', { blockReason: 'content_filter' }), MODEL_ERROR.SAFETY);
+});
+
+test('classifyModelError falls back to the message without a status', () => {
+  assert.equal(typeOf('fetch failed', { cause: { code: 'ECONNRESET' } }), MODEL_ERROR.NETWORK);
+  assert.equal(typeOf('503 model overloaded'), MODEL_ERROR.OVERLOADED);
+  assert.equal(typeOf('Resource has been exhausted (e.g. check quota).'), MODEL_ERROR.RATE_LIMIT);
+  assert.equal(typeOf('Something odd'), MODEL_ERROR.UNKNOWN);
+});
+
+test('classifyModelError keeps the delay the provider asked for', () => {
+  const error = classifyModelError(providerError('Slow down', { status: 429, retryAfter: 32 }));
+
+  assert.equal(error.retryable, true);
+  assert.equal(error.retryAfter, 32);
+  assert.equal(error.status, 429);
+});
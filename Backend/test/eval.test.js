@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeText, keyPointCoverage, compressionRatio, crossChunkRepetition } from '../eval/metrics.js';
+import { createRecordingProvider, createReplayProvider } from '../eval/recordedProvider.js';
+import { loadCorpus, loadPromptVersion, listPromptVersions, runEvaluation } from '../eval/evaluate.js';
+import { buildReport, formatReport } from '../eval/report.js';
+import { parseSummaryOptions } from '../lib/summaryOptions.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+test('normalizeText drops case, accents and punctuation but keeps numbers', () => {
+  assert.equal(normalizeText('Café, “Crème” - 14,400 years (3.5%).'), 'cafe creme - 14,400 years 3.5');
+  assert.equal(normalizeText('Juvenal’s bread'), 'juvenal\'s bread');
+});
+
+test('keyPointCoverage needs every keyword, matching alternatives as word prefixes', () => {
+  const keyPoints = [
+    { point: 'Automation', keywords: ['automat', 'school|lens'] },
+    { point: 'Storm', keywords: ['1965|storm', 'panes'] },
+    { point: 'Age', keywords: ['14,400'] }
+  ];
+  const coverage = keyPointCoverage('The light was automated and its lens went to the school. About 14,400 years.', keyPoints);
+
+  assert.deepEqual(coverage, { covered: 2, total: 3, ratio: 2 / 3, missing: ['Storm'] });
+  // Prefixes start at a word boundary
+  assert.equal(keyPointCoverage('semiautomatic', [{ point: 'Automation', keywords: ['automat'] }]).covered, 0);
+  assert.equal(keyPointCoverage('anything', []).ratio, 1);
+});
+
+test('compressionRatio compares word counts', () => {
+  assert.equal(compressionRatio('one two', 'one two three four'), 0.5);
+  assert.equal(compressionRatio('one', ''), 0);
+});
+
+test('crossChunkRepetition counts trigrams another chunk also has', () => {
+  const repetition = crossChunkRepetition(['the keeper lit the lamp', 'then the keeper lit a fire']);
+
+  assert.equal(repetition.total, 7);
+  assert.equal(repetition.repeated, 2);
+  assert.deepEqual(repetition.examples, ['the keeper lit']);
+  assert.equal(crossChunkRepetition(['one chunk says it twice, one chunk says it twice']).ratio, 0);
+});
+
+test('a replay answers what was recorded and rejects new prompts', async (t) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bookbrief-eval-')), 'recording.json');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+
+  const recorder = createRecordingProvider(createMockProvider(), file);
+  const response = await recorder.generate('Target summary length: ~3 words\n\nText:\n\nOne. Two. Three. Four.', { temperature: 0.3 });
+  recorder.save();
+
+  const replay = createReplayProvider(file);
+  assert.equal(replay.name, 'mock');
+  assert.equal(replay.tokenizer, 'words');
+  assert.equal(replay.maxOutputTokens, 8192);
+  assert.equal(await replay.generate('Target summary length: ~3 words\n\nText:\n\nOne. Two. Three. Four.', { temperature: 0.3 }), response);
+  await assert.rejects(replay.generate('Another prompt', { temperature: 0.3 }), /No recorded response/);
+  await assert.rejects(replay.generate('Target summary length: ~3 words\n\nText:\n\nOne. Two. Three. Four.', { temperature: 0.5 }), /No recorded response/);
+});
+
+test('loadPromptVersion loads the versions of eval/prompts', async () => {
+  assert.equal(listPromptVersions()[0], 'baseline');
+  const concise = await loadPromptVersion('concise');
+
+  assert.equal(concise.name, 'concise');
+  assert.match(concise.createSummarizationPrompt('a b c d', 1), /Text to summarize:\n\na b c d$/);
+  await assert.rejects(loadPromptVersion('missing'), /Unknown prompt version/);
+});
+
+test('an evaluation with the mock model compares prompt versions', async () => {
+  const corpus = loadCorpus();
+  const versions = [await loadPromptVersion('baseline'), await loadPromptVersion('concise')];
+  const { options } = parseSummaryOptions({});
+  const run = await runEvaluation({ corpus, versions, provider: createMockProvider(), options });
+  const { totals, documents } = buildReport(run);
+
+  assert.deepEqual(documents.map(document => document.id), ['gull-point', 'bread', 'urban-trees']);
+  assert.deepEqual(totals.map(total => total.name), ['baseline', 'concise']);
+  // The extractive mock keeps what it is asked to: shorter chunk summaries cover less
+  const [baseline, concise] = totals;
+  assert.equal(baseline.keyPoints, corpus.reduce((total, document) => total + document.keyPoints.length, 0));
+  assert.ok(concise.compression < baseline.compression);
+  assert.ok(concise.coverage < baseline.coverage);
+  assert.ok(concise.outputTokens < baseline.outputTokens);
+  assert.equal(baseline.calls, documents.reduce((total, document) => total + document.chunks, 0));
+
+  const report = formatReport(run);
+  assert.match(report, /\| concise \| \d+\/\d+ [\d.]+% \(-[\d.]+ pts\) \|/);
+  assert.match(report, /Missed by concise:\n- .+ \(covered by baseline\)/);
+
+  // The same run, twice, scores the same
+  const again = await runEvaluation({ corpus, versions, provider: createMockProvider(), options });
+  assert.equal(formatReport(again), report);
+});
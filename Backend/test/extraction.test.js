@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { detectFormat, extractDocument } from '../lib/extractors/index.js';
+import { cleanDocument } from '../lib/cleanup.js';
+import { extractReadable, stripGutenbergText } from '../lib/readability.js';
+import { countTokensByWords } from '../lib/tokens.js';
+
+const fixture = (file, dir = '../eval/corpus') => ({
+  originalname: file,
+  mimetype: '',
+  buffer: fs.readFileSync(new URL(`${dir}/${file}`, import.meta.url))
+});
+
+const CHAPTER_TITLES = ['Chapter 1: The Last Keeper', 'Chapter 2: The Storm of 1965'];
+const METADATA = { title: 'The Keeper of Gull Point', author: 'Ada North' };
+
+test('detectFormat goes by content, then MIME type, then extension', () => {
+  const rtf = Buffer.from('{\\rtf1 Hello}');
+  assert.equal(detectFormat({ originalname: 'notes.txt', mimetype: 'text/plain', buffer: rtf }).format, 'rtf');
+  assert.equal(detectFormat({ originalname: 'page', mimetype: 'text/html', buffer: Buffer.from('<p>Hi</p>') }).format, 'html');
+  assert.equal(detectFormat({ originalname: 'notes.md', mimetype: 'application/octet-stream', buffer: Buffer.from('# Hi') }).format, 'markdown');
+  assert.equal(detectFormat({ originalname: 'notes', mimetype: '', buffer: Buffer.from('Plain words') }).format, 'text');
+  assert.equal(detectFormat({ originalname: 'image.bin', mimetype: '', buffer: Buffer.from([0, 1, 2]) }), null);
+});
+
+test('extractDocument reads plain text as it is', async () => {
+  const { format, text, headings, metadata } = await extractDocument(fixture('gull-point.txt'));
+
+  assert.equal(format, 'text');
+  assert.ok(text.startsWith('The Keeper of Gull Point\n\nChapter 1: The Last Keeper'));
+  assert.deepEqual(headings, []);
+  assert.equal(metadata.title, null);
+});
+
+test('extractDocument strips Markdown syntax and records its headings', async () => {
+  const { format, text, headings, metadata } = await extractDocument(fixture('bread.md'));
+
+  assert.equal(format, 'markdown');
+  assert.equal(metadata.title, 'A Short History of Bread');
+  assert.ok(!text.includes('#'));
+  assert.deepEqual(headings.filter(heading => heading.level === 1).map(heading => heading.title), [
+    'Before Farming',
+    'Leavened Bread in Egypt',
+    'Rome and the Public Bakery',
+    'The Industrial Loaf',
+    'The Sourdough Revival'
+  ]);
+  for (const heading of headings) {
+    assert.ok(text.startsWith(heading.title, heading.start));
+  }
+});
+
+test('extractDocument turns HTML into paragraphs with headings and metadata', async () => {
+  const { format, text, headings, metadata } = await extractDocument(fixture('urban-trees.html'));
+
+  assert.equal(format, 'html');
+  assert.deepEqual(metadata, { title: 'Why Cities Are Planting Trees Again', author: 'Lena Moreau' });
+  assert.equal(headings.length, 5);
+  assert.ok(text.includes('\n\nThe Heat Problem\n\nOn a summer afternoon'));
+  assert.ok(!text.includes('<'));
+});
+
+test('extractDocument decodes RTF text, escapes and document info', async () => {
+  const buffer = Buffer.from('{\\rtf1\\ansi{\\info{\\title My Book}}\\b Hello\\b0  world.\\par Caf\\\'e9 time.}', 'latin1');
+  const { format, text, metadata } = await extractDocument({ originalname: 'book.rtf', mimetype: '', buffer });
+
+  assert.equal(format, 'rtf');
+  assert.equal(text, 'Hello world.\n\nCafé time.');
+  assert.equal(metadata.title, 'My Book');
+});
+
+test('extractDocument reads PDF pages, bookmarks and document info', async () => {
+  const { format, text, pages, pageQuality, outline, metadata } = await extractDocument(fixture('gull-point.pdf', './fixtures'));
+
+  assert.equal(format, 'pdf');
+  assert.deepEqual(metadata, METADATA);
+  assert.equal(pages.length, 3);
+  assert.ok(pages[0].startsWith(CHAPTER_TITLES[0]));
+  assert.ok(pages[1].startsWith(CHAPTER_TITLES[1]));
+  assert.equal(text, pages.join('\n\n'));
+  assert.deepEqual(outline, CHAPTER_TITLES.map((title, index) => ({ title, level: 0, pageNumber: index + 1 })));
+  assert.deepEqual(pageQuality.slice(0, 2).map(quality => quality.method), ['text', 'text']);
+});
+
+test('extractDocument reads PDF pages without a text layer with OCR', async () => {
+  const { pages, pageQuality, ocr } = await extractDocument(fixture('gull-point.pdf', './fixtures'));
+
+  // The third page is blank: OCR is tried and finds nothing better, so the text layer is kept
+  assert.equal(pages[2], '');
+  assert.equal(pageQuality[2].confidence, 0);
+  assert.equal(pageQuality[2].method, 'ocr-rejected');
+  assert.deepEqual(ocr, { language: 'eng', pages: 1, processed: 1, error: null });
+});
+
+test('extractDocument reads EPUB chapters in spine order with their table of contents titles', async () => {
+  const { format, text, headings, metadata } = await extractDocument(fixture('gull-point.epub', './fixtures'));
+
+  assert.equal(format, 'epub');
+  assert.deepEqual(metadata, METADATA);
+  // The cover is outside the reading order (linear="no")
+  assert.ok(!text.includes('Cover page'));
+  assert.ok(text.startsWith(`${CHAPTER_TITLES[0]}\n\nMarta Ilves`));
+  assert.deepEqual(headings.map(heading => heading.title), ['The Last Keeper', 'The Storm of 1965']);
+  assert.ok(text.startsWith(CHAPTER_TITLES[1], headings[1].start));
+});
+
+test('extractDocument keeps Word headings and document properties', async () => {
+  const { format, text, pages, headings, metadata } = await extractDocument(fixture('gull-point.docx', './fixtures'));
+
+  assert.equal(format, 'docx');
+  assert.equal(pages, null);
+  assert.deepEqual(metadata, METADATA);
+  assert.deepEqual(headings.map(heading => heading.title), CHAPTER_TITLES);
+  for (const heading of headings) {
+    assert.ok(text.startsWith(heading.title, heading.start));
+  }
+  assert.ok(text.includes('Marta kept the light turning with a hand lantern.'));
+});
+
+test('extractDocument rejects unsupported files', async () => {
+  await assert.rejects(
+    extractDocument({ originalname: 'image.bin', mimetype: '', buffer: Buffer.from([0, 1, 2]) }),
+    /Unsupported file format/
+  );
+});
+
+test('cleanDocument keeps the text of a clean document', async () => {
+  const extracted = await extractDocument(fixture('bread.md'));
+  const { text } = cleanDocument(extracted, { countTokens: countTokensByWords });
+
+  assert.equal(text.split(/\s+/).length, extracted.text.split(/\s+/).length);
+});
+
+test('extractReadable keeps the article without navigation or footer', () => {
+  const html = fs.readFileSync(new URL('../eval/corpus/urban-trees.html', import.meta.url), 'utf-8');
+  const { html: article, title, author, wordCount, pageWords } = extractReadable(html, 'https://example.com/trees');
+
+  assert.equal(title, 'Why Cities Are Planting Trees Again');
+  assert.equal(author, 'Lena Moreau');
+  assert.ok(article.includes('urban heat island effect'));
+  assert.ok(article.includes('<link rel="canonical" href="https://example.com/trees">'));
+  assert.ok(!article.includes('Subscribe'));
+  assert.ok(!article.includes('All rights reserved'));
+  assert.ok(wordCount < pageWords);
+});
+
+test('stripGutenbergText keeps the book between the START and END lines', () => {
+  const raw = [
+    'The Project Gutenberg eBook of Walden',
+    '',
+    'Title: Walden',
+    'Author: Henry David Thoreau',
+    '',
+    '*** START OF THE PROJECT GUTENBERG EBOOK WALDEN ***',
+    '',
+    'When I wrote the following pages...',
+    '',
+    '*** END OF THE PROJECT GUTENBERG EBOOK WALDEN ***',
+    'License text'
+  ].join('\r\n');
+
+  assert.deepEqual(stripGutenbergText(raw), { text: 'When I wrote the following pages...', title: 'Walden', author: 'Henry David Thoreau' });
+  assert.deepEqual(stripGutenbergText('Just a text'), { text: 'Just a text', title: null, author: null });
+});
@@ -0,0 +1,114 @@
+// Writes the PDF, EPUB and DOCX fixtures of the extraction tests. The files are committed;
+// run this again (node test/fixtures/generate.js) only to change them.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import JSZip from 'jszip';
+import { Document, Packer, Paragraph, HeadingLevel } from 'docx';
+
+const FIXTURES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const CHAPTERS = [
+  {
+    title: 'Chapter 1: The Last Keeper',
+    text: 'Marta Ilves took charge of the Gull Point lighthouse in the autumn of 1962, when her father\'s eyes began to fail.'
+  },
+  {
+    title: 'Chapter 2: The Storm of 1965',
+    text: 'In November 1965 a storm broke the panes of the lamp room, and Marta kept the light turning with a hand lantern.'
+  }
+];
+
+// Two pages of text with a bookmark each, then a blank page (a scan without a text layer)
+function writePdf(file) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      info: { Title: 'The Keeper of Gull Point', Author: 'Ada North', CreationDate: new Date('2024-01-01T00:00:00Z') }
+    });
+    const output = fs.createWriteStream(file);
+    output.on('finish', resolve);
+    output.on('error', reject);
+    doc.pipe(output);
+
+    for (const chapter of CHAPTERS) {
+      doc.addPage();
+      doc.outline.addItem(chapter.title);
+      doc.fontSize(18).text(chapter.title);
+      doc.moveDown();
+      doc.fontSize(12).text(chapter.text);
+    }
+    doc.addPage();
+    doc.end();
+  });
+}
+
+const xhtml = (title, body) => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${title}</title></head>
+<body>${body}</body>
+</html>
+`;
+
+// EPUB 3 with a nav document whose titles differ from the chapters' own headings
+async function writeEpub(file) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="id">gull-point</dc:identifier>
+    <dc:title>The Keeper of Gull Point</dc:title>
+    <dc:creator>Ada North</dc:creator>
+    <dc:language>en</dc:language>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="text/chapter1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover" linear="no"/>
+    <itemref idref="ch1"/>
+    <itemref idref="ch2"/>
+  </spine>
+</package>
+`);
+  zip.file('OEBPS/nav.xhtml', xhtml('Contents', `
+<nav epub:type="toc"><ol>
+  <li><a href="text/chapter1.xhtml">The Last Keeper</a></li>
+  <li><a href="text/chapter2.xhtml#start">The Storm of 1965</a></li>
+</ol></nav>`));
+  zip.file('OEBPS/text/cover.xhtml', xhtml('Cover', '<p>Cover page</p>'));
+  CHAPTERS.forEach((chapter, index) => {
+    zip.file(`OEBPS/text/chapter${index + 1}.xhtml`, xhtml(chapter.title, `<h1>${chapter.title}</h1><p>${chapter.text}</p>`));
+  });
+
+  fs.writeFileSync(file, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+}
+
+// Word "Heading 1" paragraphs and the title and author in the document properties
+async function writeDocx(file) {
+  const doc = new Document({
+    title: 'The Keeper of Gull Point',
+    creator: 'Ada North',
+    sections: [{
+      children: CHAPTERS.flatMap(chapter => [
+        new Paragraph({ text: chapter.title, heading: HeadingLevel.HEADING_1 }),
+        new Paragraph({ text: chapter.text })
+      ])
+    }]
+  });
+  fs.writeFileSync(file, await Packer.toBuffer(doc));
+}
+
+await writePdf(path.join(FIXTURES_DIR, 'gull-point.pdf'));
+await writeEpub(path.join(FIXTURES_DIR, 'gull-point.epub'));
+await writeDocx(path.join(FIXTURES_DIR, 'gull-point.docx'));
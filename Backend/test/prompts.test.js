@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSummarizationPrompt } from '../lib/summarizer.js';
+import { createSystemInstruction, parseSummaryOptions } from '../lib/summaryOptions.js';
+
+const text = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+test('createSummarizationPrompt asks for the target length of a chunk', () => {
+  const prompt = createSummarizationPrompt(text(1000), 600);
+
+  assert.match(prompt, /Original text length: ~1000 words/);
+  assert.match(prompt, /Target summary length: ~600 words \(60% of original\)/);
+  assert.ok(prompt.endsWith(`Text to summarize:\n\n${text(1000)}`));
+});
+
+test('createSummarizationPrompt keeps chunk summaries between 40% and 90%', () => {
+  assert.match(createSummarizationPrompt(text(1000), 100), /~400 words \(40% of original\)/);
+  assert.match(createSummarizationPrompt(text(1000), 5000), /~900 words \(90% of original\)/);
+});
+
+test('createSystemInstruction names the style, tone and language', () => {
+  const instruction = createSystemInstruction({ tone: 'formal', language: 'French' });
+
+  assert.match(instruction, /formal/);
+  assert.match(instruction, /Write in French/);
+  assert.match(createSystemInstruction({}), /Write in English/);
+});
+
+test('parseSummaryOptions accepts only the listed styles, tones and policies', () => {
+  assert.match(parseSummaryOptions({ style: 'constructor' }).error, /Unknown style/);
+  assert.match(parseSummaryOptions({ tone: 'toString' }).error, /Unknown tone/);
+  assert.match(parseSummaryOptions({ onError: 'valueOf' }).error, /Unknown onError policy/);
+  assert.equal(parseSummaryOptions({ style: 'study', tone: 'formal', onError: 'skip' }).error, undefined);
+});
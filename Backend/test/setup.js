@@ -0,0 +1,9 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Loaded before every test file (--import): the modules under test open their databases
+// in DATA_DIR when imported, so tests get a fresh one instead of the server's
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookbrief-test-'));
+process.env.DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
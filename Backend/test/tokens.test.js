@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens, countTokensByWords, createTokenCounter, tokenizerName } from '../lib/tokens.js';
+
+test('countTokensByWords estimates 4 tokens for every 3 words', () => {
+  assert.equal(countTokensByWords('one two three'), 4);
+  assert.equal(countTokensByWords('one  two\nthree four five six'), 8);
+  assert.equal(countTokensByWords(''), 0);
+  assert.equal(countTokensByWords(' \n\t '), 0);
+  assert.equal(countTokensByWords('  padded words  '), 3);
+});
+
+test('countTokens counts tiktoken tokens', () => {
+  assert.equal(countTokens('hello world'), 2);
+  assert.equal(countTokens(''), 0);
+});
+
+test('tokenizerName picks the model\'s encoding, cl100k_base for unknown models', () => {
+  assert.equal(tokenizerName('gpt-4o-mini'), 'o200k_base');
+  assert.equal(tokenizerName('gpt-3.5-turbo'), 'cl100k_base');
+  assert.equal(tokenizerName('gemini-2.5-flash'), 'cl100k_base');
+});
+
+test('createTokenCounter counts with the model\'s encoding', () => {
+  const count = createTokenCounter('gemini-2.5-flash');
+  assert.equal(count('The lighthouse turned once every twelve seconds.'), countTokens('The lighthouse turned once every twelve seconds.'));
+});
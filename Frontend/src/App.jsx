@@ -1,15 +1,93 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useDropzone } from 'react-dropzone'
-import { Upload, FileText, Download, Loader2, BookOpen, Sparkles, CheckCircle, AlertCircle, Zap } from 'lucide-react'
+import { Upload, FileText, Download, Loader2, BookOpen, Sparkles, CheckCircle, AlertCircle, Zap, XCircle, LogOut, Globe } from 'lucide-react'
 import axios from 'axios'
+import SummaryTree from './components/SummaryTree'
+import ChapterList from './components/ChapterList'
+import SummarySettings from './components/SummarySettings'
+import ChatPanel from './components/ChatPanel'
+import Library from './components/Library'
+import FailedSections from './components/FailedSections'
+import PageQuality from './components/PageQuality'
+import SectionPicker from './components/SectionPicker'
+import CostEstimate from './components/CostEstimate'
+import LoginForm from './components/LoginForm'
+import AccountPanel from './components/AccountPanel'
+import AnalysisPanel from './components/AnalysisPanel'
+import StudyPanel from './components/StudyPanel'
+import ComparePanel from './components/ComparePanel'
 import './App.css'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000'
+const JOB_STORAGE_KEY = 'bookbrief_job'
+const COMPARISON_STORAGE_KEY = 'bookbrief_comparison'
+const SESSION_STORAGE_KEY = 'bookbrief_session'
+
+// The session token goes with every request. EventSource and download links can't set
+// headers, so they carry it in the URL instead.
+const applySessionToken = (token) => {
+  if (token) {
+    localStorage.setItem(SESSION_STORAGE_KEY, token)
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`
+  } else {
+    localStorage.removeItem(SESSION_STORAGE_KEY)
+    delete axios.defaults.headers.common.Authorization
+  }
+}
+applySessionToken(localStorage.getItem(SESSION_STORAGE_KEY))
+
+const withSessionToken = (url) => {
+  const token = localStorage.getItem(SESSION_STORAGE_KEY)
+  return token ? `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}` : url
+}
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  epub: 'EPUB',
+  docx: 'Word',
+  html: 'HTML',
+  markdown: 'Markdown',
+  rtf: 'RTF',
+  text: 'Text'
+}
+
+// Formats of GET /api/summaries/:id/export
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'docx', label: 'Word (DOCX)' },
+  { format: 'pdf', label: 'PDF' },
+  { format: 'epub', label: 'EPUB' },
+  { format: 'json', label: 'JSON' },
+  // Flashcards and quiz questions of runs in study mode
+  { format: 'csv', label: 'Anki flashcards (CSV)', study: true },
+  { format: 'apkg', label: 'Anki deck (APKG)', study: true }
+]
+
+// Most documents POST /api/compare takes at once
+const MAX_COMPARE_FILES = 5
+
+// Tabs next to the summary of a run in analysis mode
+const ANALYSIS_TABS = [
+  { key: 'people', label: 'People' },
+  { key: 'places', label: 'Places' },
+  { key: 'concepts', label: 'Concepts' },
+  { key: 'quotes', label: 'Quotes' },
+  { key: 'takeaways', label: 'Takeaways' }
+]
+
+// Tabs of a run in study mode, with the field of the study material that counts them
+const STUDY_TABS = [
+  { key: 'flashcards', label: 'Flashcards', countKey: 'flashcardCount' },
+  { key: 'quiz', label: 'Quiz', countKey: 'questionCount' }
+]
 
 function App() {
   const [file, setFile] = useState(null)
+  const [compareFiles, setCompareFiles] = useState([])
+  const [comparisonId, setComparisonId] = useState(() => localStorage.getItem(COMPARISON_STORAGE_KEY))
   const [textPreview, setTextPreview] = useState('')
   const [fullTextLength, setFullTextLength] = useState(0)
+  const [documentInfo, setDocumentInfo] = useState(null)
   const [summary, setSummary] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
@@ -17,78 +95,616 @@ function App() {
   const [error, setError] = useState('')
   const [stats, setStats] = useState(null)
   const [processingStage, setProcessingStage] = useState(0)
+  const [jobId, setJobId] = useState(null)
+  const [chunkProgress, setChunkProgress] = useState(null)
+  const [partialSummaries, setPartialSummaries] = useState([])
+  const [eta, setEta] = useState(null)
+  const [reduceProgress, setReduceProgress] = useState(null)
+  const [ocrProgress, setOcrProgress] = useState(null)
+  const [analysisProgress, setAnalysisProgress] = useState(null)
+  const [studyProgress, setStudyProgress] = useState(null)
+  const [resultTab, setResultTab] = useState('summary')
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const [urlInput, setUrlInput] = useState('')
+  const [isFetchingUrl, setIsFetchingUrl] = useState(false)
+  const [sourceUrl, setSourceUrl] = useState(null)
+  const [summaryTree, setSummaryTree] = useState(null)
+  const [toc, setToc] = useState([])
+  const [providers, setProviders] = useState([])
+  const [summaryOptions, setSummaryOptions] = useState(null)
+  const [settings, setSettings] = useState({
+    lengthMode: 'words',
+    length: '',
+    style: 'executive',
+    tone: 'neutral',
+    language: 'English',
+    onError: 'retry-later',
+    ocrLanguage: 'eng',
+    stripMatter: false,
+    analysis: false,
+    study: false,
+    provider: ''
+  })
+  const [resultInfo, setResultInfo] = useState(null)
+  const [libraryVersion, setLibraryVersion] = useState(0)
+  const [failedJob, setFailedJob] = useState(null)
+  const [exportFormat, setExportFormat] = useState('md')
+  const [selection, setSelection] = useState({ pages: '', sections: [] })
+  const [costEstimate, setCostEstimate] = useState(null)
+  const [isEstimating, setIsEstimating] = useState(false)
+  const [estimateError, setEstimateError] = useState('')
+  const [authConfig, setAuthConfig] = useState(null)
+  const [account, setAccount] = useState(null)
+  const estimateRequestRef = useRef(0)
+  const eventSourceRef = useRef(null)
+  const etaBaselineRef = useRef(null)
+
+  // Without accounts the API is open; with them it needs a signed-in user
+  const canUseApi = Boolean(authConfig) && (!authConfig.enabled || Boolean(account))
+  const needsLogin = Boolean(authConfig?.enabled) && !account
 
-  // Processing stages with different messages
+  // Processing stages, keyed by the stage names the backend reports
   const processingStages = [
-    { text: "Uploading file..." },
-    { text: "Analyzing document..."},
-    { text: "Processing with AI..." },
-    { text: "Generating summary..." },
-    { text: "Finalizing results..." }
-  ]
+    { key: 'uploading', text: "Uploading file..." },
+    { key: 'extracting', text: "Extracting text..." },
+    { key: 'summarizing', text: "Summarizing sections..." },
+    { key: 'analyzing', text: "Extracting people, places and quotes..." },
+    { key: 'studying', text: "Writing flashcards and quiz questions..." },
+    { key: 'reducing', text: "Combining summaries..." },
+    { key: 'done', text: "Finalizing results..." }
+  ].filter(stage => (stage.key !== 'analyzing' || settings.analysis) && (stage.key !== 'studying' || settings.study))
+
+  const setStage = (key) => {
+    setProcessingStage(Math.max(1, processingStages.findIndex(stage => stage.key === key)))
+  }
 
   const onDrop = async (acceptedFiles) => {
+    // Several files are compared with each other instead
+    if (acceptedFiles.length > 1) {
+      handleCloseComparison()
+      setFile(null)
+      setTextPreview('')
+      setSummary('')
+      setStats(null)
+      setCostEstimate(null)
+      setCompareFiles(acceptedFiles.slice(0, MAX_COMPARE_FILES))
+      setError(acceptedFiles.length > MAX_COMPARE_FILES ? `Only the first ${MAX_COMPARE_FILES} files can be compared at once` : '')
+      return
+    }
+
     const selectedFile = acceptedFiles[0]
     if (selectedFile) {
+      handleCloseComparison()
       setFile(selectedFile)
+      setSourceUrl(null)
+      setDocumentInfo(null)
       setTextPreview('')
       setSummary('')
       setError('')
       setStats(null)
+      setSelection({ pages: '', sections: [] })
+      setCostEstimate(null)
       
-      // Get text preview
-      try {
-        const formData = new FormData()
-        formData.append('file', selectedFile)
-        
-        const response = await axios.post(`${API_URL}/api/preview`, formData, {
-          headers: { 'Content-Type': 'multipart/form-data' }
-        })
-        
-        setTextPreview(response.data.preview)
-        // Store full text length if available, otherwise use file size as estimate
-        setFullTextLength(response.data.fullLength || selectedFile.size)
-      } catch (err) {
-        console.error('Preview error:', err)
-        // Fallback to file size
-        setFullTextLength(selectedFile.size)
+      await loadPreview(selectedFile, settings)
+    }
+  }
+
+  // Fetches a web page or document on the server, which answers with it as a file (web
+  // pages reduced to their article), and then goes on as if that file had been dropped
+  const handleFetchUrl = async (e) => {
+    e.preventDefault()
+    if (!urlInput.trim()) return
+
+    setIsFetchingUrl(true)
+    setError('')
+    try {
+      const response = await axios.post(`${API_URL}/api/ingest-url`, { url: urlInput.trim() }, { responseType: 'blob' })
+      const disposition = response.headers['content-disposition'] || ''
+      const encodedName = /filename\*=UTF-8''([^;]+)/i.exec(disposition)
+      const name = encodedName ? decodeURIComponent(encodedName[1]) : /filename="([^"]+)"/i.exec(disposition)?.[1] || 'document'
+      const fetchedFile = new File([response.data], name, { type: response.data.type })
+
+      await onDrop([fetchedFile])
+      setSourceUrl(response.headers['x-source-url'] || urlInput.trim())
+      setUrlInput('')
+    } catch (err) {
+      console.error('Ingest error:', err)
+      // Errors come back as a blob too
+      if (err.response?.data instanceof Blob) {
+        try {
+          err.response.data = JSON.parse(await err.response.data.text())
+        } catch {
+          err.response.data = {}
+        }
       }
+      setError(getErrorMessage(err))
+    } finally {
+      setIsFetchingUrl(false)
     }
   }
 
+  // Get text preview, cleaned the way the summary will be. Scanned pages are read with OCR in ocrLanguage.
+  const loadPreview = async (selectedFile, { ocrLanguage, stripMatter }) => {
+    setIsPreviewing(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', selectedFile)
+      formData.append('ocrLanguage', ocrLanguage)
+      formData.append('stripMatter', stripMatter)
+      
+      const response = await axios.post(`${API_URL}/api/preview`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })
+      
+      setTextPreview(response.data.preview)
+      setDocumentInfo({
+        format: response.data.format,
+        ...response.data.metadata,
+        pages: response.data.pages,
+        ocr: response.data.ocr,
+        cleanup: response.data.cleanup,
+        sections: response.data.sections || [],
+        estimate: response.data.estimate
+      })
+      // Stripping front and back matter can renumber the sections
+      setSelection(current => ({ ...current, sections: [] }))
+      // Store full text length if available, otherwise use file size as estimate
+      setFullTextLength(response.data.fullLength || selectedFile.size)
+    } catch (err) {
+      console.error('Preview error:', err)
+      // Fallback to file size
+      setFullTextLength(selectedFile.size)
+    } finally {
+      setIsPreviewing(false)
+    }
+  }
+
+  // Scanned pages read differently in another OCR language, and stripping front and back
+  // matter changes the text, so preview them again
+  const handleSettingsChange = (next) => {
+    const ocrChanged = next.ocrLanguage !== settings.ocrLanguage && documentInfo?.ocr
+    const cleanupChanged = next.stripMatter !== settings.stripMatter && documentInfo?.cleanup
+    if (file && (ocrChanged || cleanupChanged)) {
+      loadPreview(file, next)
+    }
+    setSettings(next)
+  }
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
       'text/plain': ['.txt'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'application/epub+zip': ['.epub'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'text/html': ['.html', '.htm', '.xhtml'],
+      'text/markdown': ['.md', '.markdown'],
+      'application/rtf': ['.rtf']
     },
-    multiple: false
+    multiple: true
   })
 
-  const handleSummarize = async () => {
-    if (!file) return
+  const getErrorMessage = (err) => {
+    let errorMessage = 'An error occurred while summarizing the file'
+
+    if (err.code === 'ERR_NETWORK' || err.message === 'Network Error') {
+      errorMessage = `Cannot connect to the backend server. Please ensure the backend is running on ${API_URL}`
+    } else if (err.response) {
+      errorMessage = err.response.data?.error || err.response.data?.message || errorMessage
+
+      if (err.response.data?.details) {
+        errorMessage += `\n\nDetails: ${err.response.data.details}`
+      }
+    } else if (err.request) {
+      errorMessage = 'No response from server. Please check if the backend is running.'
+    } else if (err.message) {
+      errorMessage = err.message
+    }
+
+    return errorMessage
+  }
+
+  const closeJobEvents = () => {
+    eventSourceRef.current?.close()
+    eventSourceRef.current = null
+  }
+
+  const finishJob = () => {
+    closeJobEvents()
+    localStorage.removeItem(JOB_STORAGE_KEY)
+    setLibraryVersion(version => version + 1)
+    refreshAccount()
+    setJobId(null)
+    setIsLoading(false)
+    setIsProcessing(false)
+    setProgress(0)
+    setChunkProgress(null)
+    setReduceProgress(null)
+    setOcrProgress(null)
+    setAnalysisProgress(null)
+    setStudyProgress(null)
+    setEta(null)
+    setProcessingStage(processingStages.length - 1)
+  }
+
+  // Estimates the remaining time from the chunks completed since we started watching
+  const updateChunkProgress = (completed, total) => {
+    setChunkProgress({ completed, total })
+    setProgress(total ? Math.round((completed / total) * 100) : 0)
+
+    const baseline = etaBaselineRef.current
+    if (!baseline) {
+      etaBaselineRef.current = { time: Date.now(), completed }
+      return
+    }
+
+    const chunksDone = completed - baseline.completed
+    if (chunksDone > 0) {
+      const msPerChunk = (Date.now() - baseline.time) / chunksDone
+      setEta(Math.round((msPerChunk * (total - completed)) / 1000))
+    }
+  }
+
+  const showResult = (summaryText, originalLen) => {
+    setSummary(summaryText)
+    const summaryLen = summaryText.length
+
+    setStats({
+      originalLength: originalLen,
+      summaryLength: summaryLen,
+      compressionRatio: originalLen > summaryLen
+        ? Math.round(100 - (summaryLen / originalLen) * 100)
+        : 0,
+    })
+  }
+
+  // Fetches the finished summary along with its book -> part -> section hierarchy
+  const loadResult = async (id, originalLen) => {
+    try {
+      const { data } = await axios.get(`${API_URL}/api/jobs/${id}/result`)
+      showResult(data.summary, originalLen)
+      setResultTab('summary')
+      setSummaryTree(data.hierarchy)
+      setToc(data.toc || [])
+      setResultInfo({ bookId: id, model: data.model, options: data.options, targetWords: data.targetWords, cache: data.cache, cleanup: data.cleanup, selection: data.selection, failures: data.failures || [], analysis: data.analysis || null, study: data.study || null })
+    } catch (err) {
+      console.error('Result error:', err)
+      setError(getErrorMessage(err))
+    }
+  }
+
+  // Follows a summarization job's Server-Sent Events until it completes, fails or is cancelled
+  const followJob = (id, originalLen) => {
+    closeJobEvents()
+    etaBaselineRef.current = null
+
+    const source = new EventSource(withSessionToken(`${API_URL}/api/jobs/${id}/events`))
+    eventSourceRef.current = source
+
+    // Sent on every (re)connect with the job's current state
+    source.addEventListener('snapshot', (event) => {
+      const { job, chunkSummaries } = JSON.parse(event.data)
+      setPartialSummaries(chunkSummaries)
+
+      if (job.status === 'completed') {
+        loadResult(id, originalLen)
+        finishJob()
+      } else if (job.status === 'failed') {
+        setError(job.error || 'Summarization failed')
+        setFailedJob({ id, originalLen, failures: job.failures })
+        finishJob()
+      } else if (job.status === 'cancelled') {
+        finishJob()
+      } else {
+        setStage(job.stage)
+        if (job.progress.totalChunks) {
+          updateChunkProgress(job.progress.completedChunks, job.progress.totalChunks)
+        }
+        if (job.stage === 'analyzing') {
+          setAnalysisProgress({ completed: job.progress.analyzedChunks, total: job.progress.totalChunks })
+        }
+        if (job.stage === 'studying') {
+          setStudyProgress({ completed: job.progress.studiedChunks, total: job.progress.totalChunks })
+        }
+      }
+    })
+
+    source.addEventListener('extracting', () => setStage('extracting'))
+
+    // Scanned pages being read with OCR
+    source.addEventListener('ocr', (event) => {
+      const { completedPages, totalPages } = JSON.parse(event.data)
+      setStage('extracting')
+      setOcrProgress({ completed: completedPages, total: totalPages })
+    })
+
+    source.addEventListener('chunked', (event) => {
+      const { completedChunks, totalChunks } = JSON.parse(event.data)
+      setStage('summarizing')
+      setOcrProgress(null)
+      etaBaselineRef.current = null
+      updateChunkProgress(completedChunks, totalChunks)
+    })
+
+    source.addEventListener('chunk', (event) => {
+      const { index, summary: chunkSummary, completedChunks, totalChunks } = JSON.parse(event.data)
+      setPartialSummaries(prev => {
+        const next = [...prev]
+        next[index] = chunkSummary
+        return next
+      })
+      updateChunkProgress(completedChunks, totalChunks)
+    })
+
+    // Analysis mode: entities, quotes and takeaways extracted section by section
+    source.addEventListener('analyzing', (event) => {
+      const { completedChunks, totalChunks } = JSON.parse(event.data)
+      setStage('analyzing')
+      setEta(null)
+      setAnalysisProgress({ completed: completedChunks, total: totalChunks })
+    })
+
+    // Study mode: flashcards and quiz questions written section by section
+    source.addEventListener('studying', (event) => {
+      const { completedChunks, totalChunks } = JSON.parse(event.data)
+      setStage('studying')
+      setEta(null)
+      setAnalysisProgress(null)
+      setStudyProgress({ completed: completedChunks, total: totalChunks })
+    })
+
+    source.addEventListener('reducing', (event) => {
+      const { level, completedGroups, totalGroups, consolidating } = JSON.parse(event.data)
+      setStage('reducing')
+      setEta(null)
+      if (consolidating) {
+        setReduceProgress({ consolidating })
+      } else if (totalGroups) {
+        setReduceProgress({ level, completed: completedGroups, total: totalGroups })
+      }
+    })
+
+    source.addEventListener('chapter', (event) => {
+      const { index, totalChapters } = JSON.parse(event.data)
+      setStage('reducing')
+      setEta(null)
+      setReduceProgress({ chapter: index + 1, total: totalChapters })
+    })
+
+    source.addEventListener('complete', () => {
+      loadResult(id, originalLen)
+      finishJob()
+    })
+
+    source.addEventListener('cancelled', () => finishJob())
+
+    // Job failures arrive as 'error' events with data; connection errors have none
+    source.addEventListener('error', (event) => {
+      if (event.data) {
+        const { message, failures } = JSON.parse(event.data)
+        setError(message || 'Summarization failed')
+        setFailedJob({ id, originalLen, failures: failures || [] })
+        finishJob()
+      } else if (source.readyState === EventSource.CLOSED) {
+        setError('Lost connection to the summarization job. Please check if the backend is running.')
+        finishJob()
+      }
+    })
+  }
+
+  // Today's usage and limits of the signed-in user
+  const refreshAccount = () => {
+    if (!localStorage.getItem(SESSION_STORAGE_KEY)) return
+    axios.get(`${API_URL}/api/auth/me`)
+      .then(({ data }) => data.user && setAccount(data))
+      .catch(err => console.error('Account error:', err))
+  }
+
+  const handleSignedIn = ({ token, ...session }) => {
+    applySessionToken(token)
+    setAccount(session)
+  }
+
+  const handleSignOut = async () => {
+    closeJobEvents()
+    try {
+      await axios.post(`${API_URL}/api/auth/logout`)
+    } catch (err) {
+      console.error('Sign out error:', err)
+    }
+    applySessionToken(null)
+    localStorage.removeItem(JOB_STORAGE_KEY)
+    handleCloseComparison()
+    setAccount(null)
+    // Registration closes once the first account exists
+    axios.get(`${API_URL}/api/auth/config`)
+      .then(({ data }) => setAuthConfig(data))
+      .catch(err => console.error('Auth config error:', err))
+    setFile(null)
+    setSummary('')
+    setStats(null)
+    setResultInfo(null)
+    setIsLoading(false)
+    setIsProcessing(false)
+  }
+
+  // Whether the server has accounts, and who is signed in. An expired session signs out.
+  useEffect(() => {
+    axios.get(`${API_URL}/api/auth/config`)
+      .then(async ({ data }) => {
+        if (data.enabled && localStorage.getItem(SESSION_STORAGE_KEY)) {
+          try {
+            const { data: me } = await axios.get(`${API_URL}/api/auth/me`)
+            setAccount(me.user ? me : null)
+          } catch (err) {
+            applySessionToken(null)
+          }
+        }
+        setAuthConfig(data)
+      })
+      .catch(err => {
+        console.error('Auth config error:', err)
+        setError(getErrorMessage(err))
+      })
+
+    const interceptor = axios.interceptors.response.use(null, (err) => {
+      if (err.response?.status === 401 && !err.config.url.includes('/api/auth/')) {
+        applySessionToken(null)
+        setAccount(null)
+      }
+      return Promise.reject(err)
+    })
+    return () => axios.interceptors.response.eject(interceptor)
+  }, [])
+
+  // Resume following a job that was running before the page was reloaded
+  useEffect(() => {
+    if (!canUseApi) return
+    const saved = localStorage.getItem(JOB_STORAGE_KEY)
+    if (!saved) return
+
+    try {
+      const { id, originalLength } = JSON.parse(saved)
+      setJobId(id)
+      setFullTextLength(originalLength)
+      setIsLoading(true)
+      setIsProcessing(true)
+      setProcessingStage(1)
+      followJob(id, originalLength)
+    } catch {
+      localStorage.removeItem(JOB_STORAGE_KEY)
+    }
+
+    return closeJobEvents
+  }, [canUseApi])
+
+  // Load the LLM providers and summary options the server offers, preselecting its defaults
+  useEffect(() => {
+    if (!canUseApi) return
+    axios.get(`${API_URL}/api/providers`)
+      .then(({ data }) => {
+        const available = data.providers.filter(option => option.configured)
+        const provider = available.find(option => option.default)?.name || available[0]?.name || ''
+        setProviders(available)
+        setSettings(current => ({ ...current, provider }))
+      })
+      .catch(err => console.error('Providers error:', err))
+
+    axios.get(`${API_URL}/api/summary-options`)
+      .then(({ data }) => {
+        const { style, tone, language, onError } = data.defaults
+        setSummaryOptions(data)
+        setSettings(current => ({ ...current, style, tone, language, onError, ocrLanguage: data.ocr?.default || current.ocrLanguage }))
+      })
+      .catch(err => console.error('Summary options error:', err))
+  }, [canUseApi])
+
+  // Request fields for the current summary settings
+  const getSummaryFields = () => {
+    const fields = { style: settings.style, tone: settings.tone, onError: settings.onError }
+    if (settings.length) {
+      fields[settings.lengthMode === 'percent' ? 'targetPercent' : 'targetWords'] = settings.length
+    }
+    if (settings.language.trim()) {
+      fields.language = settings.language.trim()
+    }
+    if (settings.provider) {
+      fields.provider = settings.provider
+    }
+    if (settings.ocrLanguage) {
+      fields.ocrLanguage = settings.ocrLanguage
+    }
+    if (settings.stripMatter) {
+      fields.stripMatter = 'true'
+    }
+    if (settings.analysis) {
+      fields.analysis = 'true'
+    }
+    if (settings.study) {
+      fields.study = 'true'
+    }
+    if (selection.pages.trim()) {
+      fields.pages = selection.pages.trim()
+    }
+    if (selection.sections.length) {
+      fields.sections = selection.sections.join(',')
+    }
+    return fields
+  }
 
+  // Estimates the summary's chunks, tokens, time and price whenever the document, the
+  // settings or the selection change. Only the latest request's answer is shown.
+  useEffect(() => {
+    if (!file || !documentInfo || isPreviewing || !canUseApi) return
+
+    const requestId = ++estimateRequestRef.current
+    const timer = setTimeout(async () => {
+      setIsEstimating(true)
+      try {
+        const formData = new FormData()
+        formData.append('file', file)
+        for (const [key, value] of Object.entries(getSummaryFields())) {
+          formData.append(key, value)
+        }
+        const { data } = await axios.post(`${API_URL}/api/estimate`, formData, {
+          headers: { 'Content-Type': 'multipart/form-data' }
+        })
+        if (requestId === estimateRequestRef.current) {
+          setCostEstimate(data)
+          setEstimateError('')
+        }
+      } catch (err) {
+        if (requestId === estimateRequestRef.current) {
+          setCostEstimate(null)
+          setEstimateError(err.response?.data?.error || '')
+        }
+      } finally {
+        if (requestId === estimateRequestRef.current) setIsEstimating(false)
+      }
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [file, documentInfo, isPreviewing, settings, selection])
+
+  const startProcessing = () => {
     setIsLoading(true)
     setIsProcessing(true)
     setProcessingStage(0)
+    setSummary('')
+    setStats(null)
     setError('')
+    setPartialSummaries([])
+    setSummaryTree(null)
+    setToc([])
+    setResultInfo(null)
+    setFailedJob(null)
+  }
 
-    let stageIndex = 0
-    const totalStages = processingStages.length
+  // Remembers the job so a page reload can resume it, then follows its progress
+  const trackJob = (id, fileName, originalLen) => {
+    localStorage.setItem(JOB_STORAGE_KEY, JSON.stringify({
+      id,
+      fileName,
+      originalLength: originalLen
+    }))
 
-    // Cycle stages until the last one, then hold it
-    const stageInterval = setInterval(() => {
-      stageIndex++
-      if (stageIndex < totalStages - 1) {
-        setProcessingStage(stageIndex)
-      } else {
-        setProcessingStage(totalStages - 1)
-        clearInterval(stageInterval)
-      }
-    }, 1500)
+    setJobId(id)
+    setProgress(0)
+    setProcessingStage(1)
+    followJob(id, originalLen)
+    setLibraryVersion(version => version + 1)
+  }
+
+  const handleSummarize = async () => {
+    if (!file) return
+
+    startProcessing()
 
     const formData = new FormData()
     formData.append('file', file)
+    for (const [key, value] of Object.entries(getSummaryFields())) {
+      formData.append(key, value)
+    }
 
     try {
       const response = await axios.post(`${API_URL}/api/summarize`, formData, {
@@ -101,56 +717,125 @@ function App() {
         },
       })
 
-      setSummary(response.data.summary)
-      const summaryLen = response.data.summary.length
-      const originalLen = fullTextLength || file.size
-      
-      setStats({
-        originalLength: originalLen,
-        summaryLength: summaryLen,
-        compressionRatio: originalLen > summaryLen 
-          ? Math.round(100 - (summaryLen / originalLen) * 100)
-          : 0,
-      })
+      trackJob(response.data.jobId, file.name, fullTextLength || file.size)
     } catch (err) {
       console.error('Summarization error:', err)
-      
-      let errorMessage = 'An error occurred while summarizing the file'
-      
-      if (err.code === 'ERR_NETWORK' || err.message === 'Network Error') {
-        errorMessage = `Cannot connect to the backend server. Please ensure the backend is running on ${API_URL}`
-      } else if (err.response) {
-        errorMessage = err.response.data?.error || err.response.data?.message || errorMessage
-        
-        if (err.response.data?.details) {
-          errorMessage += `\n\nDetails: ${err.response.data.details}`
-        }
-      } else if (err.request) {
-        errorMessage = 'No response from server. Please check if the backend is running.'
-      }
-      
-      setError(errorMessage)
-    } finally {
-      clearInterval(stageInterval)
-      setIsLoading(false)
-      setIsProcessing(false)
-      setProgress(0)
-      setProcessingStage(processingStages.length - 1)
+      setError(getErrorMessage(err))
+      finishJob()
     }
   }
 
+  // Summarizes a library document again with the current settings
+  const handleResummarize = async (document) => {
+    startProcessing()
+    setProcessingStage(1)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+
+    try {
+      const { data } = await axios.post(`${API_URL}/api/library/${document.id}/summarize`, getSummaryFields())
+      trackJob(data.jobId, document.fileName, document.textLength || document.fileSize)
+    } catch (err) {
+      console.error('Re-summarize error:', err)
+      setError(getErrorMessage(err))
+      finishJob()
+    }
+  }
+
+  // Re-runs only the failed sections (or the failed stage) of a job
+  const handleRetry = async (id, originalLen) => {
+    startProcessing()
+    setProcessingStage(1)
+
+    try {
+      await axios.post(`${API_URL}/api/jobs/${id}/retry`)
+      trackJob(id, file?.name || '', originalLen)
+    } catch (err) {
+      console.error('Retry error:', err)
+      setError(getErrorMessage(err))
+      finishJob()
+    }
+  }
+
+  // Shows a saved summary from the library
+  const handleOpenSummary = async (summaryId) => {
+    try {
+      const { data } = await axios.get(`${API_URL}/api/library/summaries/${summaryId}`)
+      setError('')
+      showResult(data.summary, data.document.textLength || data.document.fileSize)
+      setResultTab('summary')
+      setSummaryTree(data.hierarchy)
+      setToc(data.toc || [])
+      setResultInfo({ bookId: data.id, model: data.model, options: data.options, targetWords: data.targetWords, cache: data.cache, cleanup: data.cleanup, selection: data.selection, failures: data.failures || [], analysis: data.analysis || null, study: data.study || null })
+      window.scrollTo({ top: 0, behavior: 'smooth' })
+    } catch (err) {
+      console.error('Open summary error:', err)
+      setError(getErrorMessage(err))
+    }
+  }
+
+  // Follows a comparison, remembering it so a page reload can resume it
+  const handleOpenComparison = (id) => {
+    localStorage.setItem(COMPARISON_STORAGE_KEY, id)
+    setComparisonId(id)
+    setCompareFiles([])
+    setLibraryVersion(version => version + 1)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
+  const handleCloseComparison = () => {
+    localStorage.removeItem(COMPARISON_STORAGE_KEY)
+    setComparisonId(null)
+    setCompareFiles([])
+  }
+
+  const handleCancel = async () => {
+    if (!jobId) return
+
+    try {
+      await axios.delete(`${API_URL}/api/jobs/${jobId}`)
+    } catch (err) {
+      console.error('Cancel error:', err)
+    }
+    finishJob()
+  }
+
+  const formatEta = (seconds) => {
+    if (seconds < 60) return `${seconds}s`
+    const minutes = Math.floor(seconds / 60)
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  }
+
+  // Flashcard formats only apply to runs in study mode
+  const exportOptions = EXPORT_FORMATS.filter(option => !option.study || resultInfo?.study)
+  const downloadFormat = exportOptions.some(option => option.format === exportFormat) ? exportFormat : 'md'
+
+  // The server renders the export and names the file after the book
   const handleDownload = () => {
-    if (!summary) return
+    if (!summary || !resultInfo?.bookId) return
 
     const element = document.createElement('a')
-    const fileBlob = new Blob([summary], { type: 'text/plain' })
-    element.href = URL.createObjectURL(fileBlob)
-    element.download = 'bookbrief_summary.txt'
+    element.href = withSessionToken(`${API_URL}/api/summaries/${resultInfo.bookId}/export?format=${downloadFormat}`)
     document.body.appendChild(element)
     element.click()
     document.body.removeChild(element)
   }
 
+  // With accounts on, nothing but the sign-in form until someone signs in
+  if (needsLogin) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 font-sans px-4 py-16">
+        <LoginForm apiUrl={API_URL} canRegister={authConfig.registration} isSetup={authConfig.setup} onSignedIn={handleSignedIn} />
+      </div>
+    )
+  }
+
+  // The summary, then the tabs of analysis and study mode with how many entries they have
+  const resultTabs = [
+    { key: 'summary', label: 'Summary' },
+    ...(resultInfo?.analysis ? ANALYSIS_TABS.map(tab => ({ ...tab, count: resultInfo.analysis[tab.key].length })) : []),
+    ...(resultInfo?.study ? STUDY_TABS.map(tab => ({ ...tab, count: resultInfo.study[tab.countKey] })) : [])
+  ]
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 font-sans">
       {/* Navigation Header */}
@@ -166,9 +851,24 @@ function App() {
                 <p className="text-xs text-slate-500">AI-Powered Summarization</p>
               </div>
             </div>
-            <div className="flex items-center space-x-2 text-sm text-slate-600">
-              <Zap className="h-4 w-4 text-accent-500" />
-              <span>AI-Powered Summarization</span>
+            <div className="flex items-center space-x-6 text-sm text-slate-600">
+              <a href="#library" className="font-medium hover:text-primary-600 transition-colors duration-200">Library</a>
+              {account ? (
+                <>
+                  <a href="#account" className="font-medium hover:text-primary-600 transition-colors duration-200" title="Usage today">
+                    {account.user.username} • {account.usage.jobs}{account.limits.jobs ? `/${account.limits.jobs}` : ''} summaries today
+                  </a>
+                  <button onClick={handleSignOut} className="flex items-center hover:text-primary-600 transition-colors duration-200">
+                    <LogOut className="h-4 w-4 mr-1" />
+                    Sign out
+                  </button>
+                </>
+              ) : (
+                <div className="flex items-center space-x-2">
+                  <Zap className="h-4 w-4 text-accent-500" />
+                  <span>AI-Powered Summarization</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -200,10 +900,10 @@ function App() {
                 </div>
                 <div>
                   <h2 className="text-2xl font-semibold text-slate-800">Upload Your Document</h2>
-                  <p className="text-slate-600">Support for TXT and PDF files up to 50MB</p>
+                  <p className="text-slate-600">Support for PDF, EPUB, DOCX, HTML, Markdown, RTF and TXT files up to 50MB</p>
                 </div>
               </div>
-              
+                  
               <div
                 {...getRootProps()}
                 className={`border-2 border-dashed rounded-xl p-12 text-center cursor-pointer transition-all duration-300 ${
@@ -226,7 +926,7 @@ function App() {
                     <p className="text-slate-700 text-lg font-medium mb-2">
                       Drag & drop your file here, or <span className="text-primary-600 font-semibold">browse</span>
                     </p>
-                    <p className="text-slate-500 mb-4">Supports .txt and .pdf files</p>
+                    <p className="text-slate-500 mb-4">Supports .pdf, .epub, .docx, .html, .md, .rtf and .txt files • drop up to {MAX_COMPARE_FILES} to compare them</p>
                     <div className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 transition-colors">
                       <Upload className="h-4 w-4 mr-2" />
                       Choose File
@@ -235,19 +935,90 @@ function App() {
                 )}
               </div>
 
+              <form onSubmit={handleFetchUrl} className="mt-4 flex items-center gap-3">
+                <div className="relative flex-1">
+                  <Globe className="h-4 w-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="url"
+                    value={urlInput}
+                    onChange={(e) => setUrlInput(e.target.value)}
+                    placeholder="Or paste the URL of an article, web book or PDF"
+                    disabled={isFetchingUrl}
+                    className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-700 focus:border-primary-500 focus:ring-primary-500"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={isFetchingUrl || !urlInput.trim()}
+                  className="flex items-center bg-white border border-slate-300 hover:border-primary-400 hover:text-primary-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isFetchingUrl && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  {isFetchingUrl ? 'Fetching...' : 'Fetch'}
+                </button>
+              </form>
+
               {file && (
                 <div className="mt-6 p-4 bg-emerald-50 border border-emerald-200 rounded-xl animate-slide-up">
                   <div className="flex items-center">
                     <CheckCircle className="h-5 w-5 text-emerald-600 mr-3" />
                     <div className="flex-1">
                       <p className="text-emerald-800 font-medium">{file.name}</p>
-                      <p className="text-emerald-600 text-sm">{(file.size / 1024 / 1024).toFixed(2)} MB • Ready to summarize</p>
+                      <p className="text-emerald-600 text-sm">
+                        {documentInfo?.format && `${FORMAT_LABELS[documentInfo.format] || documentInfo.format} • `}
+                        {(file.size / 1024 / 1024).toFixed(2)} MB • Ready to summarize
+                      </p>
+                      {sourceUrl && (
+                        <p className="text-emerald-600 text-sm mt-1 truncate">
+                          From <a href={sourceUrl} target="_blank" rel="noreferrer" className="underline hover:text-emerald-800">{sourceUrl}</a>
+                        </p>
+                      )}
+                      {documentInfo?.cleanup?.tokensSaved > 0 && (
+                        <p className="text-emerald-600 text-sm mt-1">
+                          Cleanup removed ~{documentInfo.cleanup.tokensSaved.toLocaleString()} tokens of headers, page numbers and line breaks
+                          {documentInfo.cleanup.frontMatterPages + documentInfo.cleanup.backMatterPages > 0 && ' and front/back matter'}
+                        </p>
+                      )}
+                      {(documentInfo?.title || documentInfo?.author) && (
+                        <p className="text-emerald-700 text-sm mt-1">
+                          {documentInfo.title && <span className="font-medium">{documentInfo.title}</span>}
+                          {documentInfo.title && documentInfo.author && ' by '}
+                          {documentInfo.author}
+                        </p>
+                      )}
                     </div>
                   </div>
+                  {documentInfo?.pages && (
+                    <PageQuality pages={documentInfo.pages} ocr={documentInfo.ocr} loading={isPreviewing} />
+                  )}
                 </div>
               )}
             </div>
 
+            {/* Comparison of several documents */}
+            {(compareFiles.length > 0 || comparisonId) && (
+              <ComparePanel
+                apiUrl={API_URL}
+                files={compareFiles}
+                jobId={comparisonId}
+                fields={getSummaryFields()}
+                eventsUrl={(id) => withSessionToken(`${API_URL}/api/jobs/${id}/events`)}
+                onRemoveFile={(index) => setCompareFiles(current => current.filter((_, i) => i !== index))}
+                onStart={handleOpenComparison}
+                onFinish={() => {
+                  setLibraryVersion(version => version + 1)
+                  refreshAccount()
+                }}
+                onClose={handleCloseComparison}
+              >
+                <SummarySettings
+                  settings={settings}
+                  onChange={setSettings}
+                  summaryOptions={summaryOptions}
+                  providers={providers}
+                />
+              </ComparePanel>
+            )}
+
             {/* Text Preview */}
             {textPreview && (
               <div className="bg-white rounded-2xl shadow-soft border border-slate-200 p-8 mt-8 animate-slide-up">
@@ -274,6 +1045,28 @@ function App() {
             {/* Action Button */}
             {file && (
               <div className="text-center mt-8">
+                {documentInfo?.estimate && (
+                  <SectionPicker
+                    sections={documentInfo.sections}
+                    pages={documentInfo.pages}
+                    estimate={documentInfo.estimate}
+                    selection={selection}
+                    onChange={setSelection}
+                    disabled={isLoading || isPreviewing}
+                  />
+                )}
+                <SummarySettings
+                  settings={settings}
+                  onChange={handleSettingsChange}
+                  summaryOptions={summaryOptions}
+                  providers={providers}
+                  showOcrLanguage={Boolean(documentInfo?.ocr)}
+                  showCleanup={Boolean(documentInfo?.cleanup)}
+                  disabled={isLoading}
+                />
+                {!isLoading && (
+                  <CostEstimate estimate={costEstimate} loading={isEstimating} error={estimateError} />
+                )}
                 <button
                   onClick={handleSummarize}
                   disabled={isLoading}
@@ -295,7 +1088,7 @@ function App() {
                   {isLoading && (
                     <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent animate-pulse"></div>
                   )}
-                  
+                      
                   {/* Button content */}
                   <div className="relative z-10 flex items-center">
                     {isLoading ? (
@@ -312,13 +1105,13 @@ function App() {
                       </>
                     )}
                   </div>
-                  
+                      
                   {/* Ripple effect on click */}
                   {!isLoading && (
                     <div className="absolute inset-0 bg-white/20 scale-0 group-active:scale-100 transition-transform duration-150 rounded-xl"></div>
                   )}
                 </button>
-                
+                    
                 {/* Processing status text */}
                 {isLoading && (
                   <div className="mt-4 animate-fade-in">
@@ -339,12 +1132,21 @@ function App() {
                   <div className="bg-accent-100 p-3 rounded-xl mr-4 animate-pulse">
                     <Loader2 className="h-6 w-6 text-accent-600 animate-spin" />
                   </div>
-                  <div>
+                  <div className="flex-1">
                     <h3 className="text-xl font-semibold text-slate-800 animate-pulse">AI Processing</h3>
                     <p className="text-slate-600 animate-pulse">
                       {processingStages[processingStage]?.text || "Analyzing and summarizing your document..."}
                     </p>
                   </div>
+                  {jobId && (
+                    <button
+                      onClick={handleCancel}
+                      className="flex items-center text-sm font-medium text-slate-600 hover:text-red-600 border border-slate-300 hover:border-red-300 rounded-lg px-3 py-2 transition-colors"
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Cancel
+                    </button>
+                  )}
                 </div>
                 <div className="space-y-4">
                   <div className="w-full bg-slate-200 rounded-full h-3 overflow-hidden">
@@ -359,11 +1161,30 @@ function App() {
                   <div className="flex justify-between text-sm text-slate-600">
                     <span className="flex items-center">
                       <div className="w-1.5 h-1.5 bg-primary-500 rounded-full mr-2 animate-bounce"></div>
-                      Processing...
+                      {reduceProgress
+                        ? (reduceProgress.consolidating
+                          ? 'Writing the final summary'
+                          : reduceProgress.chapter
+                            ? `Summarizing chapter ${reduceProgress.chapter} of ${reduceProgress.total}`
+                            : `Merging level ${reduceProgress.level}: ${reduceProgress.completed} of ${reduceProgress.total} parts`)
+                        : studyProgress
+                          ? `Writing flashcards for section ${Math.min(studyProgress.completed + 1, studyProgress.total)} of ${studyProgress.total}`
+                          : analysisProgress
+                            ? `Analyzing section ${Math.min(analysisProgress.completed + 1, analysisProgress.total)} of ${analysisProgress.total}`
+                            : ocrProgress
+                              ? `Reading scanned page ${Math.min(ocrProgress.completed + 1, ocrProgress.total)} of ${ocrProgress.total}`
+                              : chunkProgress
+                                ? `Section ${Math.min(chunkProgress.completed + 1, chunkProgress.total)} of ${chunkProgress.total}`
+                                : 'Processing...'}
+                    </span>
+                    <span>
+                      {eta !== null && eta > 0 && (
+                        <span className="text-slate-500 mr-3">~{formatEta(eta)} remaining</span>
+                      )}
+                      <span className="font-semibold text-primary-600">{progress}%</span>
                     </span>
-                    <span className="font-semibold text-primary-600">{progress}%</span>
                   </div>
-                  
+                      
                   {/* Processing steps indicator */}
                   <div className="mt-4 space-y-2">
                     {processingStages.map((stage, index) => (
@@ -382,6 +1203,23 @@ function App() {
                       </div>
                     ))}
                   </div>
+
+                  {/* Partial summaries as sections finish */}
+                  {partialSummaries.some(Boolean) && (
+                    <div className="mt-6">
+                      <h4 className="text-sm font-semibold text-slate-700 mb-2">
+                        Summarized so far ({partialSummaries.filter(Boolean).length} sections)
+                      </h4>
+                      <div className="bg-slate-50 rounded-xl p-4 max-h-64 overflow-y-auto space-y-3">
+                        {partialSummaries.map((partial, index) => partial && (
+                          <div key={index} className="text-sm text-slate-700">
+                            <span className="font-semibold text-primary-600 mr-2">Section {index + 1}</span>
+                            <p className="whitespace-pre-wrap leading-relaxed mt-1">{partial}</p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -394,6 +1232,13 @@ function App() {
                   <div>
                     <h4 className="text-red-800 font-semibold mb-2">Processing Error</h4>
                     <p className="text-red-700 whitespace-pre-line">{error}</p>
+                    {failedJob && (
+                      <FailedSections
+                        failures={failedJob.failures}
+                        onRetry={() => handleRetry(failedJob.id, failedJob.originalLen)}
+                        disabled={isLoading}
+                      />
+                    )}
                   </div>
                 </div>
               </div>
@@ -409,24 +1254,114 @@ function App() {
                     </div>
                     <div>
                       <h3 className="text-2xl font-semibold text-slate-800">AI Summary</h3>
-                      <p className="text-slate-600">Generated by Gemini AI</p>
+                      <p className="text-slate-600">
+                        Generated by {resultInfo?.model || 'AI'}
+                        {resultInfo?.options && (
+                          <>
+                            {' • '}{summaryOptions?.styles.find(style => style.id === resultInfo.options.style)?.label || resultInfo.options.style}
+                            {' • '}~{resultInfo.targetWords} words
+                            {resultInfo.options.language !== 'English' && ` • ${resultInfo.options.language}`}
+                          </>
+                        )}
+                      </p>
                     </div>
                   </div>
-                  <button
-                    onClick={handleDownload}
-                    className="bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 text-white font-semibold py-3 px-6 rounded-xl flex items-center transition-all duration-300 transform hover:scale-105 shadow-medium"
-                  >
-                    <Download className="h-4 w-4 mr-2" />
-                    Download
-                  </button>
-                </div>
-                <div className="bg-gradient-to-br from-slate-50 to-blue-50 rounded-xl p-6 border border-slate-200">
-                  <pre className="whitespace-pre-wrap text-slate-700 leading-relaxed text-base">
-                    {summary}
-                  </pre>
+                  <div className="flex items-center">
+                    <select
+                      value={downloadFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      aria-label="Download format"
+                      className="mr-3 px-3 py-3 border border-slate-300 rounded-xl bg-white text-slate-700 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    >
+                      {exportOptions.map(option => (
+                        <option key={option.format} value={option.format}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleDownload}
+                      className="bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 text-white font-semibold py-3 px-6 rounded-xl flex items-center transition-all duration-300 transform hover:scale-105 shadow-medium"
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      Download
+                    </button>
+                  </div>
                 </div>
+                {resultTabs.length > 1 && (
+                  <div className="flex flex-wrap gap-1 mb-4 border-b border-slate-200" role="tablist">
+                    {resultTabs.map(tab => (
+                      <button
+                        key={tab.key}
+                        role="tab"
+                        aria-selected={resultTab === tab.key}
+                        onClick={() => setResultTab(tab.key)}
+                        className={`px-4 py-2 -mb-px text-sm font-medium border-b-2 transition-colors ${
+                          resultTab === tab.key ? 'border-primary-600 text-primary-700' : 'border-transparent text-slate-500 hover:text-slate-800'
+                        }`}
+                      >
+                        {tab.label}
+                        {tab.count !== undefined && (
+                          <span className="ml-1 text-xs text-slate-400">{tab.count}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {resultInfo?.study && STUDY_TABS.some(tab => tab.key === resultTab) ? (
+                  <div className="rounded-xl p-6 border border-slate-200">
+                    <StudyPanel key={resultInfo.bookId} apiUrl={API_URL} bookId={resultInfo.bookId} study={resultInfo.study} tab={resultTab} />
+                  </div>
+                ) : resultInfo?.analysis && resultTab !== 'summary' ? (
+                  <div className="rounded-xl p-6 border border-slate-200">
+                    <AnalysisPanel analysis={resultInfo.analysis} tab={resultTab} />
+                    {resultInfo.analysis.analyzedChunks < resultInfo.analysis.totalChunks && (
+                      <p className="mt-4 text-xs text-slate-500">
+                        From {resultInfo.analysis.analyzedChunks} of {resultInfo.analysis.totalChunks} sections; the model's answer for the others couldn't be used
+                      </p>
+                    )}
+                  </div>
+                ) : (
+                  <div className="bg-gradient-to-br from-slate-50 to-blue-50 rounded-xl p-6 border border-slate-200">
+                    <pre className="whitespace-pre-wrap text-slate-700 leading-relaxed text-base">
+                      {summary}
+                    </pre>
+                  </div>
+                )}
+
+                {resultInfo?.failures?.length > 0 && (
+                  <div className="mt-6 bg-amber-50 border border-amber-200 rounded-xl p-5">
+                    <h4 className="font-semibold text-amber-800">
+                      {resultInfo.failures.length} {resultInfo.failures.length === 1 ? 'section was' : 'sections were'} left out of this summary
+                    </h4>
+                    <FailedSections
+                      failures={resultInfo.failures}
+                      onRetry={() => handleRetry(resultInfo.bookId, stats?.originalLength)}
+                      disabled={isLoading}
+                    />
+                  </div>
+                )}
+
+                {toc.length > 0 && (
+                  <div className="mt-6">
+                    <h4 className="text-lg font-semibold text-slate-800 mb-1">Chapters</h4>
+                    <p className="text-sm text-slate-600 mb-3">{toc.filter(entry => entry.summary).length} chapters detected • expand one to read its summary</p>
+                    <ChapterList toc={toc} />
+                  </div>
+                )}
+
+                {summaryTree?.children?.length > 1 && (
+                  <div className="mt-6">
+                    <h4 className="text-lg font-semibold text-slate-800 mb-1">Summary Breakdown</h4>
+                    <p className="text-sm text-slate-600 mb-3">Drill down from the book summary into its parts and sections</p>
+                    <SummaryTree tree={summaryTree} />
+                  </div>
+                )}
               </div>
             )}
+
+            {/* Q&A over the summarized book */}
+            {summary && resultInfo?.bookId && (
+              <ChatPanel apiUrl={API_URL} bookId={resultInfo.bookId} onAnswer={refreshAccount} />
+            )}
           </div>
 
           {/* Sidebar */}
@@ -450,6 +1385,30 @@ function App() {
                       {stats.compressionRatio > 0 ? `${stats.compressionRatio}%` : 'N/A'}
                     </span>
                   </div>
+                  {resultInfo?.cache?.hits > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-600">From Cache</span>
+                      <span className="font-semibold text-emerald-600">
+                        {resultInfo.cache.hits}/{resultInfo.cache.hits + resultInfo.cache.misses} calls • {resultInfo.cache.tokensSaved.toLocaleString()} tokens saved
+                      </span>
+                    </div>
+                  )}
+                  {resultInfo?.selection && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-600">Summarized</span>
+                      <span className="font-semibold text-slate-800">
+                        {[resultInfo.selection.pages && `pages ${resultInfo.selection.pages}`, resultInfo.selection.sections && `sections ${resultInfo.selection.sections}`].filter(Boolean).join(' of ')} • {resultInfo.selection.wordCount.toLocaleString()} words
+                      </span>
+                    </div>
+                  )}
+                  {resultInfo?.cleanup?.tokensSaved > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-slate-600">Cleanup</span>
+                      <span className="font-semibold text-emerald-600">
+                        {resultInfo.cleanup.tokensSaved.toLocaleString()} tokens saved
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -489,6 +1448,19 @@ function App() {
             </div>
           </div>
         </div>
+
+        {/* Document Library */}
+        <Library
+          apiUrl={API_URL}
+          refreshKey={libraryVersion}
+          onOpen={handleOpenSummary}
+          onOpenComparison={handleOpenComparison}
+          onResummarize={handleResummarize}
+          disabled={isLoading}
+        />
+
+        {/* Account: usage today and API keys */}
+        {account && <AccountPanel apiUrl={API_URL} account={account} />}
       </div>
 
       {/* Footer */}
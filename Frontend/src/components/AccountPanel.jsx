@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { Gauge, KeyRound, Trash2, Copy } from 'lucide-react'
+
+const METERS = [
+  { name: 'jobs', label: 'Summaries' },
+  { name: 'pages', label: 'Pages' },
+  { name: 'tokens', label: 'Tokens' }
+]
+
+const formatAmount = (value) => value >= 100000 ? `${Math.round(value / 1000).toLocaleString()}k` : value.toLocaleString()
+
+// Today's usage against the daily limits, one bar per limit
+function UsageMeter({ usage, limits }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {METERS.map(({ name, label }) => {
+        const used = usage[name]
+        const limit = limits[name]
+        const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0
+        return (
+          <div key={name}>
+            <div className="flex justify-between text-xs text-slate-600 mb-1">
+              <span>{label}</span>
+              <span>{formatAmount(used)} / {limit ? formatAmount(limit) : 'unlimited'}</span>
+            </div>
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${percent >= 90 ? 'bg-red-500' : percent >= 70 ? 'bg-amber-500' : 'bg-primary-500'}`}
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// The signed-in user's usage today and their API keys for scripts
+function AccountPanel({ apiUrl, account }) {
+  const [keys, setKeys] = useState([])
+  const [keyName, setKeyName] = useState('')
+  const [newKey, setNewKey] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    axios.get(`${apiUrl}/api/auth/keys`)
+      .then(({ data }) => setKeys(data.keys))
+      .catch(err => setError(err.response?.data?.error || err.message))
+  }, [apiUrl])
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault()
+    try {
+      const { data } = await axios.post(`${apiUrl}/api/auth/keys`, { name: keyName.trim() })
+      setKeys(current => [...current, data.apiKey])
+      setNewKey(data.key)
+      setKeyName('')
+      setError('')
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+  }
+
+  const handleDeleteKey = async (key) => {
+    if (!window.confirm(`Revoke the API key "${key.name}"? Scripts using it will stop working.`)) return
+
+    try {
+      await axios.delete(`${apiUrl}/api/auth/keys/${key.id}`)
+      setKeys(current => current.filter(item => item.id !== key.id))
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+  }
+
+  return (
+    <div id="account" className="bg-white rounded-2xl shadow-soft border border-slate-200 p-8 mt-8 animate-slide-up">
+      <div className="flex items-center mb-6">
+        <div className="bg-primary-100 p-3 rounded-xl mr-4">
+          <Gauge className="h-6 w-6 text-primary-600" />
+        </div>
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-800">Usage today</h3>
+          <p className="text-slate-600">
+            {account.user.username}{account.user.role === 'admin' && ' (admin)'} • limits reset at midnight UTC
+          </p>
+        </div>
+      </div>
+
+      <UsageMeter usage={account.usage} limits={account.limits} />
+
+      <div className="mt-8">
+        <div className="flex items-center mb-3">
+          <KeyRound className="h-4 w-4 mr-2 text-primary-600" />
+          <h4 className="text-sm font-semibold text-slate-800">API keys</h4>
+        </div>
+        <p className="text-sm text-slate-600 mb-3">
+          For scripts: send a key as <code className="bg-slate-100 px-1 rounded">X-API-Key</code>. Usage counts towards your limits.
+        </p>
+
+        {error && (
+          <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        {newKey && (
+          <div className="mb-3 p-3 bg-emerald-50 border border-emerald-200 rounded-lg text-sm text-emerald-800">
+            <p className="mb-1">Copy your new key now - it won't be shown again.</p>
+            <div className="flex items-center">
+              <code className="flex-1 break-all">{newKey}</code>
+              <button
+                onClick={() => navigator.clipboard?.writeText(newKey)}
+                className="ml-2 p-1 text-emerald-700 hover:text-emerald-900"
+                title="Copy"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {keys.length > 0 && (
+          <div className="divide-y divide-slate-100 mb-3 text-sm">
+            {keys.map(key => (
+              <div key={key.id} className="flex items-center py-2">
+                <span className="flex-1 text-slate-800">{key.name}</span>
+                <code className="text-xs text-slate-500 mr-4">{key.prefix}…</code>
+                <span className="text-xs text-slate-500 mr-4">
+                  {key.lastUsedAt ? `used ${new Date(key.lastUsedAt).toLocaleDateString()}` : 'never used'}
+                </span>
+                <button onClick={() => handleDeleteKey(key)} className="p-1 text-slate-400 hover:text-red-600" title="Revoke">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleCreateKey} className="flex gap-2">
+          <input
+            type="text"
+            value={keyName}
+            onChange={(e) => setKeyName(e.target.value)}
+            placeholder="Key name, e.g. nightly script"
+            maxLength={100}
+            className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-400"
+          />
+          <button
+            type="submit"
+            disabled={!keyName.trim()}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 disabled:opacity-60"
+          >
+            Create key
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default AccountPanel
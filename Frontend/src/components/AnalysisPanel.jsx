@@ -0,0 +1,81 @@
+import { Quote, Lightbulb } from 'lucide-react'
+
+const quoteLocation = ({ chapter, page }) => [chapter, page && `p. ${page}`].filter(Boolean).join(' • ')
+
+// People, places or glossary terms with how often they come up and where
+function EntityList({ entries, nameKey, textKey }) {
+  return (
+    <div className="divide-y divide-slate-100">
+      {entries.map(entry => (
+        <div key={entry[nameKey]} className="py-3">
+          <div className="flex items-baseline justify-between">
+            <span className="font-semibold text-slate-800">{entry[nameKey]}</span>
+            <span className="ml-3 text-xs text-slate-500 whitespace-nowrap">
+              {entry.mentions} {entry.mentions === 1 ? 'section' : 'sections'}
+            </span>
+          </div>
+          {entry.aliases.length > 0 && (
+            <p className="text-xs text-slate-500">Also: {entry.aliases.join(', ')}</p>
+          )}
+          {entry[textKey] && <p className="text-sm text-slate-700 mt-1">{entry[textKey]}</p>}
+          {entry.chapters.length > 0 && (
+            <p className="text-xs text-slate-500 mt-1">{entry.chapters.slice(0, 5).join(' • ')}{entry.chapters.length > 5 && ` and ${entry.chapters.length - 5} more`}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// One tab of a summary's structured analysis
+function AnalysisPanel({ analysis, tab }) {
+  const entries = analysis[tab] || []
+  if (!entries.length) {
+    return <p className="text-sm text-slate-500">Nothing found in this book.</p>
+  }
+
+  if (tab === 'quotes') {
+    return (
+      <div className="space-y-4">
+        {entries.map(quote => (
+          <blockquote key={quote.text} className="flex border-l-4 border-primary-200 pl-4">
+            <Quote className="h-4 w-4 mr-2 mt-1 text-primary-400 flex-shrink-0" />
+            <div>
+              <p className="text-slate-700 italic">{quote.text}</p>
+              <p className="text-xs text-slate-500 mt-1">
+                {[quote.speaker && `— ${quote.speaker}`, quoteLocation(quote)].filter(Boolean).join(' • ')}
+              </p>
+            </div>
+          </blockquote>
+        ))}
+        {analysis.unverifiedQuotes > 0 && (
+          <p className="text-xs text-slate-500">
+            {analysis.unverifiedQuotes} suggested {analysis.unverifiedQuotes === 1 ? 'quote was' : 'quotes were'} left out because {analysis.unverifiedQuotes === 1 ? 'it is' : 'they are'} not in the text word for word
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  if (tab === 'takeaways') {
+    return (
+      <ul className="space-y-3">
+        {entries.map(takeaway => (
+          <li key={takeaway.text} className="flex text-slate-700">
+            <Lightbulb className="h-4 w-4 mr-2 mt-1 text-amber-500 flex-shrink-0" />
+            <span>
+              {takeaway.text}
+              {takeaway.chapter && <span className="ml-2 text-xs text-slate-500">{takeaway.chapter}</span>}
+            </span>
+          </li>
+        ))}
+      </ul>
+    )
+  }
+
+  return tab === 'concepts'
+    ? <EntityList entries={entries} nameKey="term" textKey="definition" />
+    : <EntityList entries={entries} nameKey="name" textKey="description" />
+}
+
+export default AnalysisPanel
@@ -0,0 +1,56 @@
+import { useState } from 'react'
+import { ChevronRight, ChevronDown } from 'lucide-react'
+
+const pageRange = (entry) => {
+  if (!entry.startPage) return null
+  return entry.startPage === entry.endPage ? `p. ${entry.startPage}` : `pp. ${entry.startPage}–${entry.endPage}`
+}
+
+function ChapterItem({ entry }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const pages = pageRange(entry)
+
+  // Part headings without text of their own are shown as group labels
+  if (!entry.summary) {
+    return (
+      <div className="pt-4 pb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+        {entry.title}
+      </div>
+    )
+  }
+
+  return (
+    <div className={`border-b border-slate-100 last:border-b-0 ${entry.level > 0 ? 'ml-2' : ''}`}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center text-left py-3 group"
+      >
+        {isOpen
+          ? <ChevronDown className="h-4 w-4 mr-2 text-primary-600 flex-shrink-0" />
+          : <ChevronRight className="h-4 w-4 mr-2 text-slate-400 group-hover:text-primary-600 flex-shrink-0" />}
+        <span className="flex-1 text-sm font-medium text-slate-800">{entry.title}</span>
+        <span className="ml-3 text-xs text-slate-500 whitespace-nowrap">
+          {pages && `${pages} • `}{entry.wordCount.toLocaleString()} words
+        </span>
+      </button>
+      {isOpen && (
+        <p className="whitespace-pre-wrap text-sm text-slate-700 leading-relaxed pb-4 ml-6">{entry.summary}</p>
+      )}
+    </div>
+  )
+}
+
+// Collapsible table of contents with a summary for every detected chapter
+function ChapterList({ toc }) {
+  if (!toc?.length) return null
+
+  return (
+    <div>
+      {toc.map((entry, index) => (
+        <ChapterItem key={index} entry={entry} />
+      ))}
+    </div>
+  )
+}
+
+export default ChapterList
@@ -0,0 +1,177 @@
+import { useState, useRef, useEffect } from 'react'
+import { MessageSquare, Send, Loader2 } from 'lucide-react'
+import axios from 'axios'
+
+const passageLocation = (passage) => [
+  passage.chapter,
+  passage.page && `p. ${passage.page}`,
+  `chunk ${passage.chunk + 1}`
+].filter(Boolean).join(' • ')
+
+// Marks the words of a passage that matched the question
+function HighlightedText({ text, terms }) {
+  if (!terms?.length) return text
+
+  return text.split(/([\p{L}\p{N}]+)/u).map((part, i) => {
+    const word = part.toLowerCase()
+    return terms.some(term => word.startsWith(term))
+      ? <mark key={i} className="bg-amber-100 text-slate-800 rounded px-0.5">{part}</mark>
+      : part
+  })
+}
+
+// Answer text with its [n] citations turned into buttons that highlight the passage
+function AnswerText({ answer, onCite }) {
+  return answer.split(/(\[\d+\])/).map((part, i) => {
+    const match = /^\[(\d+)\]$/.exec(part)
+    if (!match) return part
+    return (
+      <button
+        key={i}
+        onClick={() => onCite(Number(match[1]))}
+        className="mx-0.5 px-1.5 rounded bg-primary-100 text-primary-700 text-xs font-semibold hover:bg-primary-200"
+      >
+        {match[1]}
+      </button>
+    )
+  })
+}
+
+function ChatMessage({ message, messageIndex }) {
+  const [activePassage, setActivePassage] = useState(null)
+  const passageRefs = useRef({})
+
+  const cite = (id) => {
+    setActivePassage(id)
+    passageRefs.current[id]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+  }
+
+  const cited = message.passages.filter(passage => passage.cited)
+  const shown = cited.length ? cited : message.passages
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-end">
+        <p className="max-w-[85%] bg-primary-600 text-white rounded-xl rounded-br-sm px-4 py-2 text-sm">{message.question}</p>
+      </div>
+      <div className="max-w-[95%] bg-slate-50 border border-slate-200 rounded-xl rounded-bl-sm px-4 py-3">
+        <p className="whitespace-pre-wrap text-sm text-slate-700 leading-relaxed">
+          <AnswerText answer={message.answer} onCite={cite} />
+        </p>
+        {shown.length > 0 && (
+          <div className="mt-3 space-y-2">
+            {shown.map(passage => (
+              <div
+                key={`${messageIndex}-${passage.id}`}
+                ref={element => { passageRefs.current[passage.id] = element }}
+                onClick={() => setActivePassage(passage.id)}
+                className={`
+                  text-xs rounded-lg border p-3 cursor-pointer transition-colors duration-200
+                  ${activePassage === passage.id
+                    ? 'border-amber-400 bg-amber-50 ring-2 ring-amber-200'
+                    : 'border-slate-200 bg-white hover:border-slate-300'}
+                `}
+              >
+                <div className="flex items-center mb-1 font-semibold text-slate-600">
+                  <span className="mr-2 px-1.5 rounded bg-primary-100 text-primary-700">{passage.id}</span>
+                  {passageLocation(passage)}
+                </div>
+                <p className={`whitespace-pre-wrap text-slate-600 leading-relaxed ${activePassage === passage.id ? '' : 'line-clamp-3'}`}>
+                  <HighlightedText text={passage.text} terms={passage.terms} />
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Chat about a summarized book: questions are answered from retrieved passages, with citations
+function ChatPanel({ apiUrl, bookId, onAnswer }) {
+  const [messages, setMessages] = useState([])
+  const [question, setQuestion] = useState('')
+  const [isAsking, setIsAsking] = useState(false)
+  const [error, setError] = useState('')
+  const bottomRef = useRef(null)
+
+  useEffect(() => {
+    setMessages([])
+    setError('')
+  }, [bookId])
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+  }, [messages, isAsking])
+
+  const handleAsk = async (e) => {
+    e.preventDefault()
+    const text = question.trim()
+    if (!text || isAsking) return
+
+    setIsAsking(true)
+    setError('')
+    try {
+      const { data } = await axios.post(`${apiUrl}/api/books/${bookId}/ask`, {
+        question: text,
+        history: messages.map(({ question, answer }) => ({ question, answer }))
+      })
+      setMessages(current => [...current, { question: text, ...data }])
+      setQuestion('')
+      onAnswer?.()
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    } finally {
+      setIsAsking(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-soft border border-slate-200 p-8 mt-8 animate-slide-up">
+      <div className="flex items-center mb-6">
+        <div className="bg-primary-100 p-3 rounded-xl mr-4">
+          <MessageSquare className="h-6 w-6 text-primary-600" />
+        </div>
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-800">Ask the Book</h3>
+          <p className="text-slate-600">Answers cite the passages they come from</p>
+        </div>
+      </div>
+
+      {messages.length > 0 && (
+        <div className="max-h-[32rem] overflow-y-auto space-y-6 mb-6 pr-1">
+          {messages.map((message, i) => (
+            <ChatMessage key={i} message={message} messageIndex={i} />
+          ))}
+          <div ref={bottomRef} />
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <form onSubmit={handleAsk} className="flex">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          maxLength={1000}
+          placeholder="What does the book say about..."
+          disabled={isAsking}
+          className="flex-1 px-4 py-3 border border-slate-300 rounded-l-xl focus:outline-none focus:ring-2 focus:ring-primary-400"
+        />
+        <button
+          type="submit"
+          disabled={isAsking || !question.trim()}
+          className="bg-primary-600 hover:bg-primary-700 disabled:bg-slate-400 text-white px-5 rounded-r-xl flex items-center transition-colors duration-200"
+        >
+          {isAsking ? <Loader2 className="h-5 w-5 animate-spin" /> : <Send className="h-5 w-5" />}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ChatPanel
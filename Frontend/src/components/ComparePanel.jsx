@@ -0,0 +1,304 @@
+import { useState, useEffect } from 'react'
+import { Files, GitCompare, Loader2, XCircle, X, AlertCircle, RotateCcw, CheckCircle } from 'lucide-react'
+import axios from 'axios'
+import ComparisonReport from './ComparisonReport'
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  running: 'Summarizing',
+  completed: 'Summarized',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+}
+
+const errorMessage = (err) => err.response?.data?.error || err.message
+
+// What one document of the comparison is doing
+function SourceStatus({ job, index }) {
+  if (!job) {
+    return <li className="text-sm text-slate-500">Document {index + 1} was deleted</li>
+  }
+
+  const { completedChunks, totalChunks } = job.progress
+  return (
+    <li className="text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-medium text-slate-700 truncate mr-3">{job.fileName}</span>
+        <span className={`text-xs whitespace-nowrap ${job.status === 'failed' ? 'text-red-600' : 'text-slate-500'}`}>
+          {STATUS_LABELS[job.status] || job.status}
+          {job.status === 'running' && totalChunks ? ` • ${completedChunks}/${totalChunks} sections` : ''}
+        </span>
+      </div>
+      <div className="w-full bg-slate-200 rounded-full h-1.5 mt-1 overflow-hidden">
+        <div
+          className={`h-1.5 rounded-full transition-all duration-500 ${job.status === 'failed' ? 'bg-red-400' : 'bg-primary-500'}`}
+          style={{ width: `${job.status === 'completed' ? 100 : job.progress.percent}%` }}
+        />
+      </div>
+      {job.error && <p className="text-xs text-red-600 mt-1">{job.error}</p>}
+    </li>
+  )
+}
+
+// Compares several documents: pick the files and an optional focus, follow each document's
+// summary and then the comparison, and show the side-by-side report. jobId is the
+// comparison being followed, if any.
+function ComparePanel({ apiUrl, files, jobId, fields, eventsUrl, onRemoveFile, onStart, onFinish, onClose, children }) {
+  const [focus, setFocus] = useState('')
+  const [isStarting, setIsStarting] = useState(false)
+  const [job, setJob] = useState(null)
+  const [sources, setSources] = useState([])
+  const [condensing, setCondensing] = useState(null)
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState('')
+  const [retryKey, setRetryKey] = useState(0)
+
+  useEffect(() => {
+    if (!jobId) return
+    setJob(null)
+    setSources([])
+    setReport(null)
+    setError('')
+
+    const source = new EventSource(eventsUrl(jobId))
+    const loadReport = () => {
+      axios.get(`${apiUrl}/api/jobs/${jobId}/result`)
+        .then(({ data }) => setReport(data))
+        .catch(err => setError(errorMessage(err)))
+    }
+    const finish = () => {
+      source.close()
+      setCondensing(null)
+      onFinish()
+    }
+
+    // Sent on every (re)connect with the comparison's and its documents' current state
+    source.addEventListener('snapshot', (event) => {
+      const { job: snapshot, sources: sourceJobs } = JSON.parse(event.data)
+      setJob(snapshot)
+      setSources(sourceJobs || [])
+      if (snapshot.status === 'completed') {
+        loadReport()
+        finish()
+      } else if (snapshot.status === 'failed') {
+        setError(snapshot.error || 'The comparison failed')
+        finish()
+      } else if (snapshot.status === 'cancelled') {
+        finish()
+      }
+    })
+
+    // Progress of the documents being summarized
+    source.addEventListener('source', (event) => {
+      const { index, job: sourceJob } = JSON.parse(event.data)
+      setSources(current => current.map((entry, i) => (i === index ? sourceJob : entry)))
+    })
+
+    source.addEventListener('comparing', (event) => {
+      const { condensing: index } = JSON.parse(event.data)
+      setJob(current => current && { ...current, status: 'running', stage: 'comparing' })
+      setCondensing(index ?? null)
+    })
+
+    source.addEventListener('complete', () => {
+      loadReport()
+      finish()
+    })
+
+    source.addEventListener('cancelled', () => {
+      setJob(current => current && { ...current, status: 'cancelled' })
+      finish()
+    })
+
+    // Failures arrive as 'error' events with data; connection errors have none
+    source.addEventListener('error', (event) => {
+      if (event.data) {
+        setError(JSON.parse(event.data).message || 'The comparison failed')
+        setJob(current => current && { ...current, status: 'failed' })
+        finish()
+      } else if (source.readyState === EventSource.CLOSED) {
+        setError('Lost connection to the comparison. Please check if the backend is running.')
+        finish()
+      }
+    })
+
+    return () => source.close()
+  }, [jobId, retryKey])
+
+  const handleCompare = async () => {
+    setIsStarting(true)
+    setError('')
+
+    const formData = new FormData()
+    files.forEach(file => formData.append('files', file))
+    for (const [key, value] of Object.entries(fields)) {
+      formData.append(key, value)
+    }
+    if (focus.trim()) {
+      formData.append('focus', focus.trim())
+    }
+
+    try {
+      const { data } = await axios.post(`${apiUrl}/api/compare`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })
+      onStart(data.jobId)
+    } catch (err) {
+      console.error('Comparison error:', err)
+      setError(errorMessage(err))
+    } finally {
+      setIsStarting(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    try {
+      await axios.delete(`${apiUrl}/api/jobs/${jobId}`)
+    } catch (err) {
+      console.error('Cancel error:', err)
+    }
+  }
+
+  // Failed documents are retried first: they run before the comparison in the queue
+  const handleRetry = async () => {
+    setError('')
+    try {
+      for (const sourceJob of sources) {
+        if (sourceJob && ['failed', 'cancelled'].includes(sourceJob.status)) {
+          await axios.post(`${apiUrl}/api/jobs/${sourceJob.id}/retry`)
+        }
+      }
+      await axios.post(`${apiUrl}/api/jobs/${jobId}/retry`)
+      setRetryKey(key => key + 1)
+    } catch (err) {
+      console.error('Retry error:', err)
+      setError(errorMessage(err))
+    }
+  }
+
+  const isActive = job && ['queued', 'running'].includes(job.status)
+  const title = report
+    ? `Comparison of ${report.sources.length} documents`
+    : jobId ? 'Comparing documents' : `Compare ${files.length} documents`
+
+  return (
+    <div className="bg-white rounded-2xl shadow-soft border border-slate-200 p-8 mt-8 animate-slide-up">
+      <div className="flex items-center mb-6">
+        <div className="bg-primary-100 p-3 rounded-xl mr-4">
+          <GitCompare className="h-6 w-6 text-primary-600" />
+        </div>
+        <div className="flex-1">
+          <h3 className="text-2xl font-semibold text-slate-800">{title}</h3>
+          <p className="text-slate-600">
+            {report?.focus
+              ? `Focus: ${report.focus}`
+              : 'Shared themes, disagreements and what each document adds, side by side'}
+          </p>
+        </div>
+        {isActive ? (
+          <button
+            onClick={handleCancel}
+            className="flex items-center text-sm font-medium text-slate-600 hover:text-red-600 border border-slate-300 hover:border-red-300 rounded-lg px-3 py-2 transition-colors"
+          >
+            <XCircle className="h-4 w-4 mr-1" />
+            Cancel
+          </button>
+        ) : (
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+            <X className="h-5 w-5" />
+          </button>
+        )}
+      </div>
+
+      {!jobId && (
+        <>
+          <ul className="mb-6 divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {files.map((file, index) => (
+              <li key={`${file.name}-${index}`} className="flex items-center px-4 py-3 text-sm">
+                <Files className="h-4 w-4 mr-3 text-slate-400" />
+                <span className="flex-1 text-slate-700">{file.name}</span>
+                <span className="mr-3 text-slate-500">{(file.size / 1024 / 1024).toFixed(2)} MB</span>
+                <button onClick={() => onRemoveFile(index)} disabled={isStarting} className="text-slate-400 hover:text-red-600" title="Remove">
+                  <X className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <label className="block text-left mb-6">
+            <span className="text-sm font-medium text-slate-700">Focus (optional)</span>
+            <input
+              type="text"
+              value={focus}
+              onChange={(e) => setFocus(e.target.value)}
+              maxLength={200}
+              placeholder="e.g. leadership, methodology, economic policy"
+              className="mt-1 w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-primary-500 focus:ring-primary-500"
+            />
+          </label>
+
+          {children}
+
+          <button
+            onClick={handleCompare}
+            disabled={isStarting || files.length < 2}
+            className="bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 text-white font-semibold py-4 px-12 rounded-xl flex items-center mx-auto shadow-medium hover:shadow-large transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isStarting ? <Loader2 className="h-5 w-5 mr-3 animate-spin" /> : <GitCompare className="h-5 w-5 mr-3" />}
+            Compare {files.length} documents
+          </button>
+        </>
+      )}
+
+      {jobId && !report && (
+        <div className="space-y-4">
+          {!job && <Loader2 className="h-5 w-5 animate-spin text-slate-400" />}
+          {sources.length > 0 && (
+            <ul className="space-y-3">
+              {sources.map((sourceJob, index) => <SourceStatus key={sourceJob?.id || index} job={sourceJob} index={index} />)}
+            </ul>
+          )}
+          {job?.stage === 'comparing' && isActive && (
+            <p className="flex items-center text-sm text-slate-600">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin text-primary-500" />
+              {condensing !== null
+                ? `Shortening the summary of ${sources[condensing]?.fileName || `document ${condensing + 1}`} to fit the comparison...`
+                : 'Comparing the summaries...'}
+            </p>
+          )}
+          {job?.status === 'cancelled' && <p className="text-sm text-slate-500">The comparison was cancelled.</p>}
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-6 flex items-start bg-red-50 border border-red-200 rounded-xl p-4">
+          <AlertCircle className="h-5 w-5 text-red-600 mr-3 mt-0.5" />
+          <div>
+            <p className="text-red-700 text-sm whitespace-pre-line">{error}</p>
+            {jobId && job && !isActive && (
+              <button
+                onClick={handleRetry}
+                className="mt-3 flex items-center bg-white border border-slate-300 hover:border-primary-400 hover:text-primary-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors duration-200"
+              >
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Retry
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <>
+          <p className="flex items-center text-sm text-emerald-700 mb-6">
+            <CheckCircle className="h-4 w-4 mr-2" />
+            Generated by {report.model}
+          </p>
+          <ComparisonReport report={report} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ComparePanel
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { GitCompare, Scale, Sparkles } from 'lucide-react'
+
+// Each source keeps its colour in every row of the report
+const SOURCE_COLORS = [
+  'bg-primary-100 text-primary-700',
+  'bg-amber-100 text-amber-700',
+  'bg-emerald-100 text-emerald-700',
+  'bg-rose-100 text-rose-700',
+  'bg-violet-100 text-violet-700'
+]
+
+const sourceName = (source) => source.title || source.fileName
+
+function SourceBadge({ index }) {
+  return (
+    <span className={`inline-block px-1.5 rounded text-xs font-semibold ${SOURCE_COLORS[index % SOURCE_COLORS.length]}`}>
+      S{index + 1}
+    </span>
+  )
+}
+
+// One cell per source, side by side; wide reports scroll sideways
+function SourceRow({ count, children }) {
+  return (
+    <div className="overflow-x-auto">
+      <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${count}, minmax(200px, 1fr))` }}>
+        {children}
+      </div>
+    </div>
+  )
+}
+
+// A theme or disagreement: what it is about, then where each source stands
+function Topic({ title, summary, positions, sources, accent }) {
+  return (
+    <div className="mb-5">
+      <h5 className="font-semibold text-slate-800">{title}</h5>
+      {summary && <p className="text-sm text-slate-600 mb-2">{summary}</p>}
+      <SourceRow count={sources.length}>
+        {sources.map((source, index) => {
+          const position = positions.find(entry => entry.source === index)
+          return (
+            <div key={source.jobId} className={`rounded-lg border p-3 text-sm ${position ? accent : 'border-dashed border-slate-200'}`}>
+              <SourceBadge index={index} />
+              <p className={`mt-1 ${position ? 'text-slate-700' : 'text-slate-400 italic'}`}>
+                {position ? position.view : 'Not addressed'}
+              </p>
+            </div>
+          )
+        })}
+      </SourceRow>
+    </div>
+  )
+}
+
+// Side-by-side report of a comparison: the documents' own summaries, then the themes they
+// share, where they disagree and what only one of them says, attributed to each source
+function ComparisonReport({ report }) {
+  const [expanded, setExpanded] = useState(null)
+  const { sources } = report
+
+  return (
+    <div className="space-y-8">
+      {report.overview && (
+        <p className="text-slate-700 leading-relaxed">{report.overview}</p>
+      )}
+
+      <SourceRow count={sources.length}>
+        {sources.map((source, index) => (
+          <div key={source.jobId} className="rounded-xl border border-slate-200 bg-slate-50 p-4">
+            <div className="flex items-start mb-2">
+              <SourceBadge index={index} />
+              <div className="ml-2">
+                <p className="font-semibold text-slate-800 leading-tight">{sourceName(source)}</p>
+                <p className="text-xs text-slate-500">
+                  {[source.author, source.wordCount && `${source.wordCount.toLocaleString()} words`].filter(Boolean).join(' • ')}
+                </p>
+              </div>
+            </div>
+            <p className={`text-sm text-slate-700 whitespace-pre-wrap leading-relaxed ${expanded === index ? '' : 'line-clamp-6'}`}>
+              {source.summary}
+            </p>
+            <button
+              onClick={() => setExpanded(expanded === index ? null : index)}
+              className="mt-2 text-xs font-medium text-primary-600 hover:text-primary-800"
+            >
+              {expanded === index ? 'Show less' : 'Show full summary'}
+            </button>
+          </div>
+        ))}
+      </SourceRow>
+
+      <section>
+        <h4 className="flex items-center text-lg font-semibold text-slate-800 mb-3">
+          <GitCompare className="h-5 w-5 mr-2 text-primary-600" />
+          Shared themes
+        </h4>
+        {report.sharedThemes.length ? report.sharedThemes.map(theme => (
+          <Topic key={theme.theme} title={theme.theme} summary={theme.summary} positions={theme.positions} sources={sources} accent="border-primary-200 bg-primary-50/40" />
+        )) : <p className="text-sm text-slate-500">No themes the documents share.</p>}
+      </section>
+
+      <section>
+        <h4 className="flex items-center text-lg font-semibold text-slate-800 mb-3">
+          <Scale className="h-5 w-5 mr-2 text-amber-600" />
+          Disagreements
+        </h4>
+        {report.disagreements.length ? report.disagreements.map(disagreement => (
+          <Topic key={disagreement.topic} title={disagreement.topic} summary={disagreement.summary} positions={disagreement.positions} sources={sources} accent="border-amber-200 bg-amber-50/40" />
+        )) : <p className="text-sm text-slate-500">The documents don't contradict each other.</p>}
+      </section>
+
+      <section>
+        <h4 className="flex items-center text-lg font-semibold text-slate-800 mb-3">
+          <Sparkles className="h-5 w-5 mr-2 text-emerald-600" />
+          Unique to each source
+        </h4>
+        <SourceRow count={sources.length}>
+          {report.uniquePoints.map(({ source, points }) => (
+            <div key={source} className="rounded-lg border border-slate-200 p-3 text-sm">
+              <SourceBadge index={source} />
+              {points.length ? (
+                <ul className="mt-1 list-disc pl-4 space-y-1 text-slate-700">
+                  {points.map(point => <li key={point}>{point}</li>)}
+                </ul>
+              ) : (
+                <p className="mt-1 text-slate-400 italic">Nothing only this source says</p>
+              )}
+            </div>
+          ))}
+        </SourceRow>
+      </section>
+    </div>
+  )
+}
+
+export default ComparisonReport
@@ -0,0 +1,83 @@
+import { Calculator, Loader2 } from 'lucide-react'
+
+const formatTokens = (tokens) => tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 100000 ? 0 : 1)}k` : `${tokens}`
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${Math.max(1, seconds)} s`
+  const minutes = Math.round(seconds / 60)
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+const formatCost = (cost) => {
+  if (!cost) return 'price unknown'
+  if (cost.total === 0) return 'free'
+  return cost.total < 0.01 ? '< $0.01' : `$${cost.total.toFixed(2)}`
+}
+
+// What a summary will take before it is started: chunks, model calls, tokens, time and
+// price on the chosen model, and the price on the other configured models
+function CostEstimate({ estimate, loading, error }) {
+  if (error) {
+    return <p className="mb-6 text-sm text-red-600">{error}</p>
+  }
+  if (!estimate) {
+    return loading ? (
+      <p className="mb-6 text-sm text-slate-500 flex items-center justify-center">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Estimating...
+      </p>
+    ) : null
+  }
+
+  const [chosen, ...others] = estimate.estimates
+  const { calls } = chosen
+
+  return (
+    <div className={`bg-slate-50 border border-slate-200 rounded-xl p-5 mb-6 text-left text-sm text-slate-600 ${loading ? 'opacity-60' : ''}`}>
+      <div className="flex items-center mb-3">
+        <Calculator className="h-4 w-4 mr-2 text-primary-600" />
+        <h4 className="text-sm font-semibold text-slate-800 flex-1">Estimate</h4>
+        {loading && <Loader2 className="h-4 w-4 text-primary-600 animate-spin" />}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <div>
+          <p className="text-xs text-slate-500">Price</p>
+          <p className="font-semibold text-slate-800">{formatCost(chosen.cost)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-slate-500">Time</p>
+          <p className="font-semibold text-slate-800">~{formatDuration(chosen.durationSeconds)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-slate-500">Tokens in / out</p>
+          <p className="font-semibold text-slate-800">{formatTokens(chosen.inputTokens)} / {formatTokens(chosen.outputTokens)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-slate-500">Model calls</p>
+          <p className="font-semibold text-slate-800" title={`${calls.chunks} chunks, ${calls.chapters} chapters, ${calls.reduce} merges, ${calls.consolidate} final pass${calls.analysis ? `, ${calls.analysis} analysis` : ''}${calls.study ? `, ${calls.study} study` : ''}`}>
+            {calls.total}
+          </p>
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-500">
+        {chosen.label} ({chosen.model}) • {chosen.words.toLocaleString()} words in {chosen.chunks} {chosen.chunks === 1 ? 'chunk' : 'chunks'} • counted with {chosen.tokenizer}
+        {estimate.document.unreadPages > 0 && ` • excludes ${estimate.document.unreadPages} scanned pages not read yet`}
+      </p>
+
+      {others.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-slate-200 space-y-1">
+          {others.map(other => (
+            <div key={other.provider} className="flex justify-between text-xs">
+              <span>{other.label} ({other.model})</span>
+              <span>{formatCost(other.cost)} • ~{formatDuration(other.durationSeconds)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CostEstimate
@@ -0,0 +1,45 @@
+import { RotateCcw } from 'lucide-react'
+
+const ERROR_LABELS = {
+  quota: 'Quota exceeded',
+  rate_limit: 'Rate limited',
+  safety: 'Blocked by safety filters',
+  overloaded: 'Model overloaded',
+  auth: 'Authentication failed',
+  invalid_input: 'Invalid input',
+  network: 'Network error',
+  unknown: 'Unknown error'
+}
+
+// Sections a job could not summarize, with why, and a button to retry just those
+function FailedSections({ failures, onRetry, disabled }) {
+  return (
+    <div className="mt-4">
+      <ul className="space-y-2 text-sm">
+        {failures.map(failure => (
+          <li key={failure.index} className="flex flex-col sm:flex-row sm:items-baseline">
+            <span className="font-medium text-slate-800 sm:w-56 flex-shrink-0">
+              Section {failure.index + 1}{failure.chapter && ` (${failure.chapter})`}
+            </span>
+            <span className="text-slate-600">
+              <span className="font-medium">{ERROR_LABELS[failure.type] || failure.type}</span>
+              {failure.message && ` - ${failure.message}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          disabled={disabled}
+          className="mt-4 flex items-center bg-white border border-slate-300 hover:border-primary-400 hover:text-primary-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <RotateCcw className="h-4 w-4 mr-2" />
+          Retry failed sections
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default FailedSections
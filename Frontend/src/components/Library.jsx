@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react'
+import { Library as LibraryIcon, Search, ChevronRight, ChevronDown, RefreshCw, Trash2, Eye, Loader2, GitCompare } from 'lucide-react'
+import axios from 'axios'
+
+const formatDate = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const STATUS_STYLES = {
+  completed: 'bg-emerald-100 text-emerald-700',
+  running: 'bg-primary-100 text-primary-700',
+  queued: 'bg-slate-100 text-slate-600',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-slate-100 text-slate-500'
+}
+
+// Past summary runs of one document
+function SummaryRuns({ apiUrl, documentId, refreshKey, onOpen }) {
+  const [summaries, setSummaries] = useState(null)
+
+  useEffect(() => {
+    axios.get(`${apiUrl}/api/library/${documentId}`)
+      .then(({ data }) => setSummaries(data.summaries))
+      .catch(err => console.error('Library document error:', err))
+  }, [apiUrl, documentId, refreshKey])
+
+  if (!summaries) {
+    return <Loader2 className="h-4 w-4 my-3 ml-6 animate-spin text-slate-400" />
+  }
+
+  if (!summaries.length) {
+    return <p className="text-sm text-slate-500 py-3 ml-6">No summaries yet</p>
+  }
+
+  return (
+    <ul className="ml-6 mb-3 divide-y divide-slate-100">
+      {summaries.map(run => (
+        <li key={run.id} className="flex items-center py-2 text-sm">
+          <span className={`mr-3 px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[run.status] || STATUS_STYLES.queued}`}>
+            {run.status}
+          </span>
+          <span className="flex-1 text-slate-700">
+            {run.options.style || 'executive'}
+            {run.targetWords && ` • ~${run.targetWords} words`}
+            {run.options.language && run.options.language !== 'English' && ` • ${run.options.language}`}
+            {run.options.model && <span className="text-slate-500"> • {run.options.model}</span>}
+          </span>
+          <span className="mx-3 text-xs text-slate-500 whitespace-nowrap">{formatDate(run.createdAt)}</span>
+          {run.status === 'completed' && (
+            <button
+              onClick={() => onOpen(run.id)}
+              className="flex items-center text-primary-600 hover:text-primary-800 font-medium"
+            >
+              <Eye className="h-4 w-4 mr-1" />
+              Open
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Comparisons of several documents, newest first. Running ones can be opened to follow them.
+function ComparisonRuns({ apiUrl, refreshKey, onOpen }) {
+  const [comparisons, setComparisons] = useState([])
+
+  useEffect(() => {
+    axios.get(`${apiUrl}/api/comparisons`)
+      .then(({ data }) => setComparisons(data.comparisons))
+      .catch(err => console.error('Comparisons error:', err))
+  }, [apiUrl, refreshKey])
+
+  if (!comparisons.length) return null
+
+  return (
+    <div className="mt-6">
+      <h4 className="flex items-center text-sm font-semibold text-slate-700 mb-2">
+        <GitCompare className="h-4 w-4 mr-2 text-primary-600" />
+        Comparisons
+      </h4>
+      <ul className="divide-y divide-slate-100">
+        {comparisons.map(comparison => (
+          <li key={comparison.id} className="flex items-center py-2 text-sm">
+            <span className={`mr-3 px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[comparison.status] || STATUS_STYLES.queued}`}>
+              {comparison.status}
+            </span>
+            <span className="flex-1 text-slate-700 truncate">
+              {comparison.fileName}
+              {comparison.options.focus && <span className="text-slate-500"> • {comparison.options.focus}</span>}
+            </span>
+            <span className="mx-3 text-xs text-slate-500 whitespace-nowrap">{formatDate(comparison.createdAt)}</span>
+            <button
+              onClick={() => onOpen(comparison.id)}
+              className="flex items-center text-primary-600 hover:text-primary-800 font-medium"
+            >
+              <Eye className="h-4 w-4 mr-1" />
+              Open
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Library of uploaded books: search, reopen past summaries and comparisons, re-summarize and delete
+function Library({ apiUrl, refreshKey, onOpen, onOpenComparison, onResummarize, disabled }) {
+  const [documents, setDocuments] = useState([])
+  const [total, setTotal] = useState(0)
+  const [query, setQuery] = useState('')
+  const [expanded, setExpanded] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    // Debounce searches while typing
+    const timer = setTimeout(() => {
+      axios.get(`${apiUrl}/api/library`, { params: { q: query } })
+        .then(({ data }) => {
+          setDocuments(data.documents)
+          setTotal(data.total)
+          setError('')
+        })
+        .catch(err => setError(err.response?.data?.error || err.message))
+    }, 250)
+    return () => clearTimeout(timer)
+  }, [apiUrl, query, refreshKey])
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Delete "${document.title || document.fileName}" and all its summaries?`)) return
+
+    try {
+      await axios.delete(`${apiUrl}/api/library/${document.id}`)
+      setDocuments(current => current.filter(item => item.id !== document.id))
+      setTotal(current => current - 1)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    }
+  }
+
+  return (
+    <div id="library" className="bg-white rounded-2xl shadow-soft border border-slate-200 p-8 mt-8 animate-slide-up">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+        <div className="flex items-center mb-4 md:mb-0">
+          <div className="bg-primary-100 p-3 rounded-xl mr-4">
+            <LibraryIcon className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h3 className="text-2xl font-semibold text-slate-800">Library</h3>
+            <p className="text-slate-600">{total} {total === 1 ? 'document' : 'documents'} • past summaries are saved here</p>
+          </div>
+        </div>
+        <div className="relative md:w-72">
+          <Search className="h-4 w-4 absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search title, author or file"
+            className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-400"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {!documents.length ? (
+        <p className="text-slate-500 text-center py-6">
+          {query ? 'No documents match your search' : 'Summarized books will appear here'}
+        </p>
+      ) : (
+        <div className="divide-y divide-slate-100">
+          {documents.map(document => (
+            <div key={document.id}>
+              <div className="flex items-center py-3">
+                <button
+                  onClick={() => setExpanded(expanded === document.id ? null : document.id)}
+                  className="flex-1 flex items-center text-left group min-w-0"
+                >
+                  {expanded === document.id
+                    ? <ChevronDown className="h-4 w-4 mr-2 text-primary-600 flex-shrink-0" />
+                    : <ChevronRight className="h-4 w-4 mr-2 text-slate-400 group-hover:text-primary-600 flex-shrink-0" />}
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-800 truncate">{document.title || document.fileName}</p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {[
+                        document.author,
+                        document.format?.toUpperCase(),
+                        document.pages && `${document.pages} pages`,
+                        document.wordCount && `${document.wordCount.toLocaleString()} words`,
+                        `${document.summaryCount} ${document.summaryCount === 1 ? 'summary' : 'summaries'}`,
+                        `uploaded ${formatDate(document.uploadedAt)}`
+                      ].filter(Boolean).join(' • ')}
+                    </p>
+                  </div>
+                </button>
+                <button
+                  onClick={() => onResummarize(document)}
+                  disabled={disabled}
+                  title="Summarize again with the current settings"
+                  className="ml-3 p-2 rounded-lg text-slate-500 hover:text-primary-600 hover:bg-primary-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(document)}
+                  disabled={disabled}
+                  title="Delete document"
+                  className="ml-1 p-2 rounded-lg text-slate-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+              {expanded === document.id && (
+                <SummaryRuns apiUrl={apiUrl} documentId={document.id} refreshKey={refreshKey} onOpen={onOpen} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ComparisonRuns apiUrl={apiUrl} refreshKey={refreshKey} onOpen={onOpenComparison} />
+    </div>
+  )
+}
+
+export default Library
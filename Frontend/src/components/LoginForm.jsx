@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import axios from 'axios'
+import { Loader2, LogIn, UserPlus } from 'lucide-react'
+
+// Sign in, or create an account when the server allows it. The first account is an admin
+// and takes the server's ADMIN_TOKEN as a setup token (isSetup).
+// onSignedIn gets the session from /api/auth/login or /api/auth/register.
+function LoginForm({ apiUrl, canRegister, isSetup, onSignedIn }) {
+  const [mode, setMode] = useState(canRegister ? 'register' : 'login')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [setupToken, setSetupToken] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const isRegister = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const body = isRegister && isSetup ? { username, password, setupToken } : { username, password }
+      const { data } = await axios.post(`${apiUrl}/api/auth/${mode}`, body)
+      onSignedIn(data)
+    } catch (err) {
+      setError(err.response?.data?.error || err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-2xl shadow-soft border border-slate-200 p-8 animate-slide-up">
+      <div className="flex items-center mb-6">
+        <div className="bg-primary-100 p-3 rounded-xl mr-4">
+          {isRegister ? <UserPlus className="h-6 w-6 text-primary-600" /> : <LogIn className="h-6 w-6 text-primary-600" />}
+        </div>
+        <div>
+          <h2 className="text-2xl font-semibold text-slate-800">{isRegister ? 'Create an account' : 'Sign in'}</h2>
+          <p className="text-slate-600 text-sm">
+            {isRegister && isSetup ? 'This first account is the administrator' : 'Your books, summaries and daily usage are kept per account'}
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4 text-sm">
+        <div>
+          <label htmlFor="username" className="block mb-1 text-slate-600">Username</label>
+          <input
+            id="username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-400"
+          />
+        </div>
+        <div>
+          <label htmlFor="password" className="block mb-1 text-slate-600">Password</label>
+          <input
+            id="password"
+            type="password"
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={isRegister ? 8 : undefined}
+            required
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-400"
+          />
+        </div>
+
+        {isRegister && isSetup && (
+          <div>
+            <label htmlFor="setup-token" className="block mb-1 text-slate-600">Setup token</label>
+            <input
+              id="setup-token"
+              type="password"
+              autoComplete="off"
+              value={setupToken}
+              onChange={(e) => setSetupToken(e.target.value)}
+              required
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-400"
+            />
+            <p className="mt-1 text-xs text-slate-500">The server's ADMIN_TOKEN</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full flex items-center justify-center px-4 py-3 bg-primary-600 text-white rounded-xl font-semibold hover:bg-primary-700 transition-colors disabled:opacity-60"
+        >
+          {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          {isRegister ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+
+      {canRegister && (
+        <p className="mt-4 text-center text-sm text-slate-600">
+          {isRegister ? 'Already have an account? ' : 'New here? '}
+          <button
+            onClick={() => { setMode(isRegister ? 'login' : 'register'); setError('') }}
+            className="text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {isRegister ? 'Sign in' : 'Create an account'}
+          </button>
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default LoginForm
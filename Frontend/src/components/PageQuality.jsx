@@ -0,0 +1,64 @@
+import { ScanText, Loader2 } from 'lucide-react'
+
+const METHOD_LABELS = {
+  text: 'text layer',
+  ocr: 'OCR',
+  'ocr-rejected': 'OCR, text layer kept',
+  'needs-ocr': 'scanned, not read yet'
+}
+
+const pageColor = (page) => {
+  if (page.method === 'needs-ocr') return 'bg-slate-300'
+  if (page.confidence >= 0.85) return 'bg-emerald-500'
+  if (page.confidence >= 0.6) return 'bg-amber-400'
+  return 'bg-red-500'
+}
+
+// How well the text of each page could be extracted, for PDFs with scanned or garbled pages
+function PageQuality({ pages, ocr, loading }) {
+  const scanned = pages.filter(page => page.method !== 'text')
+  const lowConfidence = pages.filter(page => page.method !== 'needs-ocr' && page.confidence < 0.6)
+  if (!scanned.length && !lowConfidence.length) return null
+
+  const read = pages.filter(page => page.method === 'ocr' || page.method === 'ocr-rejected')
+  const average = read.length ? Math.round((read.reduce((sum, page) => sum + page.confidence, 0) / read.length) * 100) : null
+
+  return (
+    <div className="mt-4 pt-4 border-t border-emerald-200 text-sm">
+      <div className="flex items-center text-slate-700 mb-2">
+        {loading
+          ? <Loader2 className="h-4 w-4 mr-2 text-primary-600 animate-spin" />
+          : <ScanText className="h-4 w-4 mr-2 text-primary-600" />}
+        <span>
+          {scanned.length} of {pages.length} pages have no usable text layer
+          {ocr && !ocr.error && average !== null && (
+            <> • {read.length === scanned.length ? 'read' : `previewed ${read.length}`} with OCR at {average}% confidence</>
+          )}
+          {loading && ' • reading scanned pages...'}
+        </span>
+      </div>
+
+      {!ocr && scanned.length > 0 && (
+        <p className="text-amber-700 mb-2">OCR is turned off on the server, so these pages will be left out.</p>
+      )}
+      {ocr?.error && (
+        <p className="text-red-700 mb-2">OCR failed: {ocr.error}</p>
+      )}
+      {ocr && ocr.processed < ocr.pages && !ocr.error && (
+        <p className="text-slate-500 mb-2">The remaining scanned pages are read when the book is summarized.</p>
+      )}
+
+      <div className="flex flex-wrap gap-0.5" aria-label="Extraction confidence per page">
+        {pages.map(page => (
+          <span
+            key={page.page}
+            title={`Page ${page.page}: ${METHOD_LABELS[page.method] || page.method}${page.method === 'needs-ocr' ? '' : `, ${Math.round(page.confidence * 100)}%`}`}
+            className={`w-2 h-3 rounded-sm ${pageColor(page)}`}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default PageQuality
@@ -0,0 +1,159 @@
+import { useState } from 'react'
+import { ListChecks } from 'lucide-react'
+
+// "120-180, 200" -> [[120, 180], [200, 200]], or null when it can't be read
+const parsePageRanges = (value, pageCount) => {
+  const ranges = []
+  for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = item.match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/)
+    if (!match) return null
+    const start = Number(match[1])
+    const end = Number(match[2] ?? match[1])
+    if (start < 1 || end < start || end > pageCount) return null
+    ranges.push([start, end])
+  }
+  return ranges
+}
+
+const pageLabel = (section) => {
+  if (!section.startPage) return null
+  return section.startPage === section.endPage ? `p. ${section.startPage}` : `pp. ${section.startPage}–${section.endPage}`
+}
+
+// Words in the selection, from the preview's per-page and per-section counts. With both
+// pages and sections, only selected pages inside selected sections count.
+const selectedWords = ({ pages, pageRanges, chosenSections, totalWords }) => {
+  const inPages = (page) => pageRanges.some(([start, end]) => page >= start && page <= end)
+  const inSections = (page) => chosenSections.some(section => page >= section.startPage && page <= section.endPage)
+
+  if (pageRanges.length && chosenSections.length) {
+    return pages.filter(page => inPages(page.page) && inSections(page.page)).reduce((sum, page) => sum + page.words, 0)
+  }
+  if (pageRanges.length) {
+    return pages.filter(page => inPages(page.page)).reduce((sum, page) => sum + page.words, 0)
+  }
+  if (chosenSections.length) {
+    return chosenSections.reduce((sum, section) => sum + section.wordCount, 0)
+  }
+  return totalWords
+}
+
+// Picks the pages (PDFs) and detected sections to summarize, with a token estimate for
+// the selection. selection is { pages: "120-180", sections: [3, 4] }; nothing selected
+// means the whole document.
+function SectionPicker({ sections, pages, estimate, selection, onChange, disabled }) {
+  const [anchor, setAnchor] = useState(null)
+  const pageRanges = pages && selection.pages.trim() ? parsePageRanges(selection.pages, pages.length) : []
+  const chosenSections = sections.filter(section => selection.sections.includes(section.number))
+
+  if (!sections.length && !pages) return null
+
+  const words = pageRanges
+    ? selectedWords({ pages, pageRanges, chosenSections, totalWords: estimate.words })
+    : null
+  const tokens = words && estimate.words ? Math.round(words * (estimate.tokens / estimate.words)) : 0
+  const isWhole = !pageRanges?.length && !chosenSections.length
+
+  const toggleSection = (number) => {
+    const next = selection.sections.includes(number)
+      ? selection.sections.filter(value => value !== number)
+      : [...selection.sections, number].sort((a, b) => a - b)
+    onChange({ ...selection, sections: next })
+  }
+
+  // Click a page to start a range and another to end it
+  const clickPage = (page) => {
+    if (anchor === null) {
+      setAnchor(page)
+      return
+    }
+    const range = anchor === page ? `${page}` : `${Math.min(anchor, page)}-${Math.max(anchor, page)}`
+    onChange({ ...selection, pages: selection.pages.trim() ? `${selection.pages.trim()}, ${range}` : range })
+    setAnchor(null)
+  }
+
+  const isPageSelected = (page) => pageRanges?.some(([start, end]) => page >= start && page <= end)
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-xl p-5 mb-6 text-left text-sm text-slate-600">
+      <div className="flex items-center mb-4">
+        <ListChecks className="h-4 w-4 mr-2 text-primary-600" />
+        <h4 className="text-sm font-semibold text-slate-800 flex-1">What to summarize</h4>
+        {!isWhole && (
+          <button
+            onClick={() => { onChange({ pages: '', sections: [] }); setAnchor(null) }}
+            disabled={disabled}
+            className="text-xs text-primary-600 hover:text-primary-700"
+          >
+            Whole document
+          </button>
+        )}
+      </div>
+
+      {sections.length > 0 && (
+        <div className="mb-4">
+          <p className="mb-1">Sections</p>
+          <div className="max-h-48 overflow-y-auto border border-slate-200 rounded-lg bg-white divide-y divide-slate-100">
+            {sections.map(section => (
+              <label key={section.number} className={`flex items-center px-3 py-2 cursor-pointer ${section.level === 0 ? 'font-medium text-slate-800' : 'pl-6'}`}>
+                <input
+                  type="checkbox"
+                  checked={selection.sections.includes(section.number)}
+                  onChange={() => toggleSection(section.number)}
+                  disabled={disabled}
+                  className="mr-2 h-4 w-4 accent-primary-600"
+                />
+                <span className="flex-1">{section.number}. {section.title}</span>
+                <span className="ml-3 text-xs text-slate-500 whitespace-nowrap">
+                  {pageLabel(section) && `${pageLabel(section)} • `}{section.wordCount.toLocaleString()} words
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {pages && (
+        <div className="mb-4">
+          <label htmlFor="pageRanges" className="block mb-1">Pages</label>
+          <input
+            id="pageRanges"
+            type="text"
+            value={selection.pages}
+            onChange={(e) => onChange({ ...selection, pages: e.target.value })}
+            placeholder={`All ${pages.length} pages, or e.g. 120-180, 200-210`}
+            disabled={disabled}
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-primary-400"
+          />
+          {!pageRanges && (
+            <p className="mt-1 text-xs text-red-600">Enter pages between 1 and {pages.length}, such as "120-180, 200"</p>
+          )}
+          <div className="flex flex-wrap gap-0.5 mt-2" aria-label="Pages">
+            {pages.map(page => (
+              <button
+                key={page.page}
+                type="button"
+                onClick={() => clickPage(page.page)}
+                disabled={disabled}
+                title={`Page ${page.page}: ${page.words.toLocaleString()} words`}
+                className={`w-2 h-3 rounded-sm ${anchor === page.page ? 'bg-primary-800' : isPageSelected(page.page) ? 'bg-primary-500' : 'bg-slate-300 hover:bg-primary-300'}`}
+              />
+            ))}
+          </div>
+          <p className="mt-1 text-xs text-slate-500">
+            {anchor === null ? 'Click a page to start a range' : `From page ${anchor}: click the last page of the range`}
+          </p>
+        </div>
+      )}
+
+      {words !== null && (
+        <p className={words > 0 ? 'text-slate-700' : 'text-red-600'}>
+          {isWhole ? 'Whole document' : 'Selection'}: ~{words.toLocaleString()} words • ~{tokens.toLocaleString()} input tokens
+          {words === 0 && ' • the selected pages and sections have no text in common'}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default SectionPicker
@@ -0,0 +1,298 @@
+import { useState } from 'react'
+import { RotateCcw, Check, X, BookOpen, Loader2 } from 'lucide-react'
+import axios from 'axios'
+
+const chapterTitle = (chapter) => chapter.title || 'Whole book'
+
+const passageLocation = (passage) => [
+  passage.chapter,
+  passage.page && `p. ${passage.page}`,
+  `chunk ${passage.chunk + 1}`
+].filter(Boolean).join(' • ')
+
+// Short answers count when they match ignoring case, punctuation and articles, or when
+// they contain every significant word of the expected answer
+const normalizeAnswer = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\b(the|a|an)\b/g, ' ').replace(/\s+/g, ' ').trim()
+
+function isCorrect(question, response) {
+  if (response === undefined || response === '') return false
+  if (question.type === 'multiple_choice') return response === question.answer
+
+  const given = normalizeAnswer(response)
+  const expected = normalizeAnswer(question.answer)
+  if (given === expected) return true
+  const keywords = expected.split(' ').filter(word => word.length > 3)
+  return keywords.length > 0 && keywords.every(word => given.split(' ').includes(word))
+}
+
+// A chunk's text with the evidence sentence marked, matching it across line breaks
+function PassageText({ text, evidence }) {
+  if (!evidence) return text
+
+  const pattern = new RegExp(evidence.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'))
+  const match = pattern.exec(text)
+  if (!match) return text
+
+  return (
+    <>
+      {text.slice(0, match.index)}
+      <mark className="bg-amber-100 text-slate-800 rounded px-0.5">{match[0]}</mark>
+      {text.slice(match.index + match[0].length)}
+    </>
+  )
+}
+
+// Flashcards, shown one at a time. "Again" brings a card back a few cards later, "Got it"
+// takes it out of this session.
+function Flashcards({ cards }) {
+  const [queue, setQueue] = useState(cards)
+  const [flipped, setFlipped] = useState(false)
+
+  const answer = (known) => {
+    const [card, ...rest] = queue
+    if (!known) {
+      rest.splice(Math.min(3, rest.length), 0, card)
+    }
+    setQueue(rest)
+    setFlipped(false)
+  }
+
+  if (!cards.length) {
+    return <p className="text-sm text-slate-500">No flashcards for this chapter.</p>
+  }
+
+  if (!queue.length) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-slate-700 font-medium mb-4">You went through all {cards.length} cards.</p>
+        <button
+          onClick={() => setQueue(cards)}
+          className="inline-flex items-center bg-white border border-slate-300 hover:border-primary-400 hover:text-primary-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors duration-200"
+        >
+          <RotateCcw className="h-4 w-4 mr-2" />
+          Start over
+        </button>
+      </div>
+    )
+  }
+
+  const [card] = queue
+  return (
+    <div>
+      <p className="text-xs text-slate-500 mb-2">{queue.length} of {cards.length} cards left</p>
+      <button
+        onClick={() => setFlipped(!flipped)}
+        className="w-full min-h-[10rem] rounded-xl border border-slate-200 bg-gradient-to-br from-slate-50 to-blue-50 p-6 text-center hover:border-primary-300 transition-colors"
+      >
+        <p className="text-lg font-semibold text-slate-800">{card.front}</p>
+        {flipped
+          ? <p className="mt-4 pt-4 border-t border-slate-200 text-slate-700">{card.back}</p>
+          : <p className="mt-4 text-xs text-slate-400">Click to show the answer</p>}
+      </button>
+      {flipped && (
+        <div className="flex justify-center gap-3 mt-4">
+          <button
+            onClick={() => answer(false)}
+            className="flex items-center border border-slate-300 hover:border-amber-400 hover:text-amber-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors"
+          >
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Again
+          </button>
+          <button
+            onClick={() => answer(true)}
+            className="flex items-center bg-emerald-600 hover:bg-emerald-700 text-white font-medium py-2 px-4 rounded-lg text-sm transition-colors"
+          >
+            <Check className="h-4 w-4 mr-2" />
+            Got it
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// One quiz question: choices or a text field, and once checked whether it was right, with
+// the explanation and a link to the passage for wrong answers
+function QuizQuestion({ question, number, response, checked, passage, onAnswer, onShowPassage }) {
+  const correct = checked && isCorrect(question, response)
+
+  return (
+    <li className={`rounded-xl border p-4 ${checked ? (correct ? 'border-emerald-200 bg-emerald-50/40' : 'border-red-200 bg-red-50/40') : 'border-slate-200'}`}>
+      <p className="font-medium text-slate-800 mb-3">{number}. {question.question}</p>
+      {question.type === 'multiple_choice' ? (
+        <div className="space-y-2">
+          {question.choices.map((choice, index) => (
+            <label key={index} className={`flex items-start text-sm ${checked && index === question.answer ? 'font-semibold text-emerald-700' : 'text-slate-700'}`}>
+              <input
+                type="radio"
+                name={question.id}
+                checked={response === index}
+                onChange={() => onAnswer(index)}
+                disabled={checked}
+                className="mr-2 mt-0.5 accent-primary-600"
+              />
+              {String.fromCharCode(65 + index)}. {choice}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <input
+          type="text"
+          value={response || ''}
+          onChange={(e) => onAnswer(e.target.value)}
+          disabled={checked}
+          placeholder="Your answer"
+          className="w-full rounded-lg border border-slate-300 px-3 py-2 text-sm focus:border-primary-500 focus:ring-primary-500"
+        />
+      )}
+
+      {checked && (
+        <div className="mt-3 text-sm">
+          <p className={`flex items-center font-medium ${correct ? 'text-emerald-700' : 'text-red-700'}`}>
+            {correct ? <Check className="h-4 w-4 mr-1" /> : <X className="h-4 w-4 mr-1" />}
+            {correct ? 'Correct' : `Answer: ${question.type === 'multiple_choice' ? question.choices[question.answer] : question.answer}`}
+          </p>
+          {question.explanation && <p className="text-slate-600 mt-1">{question.explanation}</p>}
+          {!correct && !passage && (
+            <button onClick={onShowPassage} className="mt-2 flex items-center text-xs font-medium text-primary-600 hover:text-primary-800">
+              <BookOpen className="h-3.5 w-3.5 mr-1" />
+              Show source passage
+            </button>
+          )}
+          {passage && (
+            <div className="mt-3 rounded-lg border border-slate-200 bg-white p-3">
+              <p className="text-xs text-slate-500 mb-1">{passageLocation(question.passage)}</p>
+              {passage.loading && <Loader2 className="h-4 w-4 animate-spin text-slate-400" />}
+              {passage.error && <p className="text-xs text-red-600">{passage.error}</p>}
+              {passage.text && (
+                <p className="text-slate-700 whitespace-pre-wrap max-h-64 overflow-y-auto">
+                  <PassageText text={passage.text} evidence={question.passage.text} />
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </li>
+  )
+}
+
+// Multiple choice and short answer questions, scored together
+function Quiz({ apiUrl, bookId, questions }) {
+  const [responses, setResponses] = useState({})
+  const [checked, setChecked] = useState(false)
+  const [passages, setPassages] = useState({})
+
+  // The chunk a question was written from, with its evidence marked
+  const showPassage = async (question) => {
+    const { chunk } = question.passage
+    setPassages(current => ({ ...current, [question.id]: { loading: true } }))
+    try {
+      const { data } = await axios.get(`${apiUrl}/api/books/${bookId}/chunks/${chunk}`)
+      setPassages(current => ({ ...current, [question.id]: { text: data.text } }))
+    } catch (err) {
+      setPassages(current => ({ ...current, [question.id]: { error: err.response?.data?.error || err.message } }))
+    }
+  }
+
+  if (!questions.length) {
+    return <p className="text-sm text-slate-500">No quiz questions for this chapter.</p>
+  }
+
+  const score = questions.filter(question => isCorrect(question, responses[question.id])).length
+  const answered = questions.filter(question => responses[question.id] !== undefined && responses[question.id] !== '').length
+
+  return (
+    <div>
+      <ol className="space-y-4">
+        {questions.map((question, index) => (
+          <QuizQuestion
+            key={question.id}
+            question={question}
+            number={index + 1}
+            response={responses[question.id]}
+            checked={checked}
+            passage={passages[question.id]}
+            onAnswer={(value) => setResponses(current => ({ ...current, [question.id]: value }))}
+            onShowPassage={() => showPassage(question)}
+          />
+        ))}
+      </ol>
+
+      <div className="flex items-center justify-between mt-6">
+        {checked ? (
+          <>
+            <p className="text-lg font-semibold text-slate-800">
+              Score: {score} / {questions.length}
+            </p>
+            <button
+              onClick={() => {
+                setResponses({})
+                setChecked(false)
+                setPassages({})
+              }}
+              className="flex items-center bg-white border border-slate-300 hover:border-primary-400 hover:text-primary-700 text-slate-700 font-medium py-2 px-4 rounded-lg text-sm transition-colors duration-200"
+            >
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Try again
+            </button>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-slate-500">{answered} of {questions.length} answered</p>
+            <button
+              onClick={() => setChecked(true)}
+              disabled={!answered}
+              className="bg-primary-600 hover:bg-primary-700 text-white font-medium py-2 px-6 rounded-lg text-sm transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Check answers
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Study mode's flashcards or quiz, for one chapter or the whole book. Picking another
+// chapter starts a new session.
+function StudyPanel({ apiUrl, bookId, study, tab }) {
+  const [chapterIndex, setChapterIndex] = useState('all')
+  const chapters = chapterIndex === 'all' ? study.chapters : [study.chapters[chapterIndex]].filter(Boolean)
+
+  if (!study.chapters.length) {
+    return <p className="text-sm text-slate-500">No study material could be written for this book.</p>
+  }
+
+  return (
+    <div>
+      {study.chapters.length > 1 && (
+        <label className="flex items-center text-sm text-slate-700 mb-4">
+          <span className="mr-2 font-medium">Chapter</span>
+          <select
+            value={chapterIndex}
+            onChange={(e) => setChapterIndex(e.target.value === 'all' ? 'all' : Number(e.target.value))}
+            className="px-3 py-2 border border-slate-300 rounded-lg bg-white text-slate-700"
+          >
+            <option value="all">All chapters</option>
+            {study.chapters.map((chapter, index) => (
+              <option key={index} value={index}>{chapterTitle(chapter)}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {tab === 'flashcards'
+        ? <Flashcards key={chapterIndex} cards={chapters.flatMap(chapter => chapter.flashcards)} />
+        : <Quiz key={chapterIndex} apiUrl={apiUrl} bookId={bookId} questions={chapters.flatMap(chapter => chapter.questions)} />}
+
+      {study.studiedChunks < study.totalChunks && (
+        <p className="mt-4 text-xs text-slate-500">
+          From {study.studiedChunks} of {study.totalChunks} sections; the model's answer for the others couldn't be used
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default StudyPanel
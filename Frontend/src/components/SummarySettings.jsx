@@ -0,0 +1,176 @@
+import { Settings } from 'lucide-react'
+
+const ERROR_POLICY_LABELS = {
+  'retry-later': 'Retry it later',
+  skip: 'Skip it',
+  fail: 'Stop summarizing'
+}
+
+const inputClass = 'w-full px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-primary-400'
+
+// Summary length, style, tone, language and model choices for a summarization request,
+// and whether to extract people, places, quotes and takeaways too. showOcrLanguage adds the language scanned pages are read in, showCleanup the option to
+// strip front and back matter from PDFs.
+function SummarySettings({ settings, onChange, summaryOptions, providers, showOcrLanguage, showCleanup, disabled }) {
+  const update = (key) => (e) => onChange({ ...settings, [key]: e.target.value })
+  const range = settings.lengthMode === 'percent' ? summaryOptions?.targetPercent : summaryOptions?.targetWords
+  const selectedStyle = summaryOptions?.styles.find(style => style.id === settings.style)
+  const selectedPolicy = summaryOptions?.errorPolicies.find(policy => policy.id === settings.onError)
+  const ocrLanguages = summaryOptions?.ocr?.languages || []
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-xl p-5 mb-6 text-left">
+      <div className="flex items-center mb-4">
+        <Settings className="h-4 w-4 mr-2 text-primary-600" />
+        <h4 className="text-sm font-semibold text-slate-800">Summary settings</h4>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-slate-600">
+        <div>
+          <label htmlFor="summaryLength" className="block mb-1">Length</label>
+          <div className="flex">
+            <input
+              id="summaryLength"
+              type="number"
+              min={range?.min}
+              max={range?.max}
+              step={settings.lengthMode === 'percent' ? 1 : 50}
+              placeholder="Auto"
+              value={settings.length}
+              onChange={update('length')}
+              disabled={disabled}
+              className={`${inputClass} rounded-r-none`}
+            />
+            <select
+              value={settings.lengthMode}
+              onChange={update('lengthMode')}
+              disabled={disabled}
+              className="px-3 py-2 border border-l-0 border-slate-300 rounded-r-lg bg-white focus:outline-none focus:ring-2 focus:ring-primary-400"
+            >
+              <option value="words">words</option>
+              <option value="percent">% of book</option>
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="summaryStyle" className="block mb-1">Style</label>
+          <select id="summaryStyle" value={settings.style} onChange={update('style')} disabled={disabled} className={inputClass}>
+            {summaryOptions?.styles.map(style => (
+              <option key={style.id} value={style.id}>{style.label}</option>
+            ))}
+          </select>
+          {selectedStyle && <p className="mt-1 text-xs text-slate-500">{selectedStyle.description}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="summaryTone" className="block mb-1">Tone</label>
+          <select id="summaryTone" value={settings.tone} onChange={update('tone')} disabled={disabled} className={inputClass}>
+            {summaryOptions?.tones.map(tone => (
+              <option key={tone.id} value={tone.id}>
+                {tone.id.charAt(0).toUpperCase() + tone.id.slice(1)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="summaryLanguage" className="block mb-1">Output language</label>
+          <input
+            id="summaryLanguage"
+            type="text"
+            maxLength={40}
+            value={settings.language}
+            onChange={update('language')}
+            disabled={disabled}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="summaryOnError" className="block mb-1">If a section fails</label>
+          <select id="summaryOnError" value={settings.onError} onChange={update('onError')} disabled={disabled} className={inputClass}>
+            {summaryOptions?.errorPolicies.map(policy => (
+              <option key={policy.id} value={policy.id}>{ERROR_POLICY_LABELS[policy.id] || policy.id}</option>
+            ))}
+          </select>
+          {selectedPolicy && <p className="mt-1 text-xs text-slate-500">{selectedPolicy.description}</p>}
+        </div>
+
+        {showOcrLanguage && summaryOptions?.ocr?.enabled && (
+          <div>
+            <label htmlFor="ocrLanguage" className="block mb-1">Scanned pages language</label>
+            <select id="ocrLanguage" value={settings.ocrLanguage} onChange={update('ocrLanguage')} disabled={disabled} className={inputClass}>
+              {!ocrLanguages.some(language => language.id === settings.ocrLanguage) && (
+                <option value={settings.ocrLanguage}>{settings.ocrLanguage}</option>
+              )}
+              {ocrLanguages.map(language => (
+                <option key={language.id} value={language.id}>{language.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-slate-500">Used to read pages that are images of text</p>
+          </div>
+        )}
+
+        {showCleanup && (
+          <div>
+            <label className="flex items-center mt-6">
+              <input
+                type="checkbox"
+                checked={settings.stripMatter}
+                onChange={(e) => onChange({ ...settings, stripMatter: e.target.checked })}
+                disabled={disabled}
+                className="mr-2 h-4 w-4 accent-primary-600"
+              />
+              Remove front and back matter
+            </label>
+            <p className="mt-1 text-xs text-slate-500">Skips the copyright page, contents, index, notes and bibliography</p>
+          </div>
+        )}
+
+        <div>
+          <label className="flex items-center mt-6">
+            <input
+              type="checkbox"
+              checked={settings.analysis}
+              onChange={(e) => onChange({ ...settings, analysis: e.target.checked })}
+              disabled={disabled}
+              className="mr-2 h-4 w-4 accent-primary-600"
+            />
+            Extract key insights
+          </label>
+          <p className="mt-1 text-xs text-slate-500">People, places, concepts, notable quotes and takeaways, next to the summary</p>
+        </div>
+
+        <div>
+          <label className="flex items-center mt-6">
+            <input
+              type="checkbox"
+              checked={settings.study}
+              onChange={(e) => onChange({ ...settings, study: e.target.checked })}
+              disabled={disabled}
+              className="mr-2 h-4 w-4 accent-primary-600"
+            />
+            Study mode
+          </label>
+          <p className="mt-1 text-xs text-slate-500">Flashcards and a quiz for every chapter, exportable to Anki</p>
+        </div>
+
+        {providers.length > 1 && (
+          <div>
+            <label htmlFor="provider" className="block mb-1">Model</label>
+            <select id="provider" value={settings.provider} onChange={update('provider')} disabled={disabled} className={inputClass}>
+              {providers.map(option => (
+                <option key={option.name} value={option.name}>
+                  {option.label} ({option.model})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SummarySettings
@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import { ChevronRight, ChevronDown } from 'lucide-react'
+
+const nodeLabel = (node) => {
+  if (node.type === 'chunk') return `Section ${node.index + 1}`
+  if (node.type === 'chapter') return node.title
+  return `Part ${node.index + 1}`
+}
+
+const CHILD_LABELS = { chunk: 'sections', chapter: 'chapters', part: 'parts' }
+
+function SummaryNode({ node, depth }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const hasChildren = node.children?.length > 0
+
+  return (
+    <div className={depth > 0 ? 'ml-4 border-l border-slate-200 pl-4' : ''}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-start text-left py-2 group"
+      >
+        {isOpen
+          ? <ChevronDown className="h-4 w-4 mt-0.5 mr-2 text-primary-600 flex-shrink-0" />
+          : <ChevronRight className="h-4 w-4 mt-0.5 mr-2 text-slate-400 group-hover:text-primary-600 flex-shrink-0" />}
+        <span className="flex-1">
+          <span className="text-sm font-semibold text-slate-800">{nodeLabel(node)}</span>
+          {hasChildren && (
+            <span className="ml-2 text-xs text-slate-500">
+              {node.children.length} {CHILD_LABELS[node.children[0].type]}
+            </span>
+          )}
+          {!isOpen && (
+            <span className="block text-sm text-slate-500 truncate">{node.summary}</span>
+          )}
+        </span>
+      </button>
+      {isOpen && (
+        <div className="pb-2">
+          <p className="whitespace-pre-wrap text-sm text-slate-700 leading-relaxed mb-2 ml-6">{node.summary}</p>
+          {hasChildren && node.children.map(child => (
+            <SummaryNode key={`${child.type}-${child.index}`} node={child} depth={depth + 1} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Drill-down view of a hierarchical summary: book -> part -> chapter -> section
+function SummaryTree({ tree }) {
+  if (!tree?.children?.length) return null
+
+  return (
+    <div className="space-y-1">
+      {tree.children.map(child => (
+        <SummaryNode key={`${child.type}-${child.index}`} node={child} depth={0} />
+      ))}
+    </div>
+  )
+}
+
+export default SummaryTree